@@ -1,7 +1,8 @@
 /**
  * Pagetalk - Agent Management Functions
  */
-import { generateUniqueId } from './utils.js';
+import { generateUniqueId, escapeHtml } from './utils.js';
+import { getPromptTemplatesForExport, importPromptTemplates } from './templates.js';
 
 // Default settings for new agents
 const defaultAgentSettings = {
@@ -9,8 +10,35 @@ const defaultAgentSettings = {
     temperature: 0.7,
     maxTokens: 65536,
     topP: 0.95,
+    // 可选的模型绑定：留空时使用 "模型设置" 中的 Provider 和模型
+    provider: '',
+    model: '',
+    thinkingMode: '', // '' (按模型默认) | 'auto' | 'manual' | 'off'，仅对 Gemini 生效
+    thinkingBudget: 8192, // thinkingMode 为 'manual' 时使用
+    stopSequences: [],
+    extractSchema: '', // JSON Schema 文本：非空时回答为符合该 Schema 的 JSON (提取模式)
 };
 
+const THINKING_MODES = ['', 'auto', 'manual', 'off'];
+const MAX_THINKING_BUDGET = 32768;
+const MAX_STOP_SEQUENCES = 4; // OpenAI 兼容接口最多支持 4 个
+
+/**
+ * 读取助手的模型绑定设置 (旧版本保存或导入的助手没有这些字段，使用默认值)
+ * @param {object} agent
+ * @returns {{provider: string, model: string, thinkingMode: string, thinkingBudget: number, stopSequences: string[], extractSchema: string}}
+ */
+function getAgentModelSettings(agent) {
+    return {
+        provider: agent.provider || defaultAgentSettings.provider,
+        model: agent.model || defaultAgentSettings.model,
+        thinkingMode: THINKING_MODES.includes(agent.thinkingMode) ? agent.thinkingMode : defaultAgentSettings.thinkingMode,
+        thinkingBudget: Number.isInteger(agent.thinkingBudget) ? agent.thinkingBudget : defaultAgentSettings.thinkingBudget,
+        stopSequences: Array.isArray(agent.stopSequences) ? [...agent.stopSequences] : [...defaultAgentSettings.stopSequences],
+        extractSchema: typeof agent.extractSchema === 'string' ? agent.extractSchema : defaultAgentSettings.extractSchema
+    };
+}
+
 /** Helper function to get translation string */
 function _(key, replacements = {}, translations) {
   let translation = translations[key] || key;
@@ -51,11 +79,11 @@ export function loadAgents(state, updateAgentsListCallback, updateAgentSelection
             state.currentAgentId = null; // No agents
         }
 
+        // Load current agent settings into global state (before the UI callbacks, which show the agent's model)
+        loadCurrentAgentSettingsIntoState(state);
+
         updateAgentsListCallback(); // Update UI
         updateAgentSelectionInChatCallback(); // Update chat dropdown
-
-        // Load current agent settings into global state
-        loadCurrentAgentSettingsIntoState(state);
     });
 }
 
@@ -166,6 +194,9 @@ export function updateAgentsListUI(state, elements, currentTranslations, autoSav
         });
         body.appendChild(maxTokensGroup);
 
+        // Model binding (provider, model, thinking budget, stop sequences)
+        body.appendChild(createModelBindingGroup(agent, state, currentTranslations, autoSaveAgentSettingsCallback, agentItem));
+
         // --- Assembly & Events ---
         agentItem.appendChild(header);
         agentItem.appendChild(body);
@@ -196,6 +227,81 @@ export function updateAgentsListUI(state, elements, currentTranslations, autoSav
     });
 }
 
+/**
+ * Helper to create the model binding fields of an agent
+ */
+function createModelBindingGroup(agent, state, currentTranslations, saveCallback, agentItem) {
+    const settings = getAgentModelSettings(agent);
+    const group = document.createElement('div');
+    group.className = 'setting-group agent-model-binding';
+
+    const providerOptions = Object.values(window.GeminiAPI.providers)
+        .map(provider => `<option value="${provider.id}"${provider.id === settings.provider ? ' selected' : ''}>${escapeHtml(provider.name)}</option>`)
+        .join('');
+    const thinkingOptions = THINKING_MODES
+        .map(mode => `<option value="${mode}"${mode === settings.thinkingMode ? ' selected' : ''}>${_(`agentThinkingMode_${mode || 'default'}`, {}, currentTranslations)}</option>`)
+        .join('');
+
+    group.innerHTML = `
+        <label for="agent-provider-${agent.id}">${_('agentProviderLabel', {}, currentTranslations)}</label>
+        <select id="agent-provider-${agent.id}">
+            <option value="">${_('agentModelInherit', {}, currentTranslations)}</option>
+            ${providerOptions}
+        </select>
+        <label for="agent-model-${agent.id}">${_('agentModelLabel', {}, currentTranslations)}</label>
+        <input type="text" id="agent-model-${agent.id}" list="agent-model-options-${agent.id}" value="${escapeHtml(settings.model)}" placeholder="${_('agentModelInherit', {}, currentTranslations)}">
+        <datalist id="agent-model-options-${agent.id}"></datalist>
+        <label for="agent-thinking-mode-${agent.id}">${_('agentThinkingModeLabel', {}, currentTranslations)}</label>
+        <div class="agent-thinking-row">
+            <select id="agent-thinking-mode-${agent.id}">${thinkingOptions}</select>
+            <input type="number" id="agent-thinking-budget-${agent.id}" value="${settings.thinkingBudget}" min="0" max="${MAX_THINKING_BUDGET}" step="1024" title="${_('agentThinkingBudgetLabel', {}, currentTranslations)}">
+        </div>
+        <label for="agent-stop-sequences-${agent.id}">${_('agentStopSequencesLabel', {}, currentTranslations)}</label>
+        <textarea id="agent-stop-sequences-${agent.id}" rows="2" placeholder="${_('agentStopSequencesPlaceholder', {}, currentTranslations)}">${escapeHtml(settings.stopSequences.join('\n'))}</textarea>
+        <label for="agent-extract-schema-${agent.id}">${_('agentExtractSchemaLabel', {}, currentTranslations)}</label>
+        <textarea id="agent-extract-schema-${agent.id}" class="agent-extract-schema" rows="3" placeholder="${escapeHtml(_('extractSchemaPlaceholder', {}, currentTranslations))}">${escapeHtml(settings.extractSchema)}</textarea>
+        <p class="hint">${_('agentModelBindingHint', {}, currentTranslations)}</p>
+    `;
+
+    const providerSelect = group.querySelector(`#agent-provider-${agent.id}`);
+    const modelOptions = group.querySelector(`#agent-model-options-${agent.id}`);
+    const thinkingModeSelect = group.querySelector(`#agent-thinking-mode-${agent.id}`);
+    const thinkingBudgetInput = group.querySelector(`#agent-thinking-budget-${agent.id}`);
+
+    // 模型输入框的候选项：所选 Provider 的模型目录 (未选择时为 "模型设置" 中的 Provider)
+    const updateModelOptions = () => {
+        const providerId = providerSelect.value || state.provider;
+        const models = state.modelCatalog[providerId] || window.GeminiAPI.getProvider(providerId).defaultModels.map(id => ({ id }));
+        modelOptions.innerHTML = '';
+        models.forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.id;
+            modelOptions.appendChild(option);
+        });
+    };
+    const updateThinkingBudgetVisibility = () => {
+        thinkingBudgetInput.style.display = thinkingModeSelect.value === 'manual' ? '' : 'none';
+    };
+    updateModelOptions();
+    updateThinkingBudgetVisibility();
+
+    const scheduleSave = () => {
+        clearTimeout(agentItem._saveTimeout);
+        agentItem._saveTimeout = setTimeout(() => saveCallback(agent.id, agentItem), 500);
+    };
+    providerSelect.addEventListener('change', () => {
+        updateModelOptions();
+        scheduleSave();
+    });
+    thinkingModeSelect.addEventListener('change', () => {
+        updateThinkingBudgetVisibility();
+        scheduleSave();
+    });
+    group.querySelectorAll('input, textarea').forEach(input => input.addEventListener('input', scheduleSave));
+
+    return group;
+}
+
 /**
  * Helper to create a slider group
  */
@@ -251,12 +357,27 @@ export function autoSaveAgentSettings(agentId, agentItemElement, state, saveAgen
     const temperatureInput = agentItemElement.querySelector(`#temperature-${agentId}`);
     const topPInput = agentItemElement.querySelector(`#top-p-${agentId}`);
     const maxTokensInput = agentItemElement.querySelector(`#max-tokens-${agentId}`);
+    const providerInput = agentItemElement.querySelector(`#agent-provider-${agentId}`);
+    const modelInput = agentItemElement.querySelector(`#agent-model-${agentId}`);
+    const thinkingModeInput = agentItemElement.querySelector(`#agent-thinking-mode-${agentId}`);
+    const thinkingBudgetInput = agentItemElement.querySelector(`#agent-thinking-budget-${agentId}`);
+    const stopSequencesInput = agentItemElement.querySelector(`#agent-stop-sequences-${agentId}`);
+    const extractSchemaInput = agentItemElement.querySelector(`#agent-extract-schema-${agentId}`);
 
     const newName = nameInput ? nameInput.value.trim() : state.agents[agentIndex].name;
     const newSystemPrompt = systemPromptInput ? systemPromptInput.value : state.agents[agentIndex].systemPrompt;
     const newTemperature = temperatureInput ? parseFloat(temperatureInput.value) : state.agents[agentIndex].temperature;
     const newTopP = topPInput ? parseFloat(topPInput.value) : state.agents[agentIndex].topP;
     const newMaxTokens = maxTokensInput ? parseInt(maxTokensInput.value, 10) : state.agents[agentIndex].maxTokens;
+    const currentModelSettings = getAgentModelSettings(state.agents[agentIndex]);
+    const newProvider = providerInput ? providerInput.value : currentModelSettings.provider;
+    const newModel = modelInput ? modelInput.value.trim() : currentModelSettings.model;
+    const newThinkingMode = thinkingModeInput ? thinkingModeInput.value : currentModelSettings.thinkingMode;
+    const newThinkingBudget = thinkingBudgetInput ? parseInt(thinkingBudgetInput.value, 10) : currentModelSettings.thinkingBudget;
+    const newStopSequences = stopSequencesInput
+        ? stopSequencesInput.value.split('\n').map(line => line.trim()).filter(Boolean)
+        : currentModelSettings.stopSequences;
+    const newExtractSchema = extractSchemaInput ? extractSchemaInput.value.trim() : currentModelSettings.extractSchema;
 
     // Validate Name (cannot be empty)
     if (!newName) {
@@ -271,7 +392,24 @@ export function autoSaveAgentSettings(agentId, agentItemElement, state, saveAgen
         if (maxTokensInput) maxTokensInput.value = state.agents[agentIndex].maxTokens;
         return;
     }
-
+    // Validate Thinking Budget (only used in manual mode)
+    if (newThinkingMode === 'manual' && (isNaN(newThinkingBudget) || newThinkingBudget < 0 || newThinkingBudget > MAX_THINKING_BUDGET)) {
+        showToastCallback(_('agentSaveFailedThinkingBudgetInvalid', { max: MAX_THINKING_BUDGET }, currentTranslations), 'error');
+        if (thinkingBudgetInput) thinkingBudgetInput.value = currentModelSettings.thinkingBudget;
+        return;
+    }
+    // Validate Stop Sequences
+    if (newStopSequences.length > MAX_STOP_SEQUENCES) {
+        showToastCallback(_('agentSaveFailedStopSequencesInvalid', { max: MAX_STOP_SEQUENCES }, currentTranslations), 'error');
+        return;
+    }
+    // Validate Extraction Schema
+    const schemaError = window.PagetalkSchema.parseSchemaText(newExtractSchema).error;
+    if (extractSchemaInput) extractSchemaInput.classList.toggle('invalid', !!schemaError);
+    if (schemaError) {
+        showToastCallback(_('agentSaveFailedExtractSchemaInvalid', { error: schemaError }, currentTranslations), 'error');
+        return;
+    }
 
     // Update state object
     const agentToUpdate = state.agents[agentIndex];
@@ -280,6 +418,12 @@ export function autoSaveAgentSettings(agentId, agentItemElement, state, saveAgen
     agentToUpdate.temperature = newTemperature;
     agentToUpdate.topP = newTopP;
     agentToUpdate.maxTokens = newMaxTokens;
+    agentToUpdate.provider = newProvider;
+    agentToUpdate.model = newModel;
+    agentToUpdate.thinkingMode = newThinkingMode;
+    agentToUpdate.thinkingBudget = isNaN(newThinkingBudget) ? currentModelSettings.thinkingBudget : newThinkingBudget;
+    agentToUpdate.stopSequences = newStopSequences;
+    agentToUpdate.extractSchema = newExtractSchema;
     console.log(`Agent ${agentId} updated in state (Name: ${newName}):`, agentToUpdate);
 
     // Sync global state if this is the current agent
@@ -395,14 +539,16 @@ export function confirmDeleteAgent(state, elements, updateAgentsListCallback, up
  * @param {string} agentId - 要切换到的助手ID
  * @param {object} state - Global state reference
  * @param {function} saveCurrentAgentIdCallback - Callback
+ * @param {function} [syncModelSelectionCallback] - Callback to show the agent's model in the chat model dropdown
  */
-export function switchAgent(agentId, state, saveCurrentAgentIdCallback) {
+export function switchAgent(agentId, state, saveCurrentAgentIdCallback, syncModelSelectionCallback = null) {
     const agent = state.agents.find(a => a.id === agentId);
     if (!agent) return;
 
     state.currentAgentId = agentId;
-    loadCurrentAgentSettingsIntoState(state); // Load settings for the switched agent
+    loadCurrentAgentSettingsIntoState(state); // Load settings (including the model binding) for the switched agent
     saveCurrentAgentIdCallback(); // Save the new current ID
+    if (syncModelSelectionCallback) syncModelSelectionCallback();
 
     // Optional: Show toast feedback
     // showToastCallback(_('agentSwitchedToast', { agentName: agent.name }, currentTranslations), 'success');
@@ -483,9 +629,11 @@ export function handleAgentExport(state, showToastCallback, currentTranslations)
             systemPrompt: agent.systemPrompt,
             temperature: agent.temperature,
             maxTokens: agent.maxTokens,
-            topP: agent.topP
+            topP: agent.topP,
+            ...getAgentModelSettings(agent)
         }));
-        const jsonString = JSON.stringify(agentsToExport, null, 2);
+        // 提示词模板随助手一起导出 (旧版本导出的是助手数组)
+        const jsonString = JSON.stringify({ agents: agentsToExport, promptTemplates: getPromptTemplatesForExport(state) }, null, 2);
         const blob = new Blob([jsonString], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
@@ -514,8 +662,9 @@ export function handleAgentExport(state, showToastCallback, currentTranslations)
  * @param {function} saveCurrentAgentIdCallback - Callback
  * @param {function} showToastCallback - Callback
  * @param {object} currentTranslations - Translations object
+ * @param {function} [updatePromptTemplatesListCallback] - Callback, called when the file includes prompt templates
  */
-export function handleAgentImport(event, state, saveAgentsListCallback, updateAgentsListCallback, updateAgentSelectionInChatCallback, saveCurrentAgentIdCallback, showToastCallback, currentTranslations) {
+export function handleAgentImport(event, state, saveAgentsListCallback, updateAgentsListCallback, updateAgentSelectionInChatCallback, saveCurrentAgentIdCallback, showToastCallback, currentTranslations, updatePromptTemplatesListCallback = null) {
     const file = event.target.files[0];
     if (!file) return;
     const reader = new FileReader();
@@ -523,7 +672,9 @@ export function handleAgentImport(event, state, saveAgentsListCallback, updateAg
     reader.onload = (e) => {
         try {
             const importedData = JSON.parse(e.target.result);
-            if (!Array.isArray(importedData)) {
+            // 新格式为 { agents, promptTemplates }，也接受旧版本导出的助手数组
+            const importedAgents = Array.isArray(importedData) ? importedData : importedData?.agents;
+            if (!Array.isArray(importedAgents)) {
                 throw new Error(_('agentImportErrorInvalidFormatArray', {}, currentTranslations));
             }
 
@@ -531,7 +682,7 @@ export function handleAgentImport(event, state, saveAgentsListCallback, updateAg
             let updatedCount = 0;
             const validationErrors = [];
 
-            importedData.forEach((importedAgent, index) => {
+            importedAgents.forEach((importedAgent, index) => {
                 // --- Validation ---
                 const errors = validateImportedAgent(importedAgent, index, currentTranslations);
                 if (errors.length > 0) {
@@ -548,6 +699,7 @@ export function handleAgentImport(event, state, saveAgentsListCallback, updateAg
                     agentToUpdate.temperature = importedAgent.temperature;
                     agentToUpdate.maxTokens = importedAgent.maxTokens;
                     agentToUpdate.topP = importedAgent.topP;
+                    Object.assign(agentToUpdate, getAgentModelSettings(importedAgent));
                     updatedCount++;
                 } else {
                     // Add new
@@ -557,7 +709,8 @@ export function handleAgentImport(event, state, saveAgentsListCallback, updateAg
                         systemPrompt: importedAgent.systemPrompt,
                         temperature: importedAgent.temperature,
                         maxTokens: importedAgent.maxTokens,
-                        topP: importedAgent.topP
+                        topP: importedAgent.topP,
+                        ...getAgentModelSettings(importedAgent)
                     };
                     state.agents.push(newAgent);
                     importedCount++;
@@ -569,6 +722,10 @@ export function handleAgentImport(event, state, saveAgentsListCallback, updateAg
                 throw new Error(validationErrors[0]);
             }
 
+            const templateCounts = Array.isArray(importedData) || importedData.promptTemplates === undefined
+                ? null
+                : importPromptTemplates(state, importedData.promptTemplates, currentTranslations);
+
             saveAgentsListCallback();
             updateAgentsListCallback();
             updateAgentSelectionInChatCallback();
@@ -589,7 +746,17 @@ export function handleAgentImport(event, state, saveAgentsListCallback, updateAg
                  loadCurrentAgentSettingsIntoState(state);
             }
 
-            showToastCallback(_('agentImportSuccess', { imported: importedCount, updated: updatedCount }, currentTranslations), 'success');
+            if (templateCounts) {
+                if (updatePromptTemplatesListCallback) updatePromptTemplatesListCallback();
+                showToastCallback(_('agentImportSuccessWithTemplates', {
+                    imported: importedCount,
+                    updated: updatedCount,
+                    templatesImported: templateCounts.imported,
+                    templatesUpdated: templateCounts.updated
+                }, currentTranslations), 'success');
+            } else {
+                showToastCallback(_('agentImportSuccess', { imported: importedCount, updated: updatedCount }, currentTranslations), 'success');
+            }
 
         } catch (error) {
             console.error('Error importing agents:', error);
@@ -643,6 +810,25 @@ function validateImportedAgent(agent, index, currentTranslations) {
     if (typeof agent.topP !== 'number' || isNaN(agent.topP) || agent.topP < 0 || agent.topP > 1) {
         errors.push(`${prefix} ${_('importValidationErrorInvalidTopP', {}, currentTranslations)}`); // Need translation
     }
+    // Validate optional model binding
+    if (agent.provider !== undefined && agent.provider !== '' && !window.GeminiAPI.providers[agent.provider]) {
+        errors.push(`${prefix} ${_('importValidationErrorInvalidProvider', {}, currentTranslations)}`);
+    }
+    if (agent.model !== undefined && typeof agent.model !== 'string') {
+        errors.push(`${prefix} ${_('importValidationErrorInvalidModel', {}, currentTranslations)}`);
+    }
+    if (agent.thinkingMode !== undefined && !THINKING_MODES.includes(agent.thinkingMode)) {
+        errors.push(`${prefix} ${_('importValidationErrorInvalidThinkingMode', {}, currentTranslations)}`);
+    }
+    if (agent.thinkingBudget !== undefined && (!Number.isInteger(agent.thinkingBudget) || agent.thinkingBudget < 0 || agent.thinkingBudget > MAX_THINKING_BUDGET)) {
+        errors.push(`${prefix} ${_('importValidationErrorInvalidThinkingBudget', { max: MAX_THINKING_BUDGET }, currentTranslations)}`);
+    }
+    if (agent.stopSequences !== undefined && (!Array.isArray(agent.stopSequences) || agent.stopSequences.length > MAX_STOP_SEQUENCES || agent.stopSequences.some(item => typeof item !== 'string' || !item))) {
+        errors.push(`${prefix} ${_('importValidationErrorInvalidStopSequences', { max: MAX_STOP_SEQUENCES }, currentTranslations)}`);
+    }
+    if (agent.extractSchema !== undefined && (typeof agent.extractSchema !== 'string' || window.PagetalkSchema.parseSchemaText(agent.extractSchema).error)) {
+        errors.push(`${prefix} ${_('importValidationErrorInvalidExtractSchema', {}, currentTranslations)}`);
+    }
 
     return errors;
 }
@@ -659,6 +845,7 @@ export function loadCurrentAgentSettingsIntoState(state) {
         state.temperature = currentAgent.temperature;
         state.maxTokens = currentAgent.maxTokens;
         state.topP = currentAgent.topP;
+        applyAgentModelSettings(state, currentAgent);
         console.log(`Loaded settings for agent ${state.currentAgentId} into global state.`);
     } else if (state.agents.length > 0) {
         // Fallback: if currentAgentId is somehow invalid, load the first agent's settings
@@ -669,6 +856,7 @@ export function loadCurrentAgentSettingsIntoState(state) {
         state.temperature = firstAgent.temperature;
         state.maxTokens = firstAgent.maxTokens;
         state.topP = firstAgent.topP;
+        applyAgentModelSettings(state, firstAgent);
         saveCurrentAgentId(state); // Save the corrected ID
     } else {
         // No agents exist, reset to defaults
@@ -678,5 +866,21 @@ export function loadCurrentAgentSettingsIntoState(state) {
         state.temperature = defaultAgentSettings.temperature;
         state.maxTokens = defaultAgentSettings.maxTokens;
         state.topP = defaultAgentSettings.topP;
+        applyAgentModelSettings(state, defaultAgentSettings);
     }
+}
+
+/**
+ * Copies an agent's model binding into the global state (api.js resolves the active model from it).
+ * @param {object} state - Global state reference.
+ * @param {object} agent - Agent whose settings are applied.
+ */
+function applyAgentModelSettings(state, agent) {
+    const settings = getAgentModelSettings(agent);
+    state.agentProvider = settings.provider;
+    state.agentModel = settings.model;
+    state.thinkingMode = settings.thinkingMode;
+    state.thinkingBudget = settings.thinkingBudget;
+    state.stopSequences = settings.stopSequences;
+    state.extractSchema = settings.extractSchema;
 }
\ No newline at end of file
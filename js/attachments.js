@@ -0,0 +1,301 @@
+/**
+ * Pagetalk - Attachments
+ * 上传的文件作为附件随下一条消息发送，在输入框上方显示为标签，发送后保存在该条消息中，追问时仍然可用。
+ * PDF 在本地按页提取文字 (见 js/pdf.js)；设置为直接发送 PDF 且模型支持时，改为发送原文件 (见 api.js buildAttachmentParts)。
+ * 文本文件 (纯文本、Markdown、JSON、CSV、源代码等) 按原文作为带文件名的文本发送。点击标签可以预览附件内容。
+ * state.attachments: [{ id, name, kind: 'pdf' | 'text', size, status: 'loading' | 'ready', pageCount, lineCount, text, inlineData }]
+ */
+import { generateUniqueId } from './utils.js';
+
+const MAX_PDF_FILE_SIZE = 50 * 1024 * 1024;
+const MAX_INLINE_PDF_SIZE = 15 * 1024 * 1024; // Gemini 单次请求内联数据的上限为 20MB (base64 之后)
+const MAX_TEXT_FILE_SIZE = 1024 * 1024; // 约 25 万 token，再大的文件应只上传需要的部分
+const MAX_PREVIEW_LENGTH = 5000;
+
+// 按扩展名识别的文本文件 (浏览器对很多代码文件不提供 MIME 类型)
+const TEXT_FILE_EXTENSIONS = new Set([
+    'txt', 'md', 'markdown', 'rst', 'log', 'json', 'jsonl', 'csv', 'tsv', 'xml', 'yaml', 'yml', 'toml', 'ini', 'cfg', 'conf', 'env',
+    'html', 'htm', 'css', 'scss', 'less', 'js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'vue', 'svelte',
+    'py', 'rb', 'php', 'java', 'kt', 'swift', 'go', 'rs', 'c', 'h', 'cc', 'cpp', 'hpp', 'cs', 'm',
+    'sh', 'bash', 'zsh', 'ps1', 'bat', 'sql', 'r', 'lua', 'pl', 'dart', 'scala', 'tex', 'srt', 'vtt'
+]);
+
+/** Helper function to get translation string */
+function _(key, replacements = {}, translations) {
+  let translation = translations[key] || key;
+  for (const placeholder in replacements) {
+    translation = translation.replace(`{${placeholder}}`, replacements[placeholder]);
+  }
+  return translation;
+}
+
+/**
+ * 是否为 PDF 文件
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isPdfFile(file) {
+    return file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+}
+
+/**
+ * 文件扩展名 (小写，不含点)
+ * @param {string} fileName
+ * @returns {string}
+ */
+function getFileExtension(fileName) {
+    const match = /\.([^./\\]+)$/.exec(fileName || '');
+    return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * 是否为可以按文本读取的文件
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isTextFile(file) {
+    if (file.type.startsWith('text/')) return true;
+    if (/^application\/(json|xml|javascript|x-javascript|x-yaml|x-sh|sql|x-httpd-php)$/.test(file.type)) return true;
+    return TEXT_FILE_EXTENSIONS.has(getFileExtension(file.name));
+}
+
+/**
+ * 读取为 base64 (不含 data: 前缀)
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+function readFileAsBase64(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result.split(',')[1]);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * 添加附件：按文件类型分派，不支持的文件提示后忽略
+ * @param {File} file
+ * @param {object} state - Global state reference
+ * @param {function} updateAttachmentsPreviewCallback - Callback to update UI
+ * @param {function} showToastCallback - Callback
+ * @param {object} currentTranslations - Translations object
+ * @returns {Promise<void>}
+ */
+export async function handleAttachmentFile(file, state, updateAttachmentsPreviewCallback, showToastCallback, currentTranslations) {
+    if (!file) return;
+    if (isPdfFile(file)) return addPdfAttachment(file, state, updateAttachmentsPreviewCallback, showToastCallback, currentTranslations);
+    if (isTextFile(file)) return addTextAttachment(file, state, updateAttachmentsPreviewCallback, showToastCallback, currentTranslations);
+    showToastCallback(_('attachmentUnsupported', { name: file.name }, currentTranslations), 'error');
+}
+
+/**
+ * 添加文本文件：读取原文，包含空字符的文件视为二进制文件
+ * @param {File} file
+ * @param {object} state - Global state reference
+ * @param {function} updateAttachmentsPreviewCallback - Callback to update UI
+ * @param {function} showToastCallback - Callback
+ * @param {object} currentTranslations - Translations object
+ * @returns {Promise<void>}
+ */
+async function addTextAttachment(file, state, updateAttachmentsPreviewCallback, showToastCallback, currentTranslations) {
+    if (file.size > MAX_TEXT_FILE_SIZE) {
+        showToastCallback(_('attachmentTextTooLarge', { name: file.name, size: MAX_TEXT_FILE_SIZE / 1024 }, currentTranslations), 'error');
+        return;
+    }
+
+    const attachment = { id: generateUniqueId(), name: file.name, kind: 'text', size: file.size, status: 'loading', lineCount: 0, text: '', inlineData: null };
+    state.attachments.push(attachment);
+    updateAttachmentsPreviewCallback();
+
+    try {
+        const text = await file.text();
+        if (text.includes('\u0000')) {
+            showToastCallback(_('attachmentNotText', { name: file.name }, currentTranslations), 'error');
+            state.attachments = state.attachments.filter(entry => entry.id !== attachment.id);
+        } else {
+            attachment.text = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+            attachment.lineCount = attachment.text ? attachment.text.replace(/\n$/, '').split('\n').length : 0;
+            attachment.status = 'ready';
+        }
+    } catch (error) {
+        console.error(`Failed to read ${file.name}:`, error);
+        showToastCallback(_('attachmentReadFailed', { name: file.name, error: error.message }, currentTranslations), 'error');
+        state.attachments = state.attachments.filter(entry => entry.id !== attachment.id);
+    }
+    updateAttachmentsPreviewCallback();
+}
+
+/**
+ * 添加 PDF：先以读取中的状态显示，提取完成后更新
+ * @param {File} file
+ * @param {object} state - Global state reference
+ * @param {function} updateAttachmentsPreviewCallback - Callback to update UI
+ * @param {function} showToastCallback - Callback
+ * @param {object} currentTranslations - Translations object
+ * @returns {Promise<void>}
+ */
+async function addPdfAttachment(file, state, updateAttachmentsPreviewCallback, showToastCallback, currentTranslations) {
+    if (file.size > MAX_PDF_FILE_SIZE) {
+        showToastCallback(_('attachmentTooLarge', { name: file.name, size: MAX_PDF_FILE_SIZE / 1024 / 1024 }, currentTranslations), 'error');
+        return;
+    }
+
+    const attachment = { id: generateUniqueId(), name: file.name, kind: 'pdf', size: file.size, status: 'loading', pageCount: 0, text: '', inlineData: null };
+    state.attachments.push(attachment);
+    updateAttachmentsPreviewCallback();
+
+    try {
+        const { pageCount, pages } = await window.PagetalkPdf.extractPdfPages(await file.arrayBuffer());
+        attachment.pageCount = pageCount;
+        attachment.text = window.PagetalkPdf.formatPdfPages(pages);
+        if (file.size <= MAX_INLINE_PDF_SIZE) {
+            attachment.inlineData = { mimeType: 'application/pdf', data: await readFileAsBase64(file) };
+        }
+        if (!attachment.text) {
+            showToastCallback(_('attachmentPdfNoText', { name: file.name }, currentTranslations), 'error');
+        }
+        attachment.status = 'ready';
+    } catch (error) {
+        console.error(`Failed to read ${file.name}:`, error);
+        const messageKey = error.code === 'encrypted' ? 'attachmentPdfEncrypted' : 'attachmentReadFailed';
+        showToastCallback(_(messageKey, { name: file.name, error: error.message }, currentTranslations), 'error');
+        state.attachments = state.attachments.filter(entry => entry.id !== attachment.id);
+    }
+    updateAttachmentsPreviewCallback();
+}
+
+/**
+ * 附件标签的说明文字 (页数、行数或读取中)
+ * @param {object} attachment
+ * @param {object} currentTranslations - Translations object
+ * @returns {string}
+ */
+function getAttachmentDetail(attachment, currentTranslations) {
+    if (attachment.status === 'loading') return _('attachmentLoading', {}, currentTranslations);
+    if (attachment.kind === 'text') return _('attachmentTextLines', { count: attachment.lineCount || 0 }, currentTranslations);
+    return _('attachmentPdfPages', { count: attachment.pageCount }, currentTranslations);
+}
+
+/**
+ * 创建附件标签
+ * @param {object} attachment
+ * @param {object} currentTranslations - Translations object
+ * @param {function} [onPreview] - 点击标签时调用 (预览附件内容)
+ * @returns {HTMLElement}
+ */
+export function createAttachmentChip(attachment, currentTranslations, onPreview = null) {
+    const chip = document.createElement('div');
+    chip.className = `attachment-chip ${attachment.kind}`;
+    chip.classList.toggle('loading', attachment.status === 'loading');
+    chip.title = attachment.name;
+    if (onPreview && attachment.status !== 'loading') {
+        chip.classList.add('previewable');
+        chip.title = _('attachmentPreviewTitle', { name: attachment.name }, currentTranslations);
+        chip.addEventListener('click', () => onPreview(attachment));
+    }
+
+    const icon = document.createElement('span');
+    icon.className = 'attachment-chip-kind';
+    icon.textContent = (attachment.kind === 'text' ? getFileExtension(attachment.name) || 'txt' : attachment.kind).toUpperCase();
+    const name = document.createElement('span');
+    name.className = 'attachment-chip-name';
+    name.textContent = attachment.name;
+    const detail = document.createElement('span');
+    detail.className = 'attachment-chip-detail';
+    detail.textContent = getAttachmentDetail(attachment, currentTranslations);
+
+    chip.append(icon, name, detail);
+    return chip;
+}
+
+/**
+ * 更新输入框上方的附件标签
+ * @param {object} state - Global state reference
+ * @param {object} elements - DOM elements reference
+ * @param {object} currentTranslations - Translations object
+ * @param {function} removeAttachmentByIdCallback - Callback
+ */
+export function updateAttachmentsPreview(state, elements, currentTranslations, removeAttachmentByIdCallback) {
+    if (!elements.attachmentsPreview) return;
+    elements.attachmentsPreview.innerHTML = '';
+    elements.attachmentsPreview.style.display = state.attachments.length > 0 ? 'flex' : 'none';
+
+    state.attachments.forEach(attachment => {
+        const chip = createAttachmentChip(attachment, currentTranslations, () => showAttachmentPreview(attachment, elements, currentTranslations));
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'attachment-chip-remove';
+        removeBtn.title = _('attachmentRemoveTitle', {}, currentTranslations);
+        removeBtn.innerHTML = `
+            <svg xmlns="http://www.w3.org/2000/svg" width="10" height="10" fill="currentColor" viewBox="0 0 16 16">
+                <path d="M4.646 4.646a.5.5 0 0 1 .708 0L8 7.293l2.646-2.647a.5.5 0 0 1 .708.708L8.707 8l2.647 2.646a.5.5 0 0 1-.708.708L8 8.707l-2.646 2.647a.5.5 0 0 1-.708-.708L7.293 8 4.646 5.354a.5.5 0 0 1 0-.708z"/>
+            </svg>
+        `;
+        removeBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            removeAttachmentByIdCallback(attachment.id);
+        });
+        chip.appendChild(removeBtn);
+        elements.attachmentsPreview.appendChild(chip);
+    });
+}
+
+/**
+ * 预览附件内容 (只显示开头部分)
+ * @param {object} attachment
+ * @param {object} elements - DOM elements reference
+ * @param {object} currentTranslations - Translations object
+ */
+export function showAttachmentPreview(attachment, elements, currentTranslations) {
+    if (!elements.attachmentModal) return;
+    const text = attachment.text || '';
+    elements.attachmentModalTitle.textContent = attachment.name;
+    elements.attachmentModalText.textContent = text
+        ? text.slice(0, MAX_PREVIEW_LENGTH)
+        : _('attachmentPreviewEmpty', {}, currentTranslations);
+    elements.attachmentModalNote.textContent = text.length > MAX_PREVIEW_LENGTH
+        ? _('attachmentPreviewTruncated', { shown: MAX_PREVIEW_LENGTH, total: text.length }, currentTranslations)
+        : '';
+    elements.attachmentModal.style.display = 'flex';
+}
+
+/**
+ * 关闭附件预览
+ * @param {object} elements - DOM elements reference
+ */
+export function hideAttachmentPreview(elements) {
+    if (!elements.attachmentModal) return;
+    elements.attachmentModal.style.display = 'none';
+}
+
+/**
+ * 保存到消息中的附件 (去掉只在输入区域使用的字段)
+ * @param {Array<object>} attachments - state.attachments
+ * @returns {Array<{name: string, kind: string, pageCount: number, lineCount: number, text: string, inlineData: object|null}>}
+ */
+export function toMessageAttachments(attachments) {
+    return attachments
+        .filter(attachment => attachment.status === 'ready')
+        .map(({ name, kind, pageCount, lineCount, text, inlineData }) => ({ name, kind, pageCount, lineCount, text, inlineData }));
+}
+
+/**
+ * 通过ID删除附件
+ * @param {string} attachmentId
+ * @param {object} state - Global state reference
+ * @param {function} updateAttachmentsPreviewCallback - Callback
+ */
+export function removeAttachmentById(attachmentId, state, updateAttachmentsPreviewCallback) {
+    state.attachments = state.attachments.filter(attachment => attachment.id !== attachmentId);
+    updateAttachmentsPreviewCallback();
+}
+
+/**
+ * 清除所有附件
+ * @param {object} state - Global state reference
+ * @param {function} updateAttachmentsPreviewCallback - Callback
+ */
+export function clearAttachments(state, updateAttachmentsPreviewCallback) {
+    state.attachments = [];
+    updateAttachmentsPreviewCallback();
+}
@@ -5,6 +5,13 @@
  * 处理浏览器扩展的后台逻辑
  */
 
+// 选中文本的右键菜单操作，command 会传给面板，由面板用对应的提示词立即发送
+const SELECTION_COMMANDS = [
+    { id: "explainSelection", title: "解释选中内容", command: "explain" },
+    { id: "translateSelection", title: "翻译选中内容", command: "translate" },
+    { id: "summarizeSelection", title: "总结选中内容", command: "summarize" }
+];
+
 // 当安装或更新扩展时初始化
 chrome.runtime.onInstalled.addListener(() => {
     // onInstalled 事件触发
@@ -15,13 +22,31 @@ chrome.runtime.onInstalled.addListener(() => {
         title: "打开 Pagetalk 面板",
         contexts: ["page", "selection"]
     });
+
+    // 选中文本后直接执行的操作
+    SELECTION_COMMANDS.forEach(command => {
+        chrome.contextMenus.create({
+            id: command.id,
+            title: command.title,
+            contexts: ["selection"]
+        });
+    });
 });
 
 // 处理右键菜单点击
 chrome.contextMenus.onClicked.addListener((info, tab) => {
     // onClicked 事件触发 (右键菜单)
-    if (info.menuItemId === "openPagetalk" && tab) {
-        togglePagetalkPanel(tab.id);
+    if (!tab) return;
+    const selectionCommand = SELECTION_COMMANDS.find(command => command.id === info.menuItemId);
+    if (selectionCommand) {
+        sendPanelMessage(tab.id, { action: "showPanelWithSelection", selectionText: info.selectionText || '', command: selectionCommand.command });
+    } else if (info.menuItemId === "openPagetalk") {
+        if (info.selectionText) {
+            // 带着选中内容打开面板，作为提问的重点
+            sendPanelMessage(tab.id, { action: "showPanelWithSelection", selectionText: info.selectionText, command: null });
+        } else {
+            togglePagetalkPanel(tab.id);
+        }
     }
 });
 
@@ -34,28 +59,32 @@ chrome.action.onClicked.addListener((tab) => {
 });
 
 // 切换面板显示
-async function togglePagetalkPanel(tabId) {
+function togglePagetalkPanel(tabId) {
+    return sendPanelMessage(tabId, { action: "togglePanel" });
+}
+
+// 向页面中的内容脚本发送面板相关消息 (内容脚本未加载时先注入)
+async function sendPanelMessage(tabId, panelMessage) {
     try {
-        // --- 新增代码 开始 ---
         // 1. 获取标签页信息
         const tab = await chrome.tabs.get(tabId);
 
         // 2. 检查 URL 协议是否受支持
-        //    只允许在 http, https (以及可选的 file) 页面执行
-        if (!tab || !tab.url || !(
-            tab.url.startsWith('http:') ||
-            tab.url.startsWith('https:') // ||
-            // tab.url.startsWith('file:') // 如果需要支持本地文件，取消此行注释
-        )) {
-            console.debug(`Pagetalk: 不在受支持的页面 (${tab ? tab.url : 'N/A'}) 上执行操作，跳过。`);
+        //    只允许在 http, https 以及已授权的 file 页面执行
+        const allowFileUrls = await chrome.extension.isAllowedFileSchemeAccess();
+        if (!tab || !isSupportedTabUrl(tab.url, allowFileUrls)) {
+            if (tab && tab.url && tab.url.startsWith('file:')) {
+                console.debug('Pagetalk: 本地文件需要在扩展详情页中开启"允许访问文件网址"。');
+            } else {
+                console.debug(`Pagetalk: 不在受支持的页面 (${tab ? tab.url : 'N/A'}) 上执行操作，跳过。`);
+            }
             return; // 直接退出，不执行后续操作
         }
-        // --- 新增代码 结束 ---
 
         // --- 原有代码（稍作调整，仅在受支持页面执行）---
         try {
-            // 尝试切换面板
-            await chrome.tabs.sendMessage(tabId, { action: "togglePanel" });
+            // 尝试发送消息 (切换面板等)
+            await chrome.tabs.sendMessage(tabId, panelMessage);
         } catch (error) {
             // console.warn('初次 sendMessage 失败，尝试注入脚本:', error); // 改为 warn 或 debug
 
@@ -63,15 +92,15 @@ async function togglePagetalkPanel(tabId) {
             try {
                 await chrome.scripting.executeScript({
                     target: { tabId: tabId },
-                    files: ['js/content.js']
+                    files: ['js/lib/Readability.js', 'js/content.js']
                 });
 
                 // 再次尝试发送消息
                 setTimeout(async () => {
                     try {
-                        await chrome.tabs.sendMessage(tabId, { action: "togglePanel" });
+                        await chrome.tabs.sendMessage(tabId, panelMessage);
                     } catch (e) {
-                        console.error('重试切换面板失败:', e);
+                        console.error('重试发送面板消息失败:', e);
                     }
                 }, 100); // 注入后稍作等待
             } catch (e) {
@@ -82,12 +111,113 @@ async function togglePagetalkPanel(tabId) {
         }
     } catch (outerError) {
         // 捕获获取 tab 信息或其他意外错误
-        console.error('togglePagetalkPanel 函数出错:', outerError);
+        console.error('sendPanelMessage 函数出错:', outerError);
+    }
+}
+
+/**
+ * 是否为可以提取内容的网页：http/https，以及用户开启"允许访问文件网址"后的本地文件
+ * @param {string} url
+ * @param {boolean} [allowFileUrls=false] - chrome.extension.isAllowedFileSchemeAccess() 的结果
+ * @returns {boolean}
+ */
+function isSupportedTabUrl(url, allowFileUrls = false) {
+    return !!url && (url.startsWith('http:') || url.startsWith('https:') || (allowFileUrls && url.startsWith('file:')));
+}
+
+/**
+ * 提取指定标签页的内容 (通过该页面的内容脚本，使用与当前页面相同的 Readability 提取逻辑)
+ * @param {number} tabId
+ * @param {boolean} [guarded=true] - 防护模式，提取前去掉页面中不可见的文字
+ * @returns {Promise<{content: string, title: string, url: string}>}
+ */
+async function extractTabContent(tabId, guarded = true) {
+    const tab = await chrome.tabs.get(tabId);
+    if (!isSupportedTabUrl(tab.url, await chrome.extension.isAllowedFileSchemeAccess())) {
+        throw new Error('Unsupported page');
     }
+
+    let response;
+    try {
+        response = await chrome.tabs.sendMessage(tabId, { action: "extractContent", guarded });
+    } catch (error) {
+        // 扩展安装前打开的标签页没有内容脚本，先注入再重试
+        await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            files: ['js/lib/Readability.js', 'js/content.js']
+        });
+        response = await chrome.tabs.sendMessage(tabId, { action: "extractContent", guarded });
+    }
+
+    if (!response || response.error) {
+        throw new Error(response ? response.error : 'No response from tab');
+    }
+    return { content: response.content, title: tab.title || '', url: tab.url };
+}
+
+/**
+ * 消息是否来自嵌在标签页中的 Pagetalk 面板
+ * @param {chrome.runtime.MessageSender} sender
+ * @returns {boolean}
+ */
+function isPanelSender(sender) {
+    return sender.id === chrome.runtime.id && !!sender.tab && !!sender.url && sender.url.startsWith(chrome.runtime.getURL('html/'));
 }
 
 // 监听来自内容脚本或面板的消息
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    // 列出所有窗口中可提取内容的标签页 (面板的多标签页上下文)
+    if (message.action === "listTabs") {
+        Promise.all([chrome.tabs.query({}), chrome.extension.isAllowedFileSchemeAccess()]).then(([tabs, allowFileUrls]) => {
+            sendResponse({
+                tabs: tabs.filter(tab => isSupportedTabUrl(tab.url, allowFileUrls)).map(tab => ({
+                    id: tab.id,
+                    title: tab.title || tab.url,
+                    url: tab.url,
+                    favIconUrl: tab.favIconUrl || '',
+                    isCurrent: !!(sender.tab && sender.tab.id === tab.id)
+                }))
+            });
+        }).catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+    if (message.action === "extractTabContent") {
+        extractTabContent(message.tabId, message.guarded !== false)
+            .then(result => sendResponse(result))
+            .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+    // 面板所在标签页的网址和标题：网页可以伪造发给面板的消息，网址以浏览器记录的为准
+    if (message.action === "getPanelTab") {
+        if (!isPanelSender(sender)) {
+            sendResponse({ error: 'Not a Pagetalk panel' });
+            return true;
+        }
+        sendResponse({ id: sender.tab.id, url: sender.tab.url || '', title: sender.tab.title || '' });
+        return true;
+    }
+    // 面板核对 content.js 交来的通道端口：向面板所在标签页顶层的 content.js 索取口令 (见 js/channel.js)
+    if (message.action === "getPanelChannelToken") {
+        if (!isPanelSender(sender)) {
+            sendResponse({ error: 'Not a Pagetalk panel' });
+            return true;
+        }
+        chrome.tabs.sendMessage(sender.tab.id, { action: 'getPanelChannelToken' }, { frameId: 0 })
+            .then(response => sendResponse(response || { error: 'No response from the page' }))
+            .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
+    // 截取发送消息的标签页的可见区域 (content.js 截图前已隐藏面板)
+    if (message.action === "captureVisibleTab") {
+        if (!sender.tab) {
+            sendResponse({ error: 'No tab' });
+            return true;
+        }
+        chrome.tabs.captureVisibleTab(sender.tab.windowId, { format: 'png' })
+            .then(dataUrl => sendResponse({ dataUrl }))
+            .catch(error => sendResponse({ error: error.message }));
+        return true;
+    }
     if (message.action === "pageContentExtracted") {
         // 存储最近提取的页面内容
         chrome.storage.local.set({ 
@@ -0,0 +1,133 @@
+/**
+ * Pagetalk - Conversation Branches
+ * state.chatHistory 始终是当前显示的路径。编辑用户消息或重新生成回答时，该位置的消息带上
+ * variants 数组，每个版本保存自己之后的对话 (tail)，因此整段对话是一棵树：
+ *   { role, parts, id, variants: [{ role, parts, id, tail }], variantIndex }
+ * 当前版本的内容和后续对话就在 chatHistory 中，所以 variants[variantIndex].tail 为 null。
+ */
+
+/**
+ * 把消息转换为可存入 variants 的版本 (去掉自身的分支信息)
+ * @param {object} message
+ * @param {Array<object>|null} tail - 该版本之后的对话
+ * @returns {object}
+ */
+function toVariant(message, tail) {
+    const { variants, variantIndex, ...content } = message;
+    return { ...content, tail };
+}
+
+/**
+ * 把版本还原为 chatHistory 中的消息
+ * @param {object} variant
+ * @param {Array<object>} variants
+ * @param {number} variantIndex
+ * @returns {object}
+ */
+function fromVariant(variant, variants, variantIndex) {
+    const { tail, ...content } = variant;
+    if (variants.length <= 1) return content; // 只剩一个版本时不再是分支
+    return { ...content, variants, variantIndex };
+}
+
+/**
+ * 获取消息的分支位置，用于显示 "< 2/3 >"
+ * @param {object} message
+ * @returns {{index: number, count: number}|null} 没有分支时返回 null
+ */
+export function getBranchInfo(message) {
+    if (!message || !Array.isArray(message.variants) || message.variants.length <= 1) return null;
+    return { index: message.variantIndex, count: message.variants.length };
+}
+
+/**
+ * 从 index 处截断对话，返回被移除的消息及其后续对话，之后可交给 adoptBranch
+ * @param {Array<object>} history - state.chatHistory (原地修改)
+ * @param {number} index
+ * @returns {{message: object, tail: Array<object>}}
+ */
+export function detachBranch(history, index) {
+    const [message, ...tail] = history.splice(index);
+    return { message, tail };
+}
+
+/**
+ * 把 history[index] 作为 detached 消息的新版本：旧版本连同后续对话保存在 variants 中
+ * @param {Array<object>} history - state.chatHistory (原地修改)
+ * @param {number} index - 新消息的位置
+ * @param {{message: object, tail: Array<object>}} detached - detachBranch 的返回值
+ */
+export function adoptBranch(history, index, detached) {
+    const previous = detached.message;
+    const variants = previous.variants ? [...previous.variants] : [];
+    variants[previous.variants ? previous.variantIndex : 0] = toVariant(previous, detached.tail);
+    variants.push(toVariant(history[index], null));
+    history[index] = fromVariant(variants[variants.length - 1], variants, variants.length - 1);
+}
+
+/**
+ * 放弃截断：把 detached 的消息和后续对话放回原处 (例如重新生成在出字前被中止)
+ * @param {Array<object>} history - state.chatHistory (原地修改)
+ * @param {number} index
+ * @param {{message: object, tail: Array<object>}} detached
+ */
+export function restoreDetachedBranch(history, index, detached) {
+    history.splice(index, history.length - index, detached.message, ...detached.tail);
+}
+
+/**
+ * 切换 history[index] 到另一个版本
+ * @param {Array<object>} history - state.chatHistory (原地修改)
+ * @param {number} index
+ * @param {number} targetIndex - 目标版本序号
+ * @returns {Array<object>|null} 从显示路径上移除的消息；无法切换时返回 null
+ */
+export function switchBranch(history, index, targetIndex) {
+    const message = history[index];
+    if (!getBranchInfo(message) || targetIndex === message.variantIndex || targetIndex < 0 || targetIndex >= message.variants.length) {
+        return null;
+    }
+    const variants = [...message.variants];
+    variants[message.variantIndex] = toVariant(message, history.slice(index + 1));
+    const target = variants[targetIndex];
+    variants[targetIndex] = { ...target, tail: null };
+    return history.splice(index, history.length - index, fromVariant(target, variants, targetIndex), ...(target.tail || []));
+}
+
+/**
+ * 删除 history[index] 的当前版本 (连同其后续对话)，显示相邻的版本
+ * @param {Array<object>} history - state.chatHistory (原地修改)
+ * @param {number} index
+ * @returns {Array<object>|null} 从显示路径上移除的消息；消息没有分支时返回 null
+ */
+export function removeActiveBranch(history, index) {
+    const message = history[index];
+    if (!getBranchInfo(message)) return null;
+    const variants = message.variants.filter((_, i) => i !== message.variantIndex);
+    const targetIndex = Math.max(0, message.variantIndex - 1);
+    const target = variants[targetIndex];
+    variants[targetIndex] = { ...target, tail: null };
+    return history.splice(index, history.length - index, fromVariant(target, variants, targetIndex), ...(target.tail || []));
+}
+
+/**
+ * 收集所有未显示的分支 (用于导出)，包括分支内部再次出现的分支
+ * @param {Array<object>} messages - 一条对话路径
+ * @param {number} [offset=0] - messages[0] 在整段对话中的位置
+ * @returns {Array<{position: number, index: number, count: number, messages: Array<object>}>} position 和 index 从 1 开始
+ */
+export function collectHiddenBranches(messages, offset = 0) {
+    const branches = [];
+    messages.forEach((message, i) => {
+        if (!getBranchInfo(message)) return;
+        message.variants.forEach((variant, variantIndex) => {
+            if (variantIndex === message.variantIndex) return;
+            const { tail, ...content } = variant;
+            const branchMessages = [content, ...(tail || [])];
+            branches.push({ position: offset + i + 1, index: variantIndex + 1, count: message.variants.length, messages: branchMessages });
+            // 分支的后续对话里也可能有分支
+            branches.push(...collectHiddenBranches(tail || [], offset + i + 1));
+        });
+    });
+    return branches;
+}
@@ -0,0 +1,83 @@
+/**
+ * Pagetalk - 面板与 content.js 之间的专用通道
+ * 面板 iframe 中的 window.parent 同时也是网页自己的脚本，它们同样能向面板 postMessage，
+ * 因此 event.source 不能证明消息来自 content.js。content.js 在 iframe 加载后把 MessageChannel 的一个端口
+ * 交给面板 (只投递给扩展的来源)，面板经 background.js 向该标签页的 content.js 索取口令，口令一致才使用这个端口。
+ * 之后面板与 content.js 的所有消息都只走这个端口；通道就绪前发出的消息先排队。
+ */
+
+const PAGE_PORT_OFFER_ACTION = 'pagetalkPanelPort';
+
+let pageChannelPort = null;
+let pageChannelTokenPromise = null;
+const pageChannelQueue = [];
+const pageChannelListeners = new Set();
+
+/**
+ * 向 background.js 索取本标签页 content.js 的通道口令 (失败时下次重新索取)
+ * @returns {Promise<string|null>}
+ */
+function requestPageChannelToken() {
+    if (!pageChannelTokenPromise) {
+        pageChannelTokenPromise = chrome.runtime.sendMessage({ action: 'getPanelChannelToken' })
+            .then(response => (response && typeof response.token === 'string' ? response.token : null))
+            .catch(error => {
+                console.error('Failed to get the page channel token:', error);
+                return null;
+            })
+            .then(token => {
+                if (!token) pageChannelTokenPromise = null;
+                return token;
+            });
+    }
+    return pageChannelTokenPromise;
+}
+
+/**
+ * 核对 content.js 交来的端口，口令一致时启用并发送排队的消息
+ * @param {MessageEvent} event
+ */
+async function handlePagePortOffer(event) {
+    if (event.source !== window.parent || !event.data || event.data.action !== PAGE_PORT_OFFER_ACTION) return;
+    const port = event.ports[0];
+    if (!port) return;
+    const token = await requestPageChannelToken();
+    if (!token || event.data.token !== token) {
+        port.close();
+        return;
+    }
+    if (pageChannelPort) pageChannelPort.close();
+    pageChannelPort = port;
+    pageChannelPort.onmessage = (portEvent) => {
+        if (!portEvent.data) return;
+        pageChannelListeners.forEach(listener => listener(portEvent.data));
+    };
+    pageChannelQueue.splice(0).forEach(message => pageChannelPort.postMessage(message));
+}
+
+/**
+ * 向 content.js 发送消息
+ * @param {object} message
+ */
+function postToPage(message) {
+    if (pageChannelPort) pageChannelPort.postMessage(message);
+    else pageChannelQueue.push(message);
+}
+
+/**
+ * 接收 content.js 发来的消息
+ * @param {function(object): void} listener
+ * @returns {function(): void} 取消监听
+ */
+function onPageMessage(listener) {
+    pageChannelListeners.add(listener);
+    return () => pageChannelListeners.delete(listener);
+}
+
+window.addEventListener('message', handlePagePortOffer);
+
+// 导出函数
+window.PagetalkChannel = {
+    postToPage: postToPage,
+    onPageMessage: onPageMessage
+};
@@ -2,6 +2,8 @@
  * Pagetalk - Chat Core Logic
  */
 import { generateUniqueId } from './utils.js';
+import { getBranchInfo, detachBranch, adoptBranch, restoreDetachedBranch, switchBranch, removeActiveBranch } from './branches.js';
+import { toMessageAttachments } from './attachments.js';
 
 /** Helper function to get translation string */
 function _(key, replacements = {}, translations) {
@@ -22,21 +24,27 @@ function _(key, replacements = {}, translations) {
  * @param {function} addThinkingAnimationCallback - Callback
  * @param {function} resizeTextareaCallback - Callback
  * @param {function} clearImagesCallback - Callback
+ * @param {function} clearAttachmentsCallback - Callback
  * @param {function} showToastCallback - Callback
  * @param {function} restoreSendButtonAndInputCallback - Callback
  * @param {function} abortStreamingCallback - Callback
  * @param {boolean} isUserNearBottom - Whether user is scrolled near bottom
  */
-export async function sendUserMessage(state, elements, currentTranslations, showConnectionStatusCallback, addMessageToChatCallback, addThinkingAnimationCallback, resizeTextareaCallback, clearImagesCallback, showToastCallback, restoreSendButtonAndInputCallback, abortStreamingCallback, isUserNearBottom) {
+export async function sendUserMessage(state, elements, currentTranslations, showConnectionStatusCallback, addMessageToChatCallback, addThinkingAnimationCallback, resizeTextareaCallback, clearImagesCallback, clearAttachmentsCallback, showToastCallback, restoreSendButtonAndInputCallback, abortStreamingCallback, isUserNearBottom) {
     const userMessage = elements.userInput.value.trim();
 
     if (state.isStreaming) {
         console.warn("Cannot send message while streaming.");
         return;
     }
-    if (!userMessage && state.images.length === 0) return;
+    if (!userMessage && state.images.length === 0 && state.attachments.length === 0) return;
+    if (state.attachments.some(attachment => attachment.status === 'loading')) {
+        showToastCallback(_('attachmentsStillLoading', {}, currentTranslations), 'error');
+        return;
+    }
 
-    if (!state.apiKey) {
+    const activeModel = window.GeminiAPI.resolveActiveModel(state); // 当前助手可能绑定了其它 Provider
+    if (!activeModel.apiKey && window.GeminiAPI.getProvider(activeModel.provider).requiresApiKey !== false) {
         // Use the connection status display in the *settings* tab for API key errors
         showConnectionStatusCallback(_('apiKeyMissingError', {}, currentTranslations), 'error');
         // Optionally switch to the settings tab/model subtab here if desired
@@ -59,14 +67,22 @@ export async function sendUserMessage(state, elements, currentTranslations, show
     // --- End Streaming State ---
 
     const currentImages = [...state.images]; // Copy images for this message
+    const currentAttachments = toMessageAttachments(state.attachments); // Saved with the message, so follow-up questions still see them
+    const selection = state.selectionContext; // Selected page text, sent as the focus of this message
 
     // Add user message UI (force scroll ensures it's visible before thinking anim)
-    const userMessageElement = addMessageToChatCallback(userMessage, 'user', { images: currentImages, forceScroll: true });
+    const userMessageElement = addMessageToChatCallback(userMessage, 'user', { images: currentImages, attachments: currentAttachments, selection, forceScroll: true });
     const userMessageId = userMessageElement.dataset.messageId;
 
     elements.userInput.value = '';
     resizeTextareaCallback(); // Adjust textarea height
 
+    // The selection belongs to this message only
+    if (selection) {
+        state.selectionContext = '';
+        if (elements.selectionFocus) elements.selectionFocus.style.display = 'none';
+    }
+
     // Build message parts
     const currentParts = [];
     if (userMessage) currentParts.push({ text: userMessage });
@@ -75,9 +91,9 @@ export async function sendUserMessage(state, elements, currentTranslations, show
         currentParts.push({ inlineData: { mimeType: image.mimeType, data: base64data } });
     });
 
-    // Add user message to history *before* API call
-    if (currentParts.length > 0) {
-        state.chatHistory.push({ role: 'user', parts: currentParts, id: userMessageId });
+    // Add user message to history *before* API call (attachments are sent from there, see api.js buildAttachmentParts)
+    if (currentParts.length > 0 || currentAttachments.length > 0) {
+        state.chatHistory.push({ role: 'user', parts: currentParts, id: userMessageId, ...(selection ? { selection } : {}), ...(currentAttachments.length > 0 ? { attachments: currentAttachments } : {}) });
     } else {
         // Should not happen due to initial check, but as a safeguard:
         if (thinkingElement && thinkingElement.parentNode) thinkingElement.remove();
@@ -89,6 +105,9 @@ export async function sendUserMessage(state, elements, currentTranslations, show
     if (currentImages.length > 0) {
         clearImagesCallback(); // This callback clears state.images and updates the UI
     }
+    if (state.attachments.length > 0) {
+        clearAttachmentsCallback();
+    }
 
     const thinkingElement = addThinkingAnimationCallback(null, elements, isUserNearBottom); // Add to end
 
@@ -98,6 +117,11 @@ export async function sendUserMessage(state, elements, currentTranslations, show
             addMessageToChat: (content, sender, options) => addMessageToChatCallback(content, sender, options, state, elements, currentTranslations, window.addCopyButtonToCodeBlock, window.addMessageActionButtons, isUserNearBottom), // Need to bind or pass required args
             updateStreamingMessage: (el, content) => window.updateStreamingMessage(el, content, isUserNearBottom, elements), // Assuming these are globally accessible or passed differently
             finalizeBotMessage: (el, content) => window.finalizeBotMessage(el, content, window.addCopyButtonToCodeBlock, window.addMessageActionButtons, restoreSendButtonAndInputCallback, isUserNearBottom, elements),
+            updateToolSteps: (el, toolCalls) => window.updateToolSteps(el, toolCalls),
+            updateReasoning: (el, thought, isStreaming) => window.updateReasoning(el, thought, isStreaming),
+            renderStructuredResult: (el, data) => window.renderStructuredResult(el, data),
+            renderCitations: (el, citations) => window.renderCitations(el, citations),
+            confirmTabRead: (el, tab, signal) => window.confirmTabRead(el, tab, signal),
             // clearImages: () => clearImagesCallback(state, window.updateImagesPreview), // This line can be kept or removed as images are cleared above.
             showToast: showToastCallback
         };
@@ -109,7 +133,8 @@ export async function sendUserMessage(state, elements, currentTranslations, show
             currentImages, // Use the copied currentImages
             thinkingElement,
             state, // Pass full state reference
-            apiUiCallbacks // Pass callbacks object
+            apiUiCallbacks, // Pass callbacks object
+            { selection }
         );
         // finalizeBotMessage (called by API module on success) will restore button state
 
@@ -142,6 +167,7 @@ export async function sendUserMessage(state, elements, currentTranslations, show
  */
 export function clearContext(state, elements, clearImagesCallback, showToastCallback, currentTranslations, showToast = true) {
     state.chatHistory = [];
+    state.conversationId = null; // The saved conversation stays in history; the next message starts a new one
     elements.chatMessages.innerHTML = ''; // Clear UI
 
     // Re-add welcome message
@@ -176,10 +202,22 @@ export function clearContext(state, elements, clearImagesCallback, showToastCall
 
 /**
  * Deletes a specific message from chat history and UI.
+ * If the message has other versions (edited prompt / regenerated answer), only the
+ * displayed version and its follow-up messages are removed and a sibling is shown instead.
  * @param {string} messageId - The ID of the message to delete.
  * @param {object} state - Global state reference
+ * @param {function} [addMessageToChatCallback] - Callback, used to render the sibling branch
  */
-export function deleteMessage(messageId, state) {
+export function deleteMessage(messageId, state, addMessageToChatCallback) {
+    const messageIndex = state.chatHistory.findIndex(msg => msg.id === messageId);
+    if (messageIndex !== -1 && getBranchInfo(state.chatHistory[messageIndex]) && addMessageToChatCallback) {
+        const removedMessages = removeActiveBranch(state.chatHistory, messageIndex);
+        removeMessageElements(removedMessages);
+        renderMessages(state.chatHistory.slice(messageIndex), addMessageToChatCallback);
+        console.log(`Message ${messageId} deleted, switched to a sibling branch`);
+        return;
+    }
+
     const messageElement = document.querySelector(`.message[data-message-id="${messageId}"]`);
     let domRemoved = false;
     if (messageElement) {
@@ -187,7 +225,6 @@ export function deleteMessage(messageId, state) {
         domRemoved = true;
     }
 
-    const messageIndex = state.chatHistory.findIndex(msg => msg.id === messageId);
     let historyRemoved = false;
     if (messageIndex !== -1) {
         state.chatHistory.splice(messageIndex, 1);
@@ -204,6 +241,7 @@ export function deleteMessage(messageId, state) {
 
 /**
  * Regenerates the AI response for a specific turn.
+ * The previous answer and everything after it are kept as another branch of the conversation.
  * @param {string} messageId - The ID of the message (user or bot) triggering regeneration.
  * @param {object} state - Global state reference
  * @param {object} elements - DOM elements reference
@@ -229,7 +267,6 @@ export async function regenerateMessage(messageId, state, elements, currentTrans
     const clickedMessage = state.chatHistory[clickedMessageIndex];
     let userIndex = -1;
     let aiIndex = -1;
-    let userMessageElement = null;
 
     // Find the user message and the AI message of the turn
     if (clickedMessage.role === 'user') {
@@ -246,31 +283,114 @@ export async function regenerateMessage(messageId, state, elements, currentTrans
         }
     }
 
-    userMessageElement = document.querySelector(`.message[data-message-id="${state.chatHistory[userIndex].id}"]`);
-    if (!userMessageElement) {
+    if (!document.querySelector(`.message[data-message-id="${state.chatHistory[userIndex].id}"]`)) {
         console.error("Regenerate failed: Could not find user message DOM element.");
         return;
     }
 
-    // Extract user input parts
+    // Detach the old answer (and the rest of the conversation after it); it becomes a sibling branch of the new answer
+    let detached = null;
+    if (aiIndex !== -1) {
+        detached = detachBranch(state.chatHistory, aiIndex);
+        removeMessageElements([detached.message, ...detached.tail]);
+    }
+
+    await generateBranchResponse(userIndex, detached, state, elements, currentTranslations, addMessageToChatCallback, addThinkingAnimationCallback, restoreSendButtonAndInputCallback, abortStreamingCallback, isUserNearBottom);
+}
+
+/**
+ * Replaces a user message with an edited version and requests a new answer.
+ * The original message and everything after it are kept as another branch of the conversation.
+ * @param {string} messageId - The ID of the user message being edited.
+ * @param {string} newText - The edited text (images and attachments of the original message are kept).
+ * @param {object} state - Global state reference
+ * @param {object} elements - DOM elements reference
+ * @param {object} currentTranslations - Translations object
+ * @param {function} addMessageToChatCallback - Callback
+ * @param {function} addThinkingAnimationCallback - Callback
+ * @param {function} restoreSendButtonAndInputCallback - Callback
+ * @param {function} abortStreamingCallback - Callback
+ * @param {boolean} isUserNearBottom - Whether user is scrolled near bottom
+ */
+export async function editMessage(messageId, newText, state, elements, currentTranslations, addMessageToChatCallback, addThinkingAnimationCallback, restoreSendButtonAndInputCallback, abortStreamingCallback, isUserNearBottom) {
+    if (state.isStreaming) {
+        console.warn("Cannot edit while streaming.");
+        return;
+    }
+
+    const userIndex = state.chatHistory.findIndex(msg => msg.id === messageId);
+    if (userIndex === -1 || state.chatHistory[userIndex].role !== 'user') {
+        console.error("Edit failed: User message not found in history.");
+        return;
+    }
+
+    const text = newText.trim();
+    const imageParts = state.chatHistory[userIndex].parts.filter(part => part.inlineData);
+    const attachments = state.chatHistory[userIndex].attachments;
+    if (!text && imageParts.length === 0 && !attachments) return;
+
+    const detached = detachBranch(state.chatHistory, userIndex);
+    removeMessageElements([detached.message, ...detached.tail]);
+
+    const editedMessage = {
+        role: 'user',
+        parts: [...(text ? [{ text }] : []), ...imageParts],
+        id: generateUniqueId()
+    };
+    if (detached.message.selection) editedMessage.selection = detached.message.selection; // Keep the quoted page selection
+    if (attachments) editedMessage.attachments = attachments;
+    state.chatHistory.push(editedMessage);
+    adoptBranch(state.chatHistory, userIndex, detached);
+    renderMessages([state.chatHistory[userIndex]], addMessageToChatCallback, true);
+
+    await generateBranchResponse(userIndex, null, state, elements, currentTranslations, addMessageToChatCallback, addThinkingAnimationCallback, restoreSendButtonAndInputCallback, abortStreamingCallback, isUserNearBottom);
+}
+
+/**
+ * Shows another version of a branched message (the "< 2/3 >" navigator).
+ * @param {string} messageId - The ID of the currently displayed version.
+ * @param {number} targetIndex - Index of the version to show.
+ * @param {object} state - Global state reference
+ * @param {function} addMessageToChatCallback - Callback
+ * @returns {boolean} Whether the conversation changed.
+ */
+export function switchMessageBranch(messageId, targetIndex, state, addMessageToChatCallback) {
+    if (state.isStreaming) return false;
+
+    const messageIndex = state.chatHistory.findIndex(msg => msg.id === messageId);
+    if (messageIndex === -1) return false;
+
+    const removedMessages = switchBranch(state.chatHistory, messageIndex, targetIndex);
+    if (!removedMessages) return false;
+
+    removeMessageElements(removedMessages);
+    renderMessages(state.chatHistory.slice(messageIndex), addMessageToChatCallback);
+    return true;
+}
+
+/**
+ * Requests a model answer for the user message at userIndex and places it right after it.
+ * @param {number} userIndex - Index of the user message in state.chatHistory.
+ * @param {{message: object, tail: Array<object>}|null} detached - Previous answer branch (from detachBranch), if any.
+ * @param {object} state - Global state reference
+ * @param {object} elements - DOM elements reference
+ * @param {object} currentTranslations - Translations object
+ * @param {function} addMessageToChatCallback - Callback
+ * @param {function} addThinkingAnimationCallback - Callback
+ * @param {function} restoreSendButtonAndInputCallback - Callback
+ * @param {function} abortStreamingCallback - Callback
+ * @param {boolean} isUserNearBottom - Whether user is scrolled near bottom
+ */
+async function generateBranchResponse(userIndex, detached, state, elements, currentTranslations, addMessageToChatCallback, addThinkingAnimationCallback, restoreSendButtonAndInputCallback, abortStreamingCallback, isUserNearBottom) {
     const userMessageData = state.chatHistory[userIndex];
+    const userMessageElement = document.querySelector(`.message[data-message-id="${userMessageData.id}"]`);
+
+    // Extract user input parts
     const { text: userMessageText, images: userImages } = extractPartsFromMessage(userMessageData); // Use helper
 
     // Prepare history up to (but not including) the user message of the turn
     const historyForApi = state.chatHistory.slice(0, userIndex);
 
-    // Remove old AI response(s) following the user message
-    let removedAICount = 0;
-    while (state.chatHistory[userIndex + 1]?.role === 'model') {
-        const oldAiMessageId = state.chatHistory[userIndex + 1].id;
-        const oldAiElement = document.querySelector(`.message[data-message-id="${oldAiMessageId}"]`);
-        if (oldAiElement) oldAiElement.remove();
-        state.chatHistory.splice(userIndex + 1, 1);
-        removedAICount++;
-    }
-    console.log(`Removed ${removedAICount} old AI response(s) starting after index ${userIndex}`);
-
-
     // --- Start Streaming State ---
     state.isStreaming = true;
     elements.sendMessage.classList.add('stop-streaming');
@@ -293,6 +413,11 @@ export async function regenerateMessage(messageId, state, elements, currentTrans
             addMessageToChat: (content, sender, options) => addMessageToChatCallback(content, sender, options, state, elements, currentTranslations, window.addCopyButtonToCodeBlock, window.addMessageActionButtons, isUserNearBottom),
             updateStreamingMessage: (el, content) => window.updateStreamingMessage(el, content, isUserNearBottom, elements),
             finalizeBotMessage: (el, content) => window.finalizeBotMessage(el, content, window.addCopyButtonToCodeBlock, window.addMessageActionButtons, restoreSendButtonAndInputCallback, isUserNearBottom, elements),
+            updateToolSteps: (el, toolCalls) => window.updateToolSteps(el, toolCalls),
+            updateReasoning: (el, thought, isStreaming) => window.updateReasoning(el, thought, isStreaming),
+            renderStructuredResult: (el, data) => window.renderStructuredResult(el, data),
+            renderCitations: (el, citations) => window.renderCitations(el, citations),
+            confirmTabRead: (el, tab, signal) => window.confirmTabRead(el, tab, signal),
             clearImages: () => {}, // Don't clear images on regenerate
             showToast: window.showToast // Assuming showToast is globally accessible or passed
         };
@@ -306,7 +431,8 @@ export async function regenerateMessage(messageId, state, elements, currentTrans
             userIndex + 1, // Insert *after* the user message index
             userMessageElement, // Insert *after* this DOM element
             state,
-            apiUiCallbacks
+            apiUiCallbacks,
+            { selection: userMessageData.selection, attachments: userMessageData.attachments }
         );
         // finalizeBotMessage will restore button state on success
 
@@ -317,6 +443,54 @@ export async function regenerateMessage(messageId, state, elements, currentTrans
         addMessageToChatCallback(_('regenerateError', { error: error.message }, currentTranslations), 'bot', { insertAfterElement: userMessageElement }, state, elements, currentTranslations, window.addCopyButtonToCodeBlock, window.addMessageActionButtons, isUserNearBottom);
         restoreSendButtonAndInputCallback(); // Restore button on error
     }
+
+    if (!detached) return;
+    const newAnswer = state.chatHistory[userIndex + 1];
+    if (newAnswer && newAnswer.role === 'model') {
+        // The new answer becomes the latest version; re-add its action buttons to show the navigator
+        adoptBranch(state.chatHistory, userIndex + 1, detached);
+        refreshMessageActions(state.chatHistory[userIndex + 1]);
+    } else {
+        // Nothing was generated (e.g. aborted before the first chunk): put the previous answer back
+        restoreDetachedBranch(state.chatHistory, userIndex + 1, detached);
+        renderMessages(state.chatHistory.slice(userIndex + 1), addMessageToChatCallback);
+    }
+}
+
+/**
+ * Removes the DOM elements of the given messages.
+ * @param {Array<object>} messages - Message objects from state.chatHistory
+ */
+function removeMessageElements(messages) {
+    messages.forEach(message => {
+        const messageElement = document.querySelector(`.message[data-message-id="${message.id}"]`);
+        if (messageElement) messageElement.remove();
+    });
+}
+
+/**
+ * Appends the given messages to the chat UI, keeping their history IDs.
+ * @param {Array<object>} messages - Message objects from state.chatHistory
+ * @param {function} addMessageToChatCallback - Callback
+ * @param {boolean} [forceScroll=false] - Scroll the last message into view
+ */
+function renderMessages(messages, addMessageToChatCallback, forceScroll = false) {
+    messages.forEach(message => {
+        const { text, images } = extractPartsFromMessage(message);
+        addMessageToChatCallback(text, message.role === 'user' ? 'user' : 'bot', { images, attachments: message.attachments, selection: message.selection, toolCalls: message.toolCalls, thought: message.thought, structured: message.structured, citations: message.citations, messageId: message.id, forceScroll });
+    });
+}
+
+/**
+ * Rebuilds the action buttons of a rendered message (e.g. after it gained a sibling branch).
+ * @param {object} message - Message object from state.chatHistory
+ */
+function refreshMessageActions(message) {
+    const messageElement = document.querySelector(`.message[data-message-id="${message.id}"]`);
+    if (!messageElement) return;
+    const oldActions = messageElement.querySelector('.message-actions');
+    if (oldActions) oldActions.remove();
+    window.addMessageActionButtons(messageElement, extractPartsFromMessage(message).text);
 }
 
 /**
@@ -9,6 +9,39 @@ let panelWidth = 520;
 let resizing = false;
 let startX, startWidth;
 let messageShownForThisPageView = false; // 新增：跟踪当前页面视图是否已显示过提取成功消息
+let panelReady = false; // 面板脚本已加载 (收到过 requestPageContent)
+let pendingSelection = null; // 面板就绪前收到的选中内容 { text, command, auto }
+
+const MAX_SELECTION_LENGTH = 20000; // 发送给面板的选中内容上限
+
+// --- 与面板的专用通道 ---
+// 页面中的脚本同样是面板的 window.parent，也能向面板 postMessage，因此消息来源不能证明消息来自内容脚本。
+// 面板 iframe 加载后，内容脚本用 MessageChannel 把一个端口交给面板 (只投递给扩展的来源，页面脚本收不到)，
+// 面板经 background.js 向内容脚本核对端口附带的口令后才使用它 (见 js/channel.js)；双方之后只通过这个端口通信
+const PANEL_ORIGIN = new URL(chrome.runtime.getURL('')).origin;
+const panelChannelToken = crypto.randomUUID();
+let panelPort = null;
+
+/**
+ * 面板 iframe 每次加载后建立新的通道
+ * @param {HTMLIFrameElement} iframe
+ */
+function connectPanelPort(iframe) {
+  if (panelPort) panelPort.close();
+  const channel = new MessageChannel();
+  panelPort = channel.port1;
+  panelPort.onmessage = handlePanelMessage;
+  iframe.contentWindow.postMessage({ action: 'pagetalkPanelPort', token: panelChannelToken }, PANEL_ORIGIN, [channel.port2]);
+  detectAndSendTheme(); // 在面板核对通道前排队，核对后送达
+}
+
+/**
+ * 向面板发送消息 (通道建立前发送的消息会丢弃，面板就绪后会主动请求页面内容)
+ * @param {object} message
+ */
+function postToPanel(message) {
+  if (panelPort) panelPort.postMessage(message);
+}
 
 // 初始化函数 - 创建面板DOM
 function initPagetalkPanel() {
@@ -32,12 +65,14 @@ function initPagetalkPanel() {
   // 创建iframe来加载面板内容
   const iframe = document.createElement('iframe');
   iframe.id = 'pagetalk-panel-iframe';
+  iframe.allow = 'clipboard-read; clipboard-write'; // 提示词模板的 {{clipboard}} 变量需要读取剪贴板
   
   // 设置iframe源为插件中的HTML文件
   const extensionURL = chrome.runtime.getURL('html/sidepanel.html');
   iframe.src = extensionURL;
   // iframe.style.borderRadius = '16px 0 0 16px'; // 左上、右上、右下、左下
   iframe.style.overflow = 'hidden';   // 确保 iframe 内容也被裁剪
+  iframe.addEventListener('load', () => connectPanelPort(iframe));
   
   // 组装DOM结构
   panelContainer.appendChild(resizer);
@@ -87,16 +122,13 @@ function setupResizeEvents(resizer, panel) {
             document.body.style.marginRight = `${newWidth}px`;
 
             // 新增：通知 iframe 面板宽度已改变
-            const iframe = document.getElementById('pagetalk-panel-iframe');
-            if (iframe && iframe.contentWindow) {
-              // 使用 requestAnimationFrame 或 setTimeout 避免过于频繁地发送消息
-              requestAnimationFrame(() => {
-                iframe.contentWindow.postMessage({
-                  action: 'panelResized',
-                  width: panelWidth
-                }, '*');
+            // 使用 requestAnimationFrame 或 setTimeout 避免过于频繁地发送消息
+            requestAnimationFrame(() => {
+              postToPanel({
+                action: 'panelResized',
+                width: panelWidth
               });
-            }
+            });
           }
         }
       }
@@ -113,12 +145,10 @@ function setupResizeEvents(resizer, panel) {
         
         // 使用postMessage通知iframe内容重新布局，而不是直接调用dispatchEvent
         setTimeout(() => {
-          if (iframe.contentWindow) {
-            iframe.contentWindow.postMessage({ 
-              action: 'panelResized',
-              width: panelWidth
-            }, '*');
-          }
+          postToPanel({
+            action: 'panelResized',
+            width: panelWidth
+          });
         }, 100);
       }
       
@@ -146,21 +176,16 @@ function showPanel() {
     document.body.classList.toggle('pagetalk-panel-open', true);
     document.body.style.marginRight = `${panelWidth}px`;
     panelActive = true;
+    startPageWatcher();
     
     // 通知面板内容提取页面内容 (保留原有逻辑)
     setTimeout(() => {
-      const iframe = document.getElementById('pagetalk-panel-iframe');
-      if (iframe && iframe.contentWindow) {
-        iframe.contentWindow.postMessage({ action: 'pageContentLoaded' }, '*');
-      }
+      postToPanel({ action: 'pageContentLoaded' });
     }, 500);
 
     // 新增：通知 iframe 面板已显示，以便触发 resizeTextarea
     setTimeout(() => {
-      const iframe = document.getElementById('pagetalk-panel-iframe');
-      if (iframe && iframe.contentWindow) {
-        iframe.contentWindow.postMessage({ action: 'panelShown' }, '*');
-      }
+      postToPanel({ action: 'panelShown' });
     }, 10); // 稍微延迟确保 iframe 内脚本已准备好
 
     // 新增：面板显示时，立即检测并发送当前主题
@@ -176,6 +201,7 @@ function hidePanel() {
     document.body.classList.toggle('pagetalk-panel-open', false);
     document.body.style.marginRight = '0';
     panelActive = false;
+    stopPageWatcher();
   }
 }
 
@@ -198,18 +224,32 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
   // 处理提取内容的请求
   if (message.action === "extractContent") {
-    try {
-      // 提取页面内容
-      const content = extractPageContent();
-      
-      // 发送回请求方
-      sendResponse({ content: content });
-    } catch (error) {
-      console.error('提取内容时出错:', error);
-      sendResponse({ error: error.message });
-    }
+    // 提取页面内容 (匹配的网站按站点适配器提取)，发送回请求方
+    extractPageContentWithAdapters({ guarded: message.guarded })
+      .then(({ content }) => sendResponse({ content: content }))
+      .catch(error => {
+        console.error('提取内容时出错:', error);
+        sendResponse({ error: error.message });
+      });
   }
   
+  // 右键菜单：带着选中内容打开面板 (command 为 explain/translate/summarize 时面板会立即发送)
+  else if (message.action === "showPanelWithSelection") {
+    initPagetalkPanel();
+    if (!panelActive) showPanel();
+    // 优先使用页面中的完整选区，右键菜单提供的 selectionText 作为后备
+    const selectionText = getPageSelectionText() || (message.selectionText || '').trim();
+    // 只有 background.js (右键菜单) 发来的命令才让面板立即发送；其它标签页的内容脚本带有 sender.tab
+    const fromBackground = sender.id === chrome.runtime.id && !sender.tab;
+    if (selectionText) sendSelectionToPanel(selectionText, fromBackground ? message.command || null : null);
+    sendResponse({ success: true, panelActive });
+  }
+
+  // 面板核对通道口令 (经 background.js 转发)
+  else if (message.action === "getPanelChannelToken") {
+    sendResponse({ token: panelChannelToken });
+  }
+
   // 处理打开/关闭面板的请求
   else if (message.action === "togglePanel") {
     // 初始化面板（如果尚未初始化）
@@ -224,8 +264,409 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true;
 });
 
+/**
+ * 获取页面中当前选中的文本 (忽略面板内部的选区)
+ * @returns {string}
+ */
+function getPageSelectionText() {
+  const selection = window.getSelection();
+  if (!selection || selection.isCollapsed) return '';
+  const panel = document.getElementById('pagetalk-panel-container');
+  if (panel && selection.anchorNode && panel.contains(selection.anchorNode)) return '';
+  return selection.toString().trim().substring(0, MAX_SELECTION_LENGTH);
+}
+
+/**
+ * 把选中内容发送给面板；面板尚未加载完成时先暂存，等它请求页面内容时再发送
+ * @param {string} text
+ * @param {string|null} command - 'explain' | 'translate' | 'summarize' | null
+ * @param {boolean} [auto=false] - 阅读时随手选中 (而不是右键菜单)，面板不会用它替换已有的选中内容
+ */
+function sendSelectionToPanel(text, command, auto = false) {
+  if (!panelReady || !panelPort) {
+    pendingSelection = { text, command, auto };
+    return;
+  }
+  postToPanel({ action: 'selectionContext', text, command, auto });
+}
+
+// 面板打开时，页面中新选中的文本自动作为提问重点
+document.addEventListener('mouseup', (event) => {
+  if (!panelActive || !panelReady) return;
+  const panel = document.getElementById('pagetalk-panel-container');
+  if (panel && panel.contains(event.target)) return;
+  setTimeout(() => { // 等待浏览器更新选区
+    const selectionText = getPageSelectionText();
+    if (selectionText) sendSelectionToPanel(selectionText, null, true);
+  }, 0);
+});
+
+// 块级元素：它们之间需要换段，以便面板按段落/章节分块
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DETAILS', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE',
+  'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P',
+  'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'TBODY', 'TD', 'TFOOT', 'TH', 'THEAD', 'TR', 'UL'
+]);
+
+/**
+ * 将 Readability 输出的 HTML 转为保留段落与标题的纯文本
+ * 标题输出为 "## 标题" 形式，段落之间以空行分隔
+ * @param {string} html - article.content
+ * @returns {string}
+ */
+function articleHtmlToText(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const blocks = [];
+  let inlineBuffer = '';
+
+  const flushInline = () => {
+    const text = inlineBuffer.replace(/\s+/g, ' ').trim();
+    if (text) blocks.push(text);
+    inlineBuffer = '';
+  };
+
+  const walk = (node) => {
+    node.childNodes.forEach(child => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        inlineBuffer += child.textContent;
+        return;
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE) return;
+      const tag = child.tagName;
+      if (/^H[1-6]$/.test(tag)) {
+        flushInline();
+        const title = child.textContent.replace(/\s+/g, ' ').trim();
+        if (title) blocks.push(`${'#'.repeat(Number(tag[1]))} ${title}`);
+      } else if (tag === 'PRE') {
+        flushInline();
+        const code = child.textContent.trim();
+        if (code) blocks.push(code);
+      } else if (tag === 'BR') {
+        inlineBuffer += ' ';
+      } else if (BLOCK_TAGS.has(tag)) {
+        flushInline();
+        walk(child);
+        flushInline();
+      } else {
+        walk(child); // 行内元素
+      }
+    });
+  };
+
+  walk(doc.body);
+  flushInline();
+  return blocks.join('\n\n');
+}
+
+// 输出为 Markdown 时按行内处理的元素：标签 -> 包裹的标记
+const INLINE_MARKS = { STRONG: '**', B: '**', EM: '*', I: '*', DEL: '~~', S: '~~', CODE: '`', KBD: '`' };
+
+/**
+ * 行内内容转为 Markdown (加粗、斜体、行内代码、链接和图片说明)，内部的块级元素按空格连接
+ * @param {Node} node
+ * @returns {string} 未去除首尾空白
+ */
+function inlineToMarkdown(node) {
+  let text = '';
+  node.childNodes.forEach(child => {
+    if (child.nodeType === Node.TEXT_NODE) {
+      text += child.textContent.replace(/\s+/g, ' ');
+      return;
+    }
+    if (child.nodeType !== Node.ELEMENT_NODE) return;
+    const tag = child.tagName;
+    if (tag === 'BR') {
+      text += '\n';
+    } else if (tag === 'IMG') {
+      const alt = (child.getAttribute('alt') || '').trim();
+      if (alt) text += `[图片: ${alt}]`;
+    } else if (tag === 'A') {
+      const label = inlineToMarkdown(child).trim();
+      const href = resolveLinkTarget(child.getAttribute('href'));
+      text += label && href ? `[${label}](${href})` : label;
+    } else if (INLINE_MARKS[tag]) {
+      const inner = tag === 'CODE' || tag === 'KBD' ? child.textContent.replace(/\s+/g, ' ') : inlineToMarkdown(child);
+      const mark = INLINE_MARKS[tag];
+      // 标记紧贴文字，首尾的空格放在标记外
+      text += inner.trim() ? inner.replace(/^(\s*)([\s\S]*?)(\s*)$/, `$1${mark}$2${mark}$3`) : inner;
+    } else {
+      const inner = inlineToMarkdown(child);
+      text += BLOCK_TAGS.has(tag) ? ` ${inner} ` : inner;
+    }
+  });
+  return text;
+}
+
+/**
+ * 链接的完整地址 (脚本链接和空链接返回空字符串)
+ * @param {string|null} href
+ * @returns {string}
+ */
+function resolveLinkTarget(href) {
+  if (!href || href.startsWith('#')) return '';
+  try {
+    const url = new URL(href, document.baseURI);
+    return url.protocol === 'javascript:' ? '' : url.href;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * 整理一段行内 Markdown：去掉每行首尾的空白和空行
+ * @param {string} text
+ * @returns {string}
+ */
+function tidyInline(text) {
+  return text.split('\n').map(line => line.replace(/ +/g, ' ').trim()).filter(Boolean).join('\n');
+}
+
+/**
+ * <pre> 转为代码块，语言取自 class (language-js / lang-js)
+ * @param {Element} pre
+ * @returns {string}
+ */
+function preToMarkdown(pre) {
+  const code = pre.textContent.replace(/^\n+|\s+$/g, '');
+  if (!code) return '';
+  const classNames = `${pre.className} ${pre.querySelector('code')?.className || ''}`;
+  const language = (classNames.match(/(?:^|\s)(?:language|lang)-([\w+#-]+)/) || [])[1] || '';
+  const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(Math.max(3, longestRun + 1)); // 代码里有 ``` 时加长围栏
+  return `${fence}${language}\n${code}\n${fence}`;
+}
+
+/**
+ * 列表转为 Markdown，嵌套列表按层级缩进
+ * @param {Element} list - UL 或 OL
+ * @param {number} depth - 嵌套层级
+ * @returns {string}
+ */
+function listToMarkdown(list, depth) {
+  const indent = '  '.repeat(depth);
+  let number = parseInt(list.getAttribute('start'), 10) || 1;
+  const lines = [];
+  Array.from(list.children).forEach(item => {
+    if (item.tagName !== 'LI') return;
+    const marker = list.tagName === 'OL' ? `${number++}.` : '-';
+    const inlineHolder = item.cloneNode(true);
+    const nested = Array.from(inlineHolder.children).filter(child => child.tagName === 'UL' || child.tagName === 'OL');
+    nested.forEach(child => child.remove());
+    const text = tidyInline(inlineToMarkdown(inlineHolder)).replace(/\n/g, `\n${indent}  `);
+    lines.push(`${indent}${marker} ${text}`);
+    nested.forEach(child => lines.push(listToMarkdown(child, depth + 1)));
+  });
+  return lines.filter(Boolean).join('\n');
+}
+
+/**
+ * 表格转为 GFM 表格；只有一列的排版用表格按普通段落输出
+ * 没有表头时以第一行作为表头，跨列单元格之后补空单元格
+ * @param {Element} table
+ * @returns {string}
+ */
+function tableToMarkdown(table) {
+  const rows = Array.from(table.rows).map(row => {
+    const cells = [];
+    Array.from(row.cells).forEach(cell => {
+      cells.push(tidyInline(inlineToMarkdown(cell)).replace(/\n/g, '<br>').replace(/\|/g, '\\|'));
+      for (let i = 1; i < Math.min(cell.colSpan || 1, 20); i++) cells.push('');
+    });
+    return cells;
+  }).filter(cells => cells.some(Boolean));
+  if (rows.length === 0) return '';
+
+  const columnCount = Math.max(...rows.map(cells => cells.length));
+  if (columnCount < 2) return blocksToMarkdown(table).join('\n\n');
+
+  const lines = rows.map(cells => {
+    const padded = cells.concat(Array(columnCount - cells.length).fill(''));
+    return `| ${padded.join(' | ')} |`;
+  });
+  lines.splice(1, 0, `|${' --- |'.repeat(columnCount)}`);
+  const caption = table.caption ? tidyInline(inlineToMarkdown(table.caption)) : '';
+  return caption ? `**${caption}**\n\n${lines.join('\n')}` : lines.join('\n');
+}
+
+/**
+ * 块级内容转为 Markdown 块 (标题、段落、列表、表格、代码块、引用)
+ * @param {Node} node
+ * @returns {string[]}
+ */
+function blocksToMarkdown(node) {
+  const blocks = [];
+  let inlineBuffer = '';
+
+  const flushInline = () => {
+    const text = tidyInline(inlineBuffer);
+    if (text) blocks.push(text);
+    inlineBuffer = '';
+  };
+  const pushBlock = (block) => {
+    flushInline();
+    if (block) blocks.push(block);
+  };
+
+  node.childNodes.forEach(child => {
+    if (child.nodeType === Node.TEXT_NODE) {
+      inlineBuffer += child.textContent.replace(/\s+/g, ' ');
+      return;
+    }
+    if (child.nodeType !== Node.ELEMENT_NODE) return;
+    const tag = child.tagName;
+    if (/^H[1-6]$/.test(tag)) {
+      const title = tidyInline(inlineToMarkdown(child)).replace(/\n/g, ' ');
+      pushBlock(title ? `${'#'.repeat(Number(tag[1]))} ${title}` : '');
+    } else if (tag === 'PRE') {
+      pushBlock(preToMarkdown(child));
+    } else if (tag === 'UL' || tag === 'OL') {
+      pushBlock(listToMarkdown(child, 0));
+    } else if (tag === 'TABLE') {
+      pushBlock(tableToMarkdown(child));
+    } else if (tag === 'BLOCKQUOTE') {
+      const quote = blocksToMarkdown(child).join('\n\n');
+      pushBlock(quote ? quote.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n') : '');
+    } else if (tag === 'HR') {
+      pushBlock('---');
+    } else if (BLOCK_TAGS.has(tag)) {
+      flushInline();
+      blocks.push(...blocksToMarkdown(child));
+    } else {
+      inlineBuffer += inlineToMarkdown(child);
+    }
+  });
+  flushInline();
+  return blocks;
+}
+
+/**
+ * 将 Readability 输出的 HTML 转为 Markdown，保留标题、列表、表格、代码块和链接地址
+ * 标题同样是 "## 标题" 形式，检索分块不受影响 (见 js/retrieval.js chunkDocument)
+ * @param {string} html - article.content
+ * @returns {string}
+ */
+function articleHtmlToMarkdown(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return blocksToMarkdown(doc.body).join('\n\n');
+}
+
+/**
+ * 按设置的格式转换提取到的 HTML
+ * @param {string} html
+ * @param {string} [format] - 'markdown' (默认) | 'plain'
+ * @returns {string}
+ */
+function convertArticleHtml(html, format) {
+  return format === 'plain' ? articleHtmlToText(html) : articleHtmlToMarkdown(html);
+}
+
+// 直接在浏览器中打开的代码文件 (例如 file:// 本地文件) 按扩展名标注代码块语言
+const SOURCE_FILE_LANGUAGES = {
+  js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'jsx', ts: 'typescript', tsx: 'tsx',
+  json: 'json', css: 'css', scss: 'scss', html: 'html', htm: 'html', xml: 'xml', svg: 'xml',
+  py: 'python', rb: 'ruby', php: 'php', java: 'java', kt: 'kotlin', swift: 'swift', go: 'go', rs: 'rust',
+  c: 'c', h: 'c', cpp: 'cpp', cc: 'cpp', hpp: 'cpp', cs: 'csharp', sh: 'bash', bash: 'bash', ps1: 'powershell',
+  sql: 'sql', r: 'r', lua: 'lua', yaml: 'yaml', yml: 'yaml', toml: 'toml', ini: 'ini', csv: 'csv', tsv: 'tsv'
+};
+
+/**
+ * 浏览器直接显示的文本文件 (text/plain、代码、JSON 等)：Chrome 会把原文放在 body 的 <pre> 中
+ * @returns {boolean}
+ */
+function isPlainTextDocument() {
+  const type = document.contentType || '';
+  if (type === 'text/html' || type === 'application/xhtml+xml' || type === 'image/svg+xml') return false;
+  return (type.startsWith('text/') || type.endsWith('json') || type.endsWith('javascript')) && !!document.querySelector('body > pre');
+}
+
+/**
+ * 提取文本文件的原文：Markdown 和纯文本按原样返回，代码文件放在代码块中，标题为文件名
+ * @returns {string}
+ */
+function extractPlainTextDocument() {
+  const text = document.querySelector('body > pre').textContent.replace(/\s+$/, '');
+  const fileName = decodeURIComponent(location.pathname.split('/').pop() || '') || document.title;
+  const extension = (fileName.match(/\.([a-z0-9]+)$/i) || [])[1]?.toLowerCase();
+  const language = SOURCE_FILE_LANGUAGES[extension];
+  if (!language) return fileName ? `# ${fileName}\n\n${text}` : text;
+  const fence = '`'.repeat(Math.max(3, ...(text.match(/`+/g) || []).map(run => run.length + 1)));
+  return `# ${fileName}\n\n${fence}${language}\n${text}\n${fence}`;
+}
+
+// 不参与可见性判断的标签 (Readability 需要读取其中的元数据，或由它自行处理)
+const VISIBILITY_EXEMPT_TAGS = new Set(['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT']);
+// 不含可读文字的元素，提取时不必计算样式 (图标较多的页面上这类元素占大多数)
+const TEXTLESS_TAGS = new Set(['IMG', 'PICTURE', 'SOURCE', 'VIDEO', 'AUDIO', 'CANVAS', 'IFRAME', 'BR', 'HR', 'WBR', 'INPUT', 'path', 'use', 'circle', 'ellipse', 'line', 'polygon', 'polyline', 'rect']);
+
+/**
+ * 元素对读者是否不可见：隐藏、透明、字号为 0、被裁剪为 1px、定位到屏幕外或标记为 aria-hidden
+ * 这些位置常被用来藏写给模型的指令
+ * @param {Element} element - 原页面中的元素 (需要计算样式)
+ * @returns {boolean}
+ */
+function isHiddenFromReader(element) {
+  if (VISIBILITY_EXEMPT_TAGS.has(element.tagName)) return false;
+  if (element.id === 'pagetalk-panel-container') return true;
+  if (element.hidden || element.getAttribute('aria-hidden') === 'true') return true;
+
+  const style = window.getComputedStyle(element);
+  if (style.display === 'none' || style.visibility === 'hidden' || style.visibility === 'collapse') return true;
+  if (parseFloat(style.opacity) === 0) return true;
+  if (element.children.length === 0 && parseFloat(style.fontSize) < 2 && element.textContent.trim()) return true;
+
+  // 只有裁剪或绝对定位的元素才可能按尺寸和位置藏起来，其余元素不读取布局
+  const clipped = style.overflow === 'hidden' || style.clip !== 'auto' || style.clipPath !== 'none';
+  const positioned = style.position === 'absolute' || style.position === 'fixed';
+  if (!clipped && !positioned) return false;
+  const rect = element.getBoundingClientRect();
+  // "visually hidden" 写法：1px 大小并裁剪溢出
+  if ((rect.width <= 1 || rect.height <= 1) && clipped) return true;
+  if (positioned) {
+    const pageLeft = rect.left + window.scrollX;
+    const pageTop = rect.top + window.scrollY;
+    if (pageLeft + rect.width <= 0 || pageTop + rect.height <= 0 || pageLeft >= document.documentElement.scrollWidth) return true;
+  }
+  return false;
+}
+
+/**
+ * 删除克隆文档中对应原页面不可见元素的节点 (克隆文档没有样式，因此与原页面并行遍历)。
+ * 不可见元素的子树整个删除、不再检查；不含文字的元素直接跳过
+ * @param {Element} liveRoot - 原页面中的元素
+ * @param {Element} cloneRoot - 克隆文档中对应的元素
+ * @returns {number} 删除的元素数量
+ */
+function removeHiddenElements(liveRoot, cloneRoot) {
+  const liveChildren = liveRoot.children;
+  const cloneChildren = cloneRoot.children;
+  if (liveChildren.length !== cloneChildren.length) return 0; // 克隆后页面发生了变化，无法对应
+
+  const hiddenClones = [];
+  let removedCount = 0;
+  for (let i = 0; i < liveChildren.length; i++) {
+    if (TEXTLESS_TAGS.has(liveChildren[i].tagName)) continue;
+    if (isHiddenFromReader(liveChildren[i])) {
+      hiddenClones.push(cloneChildren[i]);
+    } else {
+      removedCount += removeHiddenElements(liveChildren[i], cloneChildren[i]);
+    }
+  }
+  hiddenClones.forEach(element => element.remove());
+  return removedCount + hiddenClones.length;
+}
+
 // 提取页面的主要内容 (使用 Readability.js)
-function extractPageContent() {
+// 不再截断：长网页由面板按章节分块检索 (见 js/retrieval.js)
+// options.guarded: 防护模式 (默认开启)，提取前去掉读者看不到的文字
+// options.mode: 'readability' (默认) | 'full' (完整 DOM) | 'selection' (仅选中内容) | 'none' (不提取)
+// options.format: 'markdown' (默认，保留表格、列表、代码块和链接) | 'plain' (只保留标题与段落)
+function extractPageContent(options = {}) {
+  // 网址规则可以指定其它提取方式 (见 js/rules.js)
+  if (options.mode === 'none') return '';
+  if (options.mode === 'selection') return getPageSelectionText();
+  if (options.mode === 'full') return extractFullPageText(options);
+  if (isPlainTextDocument()) return extractPlainTextDocument();
+
   try {
     // 确保 Readability 库已加载
     if (typeof Readability === 'undefined') {
@@ -235,32 +676,37 @@ function extractPageContent() {
 
     // 克隆文档以避免修改原始页面
     const documentClone = document.cloneNode(true);
+    if (options.guarded !== false && document.body && documentClone.body) {
+      const removedCount = removeHiddenElements(document.body, documentClone.body);
+      if (removedCount > 0) console.debug(`Pagetalk: removed ${removedCount} hidden elements before extraction.`);
+    }
     const reader = new Readability(documentClone);
     const article = reader.parse();
 
     let content = '';
-    if (article && article.textContent) {
-      // 获取提取到的文本内容
-      content = article.textContent;
-      // 清理空白字符
-      content = content.replace(/\s+/g, ' ').trim();
-    } else {
+    if (article && article.content) {
+      // 保留标题与段落结构，便于按章节分块
+      content = convertArticleHtml(article.content, options.format);
+      if (article.title && !content.startsWith('# ')) {
+        content = `# ${article.title.trim()}\n\n${content}`;
+      }
+    } else if (article && article.textContent) {
+      content = article.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    if (!content) {
       console.warn('Readability could not parse the page content.');
-      // Fallback: 尝试获取 body 的 textContent (可能包含很多噪音)
-      content = document.body.textContent || '';
-      content = content.replace(/\s+/g, ' ').trim();
+      // Fallback: 使用 body 的 innerText (保留换行，但可能包含很多噪音)
+      content = (document.body.innerText || document.body.textContent || '')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\n\s*\n\s*/g, '\n\n')
+        .trim();
       if (!content) {
           return '无法提取页面内容。';
       }
       content = '(Fallback) ' + content; // 标记为后备提取
     }
 
-    // 截断过长的内容
-    const maxLength = 500000; // 保持与之前一致的最大长度
-    if (content.length > maxLength) {
-      content = content.substring(0, maxLength) + '...（内容已截断）';
-    }
-
     return content;
 
   } catch (error) {
@@ -269,13 +715,1320 @@ function extractPageContent() {
   }
 }
 
+// 完整 DOM 提取时不保留的元素
+const FULL_PAGE_EXCLUDED_SELECTOR = 'script, style, noscript, template, svg, canvas, iframe, #pagetalk-panel-container';
+
+/**
+ * 不经 Readability 筛选，提取整个页面的文字 (保留标题与段落结构)
+ * 适用于 Readability 会丢掉大部分内容的页面，例如代码仓库、表格和后台页面
+ * @param {{guarded?: boolean, format?: string}} options - 防护模式下剔除读者看不到的元素；format 同 extractPageContent
+ * @returns {string}
+ */
+function extractFullPageText(options = {}) {
+  try {
+    if (!document.body) return '无法提取页面内容。';
+    const bodyClone = document.body.cloneNode(true);
+    if (options.guarded !== false) {
+      removeHiddenElements(document.body, bodyClone);
+    }
+    bodyClone.querySelectorAll(FULL_PAGE_EXCLUDED_SELECTOR).forEach(element => element.remove());
+    const content = convertArticleHtml(bodyClone.innerHTML, options.format);
+    const title = document.title.trim();
+    return title && !content.startsWith('# ') ? `# ${title}\n\n${content}` : content;
+  } catch (error) {
+    console.error('Error extracting full page content:', error);
+    return `提取页面内容时出错: ${error.message}`;
+  }
+}
+
+// --- 视频字幕 (YouTube 与带 <track> 字幕的 HTML5 视频) ---
+// 视频页面上 Readability 只能提取到评论和侧栏，这里改用字幕作为页面内容，每行以 [m:ss] 开头，回答可以引用时间点
+const MAX_TRANSCRIPT_LINE_SECONDS = 15; // 相邻字幕合并为一行的最大时间跨度
+
+/**
+ * 格式化为 m:ss 或 h:mm:ss
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * 把字幕合并为带时间点的行
+ * @param {Array<{start: number, text: string}>} cues - 按时间排序
+ * @returns {string}
+ */
+function formatTranscript(cues) {
+  const lines = [];
+  let current = null;
+  cues.forEach(cue => {
+    const text = cue.text.replace(/\s+/g, ' ').trim();
+    if (!text) return;
+    if (current && current.texts[current.texts.length - 1] === text) return; // 自动字幕常有重复的行
+    if (!current || cue.start - current.start >= MAX_TRANSCRIPT_LINE_SECONDS) {
+      current = { start: cue.start, texts: [] };
+      lines.push(current);
+    }
+    current.texts.push(text);
+  });
+  return lines.map(line => `[${formatTimestamp(line.start)}] ${line.texts.join(' ')}`).join('\n');
+}
+
+/**
+ * 解析 WebVTT / SRT 字幕文件
+ * @param {string} text
+ * @returns {Array<{start: number, text: string}>}
+ */
+function parseSubtitleFile(text) {
+  const toSeconds = (value) => {
+    const match = value.match(/(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})/);
+    return match ? (Number(match[1] || 0) * 3600) + (Number(match[2]) * 60) + Number(match[3]) + (Number(match[4]) / 1000) : null;
+  };
+  const cues = [];
+  text.replace(/\r\n?/g, '\n').split(/\n{2,}/).forEach(block => {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) return;
+    const start = toSeconds(lines[timingIndex].split('-->')[0]);
+    if (start === null) return;
+    const cueText = lines.slice(timingIndex + 1).join(' ').replace(/<[^>]+>/g, '');
+    cues.push({ start, text: decodeHtmlEntities(cueText) });
+  });
+  return cues;
+}
+
+/**
+ * 解码字幕中的 HTML 实体 (&amp; &#39; 等)
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeHtmlEntities(text) {
+  if (!text.includes('&')) return text;
+  return new DOMParser().parseFromString(`<!doctype html><body>${text.replace(/</g, '&lt;')}`, 'text/html').body.textContent;
+}
+
+/**
+ * 按浏览器语言挑选字幕：优先人工字幕，其次语言匹配
+ * @param {Array<object>} tracks
+ * @param {function(object): string} getLanguage
+ * @param {function(object): boolean} isAutomatic
+ * @returns {object|undefined}
+ */
+function pickCaptionTrack(tracks, getLanguage, isAutomatic) {
+  const preferred = (navigator.language || 'en').toLowerCase().split('-')[0];
+  const score = (track) => (isAutomatic(track) ? 0 : 2) + ((getLanguage(track) || '').toLowerCase().split('-')[0] === preferred ? 1 : 0);
+  return tracks.slice().sort((a, b) => score(b) - score(a))[0];
+}
+
+/**
+ * 当前 YouTube 视频的 ID (watch、shorts、live 页面)
+ * @returns {string|null}
+ */
+function getYouTubeVideoId() {
+  if (!/(^|\.)youtube\.com$/.test(location.hostname)) return null;
+  if (location.pathname === '/watch') return new URLSearchParams(location.search).get('v');
+  const match = location.pathname.match(/^\/(?:shorts|live)\/([\w-]{11})/);
+  return match ? match[1] : null;
+}
+
+/**
+ * 从 HTML 或脚本中取出 `name = {...}` 形式的 JSON 对象
+ * @param {string} source
+ * @param {string} name
+ * @returns {object|null}
+ */
+function extractAssignedJson(source, name) {
+  const nameIndex = source.indexOf(`${name} = {`);
+  if (nameIndex === -1) return null;
+  const start = source.indexOf('{', nameIndex);
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      try {
+        return JSON.parse(source.slice(start, i + 1));
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * 读取 YouTube 的播放器数据 (标题、简介和字幕列表)
+ * 首次打开的页面中内联了 ytInitialPlayerResponse；站内跳转后它仍是上一个视频的数据，此时重新请求视频页
+ * @param {string} videoId
+ * @returns {Promise<object|null>}
+ */
+async function getYouTubePlayerResponse(videoId) {
+  for (const script of document.querySelectorAll('script')) {
+    if (!script.textContent.includes('ytInitialPlayerResponse')) continue;
+    const data = extractAssignedJson(script.textContent, 'ytInitialPlayerResponse');
+    if (data && data.videoDetails && data.videoDetails.videoId === videoId) return data;
+  }
+  const response = await fetch(`/watch?v=${encodeURIComponent(videoId)}`, { credentials: 'include' });
+  if (!response.ok) return null;
+  return extractAssignedJson(await response.text(), 'ytInitialPlayerResponse');
+}
+
+/**
+ * 下载 YouTube 字幕 (json3 格式)；请求被拒绝时读取页面上已打开的"显示文字记录"面板
+ * @param {object|undefined} track - captionTracks 中的一项
+ * @returns {Promise<Array<{start: number, text: string}>>}
+ */
+async function getYouTubeCaptionCues(track) {
+  if (track && track.baseUrl) {
+    try {
+      const response = await fetch(`${track.baseUrl}&fmt=json3`, { credentials: 'include' });
+      const body = response.ok ? await response.text() : '';
+      if (body) {
+        const cues = (JSON.parse(body).events || [])
+          .filter(event => event.segs)
+          .map(event => ({ start: (event.tStartMs || 0) / 1000, text: event.segs.map(seg => seg.utf8 || '').join('') }));
+        if (cues.length > 0) return cues;
+      }
+    } catch (error) {
+      console.warn('Pagetalk: failed to load YouTube captions:', error);
+    }
+  }
+  return [...document.querySelectorAll('ytd-transcript-segment-renderer')].map(segment => {
+    const timestamp = (segment.querySelector('.segment-timestamp')?.textContent || '').trim();
+    const start = timestamp.split(':').reduce((total, part) => (total * 60) + Number(part), 0);
+    return { start: isNaN(start) ? 0 : start, text: segment.querySelector('.segment-text')?.textContent || '' };
+  });
+}
+
+/**
+ * 提取 YouTube 视频的简介和字幕
+ * @param {string} videoId
+ * @returns {Promise<{content: string, source: string, language: string, cueCount: number}|null>}
+ */
+async function extractYouTubeTranscript(videoId) {
+  const player = await getYouTubePlayerResponse(videoId);
+  const details = (player && player.videoDetails) || {};
+  const tracks = player?.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
+  const track = pickCaptionTrack(tracks, entry => entry.languageCode, entry => entry.kind === 'asr');
+  const cues = await getYouTubeCaptionCues(track);
+  const trackName = track ? (track.name?.simpleText || (track.name?.runs || []).map(run => run.text).join('') || track.languageCode) : '';
+
+  const sections = [`# ${details.title || document.title.replace(/ - YouTube$/, '')}`];
+  if (details.author) sections.push(`Channel: ${details.author}`);
+  if (details.shortDescription) sections.push(`## Description\n\n${details.shortDescription.trim()}`);
+  sections.push(cues.length > 0
+    ? `## Transcript${trackName ? ` (${trackName})` : ''}\n\n${formatTranscript(cues)}`
+    : '## Transcript\n\n(No captions are available for this video.)');
+  return { content: sections.join('\n\n'), source: 'youtube', language: trackName, cueCount: cues.length };
+}
+
+/**
+ * 读取 HTML5 视频的 <track> 字幕：已加载的直接读取 cues，否则下载字幕文件
+ * @returns {Promise<{cues: Array<{start: number, text: string}>, language: string}|null>}
+ */
+async function getHtml5TrackCues() {
+  const trackElements = [...document.querySelectorAll('video track')]
+    .filter(track => ['subtitles', 'captions'].includes(track.kind || 'subtitles') && track.src);
+  const trackElement = pickCaptionTrack(trackElements, track => track.srclang, () => false);
+  if (!trackElement) return null;
+  const language = trackElement.label || trackElement.srclang || '';
+
+  const loadedCues = trackElement.track && trackElement.track.cues;
+  if (loadedCues && loadedCues.length > 0) {
+    return { cues: [...loadedCues].map(cue => ({ start: cue.startTime, text: (cue.text || '').replace(/<[^>]+>/g, '') })), language };
+  }
+  try {
+    const response = await fetch(trackElement.src);
+    if (!response.ok) return null;
+    return { cues: parseSubtitleFile(await response.text()), language };
+  } catch (error) {
+    console.warn('Pagetalk: failed to load video captions:', error);
+    return null;
+  }
+}
+
+/**
+ * 跳转到视频的指定时间点 (点击回答中的时间点时由面板调用)
+ * @param {number} seconds
+ * @returns {boolean} 页面中是否有视频
+ */
+function seekVideo(seconds) {
+  const videos = [...document.querySelectorAll('video')];
+  const video = document.querySelector('video.html5-main-video') || videos.find(entry => entry.duration > 0) || videos[0];
+  if (!video) return false;
+  video.currentTime = seconds;
+  if (video.paused) video.play().catch(() => {});
+  const rect = video.getBoundingClientRect();
+  if (rect.bottom < 0 || rect.top > window.innerHeight) video.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  return true;
+}
+
+// --- 站点适配器 ---
+// Readability 处理不好的网站 (视频、问答、讨论串、代码审查、文档站) 按页面结构提取，结果为 Markdown
+// match(url) 根据网址判断是否适用；extract(options) 返回 { content, video? }，页面结构不符时返回 null，改用 Readability
+const MAX_ADAPTER_COMMENTS = 200; // 讨论串最多提取的评论数
+const MAX_ADAPTER_ANSWERS = 10; // 问答页面最多提取的回答数
+const MAX_DIFF_LINES_PER_FILE = 150; // PR 中每个文件最多保留的 diff 行数
+
+/**
+ * 请求 JSON，失败时抛出错误
+ * @param {string} url
+ * @returns {Promise<*>}
+ */
+async function fetchJson(url) {
+  const response = await fetch(url, { credentials: url.startsWith(location.origin) ? 'include' : 'omit' });
+  if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+  return response.json();
+}
+
+/**
+ * 元素的内容 (保留标题、列表、代码块等结构)；防护模式下剔除读者看不到的部分
+ * @param {Element|null} element
+ * @param {object} options - 同 extractPageContent
+ * @returns {string}
+ */
+function elementToContent(element, options = {}) {
+  if (!element) return '';
+  const clone = element.cloneNode(true);
+  if (options.guarded !== false) removeHiddenElements(element, clone);
+  clone.querySelectorAll(FULL_PAGE_EXCLUDED_SELECTOR).forEach(child => child.remove());
+  return convertArticleHtml(clone.innerHTML, options.format).trim();
+}
+
+/**
+ * 元素的文字 (合并空白)
+ * @param {ParentNode} root
+ * @param {string} selector
+ * @returns {string}
+ */
+function textOf(root, selector) {
+  const element = root.querySelector(selector);
+  return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * 多行文字作为嵌套列表项时，后续行按层级缩进
+ * @param {string} text
+ * @param {number} depth
+ * @returns {string}
+ */
+function indentListText(text, depth) {
+  return text.trim().replace(/\n+/g, `\n${'  '.repeat(depth + 1)}`);
+}
+
+/**
+ * GitHub issue / pull request：通过 REST API 读取描述、评论，PR 还包括改动的文件和审查意见
+ * 私有仓库或达到 API 频率限制时返回 null
+ * @returns {Promise<{content: string}|null>}
+ */
+async function extractGitHubThread() {
+  const [, owner, repo, type, number] = location.pathname.match(/^\/([^/]+)\/([^/]+)\/(pull|issues)\/(\d+)/);
+  const api = `https://api.github.com/repos/${owner}/${repo}`;
+  const isPull = type === 'pull';
+  let issue, comments, pull, files, reviews, reviewComments;
+  try {
+    [issue, comments, pull, files, reviews, reviewComments] = await Promise.all([
+      fetchJson(`${api}/issues/${number}`),
+      fetchJson(`${api}/issues/${number}/comments?per_page=100`),
+      isPull ? fetchJson(`${api}/pulls/${number}`) : null,
+      isPull ? fetchJson(`${api}/pulls/${number}/files?per_page=100`) : [],
+      isPull ? fetchJson(`${api}/pulls/${number}/reviews?per_page=100`) : [],
+      isPull ? fetchJson(`${api}/pulls/${number}/comments?per_page=100`) : []
+    ]);
+  } catch (error) {
+    console.warn('Pagetalk: GitHub API unavailable:', error.message);
+    return null;
+  }
+
+  const state = pull && pull.merged ? 'merged' : issue.state;
+  const header = [`${owner}/${repo}`, `${isPull ? 'Pull request' : 'Issue'} by @${issue.user.login}`, state];
+  if (pull) header.push(`${pull.base.ref} ← ${pull.head.label}`);
+  const sections = [`# ${issue.title} (#${number})`, header.join(' · ')];
+  if (issue.labels && issue.labels.length > 0) sections.push(`Labels: ${issue.labels.map(label => label.name).join(', ')}`);
+  sections.push(`## Description\n\n${(issue.body || '(No description)').trim()}`);
+
+  if (pull) {
+    const fileSections = files.map(file => {
+      const heading = `### ${file.filename} (${file.status}, +${file.additions} −${file.deletions})`;
+      if (!file.patch) return `${heading}\n\n(Binary or too large to show)`;
+      const lines = file.patch.split('\n');
+      const patch = lines.slice(0, MAX_DIFF_LINES_PER_FILE).join('\n');
+      const more = lines.length > MAX_DIFF_LINES_PER_FILE ? `\n\n(${lines.length - MAX_DIFF_LINES_PER_FILE} more lines)` : '';
+      return `${heading}\n\n\`\`\`diff\n${patch}\n\`\`\`${more}`;
+    });
+    sections.push(`## Changed files (${pull.changed_files}, +${pull.additions} −${pull.deletions})\n\n${fileSections.join('\n\n')}`);
+
+    const reviewLines = reviews
+      .filter(review => review.body || review.state !== 'COMMENTED')
+      .map(review => `- @${review.user.login} (${review.state.toLowerCase().replace(/_/g, ' ')})${review.body ? `: ${indentListText(review.body, 0)}` : ''}`);
+    if (reviewLines.length > 0) sections.push(`## Reviews\n\n${reviewLines.join('\n')}`);
+
+    const inlineComments = reviewComments.slice(0, MAX_ADAPTER_COMMENTS).map(comment => {
+      const line = comment.line || comment.original_line;
+      return `- @${comment.user.login} on \`${comment.path}${line ? `:${line}` : ''}\`: ${indentListText(comment.body, 0)}`;
+    });
+    if (inlineComments.length > 0) sections.push(`## Review comments\n\n${inlineComments.join('\n')}`);
+  }
+
+  if (comments.length > 0) {
+    const commentSections = comments.slice(0, MAX_ADAPTER_COMMENTS)
+      .map(comment => `### @${comment.user.login} (${comment.created_at.slice(0, 10)})\n\n${(comment.body || '').trim()}`);
+    sections.push(`## Comments\n\n${commentSections.join('\n\n')}`);
+  }
+  return { content: sections.join('\n\n') };
+}
+
+/**
+ * Stack Overflow 及其它 Stack Exchange 站点：问题、回答 (采纳的回答排在最前) 和评论，附带票数
+ * @param {object} options - 同 extractPageContent
+ * @returns {{content: string}|null}
+ */
+function extractStackExchangeQuestion(options) {
+  const question = document.querySelector('#question');
+  if (!question) return null;
+  const score = (post) => post.dataset.score || textOf(post, '.js-vote-count') || '0';
+  const postSection = (post, heading) => {
+    const comments = [...post.querySelectorAll('.comment-copy')].map(comment => `- ${comment.textContent.replace(/\s+/g, ' ').trim()}`);
+    const body = elementToContent(post.querySelector('.js-post-body'), options);
+    return `## ${heading} (score ${score(post)})\n\n${body}${comments.length > 0 ? `\n\nComments:\n${comments.join('\n')}` : ''}`;
+  };
+
+  const sections = [`# ${textOf(document, '#question-header h1') || document.title}`];
+  const tags = [...new Set([...question.querySelectorAll('.post-tag')].map(tag => tag.textContent.trim()))];
+  if (tags.length > 0) sections.push(`Tags: ${tags.join(', ')}`);
+  sections.push(postSection(question, 'Question'));
+  const answers = [...document.querySelectorAll('#answers .answer')]
+    .sort((a, b) => Number(b.classList.contains('accepted-answer')) - Number(a.classList.contains('accepted-answer')))
+    .slice(0, MAX_ADAPTER_ANSWERS);
+  answers.forEach(answer => sections.push(postSection(answer, answer.classList.contains('accepted-answer') ? 'Accepted answer' : 'Answer')));
+  return { content: sections.join('\n\n') };
+}
+
+/**
+ * Reddit 帖子：通过帖子的 .json 读取正文和评论树，附带分数
+ * @returns {Promise<{content: string}|null>}
+ */
+async function extractRedditThread() {
+  const path = location.pathname.replace(/\/$/, '');
+  const [postListing, commentListing] = await fetchJson(`${location.origin}${path}.json?limit=${MAX_ADAPTER_COMMENTS}&raw_json=1`);
+  const post = postListing?.data?.children?.[0]?.data;
+  if (!post) return null;
+
+  const sections = [`# ${post.title}`, `r/${post.subreddit} · u/${post.author} · score ${post.score}`];
+  if (!post.is_self && post.url) sections.push(`Link: ${post.url}`);
+  if (post.selftext) sections.push(post.selftext.trim());
+
+  const lines = [];
+  const walk = (children, depth) => {
+    (children || []).forEach(child => {
+      if (child.kind !== 't1' || lines.length >= MAX_ADAPTER_COMMENTS) return;
+      const comment = child.data;
+      lines.push(`${'  '.repeat(depth)}- **u/${comment.author}** (${comment.score}): ${indentListText(comment.body || '', depth)}`);
+      if (comment.replies && comment.replies.data) walk(comment.replies.data.children, depth + 1);
+    });
+  };
+  walk(commentListing?.data?.children, 0);
+  if (lines.length > 0) sections.push(`## Comments\n\n${lines.join('\n')}`);
+  return { content: sections.join('\n\n') };
+}
+
+/**
+ * Hacker News 帖子：标题、链接、正文和按层级缩进的评论
+ * @returns {{content: string}|null}
+ */
+function extractHackerNewsThread() {
+  const item = document.querySelector('.fatitem');
+  if (!item) return null;
+  const link = item.querySelector('.titleline > a');
+  const sections = [`# ${link ? link.textContent.trim() : document.title}`];
+  const meta = [textOf(item, '.score'), textOf(item, '.hnuser') && `by ${textOf(item, '.hnuser')}`].filter(Boolean);
+  if (meta.length > 0) sections.push(meta.join(' · '));
+  if (link && /^https?:/.test(link.href)) sections.push(`Link: ${link.href}`);
+  const topText = textOf(item, '.toptext') || textOf(item, '.commtext');
+  if (topText) sections.push(topText);
+
+  const lines = [...document.querySelectorAll('tr.athing.comtr')].slice(0, MAX_ADAPTER_COMMENTS).map(row => {
+    const depth = Number(row.querySelector('td.ind')?.getAttribute('indent') || 0);
+    const text = row.querySelector('.commtext');
+    if (!text) return null; // 已删除的评论
+    return `${'  '.repeat(depth)}- **${textOf(row, '.hnuser')}**: ${indentListText(text.innerText, depth)}`;
+  }).filter(Boolean);
+  if (lines.length > 0) sections.push(`## Comments\n\n${lines.join('\n')}`);
+  return { content: sections.join('\n\n') };
+}
+
+/**
+ * Twitter / X 帖子：主帖和页面上已加载的回复 (页面按滚动加载，只能读取已加载的部分)
+ * @returns {{content: string}|null}
+ */
+function extractTwitterThread() {
+  const tweets = [...document.querySelectorAll('article[data-testid="tweet"]')];
+  if (tweets.length === 0) return null;
+  const posts = tweets.map(tweet => {
+    const nameParts = (tweet.querySelector('[data-testid="User-Name"]')?.innerText || '').split('\n').map(part => part.trim()).filter(Boolean);
+    const handle = nameParts.find(part => part.startsWith('@')) || '';
+    const time = tweet.querySelector('time')?.getAttribute('datetime') || '';
+    const text = tweet.querySelector('[data-testid="tweetText"]')?.innerText.trim() || '(No text)';
+    return `### ${nameParts[0] || handle}${handle && handle !== nameParts[0] ? ` (${handle})` : ''}${time ? ` · ${time.slice(0, 10)}` : ''}\n\n${text}`;
+  });
+  return { content: [`# ${document.title}`, posts.join('\n\n')].join('\n\n') };
+}
+
+// 文档站的正文容器 (Docusaurus、MkDocs、Sphinx、VitePress、GitBook、MDN 等)，依次尝试
+const DOCS_CONTENT_SELECTORS = [
+  '.theme-doc-markdown', '.md-content__inner', '.rst-content [role="main"]', '.vp-doc', '[data-testid="page.contentEditor"]',
+  'main article', 'article[role="main"]', '[role="main"] article', 'main .markdown-body', 'main', '[role="main"]', 'article'
+];
+const DOCS_EXCLUDED_SELECTOR = 'nav, aside, header, footer, .toc, .table-of-contents, .breadcrumbs, .theme-edit-this-page, .headerlink, .pagination-nav, .md-source-file';
+
+/**
+ * 带侧栏的文档站：只取正文容器，去掉目录、导航和页脚
+ * @param {object} options - 同 extractPageContent
+ * @returns {{content: string}|null}
+ */
+function extractDocsPage(options) {
+  const container = DOCS_CONTENT_SELECTORS.map(selector => document.querySelector(selector)).find(Boolean);
+  if (!container) return null;
+  const clone = container.cloneNode(true);
+  if (options.guarded !== false) removeHiddenElements(container, clone);
+  clone.querySelectorAll(`${FULL_PAGE_EXCLUDED_SELECTOR}, ${DOCS_EXCLUDED_SELECTOR}`).forEach(element => element.remove());
+  const content = convertArticleHtml(clone.innerHTML, options.format).trim();
+  if (!content) return null;
+  return { content: content.startsWith('# ') ? content : `# ${document.title.trim()}\n\n${content}` };
+}
+
+const SITE_ADAPTERS = [
+  {
+    id: 'youtube',
+    name: 'YouTube',
+    match: () => !!getYouTubeVideoId(),
+    extract: async () => {
+      const { content, ...video } = await extractYouTubeTranscript(getYouTubeVideoId());
+      return { content, video };
+    }
+  },
+  {
+    id: 'github',
+    name: 'GitHub',
+    match: (url) => url.hostname === 'github.com' && /^\/[^/]+\/[^/]+\/(pull|issues)\/\d+/.test(url.pathname),
+    extract: extractGitHubThread
+  },
+  {
+    id: 'stackexchange',
+    name: 'Stack Exchange',
+    match: (url) => /(^|\.)(stackoverflow\.com|stackexchange\.com|superuser\.com|serverfault\.com|askubuntu\.com|mathoverflow\.net)$/.test(url.hostname) && /^\/questions\/\d+/.test(url.pathname),
+    extract: extractStackExchangeQuestion
+  },
+  {
+    id: 'reddit',
+    name: 'Reddit',
+    match: (url) => /(^|\.)reddit\.com$/.test(url.hostname) && /\/comments\/\w+/.test(url.pathname),
+    extract: extractRedditThread
+  },
+  {
+    id: 'hackernews',
+    name: 'Hacker News',
+    match: (url) => url.hostname === 'news.ycombinator.com' && url.pathname === '/item',
+    extract: extractHackerNewsThread
+  },
+  {
+    id: 'twitter',
+    name: 'X',
+    match: (url) => /(^|\.)(x\.com|twitter\.com)$/.test(url.hostname) && /\/status\/\d+/.test(url.pathname),
+    extract: extractTwitterThread
+  },
+  {
+    id: 'docs',
+    name: 'Docs',
+    match: (url) => /^(docs?|developer|developers|learn|wiki)\./.test(url.hostname) || /\.(readthedocs\.io|gitbook\.io)$/.test(url.hostname)
+      || url.hostname === 'developer.mozilla.org' || /^\/(docs|documentation|reference|guide|manual)(\/|$)/.test(url.pathname),
+    extract: extractDocsPage
+  }
+];
+
+/**
+ * 提取页面内容：默认的 Readability 模式下优先使用匹配网址的站点适配器，适配器不适用时回到 Readability；
+ * 带 <track> 字幕的视频在正文后附上字幕
+ * @param {object} options - 同 extractPageContent
+ * @returns {Promise<{content: string, adapter: {id: string, name: string}|null, video: {source: string, language: string, cueCount: number}|null}>}
+ */
+async function extractPageContentWithAdapters(options = {}) {
+  const mode = options.mode || 'readability';
+  if (mode === 'readability') {
+    const adapter = SITE_ADAPTERS.find(entry => entry.match(new URL(location.href)));
+    if (adapter) {
+      try {
+        const result = await adapter.extract(options);
+        if (result && result.content) {
+          return { content: result.content, adapter: { id: adapter.id, name: adapter.name }, video: result.video || null };
+        }
+        console.debug(`Pagetalk: ${adapter.name} adapter found nothing to extract, using Readability.`);
+      } catch (error) {
+        console.warn(`Pagetalk: ${adapter.name} adapter failed, using Readability:`, error);
+      }
+    }
+  }
+
+  const content = extractPageContent(options);
+  if (mode === 'readability' || mode === 'full') {
+    try {
+      const track = await getHtml5TrackCues();
+      if (track && track.cues.length > 0) {
+        const heading = `## Video transcript${track.language ? ` (${track.language})` : ''}`;
+        return {
+          content: `${content}\n\n${heading}\n\n${formatTranscript(track.cues)}`,
+          adapter: null,
+          video: { source: 'html5', language: track.language, cueCount: track.cues.length }
+        };
+      }
+    } catch (error) {
+      console.error('Pagetalk: failed to extract video transcript:', error);
+    }
+  }
+  return { content, adapter: null, video: null };
+}
+
+// --- 在网页中查找文字 (引用定位和网页标注共用) ---
+// 段落原文是转换后的 Markdown，与网页文字比较时去掉 Markdown 标记和所有空白
+const MIN_PASSAGE_SEGMENT_LENGTH = 12; // 分句查找时忽略过短的句子，避免误匹配
+const MAX_PASSAGE_SEGMENT_LENGTH = 200;
+const PASSAGE_IGNORED_CHARS = /[\s*_`|]/;
+const PASSAGE_IGNORED_CHARS_GLOBAL = /[\s*_`|]/g;
+const PASSAGE_TEXT_EXCLUDED_SELECTOR = 'script, style, noscript, template, textarea, #pagetalk-panel-container';
+
+/**
+ * 去掉 Markdown 标记 (链接、图片、标题、列表、表格分隔行等) 后归一化：删除空白、转小写
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizePassageText(text) {
+  return text
+    .replace(/\[图片: [^\]]*\]/g, '')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s*\|?[\s:|-]+\|?\s*$/gm, '')
+    .replace(/^\s*(?:#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+    .replace(/^```.*$/gm, '')
+    .replace(PASSAGE_IGNORED_CHARS_GLOBAL, '')
+    .toLowerCase();
+}
+
+/**
+ * 归一化一个文本节点的文字，与节点中保留的字符一一对应 (个别字符转小写后会变长，这时只取第一个字符)
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeTextNodeValue(value) {
+  const kept = value.replace(PASSAGE_IGNORED_CHARS_GLOBAL, '');
+  const lower = kept.toLowerCase();
+  return lower.length === kept.length ? lower : kept.replace(/[\s\S]/g, char => char.toLowerCase()[0]);
+}
+
+/**
+ * 网页文字的归一化索引：拼接后的文字，以及每个文本节点在其中的起始位置
+ * (按节点而不是按字符记录，字符在节点中的偏移只在定位结果时计算)
+ * @returns {{text: string, nodes: Text[], starts: number[]}}
+ */
+function buildPageTextIndex() {
+  const nodes = [];
+  const starts = [];
+  const parts = [];
+  let length = 0;
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => (node.parentElement && !node.parentElement.closest(PASSAGE_TEXT_EXCLUDED_SELECTOR)
+      ? NodeFilter.FILTER_ACCEPT
+      : NodeFilter.FILTER_REJECT)
+  });
+  while (walker.nextNode()) {
+    const normalized = normalizeTextNodeValue(walker.currentNode.nodeValue);
+    if (!normalized) continue;
+    nodes.push(walker.currentNode);
+    starts.push(length);
+    parts.push(normalized);
+    length += normalized.length;
+  }
+  return { text: parts.join(''), nodes, starts };
+}
+
+/**
+ * 索引文字中的位置对应的文本节点和节点内偏移
+ * @param {{text: string, nodes: Text[], starts: number[]}} index
+ * @param {number} position - index.text 中的位置
+ * @returns {{node: Text, offset: number}}
+ */
+function locatePageTextPosition(index, position) {
+  let low = 0;
+  let high = index.starts.length - 1;
+  while (low < high) {
+    const middle = (low + high + 1) >> 1;
+    if (index.starts[middle] <= position) low = middle;
+    else high = middle - 1;
+  }
+  const node = index.nodes[low];
+  const value = node.nodeValue;
+  let remaining = position - index.starts[low];
+  for (let i = 0; i < value.length; i++) {
+    if (PASSAGE_IGNORED_CHARS.test(value[i])) continue;
+    if (remaining === 0) return { node, offset: i };
+    remaining--;
+  }
+  return { node, offset: value.length };
+}
+
+/**
+ * 查找段落在网页中的位置：先找整段，找不到时按句子查找，取第一句到最后一句之间的范围
+ * @param {string} passage - 段落原文 (Markdown)
+ * @returns {Range|null}
+ */
+function findPassageRange(passage) {
+  const index = buildPageTextIndex();
+  const needle = normalizePassageText(passage);
+  if (!needle) return null;
+
+  let matches = [];
+  const whole = index.text.indexOf(needle);
+  if (whole !== -1) {
+    matches = [{ start: whole, end: whole + needle.length }];
+  } else {
+    passage.split(/(?<=[。！？；.!?;:：])\s*|\n+/).forEach(sentence => {
+      const segment = normalizePassageText(sentence).slice(0, MAX_PASSAGE_SEGMENT_LENGTH);
+      if (segment.length < MIN_PASSAGE_SEGMENT_LENGTH) return;
+      const searchFrom = matches.length > 0 ? matches[0].start : 0;
+      const start = index.text.indexOf(segment, searchFrom);
+      if (start !== -1) matches.push({ start, end: start + segment.length });
+    });
+  }
+  if (matches.length === 0) return null;
+
+  // 后面的句子离第一句太远时视为误匹配，只高亮第一句
+  const first = matches[0];
+  const last = matches.filter(match => match.end - first.start <= needle.length * 1.5).pop() || first;
+  const start = locatePageTextPosition(index, first.start);
+  const end = locatePageTextPosition(index, last.end - 1);
+  const range = document.createRange();
+  range.setStart(start.node, start.offset);
+  range.setEnd(end.node, end.offset + 1);
+  return range;
+}
+
+// --- 引用定位 (点击回答中的 [n] 时滚动到网页中的原文并短暂高亮) ---
+const CITATION_HIGHLIGHT_NAME = 'pagetalk-citation';
+const CITATION_HIGHLIGHT_DURATION = 3000;
+let citationHighlightTimer = null;
+
+/**
+ * 滚动到引用的段落并高亮 (CSS Custom Highlight，不修改页面 DOM；不支持时改为选中文字)
+ * @param {string} passage
+ * @returns {boolean} 是否找到
+ */
+function highlightCitation(passage) {
+  const range = findPassageRange(passage || '');
+  if (!range) return false;
+  const target = range.startContainer.parentElement;
+  if (target) target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+  clearTimeout(citationHighlightTimer);
+  if (window.CSS && CSS.highlights && typeof Highlight === 'function') {
+    CSS.highlights.set(CITATION_HIGHLIGHT_NAME, new Highlight(range));
+    citationHighlightTimer = setTimeout(() => CSS.highlights.delete(CITATION_HIGHLIGHT_NAME), CITATION_HIGHLIGHT_DURATION);
+  } else {
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    citationHighlightTimer = setTimeout(() => selection.removeAllRanges(), CITATION_HIGHLIGHT_DURATION);
+  }
+  return true;
+}
+
+// --- 网页标注 (模型通过 annotate_page 工具标出网页中的文字，按网址保存，再次打开页面时恢复) ---
+// 标注用 <mark> 包裹原文的文本节点，不改动文字本身；清除时拆掉 <mark> 即还原页面
+const ANNOTATIONS_STORAGE_KEY = 'pagetalkAnnotations';
+const ANNOTATION_CLASS = 'pagetalk-annotation';
+const ANNOTATION_STYLES = ['highlight', 'underline'];
+const ANNOTATION_COLORS = ['yellow', 'green', 'blue', 'pink', 'orange'];
+const MAX_ANNOTATIONS_PER_PAGE = 200;
+const MAX_ANNOTATED_PAGES = 100; // 超过时删除最久未更新的网址
+const MAX_ANNOTATION_NOTE_LENGTH = 500;
+const ANNOTATION_RESTORE_RETRY_DELAY = 2000; // 动态加载的页面：恢复失败的标注稍后再试一次
+let pageAnnotations = []; // 当前页面的标注 [{ id, quote, note, style, color, createdAt }]
+let annotationsPageKey = null; // pageAnnotations 所属的网址 (单页应用导航后据此重新加载)
+
+/**
+ * 保存标注使用的网址 (不含 #)
+ * @returns {string}
+ */
+function getAnnotationPageKey() {
+  return location.href.split('#')[0];
+}
+
+/**
+ * 通知面板当前页面的标注数量 (面板据此显示清除按钮)
+ */
+function notifyAnnotationsChanged() {
+  postToPanel({ action: 'annotationsChanged', count: pageAnnotations.length });
+}
+
+/**
+ * 保存当前页面的标注
+ * @returns {Promise<void>}
+ */
+async function saveAnnotations() {
+  const stored = (await chrome.storage.local.get(ANNOTATIONS_STORAGE_KEY))[ANNOTATIONS_STORAGE_KEY] || {};
+  const pageKey = getAnnotationPageKey();
+  if (pageAnnotations.length > 0) {
+    stored[pageKey] = { updatedAt: Date.now(), annotations: pageAnnotations };
+  } else {
+    delete stored[pageKey];
+  }
+  const pageKeys = Object.keys(stored);
+  if (pageKeys.length > MAX_ANNOTATED_PAGES) {
+    pageKeys.sort((a, b) => stored[a].updatedAt - stored[b].updatedAt)
+      .slice(0, pageKeys.length - MAX_ANNOTATED_PAGES)
+      .forEach(key => delete stored[key]);
+  }
+  await chrome.storage.local.set({ [ANNOTATIONS_STORAGE_KEY]: stored });
+}
+
+/**
+ * 按文本节点分段包裹范围内的文字 (不跨越元素边界，页面结构保持不变)
+ * @param {Range} range
+ * @param {object} annotation
+ * @returns {boolean} 是否包裹了文字
+ */
+function wrapAnnotationRange(range, annotation) {
+  const root = range.commonAncestorContainer;
+  const textNodes = [];
+  if (root.nodeType === Node.TEXT_NODE) {
+    textNodes.push(root);
+  } else {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      if (range.intersectsNode(walker.currentNode)) textNodes.push(walker.currentNode);
+    }
+  }
+  // 先记下每段的起止位置，拆分文本节点会改变 range
+  const segments = textNodes.map(node => ({
+    node,
+    start: node === range.startContainer ? range.startOffset : 0,
+    end: node === range.endContainer ? range.endOffset : node.nodeValue.length
+  })).filter(({ node, start, end }) => end > start && node.nodeValue.slice(start, end).trim());
+
+  segments.forEach(({ node, start, end }) => {
+    let target = node;
+    if (start > 0) target = target.splitText(start);
+    if (end - start < target.nodeValue.length) target.splitText(end - start);
+    const mark = document.createElement('mark');
+    mark.className = `${ANNOTATION_CLASS} ${ANNOTATION_CLASS}-${annotation.style} ${ANNOTATION_CLASS}-${annotation.color}`;
+    mark.dataset.pagetalkAnnotation = annotation.id;
+    if (annotation.note) mark.title = annotation.note;
+    target.replaceWith(mark);
+    mark.appendChild(target);
+  });
+  return segments.length > 0;
+}
+
+/**
+ * 在页面中标出一条标注 (已标出的跳过)
+ * @param {object} annotation
+ * @returns {boolean} 是否在页面中找到原文
+ */
+function applyAnnotation(annotation) {
+  if (document.querySelector(`mark[data-pagetalk-annotation="${annotation.id}"]`)) return true;
+  const range = findPassageRange(annotation.quote);
+  return !!range && wrapAnnotationRange(range, annotation);
+}
+
+/**
+ * 移除页面中的标注 <mark>，还原原来的文本节点
+ * @param {string} [annotationId] - 省略时移除全部
+ */
+function removeAnnotationMarks(annotationId) {
+  const selector = annotationId ? `mark[data-pagetalk-annotation="${annotationId}"]` : `mark.${ANNOTATION_CLASS}`;
+  document.querySelectorAll(selector).forEach(mark => {
+    const parent = mark.parentNode;
+    mark.replaceWith(...mark.childNodes);
+    parent.normalize();
+  });
+}
+
+/**
+ * 添加标注 (annotate_page 工具)
+ * @param {{annotations: Array<{quote: string, note?: string, style?: string, color?: string}>}} args
+ * @returns {{added: number, notFound: string[], total: number}}
+ */
+function annotatePage(args = {}) {
+  const requested = Array.isArray(args.annotations) ? args.annotations : [];
+  let added = 0;
+  const notFound = [];
+  requested.forEach(item => {
+    const quote = String(item?.quote || '').trim();
+    if (!quote || pageAnnotations.length >= MAX_ANNOTATIONS_PER_PAGE) return;
+    const annotation = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      quote,
+      note: String(item.note || '').trim().slice(0, MAX_ANNOTATION_NOTE_LENGTH),
+      style: ANNOTATION_STYLES.includes(item.style) ? item.style : 'highlight',
+      color: ANNOTATION_COLORS.includes(item.color) ? item.color : 'yellow',
+      createdAt: Date.now()
+    };
+    if (applyAnnotation(annotation)) {
+      pageAnnotations.push(annotation);
+      added++;
+    } else {
+      notFound.push(quote);
+    }
+  });
+  if (added > 0) {
+    saveAnnotations().catch(error => console.error('Pagetalk: failed to save annotations:', error));
+    notifyAnnotationsChanged();
+  }
+  return { added, notFound, total: pageAnnotations.length };
+}
+
+/**
+ * 清除当前页面的全部标注
+ * @returns {{cleared: number}}
+ */
+function clearAnnotations() {
+  const cleared = pageAnnotations.length;
+  removeAnnotationMarks();
+  pageAnnotations = [];
+  saveAnnotations().catch(error => console.error('Pagetalk: failed to save annotations:', error));
+  notifyAnnotationsChanged();
+  return { cleared };
+}
+
+/**
+ * 恢复当前网址保存的标注；找不到原文的 (页面尚未加载完或已改变) 稍后重试一次，仍保留在存储中
+ * @returns {Promise<void>}
+ */
+async function restoreAnnotations() {
+  const stored = (await chrome.storage.local.get(ANNOTATIONS_STORAGE_KEY))[ANNOTATIONS_STORAGE_KEY] || {};
+  annotationsPageKey = getAnnotationPageKey();
+  pageAnnotations = stored[annotationsPageKey]?.annotations || [];
+  const missing = pageAnnotations.filter(annotation => !applyAnnotation(annotation));
+  if (missing.length > 0) {
+    setTimeout(() => missing.forEach(applyAnnotation), ANNOTATION_RESTORE_RETRY_DELAY);
+  }
+  notifyAnnotationsChanged();
+}
+
+// --- 单页应用导航和内容变化 (GitHub、Gmail 等不刷新页面就换内容，面板中的上下文会过期) ---
+// 内容脚本运行在隔离环境中，拦截不到页面自己调用的 history.pushState，
+// 因此用 Navigation API (不支持时轮询网址) 加 popstate/hashchange 发现导航，用 MutationObserver 发现大块内容变化。
+// 这些只在面板打开期间运行，从不打开面板的页面上没有任何开销
+const PAGE_CHANGE_DEBOUNCE = 1500; // 导航或内容变化停止后再重新提取
+const PAGE_URL_POLL_INTERVAL = 1000;
+const MIN_MUTATED_CHARS = 500; // DOM 变化累计增删的文字达到此长度才检查
+const MIN_CONTENT_CHANGE_RATIO = 0.2; // 网址不变时，提取出的内容长度变化超过 20% 才算页面变化
+let lastSeenPage = null; // 最近一次提取或通知面板时的页面 { url, content, signature, options }
+let watchedUrl = location.href;
+let pageChangeTimer = null;
+let mutatedChars = 0;
+let pageMutationObserver = null;
+let pageUrlPollTimer = null;
+
+/**
+ * 节点是否属于面板或网页标注 (这些变化由 Pagetalk 自己产生)
+ * @param {Node} node
+ * @returns {boolean}
+ */
+function isOwnNode(node) {
+  const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  return !!element && !!element.closest(`#pagetalk-panel-container, mark.${ANNOTATION_CLASS}`);
+}
+
+/**
+ * 导航或内容变化停止一段时间后检查页面
+ */
+function schedulePageChangeCheck() {
+  clearTimeout(pageChangeTimer);
+  pageChangeTimer = setTimeout(() => {
+    checkPageChange().catch(error => console.error('Pagetalk: failed to check page change:', error));
+  }, PAGE_CHANGE_DEBOUNCE);
+}
+
+/**
+ * 网址变化 (导航事件或轮询)
+ */
+function handleUrlMaybeChanged() {
+  if (location.href === watchedUrl) return;
+  watchedUrl = location.href;
+  schedulePageChangeCheck();
+}
+
+/**
+ * 累计 DOM 变化中增删的文字，足够多时检查页面
+ * @param {MutationRecord[]} records
+ */
+function handlePageMutations(records) {
+  records.forEach(record => {
+    if (isOwnNode(record.target)) return;
+    [...record.addedNodes, ...record.removedNodes].forEach(node => {
+      if (!isOwnNode(node)) mutatedChars += (node.textContent || '').length;
+    });
+  });
+  if (mutatedChars >= MIN_MUTATED_CHARS) {
+    mutatedChars = 0;
+    schedulePageChangeCheck();
+  }
+}
+
+/**
+ * 重新提取页面，网址或内容确实变化时恢复新网址的标注并通知面板 (面板提示是否刷新上下文)
+ * @returns {Promise<void>}
+ */
+async function checkPageChange() {
+  await syncAnnotationsWithPage();
+  if (!panelActive || !lastSeenPage) return; // 面板隐藏时不提示，再次打开面板会重新提取
+  const urlChanged = location.href !== lastSeenPage.url;
+  const { mode } = lastSeenPage.options;
+  if (!urlChanged && mode !== 'readability' && mode !== 'full') return; // 只提取选中内容或不提取时，内容变化无关
+  if (document.contentType === 'application/pdf') return;
+
+  if (urlChanged) {
+    // 只有导航后才重新运行站点适配器 (GitHub、YouTube 等适配器会请求网络接口)
+    const { content } = await extractPageContentWithAdapters(lastSeenPage.options);
+    if (content === lastSeenPage.content) return; // 例如只是跳到页内锚点
+    messageShownForThisPageView = false; // 刷新新页面的上下文时显示提取成功
+    lastSeenPage = { ...lastSeenPage, url: location.href, content, signature: extractPageContent(lastSeenPage.options) };
+  } else {
+    // 网址不变时只比较本地提取的签名，直播、评论等频繁更新的页面不会反复请求适配器的接口
+    const signature = extractPageContent(lastSeenPage.options);
+    const previous = lastSeenPage.signature;
+    if (signature === previous || Math.abs(signature.length - previous.length) < previous.length * MIN_CONTENT_CHANGE_RATIO) return;
+    lastSeenPage = { ...lastSeenPage, signature };
+  }
+  postToPanel({ action: 'pageChanged', urlChanged, url: location.href, title: document.title });
+}
+
+/**
+ * 显示当前网址保存的标注 (首次打开面板，或面板隐藏期间页面导航到了别的网址)
+ * @returns {Promise<void>}
+ */
+async function syncAnnotationsWithPage() {
+  if (annotationsPageKey === getAnnotationPageKey()) return;
+  removeAnnotationMarks();
+  await restoreAnnotations();
+}
+
+/**
+ * 面板打开时开始监听导航和内容变化
+ */
+function startPageWatcher() {
+  if (pageMutationObserver || !document.body) return;
+  watchedUrl = location.href;
+  mutatedChars = 0;
+  pageMutationObserver = new MutationObserver(handlePageMutations);
+  pageMutationObserver.observe(document.body, { childList: true, subtree: true });
+  if (window.navigation) {
+    window.navigation.addEventListener('navigatesuccess', handleUrlMaybeChanged);
+  } else {
+    pageUrlPollTimer = setInterval(handleUrlMaybeChanged, PAGE_URL_POLL_INTERVAL);
+  }
+  window.addEventListener('popstate', handleUrlMaybeChanged);
+  window.addEventListener('hashchange', handleUrlMaybeChanged);
+  syncAnnotationsWithPage().catch(error => console.error('Pagetalk: failed to restore annotations:', error));
+}
+
+/**
+ * 面板隐藏时停止监听 (再次打开面板会重新提取页面)
+ */
+function stopPageWatcher() {
+  if (!pageMutationObserver) return;
+  pageMutationObserver.disconnect();
+  pageMutationObserver = null;
+  if (window.navigation) {
+    window.navigation.removeEventListener('navigatesuccess', handleUrlMaybeChanged);
+  }
+  clearInterval(pageUrlPollTimer);
+  pageUrlPollTimer = null;
+  window.removeEventListener('popstate', handleUrlMaybeChanged);
+  window.removeEventListener('hashchange', handleUrlMaybeChanged);
+  clearTimeout(pageChangeTimer);
+}
+
+// --- 截图 (面板的截图按钮：网页可见区域，或滚动页面拼接整页，作为图片发给模型) ---
+// 画布、图表和设计稿嵌入等页面提取不到有用的文字，只能看图
+const CAPTURE_REPAINT_DELAY = 100; // 隐藏面板或滚动后等待页面重绘
+const CAPTURE_INTERVAL = 600; // captureVisibleTab 每秒最多调用 2 次
+const MAX_FULL_PAGE_SCREENS = 10; // 整页截图最多拼接的屏数
+const FULL_PAGE_JPEG_QUALITY = 0.85;
+
+/**
+ * 等待指定毫秒
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 等待页面重绘，确保截到的是隐藏面板或滚动之后的画面
+ * @returns {Promise<void>}
+ */
+async function waitForRepaint() {
+  await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+  await wait(CAPTURE_REPAINT_DELAY);
+}
+
+/**
+ * 截图期间隐藏面板，页面按没有面板时的宽度排版 (不改变 panelActive，也不像 showPanel 那样重新提取)
+ * @param {boolean} hidden
+ */
+function setPanelHiddenForCapture(hidden) {
+  const panel = document.getElementById('pagetalk-panel-container');
+  if (!panel) return;
+  panel.style.display = hidden ? 'none' : 'block';
+  document.body.classList.toggle('pagetalk-panel-open', !hidden);
+  document.body.style.marginRight = hidden ? '0' : `${panelWidth}px`;
+}
+
+/**
+ * 请求 background.js 截取当前标签页的可见区域
+ * @returns {Promise<string>} PNG data URL
+ */
+async function captureVisibleArea() {
+  const response = await chrome.runtime.sendMessage({ action: 'captureVisibleTab' });
+  if (!response || response.error) {
+    throw new Error(response ? response.error : 'No response from background');
+  }
+  return response.dataUrl;
+}
+
+/**
+ * @param {string} dataUrl
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImage(dataUrl) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Failed to load the screenshot'));
+    image.src = dataUrl;
+  });
+}
+
+const FIXED_ELEMENT_PROBE_STEPS = 8; // 在可见区域内按 9×9 的网格点查找固定定位的元素
+
+/**
+ * 隐藏可见区域中固定定位的元素 (导航栏、悬浮按钮等)，否则整页截图的每一屏都会出现。
+ * 只检查网格点上的元素及其祖先，不对整个页面调用 getComputedStyle
+ * @param {Array<[HTMLElement, string]>} hidden - 记录被隐藏的元素和原来的 visibility，调用方据此恢复 (即使中途出错)
+ */
+function hideFixedElements(hidden) {
+  const checked = new Set();
+  for (let row = 0; row <= FIXED_ELEMENT_PROBE_STEPS; row++) {
+    for (let column = 0; column <= FIXED_ELEMENT_PROBE_STEPS; column++) {
+      const x = Math.min(window.innerWidth * column / FIXED_ELEMENT_PROBE_STEPS, window.innerWidth - 1);
+      const y = Math.min(window.innerHeight * row / FIXED_ELEMENT_PROBE_STEPS, window.innerHeight - 1);
+      document.elementsFromPoint(x, y).forEach(hit => {
+        for (let element = hit; element && element !== document.body && !checked.has(element); element = element.parentElement) {
+          checked.add(element);
+          const position = getComputedStyle(element).position;
+          if (position === 'fixed' || position === 'sticky') {
+            hidden.push([element, element.style.visibility]);
+            element.style.visibility = 'hidden';
+          }
+        }
+      });
+    }
+  }
+}
+
+/**
+ * 逐屏滚动截图并拼接成整页 (按 CSS 像素输出，避免高分屏上图片过大)；
+ * 在内部容器中滚动的页面 (如看板、设计稿) 文档本身不滚动，结果就是一屏
+ * @returns {Promise<string>} JPEG data URL
+ */
+async function captureFullPage() {
+  const originalX = window.scrollX;
+  const originalY = window.scrollY;
+  const viewportWidth = window.innerWidth;
+  const viewportHeight = window.innerHeight;
+  const pageHeight = Math.min(document.documentElement.scrollHeight, viewportHeight * MAX_FULL_PAGE_SCREENS);
+  const canvas = document.createElement('canvas');
+  canvas.width = viewportWidth;
+  canvas.height = pageHeight;
+  const context = canvas.getContext('2d');
+  const hiddenFixedElements = [];
+  let fixedElementsHidden = false;
+  try {
+    for (let top = 0; top < pageHeight; top += viewportHeight) {
+      if (top > 0) await wait(CAPTURE_INTERVAL);
+      window.scrollTo({ left: originalX, top, behavior: 'instant' });
+      await waitForRepaint();
+      const image = await loadImage(await captureVisibleArea());
+      // 最后一屏滚不到 top 时按实际位置绘制，与上一屏重叠的部分相同
+      context.drawImage(image, 0, window.scrollY, viewportWidth, viewportHeight);
+      if (!fixedElementsHidden) { // 固定元素只保留在第一屏
+        fixedElementsHidden = true;
+        hideFixedElements(hiddenFixedElements);
+      }
+    }
+  } finally {
+    hiddenFixedElements.forEach(([element, visibility]) => { element.style.visibility = visibility; });
+    window.scrollTo({ left: originalX, top: originalY, behavior: 'instant' });
+  }
+  return canvas.toDataURL('image/jpeg', FULL_PAGE_JPEG_QUALITY);
+}
+
+/**
+ * 截图并把结果发给面板 (截图期间隐藏面板)
+ * @param {boolean} fullPage - 整页，否则只截可见区域
+ * @param {string} requestId - 原样带回，面板据此对应自己发出的截图请求
+ * @returns {Promise<void>}
+ */
+async function captureScreenshotForPanel(fullPage, requestId) {
+  let reply;
+  try {
+    setPanelHiddenForCapture(true);
+    await waitForRepaint();
+    const dataUrl = fullPage ? await captureFullPage() : await captureVisibleArea();
+    reply = { action: 'screenshotCaptured', requestId, dataUrl, fullPage };
+  } catch (error) {
+    console.error('Pagetalk: screenshot failed:', error);
+    reply = { action: 'screenshotFailed', requestId, error: error.message };
+  } finally {
+    setPanelHiddenForCapture(false);
+  }
+  postToPanel(reply);
+}
+
+// --- 网页工具 (模型通过面板调用，见 js/tools.js) ---
+const MAX_TOOL_ELEMENTS = 50; // query_page_elements 最多返回的元素数量
+const MAX_TOOL_ELEMENT_TEXT = 1000; // 每个元素返回的文字上限
+const MAX_TOOL_TABLE_ROWS = 200; // read_page_table 最多返回的行数
+
+/**
+ * 截断过长的文字
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function truncateToolText(text, maxLength) {
+  const normalized = (text || '').replace(/\s+/g, ' ').trim();
+  return normalized.length > maxLength ? `${normalized.slice(0, maxLength)}…` : normalized;
+}
+
+/**
+ * 元素是否属于 Pagetalk 面板
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isPanelElement(element) {
+  const panel = document.getElementById('pagetalk-panel-container');
+  return !!panel && panel.contains(element);
+}
+
+/**
+ * 用 CSS 选择器查询页面元素
+ * @param {{selector: string, limit?: number}} args
+ * @param {boolean} guarded - 防护模式下跳过读者看不到的元素
+ * @returns {{total: number, elements: Array<object>}}
+ */
+function queryPageElements(args, guarded) {
+  if (!args.selector) throw new Error('selector is required');
+  const limit = Math.min(Math.max(parseInt(args.limit, 10) || 20, 1), MAX_TOOL_ELEMENTS);
+  const matches = Array.from(document.querySelectorAll(args.selector))
+    .filter(element => !isPanelElement(element) && !(guarded && isHiddenFromReader(element)));
+  const elements = matches.slice(0, limit).map(element => {
+    const item = { tag: element.tagName.toLowerCase(), text: truncateToolText(element.innerText || element.textContent, MAX_TOOL_ELEMENT_TEXT) };
+    ['id', 'href', 'src', 'alt', 'title', 'aria-label'].forEach(attribute => {
+      if (element.hasAttribute(attribute)) item[attribute] = attribute === 'href' || attribute === 'src' ? element[attribute] : element.getAttribute(attribute);
+    });
+    return item;
+  });
+  return { total: matches.length, elements };
+}
+
+/**
+ * 读取页面中的表格，转为以表头为键的对象数组
+ * @param {{selector?: string, index?: number}} args
+ * @returns {object}
+ */
+function readPageTable(args) {
+  const candidates = args.selector
+    ? Array.from(document.querySelectorAll(args.selector)).map(element => (element.tagName === 'TABLE' ? element : element.querySelector('table') || element.closest('table')))
+    : Array.from(document.querySelectorAll('table'));
+  const tables = [...new Set(candidates.filter(table => table && !isPanelElement(table)))];
+  if (tables.length === 0) throw new Error('No table found on the page');
+  const index = Math.min(Math.max(parseInt(args.index, 10) || 0, 0), tables.length - 1);
+  const table = tables[index];
+
+  // 合并单元格按 colspan 展开，保证每行的列与表头对齐
+  const rowCells = Array.from(table.rows).map(row => {
+    const cells = [];
+    Array.from(row.cells).forEach(cell => {
+      const text = truncateToolText(cell.innerText || cell.textContent, MAX_TOOL_ELEMENT_TEXT);
+      for (let i = 0; i < Math.max(cell.colSpan, 1); i++) cells.push(text);
+    });
+    return { cells, isHeader: row.parentElement.tagName === 'THEAD' || Array.from(row.cells).every(cell => cell.tagName === 'TH') };
+  }).filter(row => row.cells.length > 0);
+
+  const headerRowCount = rowCells.findIndex(row => !row.isHeader);
+  const headerRows = headerRowCount > 0 ? rowCells.slice(0, headerRowCount) : [];
+  const bodyRows = rowCells.slice(headerRows.length);
+  const columnCount = Math.max(0, ...rowCells.map(row => row.cells.length));
+  const headers = Array.from({ length: columnCount }, (_, column) => {
+    const label = headerRows.map(row => row.cells[column]).filter(Boolean).join(' / ');
+    return label || `column_${column + 1}`;
+  });
+
+  return {
+    tableCount: tables.length,
+    index,
+    caption: table.caption ? truncateToolText(table.caption.textContent, MAX_TOOL_ELEMENT_TEXT) : '',
+    headers,
+    totalRows: bodyRows.length,
+    rows: bodyRows.slice(0, MAX_TOOL_TABLE_ROWS).map(row => Object.fromEntries(headers.map((header, column) => [header, row.cells[column] ?? ''])))
+  };
+}
+
+/**
+ * 执行面板请求的网页工具
+ * @param {string} tool - 'extractPage' | 'queryElements' | 'getSelection' | 'readTable'
+ * @param {object} args
+ * @param {boolean} guarded
+ * @returns {object}
+ */
+function runPageTool(tool, args = {}, guarded = true) {
+  switch (tool) {
+    case 'extractPage':
+      return { title: document.title, url: window.location.href, content: extractPageContent({ guarded }) };
+    case 'queryElements':
+      return queryPageElements(args, guarded);
+    case 'getSelection':
+      return { text: getPageSelectionText() };
+    case 'readTable':
+      return readPageTable(args);
+    case 'annotate':
+      return annotatePage(args);
+    case 'clearAnnotations':
+      return clearAnnotations();
+    default:
+      throw new Error(`Unknown page tool: ${tool}`);
+  }
+}
+
 // --- 新增：主题检测与发送 ---
 /**
  * 检测当前网页的显式或系统颜色模式偏好，并发送给侧边栏 iframe
  */
 function detectAndSendTheme() {
-    const iframe = document.getElementById('pagetalk-panel-iframe');
-    if (!iframe || !iframe.contentWindow) {
+    if (!panelPort) {
         // console.log('Sidepanel iframe not ready for theme update.');
         return; // 如果 iframe 不存在或未加载完成，则不发送
     }
@@ -339,10 +2092,10 @@ function detectAndSendTheme() {
 
     console.log(`[content.js] Detected theme: ${detectedTheme}. Sending to sidepanel.`); // 调试日志
 
-    iframe.contentWindow.postMessage({
+    postToPanel({
         action: 'webpageThemeDetected', // 更改 action 名称
         theme: detectedTheme // 发送检测到的主题 ('dark', 'light', 'system')
-    }, '*');
+    });
 }
 
 // 监听系统/浏览器主题变化 (仅当未检测到 HTML 显式主题时，系统变化才有意义)
@@ -362,14 +2115,22 @@ if (mediaQuery.addEventListener) {
 // --- 结束：主题检测与发送 ---
 
 
-// 监听iframe内部的消息
-window.addEventListener('message', (event) => {
-  // 确保消息来源是我们的iframe
+/**
+ * 处理面板通过专用通道发来的消息 (见 connectPanelPort)
+ * @param {MessageEvent} event
+ */
+async function handlePanelMessage(event) {
+  if (!event.data) return;
   if (event.data.action === 'closePanel') {
     hidePanel();
   }
   else if (event.data.action === 'requestPageContent') {
-    const content = extractPageContent();
+    const extractionMode = event.data.mode || 'readability';
+    // Chrome 的 PDF 阅读器中没有可提取的 DOM，由面板下载 PDF 并按页提取 (见 js/pdf.js)
+    const isPdf = document.contentType === 'application/pdf' && (extractionMode === 'readability' || extractionMode === 'full');
+    const { content, adapter, video } = isPdf
+      ? { content: '', adapter: null, video: null }
+      : await extractPageContentWithAdapters({ guarded: event.data.guarded, mode: extractionMode, format: event.data.format });
     let showSuccess = false;
 
     // 检查是否是当前页面视图的第一次提取
@@ -379,15 +2140,61 @@ window.addEventListener('message', (event) => {
     }
 
     // 将内容和显示标志发送回iframe
-    const iframe = document.getElementById('pagetalk-panel-iframe');
-    if (iframe && iframe.contentWindow) {
-      iframe.contentWindow.postMessage({
-        action: 'pageContentExtracted',
-        content: content,
-        showSuccessMessage: showSuccess // 添加标志
-      }, '*');
+    postToPanel({
+      action: 'pageContentExtracted',
+      content: content,
+      title: document.title,
+      extractionMode, // 面板据此判断是否需要按网址规则重新提取
+      isPdf,
+      adapter, // 使用的站点适配器，显示在上下文状态中
+      annotationCount: pageAnnotations.length,
+      video, // 视频页面：字幕来源、语言和条数
+      showSuccessMessage: showSuccess // 添加标志
+    });
+
+    // 记下这次提取，之后据此判断单页应用的导航和内容变化。
+    // 签名是不经站点适配器的本地提取结果 (没有使用适配器或字幕时就是 content)，内容变化时只比较它
+    const pageOptions = { guarded: event.data.guarded, mode: extractionMode, format: event.data.format };
+    const watchesContent = !isPdf && (extractionMode === 'readability' || extractionMode === 'full');
+    const signature = watchesContent && (adapter || video) ? extractPageContent(pageOptions) : content;
+    lastSeenPage = { url: window.location.href, content, signature, options: pageOptions };
+
+    // 面板已就绪：发送打开面板时暂存的选中内容
+    panelReady = true;
+    if (pendingSelection) {
+      const { text, command, auto } = pendingSelection;
+      pendingSelection = null;
+      sendSelectionToPanel(text, command, auto);
+    }
+  }
+  // 面板的截图按钮
+  else if (event.data.action === 'captureScreenshot') {
+    await captureScreenshotForPanel(!!event.data.fullPage, event.data.requestId);
+  }
+  // 面板中的模型调用网页工具
+  else if (event.data.action === 'runPageTool') {
+    const { requestId, tool, args, guarded } = event.data;
+    try {
+      const result = runPageTool(tool, args, guarded !== false);
+      postToPanel({ action: 'pageToolResult', requestId, result });
+    } catch (error) {
+      postToPanel({ action: 'pageToolResult', requestId, error: error.message });
     }
   }
+  // 面板底部的"清除标注"
+  else if (event.data.action === 'clearAnnotations') {
+    clearAnnotations();
+  }
+  // 点击回答中的引用
+  else if (event.data.action === 'highlightCitation') {
+    const found = highlightCitation(event.data.text);
+    if (!found) postToPanel({ action: 'citationNotFound' });
+  }
+  // 点击回答中的时间点
+  else if (event.data.action === 'seekVideo') {
+    const found = seekVideo(Number(event.data.seconds) || 0);
+    if (!found) postToPanel({ action: 'seekVideoFailed' });
+  }
   // 添加处理复制文本的功能
   else if (event.data.action === 'copyText') {
     // 使用Clipboard API复制文本
@@ -409,13 +2216,10 @@ window.addEventListener('message', (event) => {
       // 尝试使用document.execCommand进行复制 (对所有浏览器兼容)
       const success = document.execCommand('copy');
       if (success) {
-        // 获取iframe元素并通知复制成功
-        const iframe = document.getElementById('pagetalk-panel-iframe');
-        if (iframe && iframe.contentWindow) {
-          iframe.contentWindow.postMessage({
-            action: 'copySuccess'
-          }, '*');
-        }
+        // 通知面板复制成功
+        postToPanel({
+          action: 'copySuccess'
+        });
       } else {
         console.error('复制失败');
       }
@@ -426,7 +2230,7 @@ window.addEventListener('message', (event) => {
     // 移除临时元素
     document.body.removeChild(textarea);
   }
-});
+}
 
 // 初始运行
 // 在页面加载完成后立即发送主题更新消息
@@ -0,0 +1,351 @@
+/**
+ * Pagetalk - Conversation History (IndexedDB)
+ * 每个对话保存为一条记录：{ id, url, title, agentId, agentName, model, createdAt, updatedAt, messages, searchText }
+ */
+import { generateUniqueId } from './utils.js';
+
+const DB_NAME = 'pagetalk-history';
+const DB_VERSION = 1;
+const STORE_NAME = 'conversations';
+
+let dbPromise = null;
+
+/** Helper function to get translation string */
+function _(key, replacements = {}, translations) {
+  let translation = translations[key] || key;
+  for (const placeholder in replacements) {
+    translation = translation.replace(`{${placeholder}}`, replacements[placeholder]);
+  }
+  return translation;
+}
+
+/**
+ * 打开 (或创建) 历史记录数据库
+ * @returns {Promise<IDBDatabase>}
+ */
+function openHistoryDB() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                store.createIndex('url', 'url', { unique: false });
+                store.createIndex('updatedAt', 'updatedAt', { unique: false });
+                store.createIndex('agentId', 'agentId', { unique: false });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+    return dbPromise;
+}
+
+/**
+ * 在对象仓库上执行一次操作
+ * @param {'readonly'|'readwrite'} mode
+ * @param {function(IDBObjectStore): IDBRequest|void} operation
+ * @returns {Promise<any>} 请求结果
+ */
+async function withStore(mode, operation) {
+    const db = await openHistoryDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * 规范化 URL 作为对话的页面键 (忽略 #hash)
+ * @param {string} url
+ * @returns {string}
+ */
+export function normalizeHistoryUrl(url) {
+    if (!url) return '';
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        return parsed.href;
+    } catch (e) {
+        return url;
+    }
+}
+
+/**
+ * 提取消息中的纯文本
+ * @param {object} message - chatHistory 中的消息
+ * @returns {string}
+ */
+function getMessageText(message) {
+    return (message.parts || []).filter(part => part.text).map(part => part.text).join('\n');
+}
+
+/**
+ * 生成用于全文搜索的小写文本
+ * @param {string} title
+ * @param {string} url
+ * @param {Array<object>} messages
+ * @returns {string}
+ */
+function buildSearchText(title, url, messages) {
+    return [title, url, ...messages.map(getMessageText)].join('\n').toLowerCase();
+}
+
+/**
+ * 生成默认标题：页面标题，或第一条用户消息的开头
+ * @param {object} state - Global state reference
+ * @returns {string}
+ */
+function getDefaultTitle(state) {
+    if (state.pageTitle) return state.pageTitle;
+    const firstUserMessage = state.chatHistory.find(message => message.role === 'user');
+    const text = firstUserMessage ? getMessageText(firstUserMessage).trim() : '';
+    return text ? text.substring(0, 60) : 'Untitled';
+}
+
+/**
+ * 保存当前对话 (新对话会分配 ID；已有对话保留标题和创建时间)
+ * @param {object} state - Global state reference
+ * @returns {Promise<void>}
+ */
+export async function saveCurrentConversation(state) {
+    if (!state.chatHistory || state.chatHistory.length === 0) return;
+    if (!state.conversationId) state.conversationId = generateUniqueId();
+
+    const agent = state.agents.find(a => a.id === state.currentAgentId);
+    const messages = state.chatHistory.map(message => ({ ...message }));
+    const now = Date.now();
+
+    try {
+        const db = await openHistoryDB();
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            const getRequest = store.get(state.conversationId);
+            getRequest.onsuccess = () => {
+                const existing = getRequest.result;
+                const title = existing ? existing.title : getDefaultTitle(state);
+                const url = existing ? existing.url : normalizeHistoryUrl(state.pageUrl);
+                store.put({
+                    id: state.conversationId,
+                    url,
+                    pageTitle: existing ? existing.pageTitle : (state.pageTitle || ''),
+                    title,
+                    agentId: state.currentAgentId,
+                    agentName: agent ? agent.name : '',
+                    model: window.GeminiAPI.resolveActiveModel(state).model,
+                    createdAt: existing ? existing.createdAt : now,
+                    updatedAt: now,
+                    messages,
+                    searchText: buildSearchText(title, url, messages)
+                });
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } catch (error) {
+        console.error('Failed to save conversation:', error);
+    }
+}
+
+/**
+ * 列出对话 (按更新时间倒序)，支持全文搜索
+ * @param {string} [query=''] - 空格分隔的关键词，全部命中才返回
+ * @returns {Promise<Array<object>>}
+ */
+export async function listConversations(query = '') {
+    const conversations = await withStore('readonly', store => store.getAll());
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return (conversations || [])
+        .filter(conversation => terms.every(term => (conversation.searchText || '').includes(term)))
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * 获取单个对话
+ * @param {string} id
+ * @returns {Promise<object|undefined>}
+ */
+export function getConversation(id) {
+    return withStore('readonly', store => store.get(id));
+}
+
+/**
+ * 获取某个页面最近的对话
+ * @param {string} url
+ * @returns {Promise<object|null>}
+ */
+export async function getLatestConversationForUrl(url) {
+    const key = normalizeHistoryUrl(url);
+    if (!key) return null;
+    const conversations = await withStore('readonly', store => store.index('url').getAll(key));
+    if (!conversations || conversations.length === 0) return null;
+    return conversations.reduce((latest, conversation) => conversation.updatedAt > latest.updatedAt ? conversation : latest);
+}
+
+/**
+ * 重命名对话
+ * @param {string} id
+ * @param {string} title
+ * @returns {Promise<void>}
+ */
+export async function renameConversation(id, title) {
+    const conversation = await getConversation(id);
+    if (!conversation) return;
+    conversation.title = title;
+    conversation.searchText = buildSearchText(title, conversation.url, conversation.messages);
+    await withStore('readwrite', store => store.put(conversation));
+}
+
+/**
+ * 删除对话
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteConversation(id) {
+    await withStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * 将保存的对话恢复到聊天界面
+ * @param {object} conversation - 对话记录
+ * @param {object} state - Global state reference
+ * @param {object} elements - DOM elements reference
+ * @param {function} addMessageToChatCallback - Callback (content, sender, options)
+ */
+export function restoreConversation(conversation, state, elements, addMessageToChatCallback) {
+    state.chatHistory = conversation.messages.map(message => ({ ...message }));
+    state.conversationId = conversation.id;
+    elements.chatMessages.innerHTML = '';
+
+    state.chatHistory.forEach(message => {
+        const images = (message.parts || [])
+            .filter(part => part.inlineData)
+            .map(part => ({ dataUrl: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}`, mimeType: part.inlineData.mimeType }));
+        addMessageToChatCallback(getMessageText(message), message.role === 'user' ? 'user' : 'bot', { images, attachments: message.attachments, selection: message.selection, toolCalls: message.toolCalls, thought: message.thought, structured: message.structured, citations: message.citations, messageId: message.id });
+    });
+    elements.chatMessages.scrollTop = elements.chatMessages.scrollHeight;
+}
+
+/**
+ * 格式化时间戳
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function formatTimestamp(timestamp) {
+    return typeof dayjs !== 'undefined' ? dayjs(timestamp).format('YYYY-MM-DD HH:mm') : new Date(timestamp).toLocaleString();
+}
+
+/**
+ * 渲染历史记录列表
+ * @param {Array<object>} conversations
+ * @param {object} state - Global state reference
+ * @param {object} elements - DOM elements reference
+ * @param {object} currentTranslations - Translations object
+ * @param {object} handlers - { onOpen(id), onRename(id, title), onDelete(id) }
+ */
+export function renderHistoryList(conversations, state, elements, currentTranslations, handlers) {
+    elements.historyList.innerHTML = '';
+
+    if (conversations.length === 0) {
+        const emptyState = document.createElement('div');
+        emptyState.className = 'empty-state';
+        emptyState.textContent = _('historyEmpty', {}, currentTranslations);
+        elements.historyList.appendChild(emptyState);
+        return;
+    }
+
+    conversations.forEach(conversation => {
+        const item = document.createElement('div');
+        item.className = 'history-item';
+        item.classList.toggle('active', conversation.id === state.conversationId);
+
+        const info = document.createElement('div');
+        info.className = 'history-item-info';
+        const title = document.createElement('div');
+        title.className = 'history-item-title';
+        title.textContent = conversation.title;
+        title.title = conversation.title;
+        const meta = document.createElement('div');
+        meta.className = 'history-item-meta';
+        let host = '';
+        try { host = conversation.url ? new URL(conversation.url).host : ''; } catch (e) { host = conversation.url; }
+        meta.textContent = [
+            host,
+            conversation.agentName,
+            formatTimestamp(conversation.updatedAt),
+            _('historyMessageCount', { count: conversation.messages.length }, currentTranslations)
+        ].filter(Boolean).join(' · ');
+        meta.title = conversation.url || '';
+        info.appendChild(title);
+        info.appendChild(meta);
+        info.addEventListener('click', () => handlers.onOpen(conversation.id));
+
+        const actions = document.createElement('div');
+        actions.className = 'history-item-actions';
+
+        const renameBtn = document.createElement('button');
+        renameBtn.className = 'history-action-btn rename-btn';
+        renameBtn.title = _('historyRename', {}, currentTranslations);
+        renameBtn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="currentColor" viewBox="0 0 16 16"><path d="M12.146.146a.5.5 0 0 1 .708 0l3 3a.5.5 0 0 1 0 .708l-10 10a.5.5 0 0 1-.168.11l-5 2a.5.5 0 0 1-.65-.65l2-5a.5.5 0 0 1 .11-.168l10-10zM11.207 2.5 13.5 4.793 14.793 3.5 12.5 1.207 11.207 2.5zm1.586 3L10.5 3.207 4 9.707V10h.5a.5.5 0 0 1 .5.5v.5h.5a.5.5 0 0 1 .5.5v.5h.293l6.5-6.5z"/></svg>';
+        renameBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'history-rename-input';
+            input.value = conversation.title;
+            title.replaceWith(input);
+            input.focus();
+            input.select();
+            let finished = false;
+            const finish = (save) => {
+                if (finished) return;
+                finished = true;
+                const newTitle = input.value.trim();
+                if (save && newTitle && newTitle !== conversation.title) {
+                    handlers.onRename(conversation.id, newTitle);
+                } else {
+                    input.replaceWith(title);
+                }
+            };
+            input.addEventListener('click', event => event.stopPropagation());
+            input.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') finish(true);
+                else if (event.key === 'Escape') finish(false);
+            });
+            input.addEventListener('blur', () => finish(true));
+        });
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'history-action-btn delete-btn';
+        deleteBtn.title = _('historyDelete', {}, currentTranslations);
+        deleteBtn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="currentColor" viewBox="0 0 16 16"><path d="M5.5 5.5A.5.5 0 0 1 6 6v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm2.5 0a.5.5 0 0 1 .5.5v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm3 .5a.5.5 0 0 0-1 0v6a.5.5 0 0 0 1 0V6z"/><path fill-rule="evenodd" d="M14.5 3a1 1 0 0 1-1 1H13v9a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V4h-.5a1 1 0 0 1-1-1V2a1 1 0 0 1 1-1H6a1 1 0 0 1 1-1h3.5a1 1 0 0 1 1 1v1zM4.118 4 4 4.059V13a1 1 0 0 0 1 1h6a1 1 0 0 0 1-1V4.059L11.882 4H4.118zM2.5 3V2h11v1h-11z"/></svg>';
+        deleteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            // 二次点击确认，避免误删
+            if (!deleteBtn.classList.contains('confirming')) {
+                deleteBtn.classList.add('confirming');
+                deleteBtn.title = _('historyDeleteConfirm', {}, currentTranslations);
+                setTimeout(() => {
+                    deleteBtn.classList.remove('confirming');
+                    deleteBtn.title = _('historyDelete', {}, currentTranslations);
+                }, 3000);
+                return;
+            }
+            handlers.onDelete(conversation.id);
+        });
+
+        actions.appendChild(renameBtn);
+        actions.appendChild(deleteBtn);
+        item.appendChild(info);
+        item.appendChild(actions);
+        elements.historyList.appendChild(item);
+    });
+}
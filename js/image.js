@@ -1,7 +1,7 @@
 /**
  * Pagetalk - Image Handling Functions
  */
-import { generateUniqueId, escapeHtml } from './utils.js';
+import { generateUniqueId } from './utils.js';
 
 /** Helper function to get translation string */
 function _(key, replacements = {}, translations) {
@@ -48,14 +48,17 @@ export function setupImagePaste(elements, handleImageFileCallback) {
  * @param {Event} e - File selection event
  * @param {function} handleImageFileCallback - Callback to process files
  * @param {object} elements - DOM elements reference
+ * @param {function} [handleOtherFileCallback] - Callback for files that are not images (attachments)
  */
-export function handleImageSelect(e, handleImageFileCallback, elements) {
+export function handleImageSelect(e, handleImageFileCallback, elements, handleOtherFileCallback = null) {
     const files = e.target.files;
     if (files && files.length > 0) {
         for (let i = 0; i < files.length; i++) {
             const file = files[i];
             if (file && file.type.startsWith('image/')) {
                 handleImageFileCallback(file); // Use callback
+            } else if (file && handleOtherFileCallback) {
+                handleOtherFileCallback(file);
             }
         }
     }
@@ -113,8 +116,8 @@ export function updateImagesPreview(state, elements, currentTranslations, remove
         imageItem.dataset.id = image.id;
 
         const img = document.createElement('img');
-        img.src = escapeHtml(image.dataUrl);
-        img.alt = escapeHtml(_('imageAlt', { index: index + 1 }, currentTranslations));
+        img.src = image.dataUrl; // DOM 属性赋值不需要 HTML 转义
+        img.alt = _('imageAlt', { index: index + 1 }, currentTranslations);
         img.addEventListener('click', () => showFullSizeImage(image.dataUrl, elements));
 
         const actionsDiv = document.createElement('div');
@@ -186,7 +189,7 @@ export function clearImages(state, updateImagesPreviewCallback) {
  */
 export function showFullSizeImage(imageUrl, elements) {
     if (!elements.modalImage || !elements.imageModal) return;
-    elements.modalImage.src = escapeHtml(imageUrl); // Escape URL just in case
+    elements.modalImage.src = imageUrl;
     elements.imageModal.style.display = 'block';
 }
 
@@ -7,14 +7,25 @@ import { generateUniqueId } from './utils.js';
 import { renderDynamicContent, rerenderAllMermaidCharts, showMermaidModal, hideMermaidModal } from './render.js';
 import { applyTheme, updateMermaidTheme, toggleTheme, makeDraggable, loadButtonPosition, setThemeButtonVisibility } from './theme.js';
 import { setupImagePaste, handleImageSelect, handleImageFile, updateImagesPreview, removeImageById, clearImages, showFullSizeImage, hideImageModal } from './image.js';
-import { loadAgents, updateAgentsListUI, createNewAgent, showDeleteConfirmDialog, confirmDeleteAgent, switchAgent, updateAgentSelectionInChat, saveAgentsList, saveCurrentAgentId, handleAgentExport, handleAgentImport, loadCurrentAgentSettingsIntoState } from './agent.js';
-import { loadSettings as loadAppSettings, saveModelSettings, handleLanguageChange, handleExportChat, initModelSelection } from './settings.js';
-import { sendUserMessage as sendUserMessageAction, clearContext as clearContextAction, deleteMessage as deleteMessageAction, regenerateMessage as regenerateMessageAction, abortStreaming as abortStreamingAction } from './chat.js';
-import { switchTab, switchSettingsSubTab, addMessageToChat, updateStreamingMessage, finalizeBotMessage, addThinkingAnimation, showConnectionStatus, updateConnectionIndicator, updateContextStatus, showToast, resizeTextarea, setupAutoresizeTextarea, updateUIElementsWithTranslations, restoreSendButtonAndInput, toggleApiKeyVisibility, showChatStatusMessage, addCopyButtonToCodeBlock, addMessageActionButtons, showCopyCodeFeedback, showCopyMessageFeedback } from './ui.js';
+import { handleAttachmentFile, updateAttachmentsPreview, removeAttachmentById, clearAttachments, hideAttachmentPreview } from './attachments.js';
+import { loadAgents, updateAgentsListUI, autoSaveAgentSettings as autoSaveAgentSettingsAction, createNewAgent, showDeleteConfirmDialog, confirmDeleteAgent, switchAgent, updateAgentSelectionInChat, saveAgentsList, saveCurrentAgentId, handleAgentExport, handleAgentImport, loadCurrentAgentSettingsIntoState } from './agent.js';
+import { loadSettings as loadAppSettings, saveModelSettings, handleLanguageChange, handleContextModeChange, handlePageTextFormatChange, handlePdfModeChange, handleGuardedContextChange, handleCitationsChange, handleNewChatOnNavigationChange, handleExportChat, initModelSelection, handleProviderChange, handleModelSelectionChange, refreshModelCapabilityLabels } from './settings.js';
+import { sendUserMessage as sendUserMessageAction, clearContext as clearContextAction, deleteMessage as deleteMessageAction, regenerateMessage as regenerateMessageAction, editMessage as editMessageAction, switchMessageBranch as switchMessageBranchAction, abortStreaming as abortStreamingAction } from './chat.js';
+import { getBranchInfo } from './branches.js';
+import { loadUrlRules, updateUrlRulesListUI, createUrlRule, autoSaveUrlRule, deleteUrlRule, matchUrlRule, getRuleExtractionMode, DEFAULT_EXTRACTION_MODE } from './rules.js';
+import { loadPromptTemplates, updatePromptTemplatesListUI, createPromptTemplate, autoSavePromptTemplate, deletePromptTemplate, getSlashQuery, filterPromptTemplates, renderTemplatePalette, promptTemplateFields, getTemplateFields, resolveBuiltinVariables, expandTemplate } from './templates.js';
+import { listOpenTabs, addTabContext, removeTabContext, renderTabPicker, updateTabContextIndicator } from './tabs.js';
+import { saveCurrentConversation, listConversations, getConversation, getLatestConversationForUrl, renameConversation, deleteConversation, restoreConversation, renderHistoryList } from './history.js';
+import { switchTab, switchSettingsSubTab, addMessageToChat, updateStreamingMessage, finalizeBotMessage, addThinkingAnimation, showConnectionStatus, updateConnectionIndicator, updateContextStatus, updateInjectionWarning, updateAnnotationsChip, updatePageChangedNotice, showToast, resizeTextarea, setupAutoresizeTextarea, updateUIElementsWithTranslations, restoreSendButtonAndInput, toggleApiKeyVisibility, showChatStatusMessage, updateSelectionFocus, addCopyButtonToCodeBlock, addMessageActionButtons, showMessageEditor, renderToolSteps, showTabReadApproval, renderReasoningBlock, renderStructuredResult, renderCitations, showCopyCodeFeedback, showCopyMessageFeedback } from './ui.js';
 
 // --- State Management ---
 const state = {
-    apiKey: '',
+    provider: 'gemini',
+    apiKeys: {}, // One API key per provider, e.g. { gemini: '...', openrouter: '...' }
+    apiKey: '', // Key of the active provider
+    localEndpoint: 'http://localhost:11434', // Base URL for the local provider
+    localApiFormat: 'ollama', // 'ollama' | 'openai' (llama.cpp server)
+    modelCatalog: {}, // Models fetched per provider, with capabilities: { gemini: [{ id, vision, contextWindow, thinking, outputLimit }] }
     model: 'gemini-2.0-flash',
     agents: [],
     currentAgentId: null,
@@ -25,9 +36,33 @@ const state = {
     topP: 0.95,
     // Other state
     pageContext: null, // Use null initially to indicate not yet extracted
+    contextMode: 'auto', // 'auto' | 'retrieval' | 'full' - how pageContext is sent to the model
+    pageTextFormat: 'markdown', // 'markdown' | 'plain' - how content.js converts the extracted HTML
+    pdfMode: 'text', // 'text' | 'native' - send attached PDFs as extracted text, or as files to models that read PDFs
+    pageIsPdf: false, // The page is a PDF; pageContext holds its text with "## p. N" page headings
+    pageVideo: null, // Video page: { source, language, cueCount }; pageContext holds the transcript with [m:ss] timestamps
+    guardedContext: true, // Strip hidden text, send the page as untrusted data and flag injection attempts
+    citationsEnabled: true, // Number page passages and ask for [n] citations (see retrieval.js)
+    pageInjectionWarnings: [], // Suspicious passages found in pageContext: [{ excerpt }]
+    pageAnnotationCount: 0, // Annotations the model added to the page (kept by content.js per URL)
+    newChatOnNavigation: false, // Start a new chat instead of asking when a single-page site navigates to another URL
+    pendingPageChange: null, // The page changed since pageContext was extracted: { urlChanged, title }
     chatHistory: [],
+    conversationId: null, // ID of the conversation in IndexedDB history (null = not saved yet)
+    pageUrl: '',
+    pageTitle: '',
+    historyRestoreChecked: false, // Auto-restore the last conversation for this URL only once per panel load
+    tabContexts: [], // Other tabs included as context: [{ tabId, title, url, content, status }]
+    selectionContext: '', // Text selected on the page, sent as the focus of the next message
+    urlRules: [], // URL rules: agent, model, extraction mode and auto-run prompt per URL pattern (see rules.js)
+    pageExtractionMode: 'readability', // Extraction mode requested from content.js (set by the matching URL rule)
+    urlRuleAppliedFor: null, // Page URL the URL rules were last applied to (rules apply once per URL)
+    urlRuleModel: null, // { provider, model } chosen by the matching URL rule, overrides the agent's model
+    promptTemplates: [], // Prompt templates inserted with /name in the chat input (see templates.js)
+    chatExtractSchema: '', // JSON Schema set in the chat for extract mode (overrides the agent's extractSchema)
     isConnected: false,
     images: [],
+    attachments: [], // Files attached to the next message (see attachments.js)
     darkMode: false,
     language: 'zh-CN',
     isStreaming: false,
@@ -61,18 +96,48 @@ const elements = {
     chatModelSelection: document.getElementById('chat-model-selection'),
     chatAgentSelection: document.getElementById('chat-agent-selection'),
     clearContextBtn: document.getElementById('clear-context'),
+    tabContextBtn: document.getElementById('tab-context-btn'),
+    tabContextCount: document.getElementById('tab-context-count'),
+    tabPicker: document.getElementById('tab-picker'),
+    tabPickerList: document.getElementById('tab-picker-list'),
+    extractModeBtn: document.getElementById('extract-mode-btn'),
+    extractSchemaPanel: document.getElementById('extract-schema-panel'),
+    extractSchemaInput: document.getElementById('extract-schema-input'),
+    applyExtractSchemaBtn: document.getElementById('apply-extract-schema'),
+    clearExtractSchemaBtn: document.getElementById('clear-extract-schema'),
+    historyBtn: document.getElementById('history-btn'),
+    historyPanel: document.getElementById('history-panel'),
+    historySearch: document.getElementById('history-search'),
+    historyList: document.getElementById('history-list'),
+    closeHistoryBtn: document.getElementById('close-history'),
     closePanelBtnChat: document.getElementById('close-panel'),
     uploadImage: document.getElementById('upload-image'),
+    captureScreenshotBtn: document.getElementById('capture-screenshot'),
+    captureFullPageBtn: document.getElementById('capture-full-page'),
     fileInput: document.getElementById('file-input'),
     imagePreviewContainer: document.getElementById('image-preview-container'),
+    attachmentsPreview: document.getElementById('attachments-preview'),
     imagesGrid: document.getElementById('images-grid'),
     imageModal: document.getElementById('image-modal'),
     modalImage: document.getElementById('modal-image'),
     closeModal: document.querySelector('.close-modal'),
+    attachmentModal: document.getElementById('attachment-modal'),
+    attachmentModalTitle: document.getElementById('attachment-modal-title'),
+    attachmentModalText: document.getElementById('attachment-modal-text'),
+    attachmentModalNote: document.getElementById('attachment-modal-note'),
+    closeAttachmentModal: document.getElementById('close-attachment-modal'),
     mermaidModal: document.getElementById('mermaid-modal'),
     mermaidModalContent: document.getElementById('mermaid-modal-content'),
     mermaidCloseModal: document.querySelector('.mermaid-close-modal'),
     chatStatusMessage: document.getElementById('chat-status-message'),
+    selectionFocus: document.getElementById('selection-focus'),
+    selectionFocusText: document.getElementById('selection-focus-text'),
+    clearSelectionFocusBtn: document.getElementById('clear-selection-focus'),
+    pageChangedNotice: document.getElementById('page-changed-notice'),
+    pageChangedText: document.getElementById('page-changed-text'),
+    pageChangedRefreshBtn: document.getElementById('page-changed-refresh'),
+    pageChangedNewChatBtn: document.getElementById('page-changed-new-chat'),
+    pageChangedDismissBtn: document.getElementById('page-changed-dismiss'),
     // Settings Interface
     settingsSection: document.getElementById('settings'),
     settingsNavBtns: document.querySelectorAll('.settings-nav-btn'),
@@ -80,11 +145,21 @@ const elements = {
     closePanelBtnSettings: document.getElementById('close-panel-settings'),
     // Settings - General
     languageSelect: document.getElementById('language-select'),
+    contextModeSelect: document.getElementById('context-mode-select'),
+    pageTextFormatSelect: document.getElementById('page-text-format-select'),
+    pdfModeSelect: document.getElementById('pdf-mode-select'),
+    guardedContextToggle: document.getElementById('guarded-context-toggle'),
+    citationsToggle: document.getElementById('citations-toggle'),
+    newChatOnNavigationToggle: document.getElementById('new-chat-on-navigation-toggle'),
     themeToggleBtnSettings: document.getElementById('theme-toggle-btn'), // Draggable button
     moonIconSettings: document.getElementById('moon-icon'),
     sunIconSettings: document.getElementById('sun-icon'),
     exportFormatSelect: document.getElementById('export-format'),
     exportChatHistoryBtn: document.getElementById('export-chat-history'),
+    exportIncludeThoughts: document.getElementById('export-include-thoughts'),
+    // URL Rules
+    addUrlRuleBtn: document.getElementById('add-url-rule'),
+    urlRulesList: document.getElementById('url-rules-list'),
     // Settings - Agent
     agentsList: document.getElementById('agents-list'),
     addNewAgent: document.getElementById('add-new-agent'),
@@ -95,15 +170,32 @@ const elements = {
     importAgentsBtn: document.getElementById('import-agents'),
     exportAgentsBtn: document.getElementById('export-agents'),
     importAgentInput: document.getElementById('import-agent-input'),
+    // Settings - Prompt Templates
+    addPromptTemplateBtn: document.getElementById('add-prompt-template'),
+    promptTemplatesList: document.getElementById('prompt-templates-list'),
+    // Chat - Template Palette
+    templatePalette: document.getElementById('template-palette'),
+    templatePaletteList: document.getElementById('template-palette-list'),
+    templatePaletteFields: document.getElementById('template-palette-fields'),
     // Settings - Model
+    providerSelection: document.getElementById('provider-selection'),
     apiKey: document.getElementById('api-key'),
+    apiKeyLink: document.getElementById('api-key-link'),
+    localEndpointGroup: document.getElementById('local-endpoint-group'),
+    localEndpoint: document.getElementById('local-endpoint'),
+    localApiFormat: document.getElementById('local-api-format'),
     modelSelection: document.getElementById('model-selection'),
+    customModelInput: document.getElementById('custom-model-id'),
+    modelCapabilities: document.getElementById('model-capabilities'),
     saveModelSettings: document.getElementById('save-model-settings'),
     connectionStatus: document.getElementById('connection-status'),
     toggleApiKey: document.getElementById('toggle-api-key'),
     apiKeyInput: document.getElementById('api-key'), // Alias
     // Footer Status Bar
     contextStatus: document.getElementById('context-status'),
+    contextStatusText: document.getElementById('context-status-text'),
+    injectionWarningChip: document.getElementById('injection-warning-chip'),
+    annotationsChip: document.getElementById('annotations-chip'),
     connectionIndicator: document.getElementById('connection-indicator'),
 };
 
@@ -117,8 +209,17 @@ function _(key, replacements = {}) {
     return translation;
 }
 
+// Resolves when loadAppSettings has applied the stored settings (API key, model, ...)
+let resolveSettingsLoaded;
+const settingsLoaded = new Promise(resolve => { resolveSettingsLoaded = resolve; });
+// Resolves when the URL rules are loaded (they decide how the page is extracted)
+let resolveUrlRulesLoaded;
+const urlRulesLoaded = new Promise(resolve => { resolveUrlRulesLoaded = resolve; });
+
 // --- Scroll Tracking ---
 let isUserNearBottom = true;
+let templatePaletteMatches = []; // Templates listed in the slash-command palette
+let templatePaletteIndex = 0; // Highlighted template in the palette
 const SCROLL_THRESHOLD = 30; // Increased threshold slightly
 
 // --- Initialization ---
@@ -131,14 +232,22 @@ function init() {
     // Load settings (app, agents) - this also loads language and applies initial theme/translations
     loadAppSettings(
         state, elements,
-        () => updateConnectionIndicator(state.isConnected, elements, currentTranslations), // Pass updateConnectionIndicator directly
+        () => { // Called once the stored settings are applied
+            updateConnectionIndicator(state.isConnected, elements, currentTranslations);
+            resolveSettingsLoaded();
+        },
         loadAndApplyTranslations, // Pass translation loader
         (isDark) => applyTheme(isDark, elements) // Pass applyTheme
     );
     loadAgents(
         state,
         () => updateAgentsListUI(state, elements, currentTranslations, autoSaveAgentSettings, showDeleteConfirmDialogUI, switchAgentAndUpdateState), // Pass agent UI update
-        () => updateAgentSelectionInChat(state, elements), // Pass chat dropdown update
+        () => { // Pass chat dropdown update
+            updateAgentSelectionInChat(state, elements);
+            initModelSelection(state, elements); // The current agent may use its own model
+            updateExtractModeIndicator(); // ...and its own extraction schema
+            updateUrlRulesListUIAllArgs(); // Rules offer the agents in a dropdown
+        },
         () => saveCurrentAgentId(state), // Pass save current ID
         currentTranslations // Pass translations for default agent name
     );
@@ -161,8 +270,16 @@ function init() {
     updateConnectionIndicator(state.isConnected, elements, currentTranslations); // Update footer connection status
     updateContextStatus('contextStatusNone', {}, elements, currentTranslations); // Initial context status
 
-    // Request page content after setup
-    requestPageContent();
+    loadPromptTemplates(state, updatePromptTemplatesListUIAllArgs);
+
+    loadUrlRules(state, () => {
+        updateUrlRulesListUIAllArgs();
+        resolveUrlRulesLoaded();
+    });
+
+    // Request page content once settings and URL rules are loaded (extraction depends on the injection guard setting;
+    // the rule matching the page URL is applied when the content arrives, see handlePageContentExtracted)
+    Promise.all([settingsLoaded, urlRulesLoaded]).then(() => requestPageContent());
 
     // Mermaid Initialization (ensure library is loaded)
     if (typeof mermaid !== 'undefined') {
@@ -170,6 +287,7 @@ function init() {
             mermaid.initialize({
                 startOnLoad: false,
                 theme: state.darkMode ? 'dark' : 'default',
+                securityLevel: 'strict', // 图表中的标签经 Mermaid 自身清理，不允许点击事件
                 logLevel: 'error'
             });
             console.log('Mermaid initialized.');
@@ -206,15 +324,53 @@ function setupEventListeners() {
     // Chat Actions
     elements.sendMessage.addEventListener('click', sendUserMessageTrigger); // Initial listener
     elements.userInput.addEventListener('keydown', handleUserInputKeydown);
+    elements.userInput.addEventListener('input', () => {
+        templatePaletteIndex = 0;
+        updateTemplatePalette();
+    });
+    elements.userInput.addEventListener('blur', closeTemplatePalette);
     elements.clearContextBtn.addEventListener('click', () => clearContextAction(state, elements, clearImagesUI, showToastUI, currentTranslations));
+
+    // Multi-tab Context
+    elements.tabContextBtn.addEventListener('click', toggleTabPicker);
+
+    // Extract Mode (JSON Schema)
+    elements.extractModeBtn.addEventListener('click', toggleExtractSchemaPanel);
+    elements.applyExtractSchemaBtn.addEventListener('click', applyChatExtractSchema);
+    elements.clearExtractSchemaBtn.addEventListener('click', clearChatExtractSchema);
+
+    // Selection Focus
+    elements.clearSelectionFocusBtn.addEventListener('click', () => {
+        state.selectionContext = '';
+        updateSelectionFocus(state, elements);
+    });
+    elements.pageChangedRefreshBtn.addEventListener('click', refreshChangedPage);
+    elements.pageChangedNewChatBtn.addEventListener('click', () => startChatForChangedPage(true));
+    elements.pageChangedDismissBtn.addEventListener('click', () => {
+        state.pendingPageChange = null;
+        updatePageChangedNotice(state, elements, currentTranslations);
+    });
+
+    // History Browser
+    let historySearchTimer = null;
+    elements.historyBtn.addEventListener('click', toggleHistoryPanel);
+    elements.closeHistoryBtn.addEventListener('click', () => { elements.historyPanel.style.display = 'none'; });
+    elements.historySearch.addEventListener('input', () => {
+        clearTimeout(historySearchTimer);
+        historySearchTimer = setTimeout(refreshHistoryList, 200);
+    });
     elements.chatModelSelection.addEventListener('change', handleChatModelChange);
     elements.chatAgentSelection.addEventListener('change', handleChatAgentChange);
 
     // Image Handling
     elements.uploadImage.addEventListener('click', () => elements.fileInput.click());
-    elements.fileInput.addEventListener('change', (e) => handleImageSelect(e, (file) => handleImageFile(file, state, updateImagesPreviewUI), elements));
+    elements.captureScreenshotBtn.addEventListener('click', () => captureScreenshot(false));
+    elements.captureFullPageBtn.addEventListener('click', () => captureScreenshot(true));
+    elements.fileInput.addEventListener('change', (e) => handleImageSelect(e, (file) => handleImageFile(file, state, updateImagesPreviewUI), elements, (file) => handleAttachmentFile(file, state, updateAttachmentsPreviewUI, showToastUI, currentTranslations)));
     elements.closeModal.addEventListener('click', () => hideImageModal(elements));
     window.addEventListener('click', (e) => { if (e.target === elements.imageModal) hideImageModal(elements); }); // Close modal on overlay click
+    elements.closeAttachmentModal.addEventListener('click', () => hideAttachmentPreview(elements));
+    elements.attachmentModal.addEventListener('click', (e) => { if (e.target === elements.attachmentModal) hideAttachmentPreview(elements); });
 
     // Mermaid Modal
     elements.mermaidCloseModal.addEventListener('click', () => hideMermaidModal(elements));
@@ -222,26 +378,41 @@ function setupEventListeners() {
 
     // Settings Actions
     elements.saveModelSettings.addEventListener('click', () => saveModelSettings(true, state, elements, (msg, type) => showConnectionStatus(msg, type, elements), showToastUI, () => updateConnectionIndicator(state.isConnected, elements, currentTranslations), currentTranslations));
+    elements.providerSelection.addEventListener('change', () => handleProviderChange(state, elements));
+    elements.modelSelection.addEventListener('change', () => handleModelSelectionChange(state, elements));
     elements.toggleApiKey.addEventListener('click', () => toggleApiKeyVisibility(elements));
     elements.languageSelect.addEventListener('change', () => handleLanguageChange(state, elements, loadAndApplyTranslations, showToastUI, currentTranslations));
+    elements.contextModeSelect.addEventListener('change', () => handleContextModeChange(state, elements, showToastUI, currentTranslations));
+    elements.pageTextFormatSelect.addEventListener('change', () => handlePageTextFormatChange(state, elements, showToastUI, currentTranslations, requestPageContent));
+    elements.pdfModeSelect.addEventListener('change', () => handlePdfModeChange(state, elements, showToastUI, currentTranslations));
+    elements.guardedContextToggle.addEventListener('change', () => handleGuardedContextChange(state, elements, showToastUI, currentTranslations, requestPageContent));
+    elements.citationsToggle.addEventListener('change', () => handleCitationsChange(state, elements, showToastUI, currentTranslations));
+    elements.newChatOnNavigationToggle.addEventListener('change', () => handleNewChatOnNavigationChange(state, elements, showToastUI, currentTranslations));
+    elements.annotationsChip.addEventListener('click', () => window.PagetalkChannel.postToPage({ action: 'clearAnnotations' }));
     elements.exportChatHistoryBtn.addEventListener('click', () => handleExportChat(state, elements, showToastUI, currentTranslations));
 
     // Agent Actions
     elements.addNewAgent.addEventListener('click', () => createNewAgent(state, updateAgentsListUIAllArgs, updateAgentSelectionInChatUI, saveAgentsListState, showToastUI, currentTranslations));
     elements.importAgentsBtn.addEventListener('click', () => elements.importAgentInput.click());
-    elements.importAgentInput.addEventListener('change', (e) => handleAgentImport(e, state, saveAgentsListState, updateAgentsListUIAllArgs, updateAgentSelectionInChatUI, saveCurrentAgentIdState, showToastUI, currentTranslations));
+    elements.importAgentInput.addEventListener('change', (e) => handleAgentImport(e, state, saveAgentsListState, updateAgentsListUIAllArgs, updateAgentSelectionInChatUI, saveCurrentAgentIdState, showToastUI, currentTranslations, updatePromptTemplatesListUIAllArgs));
     elements.exportAgentsBtn.addEventListener('click', () => handleAgentExport(state, showToastUI, currentTranslations));
     elements.cancelDelete.addEventListener('click', () => { if (elements.deleteConfirmDialog) elements.deleteConfirmDialog.style.display = 'none'; });
     elements.confirmDelete.addEventListener('click', () => confirmDeleteAgent(state, elements, updateAgentsListUIAllArgs, updateAgentSelectionInChatUI, saveAgentsListState, showToastUI, currentTranslations));
     window.addEventListener('click', (e) => { if (e.target === elements.deleteConfirmDialog) elements.deleteConfirmDialog.style.display = 'none'; }); // Close delete confirm on overlay click
 
+    // Prompt Templates
+    elements.addPromptTemplateBtn.addEventListener('click', () => createPromptTemplate(state, updatePromptTemplatesListUIAllArgs, currentTranslations));
+
+    // URL Rules
+    elements.addUrlRuleBtn.addEventListener('click', () => createUrlRule(state, updateUrlRulesListUIAllArgs));
+
     // Panel Closing
     elements.closePanelBtnChat.addEventListener('click', closePanel);
     elements.closePanelBtnSettings.addEventListener('click', closePanel);
     document.addEventListener('keydown', (e) => { if (e.key === 'Escape') closePanel(); });
 
-    // Window Messages (from content script)
-    window.addEventListener('message', handleContentScriptMessages);
+    // Messages from content.js (over the private channel, see channel.js)
+    window.PagetalkChannel.onPageMessage(handleContentScriptMessages);
 
     // Scroll Tracking
     if (elements.chatMessages) {
@@ -252,6 +423,26 @@ function setupEventListeners() {
 // --- Event Handlers & Triggers ---
 
 function handleUserInputKeydown(e) {
+    if (isTemplatePaletteOpen()) {
+        if (templatePaletteMatches.length > 0 && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            templatePaletteIndex = (templatePaletteIndex + step + templatePaletteMatches.length) % templatePaletteMatches.length;
+            updateTemplatePalette();
+            return;
+        }
+        if (templatePaletteMatches.length > 0 && ((e.key === 'Enter' && !e.shiftKey) || e.key === 'Tab')) {
+            e.preventDefault();
+            applyPromptTemplate(templatePaletteMatches[templatePaletteIndex]);
+            return;
+        }
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation(); // Close the palette, not the panel
+            closeTemplatePalette();
+            return;
+        }
+    }
     if (e.key === 'Enter' && !e.shiftKey) {
         e.preventDefault();
         if (!state.isStreaming) {
@@ -260,8 +451,64 @@ function handleUserInputKeydown(e) {
     }
 }
 
+// --- Prompt Template Palette ---
+
+function isTemplatePaletteOpen() {
+    return elements.templatePalette.style.display !== 'none' && elements.templatePaletteFields.style.display === 'none';
+}
+
+// Show the palette while the input is "/query" (only when templates exist, so paths like /usr still send normally)
+function updateTemplatePalette() {
+    const query = getSlashQuery(elements.userInput.value);
+    if (query === null || state.promptTemplates.length === 0) {
+        closeTemplatePalette();
+        return;
+    }
+    templatePaletteMatches = filterPromptTemplates(state.promptTemplates, query);
+    templatePaletteIndex = Math.min(templatePaletteIndex, Math.max(templatePaletteMatches.length - 1, 0));
+    renderTemplatePalette(templatePaletteMatches, templatePaletteIndex, elements, currentTranslations, applyPromptTemplate);
+}
+
+function closeTemplatePalette() {
+    if (elements.templatePaletteFields.style.display !== 'none') return; // The fill-in form closes itself
+    elements.templatePalette.style.display = 'none';
+    templatePaletteMatches = [];
+}
+
+// Expand the template into the input (not sent, so it can still be edited)
+async function applyPromptTemplate(template) {
+    closeTemplatePalette();
+    const fields = getTemplateFields(template.content);
+    const fieldValues = fields.length > 0 ? await promptTemplateFields(template, fields, elements, currentTranslations) : {};
+    elements.userInput.focus(); // Reading the clipboard requires focus
+    if (!fieldValues) return; // Cancelled: keep the typed command
+    const builtinValues = await resolveBuiltinVariables(template.content, state);
+    elements.userInput.value = expandTemplate(template.content, { ...fieldValues, ...builtinValues });
+    resizeTextarea(elements);
+}
+
 function handleChatModelChange() {
+    if (state.urlRuleModel) {
+        // The model came from a URL rule: the manual choice applies to this page only
+        state.urlRuleModel = { ...state.urlRuleModel, model: elements.chatModelSelection.value };
+        return;
+    }
+    const currentAgent = state.agents.find(agent => agent.id === state.currentAgentId);
+    if (currentAgent && (currentAgent.model || currentAgent.provider)) {
+        // The current agent has its own model: update the agent instead of the default model
+        currentAgent.model = elements.chatModelSelection.value;
+        loadCurrentAgentSettingsIntoState(state);
+        saveAgentsListState();
+        updateAgentsListUIAllArgs();
+        return;
+    }
     state.model = elements.chatModelSelection.value;
+    if (elements.providerSelection.value !== state.provider) {
+        // Discard an unsaved provider switch in the settings tab before saving
+        elements.providerSelection.value = state.provider;
+        handleProviderChange(state, elements);
+    }
+    elements.customModelInput.value = ''; // The chat dropdown choice wins over an unsaved custom ID
     elements.modelSelection.value = state.model; // Sync settings tab
     saveModelSettings(false, state, elements, (msg, type) => showConnectionStatus(msg, type, elements), showToastUI, () => updateConnectionIndicator(state.isConnected, elements, currentTranslations), currentTranslations); // Save without toast
 }
@@ -277,18 +524,19 @@ function handleChatScroll() {
 
 // Wrapper function to trigger sendUserMessage with all dependencies
 function sendUserMessageTrigger() {
-    sendUserMessageAction(
+    return sendUserMessageAction(
         state, elements, currentTranslations,
         (msg, type) => showConnectionStatus(msg, type, elements), // showConnectionStatusCallback
         addMessageToChatUI, // addMessageToChatCallback
         (afterEl) => addThinkingAnimation(afterEl, elements, isUserNearBottom), // addThinkingAnimationCallback
         () => resizeTextarea(elements), // resizeTextareaCallback
         clearImagesUI, // clearImagesCallback
+        clearAttachmentsUI, // clearAttachmentsCallback
         showToastUI, // showToastCallback
         restoreSendButtonAndInputUI, // restoreSendButtonAndInputCallback
         abortStreamingUI, // abortStreamingCallback
         isUserNearBottom
-    );
+    ).then(persistConversation);
 }
 
 // Wrapper function to trigger abortStreaming
@@ -318,7 +566,11 @@ function updateAgentsListUIAllArgs() {
 
 // Wrapper function for autoSaveAgentSettings
 function autoSaveAgentSettings(agentId, agentItemElement) {
-    autoSaveAgentSettings(agentId, agentItemElement, state, saveAgentsListState, updateAgentSelectionInChatUI, showToastUI, currentTranslations);
+    autoSaveAgentSettingsAction(agentId, agentItemElement, state, saveAgentsListState, updateAgentSelectionInChatUI, showToastUI, currentTranslations);
+    if (agentId === state.currentAgentId) {
+        initModelSelection(state, elements); // The agent's model binding may have changed
+        updateExtractModeIndicator();
+    }
 }
 
 // Wrapper function for showDeleteConfirmDialog
@@ -328,13 +580,31 @@ function showDeleteConfirmDialogUI(agentId) {
 
 // Wrapper function for switchAgent that also saves ID and updates state
 function switchAgentAndUpdateState(agentId) {
-    switchAgent(agentId, state, saveCurrentAgentIdState);
+    switchAgent(agentId, state, saveCurrentAgentIdState, () => {
+        initModelSelection(state, elements);
+        updateExtractModeIndicator();
+    });
     // No need to call loadCurrentAgentSettingsIntoState here, switchAgent handles it.
 }
 
 // Wrapper function for updateAgentSelectionInChat
 function updateAgentSelectionInChatUI() {
     updateAgentSelectionInChat(state, elements);
+    updateUrlRulesListUIAllArgs(); // Agent names/list changed
+}
+
+// Wrapper function for updateUrlRulesListUI with all args
+function updateUrlRulesListUIAllArgs() {
+    updateUrlRulesListUI(state, elements, currentTranslations,
+        (ruleId, ruleElement) => autoSaveUrlRule(ruleId, ruleElement, state, showToastUI, currentTranslations),
+        (ruleId) => deleteUrlRule(ruleId, state, updateUrlRulesListUIAllArgs));
+}
+
+// Wrapper function for updatePromptTemplatesListUI with all args
+function updatePromptTemplatesListUIAllArgs() {
+    updatePromptTemplatesListUI(state, elements, currentTranslations,
+        (templateId, templateElement) => autoSavePromptTemplate(templateId, templateElement, state, showToastUI, currentTranslations),
+        (templateId) => deletePromptTemplate(templateId, state, updatePromptTemplatesListUIAllArgs));
 }
 
 // Wrapper function for saveAgentsList
@@ -349,7 +619,32 @@ function saveCurrentAgentIdState() {
 
 // Wrapper function for addMessageToChat
 function addMessageToChatUI(content, sender, options) {
-    return addMessageToChat(content, sender, options, state, elements, currentTranslations, addCopyButtonToCodeBlockUI, addMessageActionButtonsUI, isUserNearBottom);
+    const messageElement = addMessageToChat(content, sender, options, state, elements, currentTranslations, addCopyButtonToCodeBlockUI, addMessageActionButtonsUI, isUserNearBottom);
+    if (sender === 'bot' && options?.structured !== undefined) renderStructuredResultUI(messageElement, options.structured); // Restored extraction result
+    if (sender === 'bot' && options?.citations) renderCitationsUI(messageElement, options.citations);
+    return messageElement;
+}
+
+// The last citation chip clicked; flagged if content.js can't find its passage on the page
+let pendingCitationChip = null;
+
+// Wrapper function for renderCitations (a click scrolls to and highlights the passage in the page)
+function renderCitationsUI(messageElement, citations) {
+    renderCitations(messageElement, citations, currentTranslations, (passage, chip) => {
+        pendingCitationChip = chip;
+        window.PagetalkChannel.postToPage({ action: 'highlightCitation', text: passage });
+    });
+}
+
+// Wrapper function for renderStructuredResult (table edits are saved to the message)
+function renderStructuredResultUI(messageElement, data) {
+    renderStructuredResult(messageElement, data, currentTranslations, (newData) => {
+        const message = state.chatHistory.find(msg => msg.id === messageElement.dataset.messageId);
+        if (!message) return;
+        message.structured = newData;
+        message.parts = [{ text: window.PagetalkSchema.toJsonBlock(newData) }]; // Follow-up questions see the edited data
+        persistConversation();
+    });
 }
 
 // Wrapper function for addCopyButtonToCodeBlock
@@ -359,19 +654,23 @@ function addCopyButtonToCodeBlockUI(block) {
 
 // Wrapper function for addMessageActionButtons
 function addMessageActionButtonsUI(messageElement, content) {
-    addMessageActionButtons(messageElement, content, currentTranslations, copyMessageContent, regenerateMessageUI, deleteMessageUI);
+    const message = state.chatHistory.find(msg => msg.id === messageElement.dataset.messageId);
+    addMessageActionButtons(messageElement, content, currentTranslations, copyMessageContent, regenerateMessageUI, deleteMessageUI, editMessageUI, getBranchInfo(message), switchBranchUI);
 }
 
 // Wrapper function for copyCodeToClipboard (handles feedback)
 function copyCodeToClipboard(code, buttonElement) {
-    window.parent.postMessage({ action: 'copyText', text: code }, '*');
+    window.PagetalkChannel.postToPage({ action: 'copyText', text: code });
     showCopyCodeFeedback(buttonElement); // Show UI feedback
 }
 
 // Wrapper function for copyMessageContent (handles feedback)
 function copyMessageContent(messageElement, originalContent, buttonElement) {
-    const formattedContent = originalContent.replace(/\n/g, '\r\n');
-    window.parent.postMessage({ action: 'copyText', text: formattedContent }, '*');
+    // Extraction results can be edited in the table after rendering: copy the current data
+    const message = state.chatHistory.find(msg => msg.id === messageElement.dataset.messageId);
+    const content = message?.structured !== undefined ? window.PagetalkSchema.toJsonBlock(message.structured) : originalContent;
+    const formattedContent = content.replace(/\n/g, '\r\n');
+    window.PagetalkChannel.postToPage({ action: 'copyText', text: formattedContent });
     showCopyMessageFeedback(buttonElement); // Show UI feedback
 }
 
@@ -385,12 +684,173 @@ function regenerateMessageUI(messageId) {
         restoreSendButtonAndInputUI,
         abortStreamingUI,
         isUserNearBottom
-    );
+    ).then(persistConversation);
+}
+
+// Wrapper function for editMessage (opens the inline editor, sends on submit)
+function editMessageUI(messageId, content) {
+    if (state.isStreaming) return;
+    const messageElement = document.querySelector(`.message[data-message-id="${messageId}"]`);
+    if (!messageElement) return;
+    showMessageEditor(messageElement, content, currentTranslations, (newText) => {
+        editMessageAction(
+            messageId, newText, state, elements, currentTranslations,
+            addMessageToChatUI,
+            (afterEl) => addThinkingAnimation(afterEl, elements, isUserNearBottom),
+            restoreSendButtonAndInputUI,
+            abortStreamingUI,
+            isUserNearBottom
+        ).then(persistConversation);
+    });
+}
+
+// Wrapper function for switchMessageBranch
+function switchBranchUI(messageId, targetIndex) {
+    if (switchMessageBranchAction(messageId, targetIndex, state, addMessageToChatUI)) {
+        persistConversation();
+    }
 }
 
 // Wrapper function for deleteMessage
 function deleteMessageUI(messageId) {
-    deleteMessageAction(messageId, state);
+    deleteMessageAction(messageId, state, addMessageToChatUI);
+    persistConversation();
+}
+
+// --- Extract Mode ---
+
+function updateExtractModeIndicator() {
+    const active = !!window.GeminiAPI.resolveExtractSchema(state);
+    elements.extractModeBtn.classList.toggle('active', active);
+    elements.extractModeBtn.title = _(active ? 'extractModeActiveTitle' : 'extractModeTitle');
+}
+
+function toggleExtractSchemaPanel() {
+    const isHidden = elements.extractSchemaPanel.style.display === 'none';
+    elements.extractSchemaPanel.style.display = isHidden ? 'block' : 'none';
+    if (isHidden) {
+        elements.extractSchemaInput.value = state.chatExtractSchema || state.extractSchema || '';
+        elements.extractSchemaInput.classList.remove('invalid');
+        elements.extractSchemaInput.focus();
+    }
+}
+
+function applyChatExtractSchema() {
+    const text = elements.extractSchemaInput.value.trim();
+    const { schema, error } = window.PagetalkSchema.parseSchemaText(text);
+    elements.extractSchemaInput.classList.toggle('invalid', !!error);
+    if (error) {
+        showToastUI(_('extractSchemaInvalid', { error }), 'error');
+        return;
+    }
+    state.chatExtractSchema = schema ? text : '';
+    elements.extractSchemaPanel.style.display = 'none';
+    updateExtractModeIndicator();
+    showToastUI(_(window.GeminiAPI.resolveExtractSchema(state) ? 'extractModeOn' : 'extractModeOff'), 'success');
+}
+
+function clearChatExtractSchema() {
+    state.chatExtractSchema = '';
+    elements.extractSchemaInput.value = state.extractSchema || '';
+    elements.extractSchemaInput.classList.remove('invalid');
+    updateExtractModeIndicator();
+    // The agent's own schema still applies after clearing the chat schema
+    showToastUI(_(state.extractSchema ? 'extractModeAgentSchema' : 'extractModeOff'), 'success');
+}
+
+// --- Multi-tab Context ---
+
+let openTabs = []; // Last tab list fetched for the picker
+
+function toggleTabPicker() {
+    const isHidden = elements.tabPicker.style.display === 'none';
+    elements.tabPicker.style.display = isHidden ? 'block' : 'none';
+    if (isHidden) refreshTabPicker(true);
+}
+
+async function refreshTabPicker(reloadTabs = false) {
+    if (reloadTabs) {
+        try {
+            openTabs = await listOpenTabs();
+        } catch (error) {
+            console.error('Failed to list tabs:', error);
+            showToastUI(_('tabListFailed', { error: error.message }), 'error');
+            openTabs = [];
+        }
+    }
+    renderTabPicker(openTabs, state, elements, currentTranslations, handleTabToggle);
+    updateTabContextIndicator(state, elements);
+}
+
+function handleTabToggle(tab, checked) {
+    if (checked) {
+        addTabContext(tab, state, () => refreshTabPicker());
+    } else {
+        removeTabContext(tab.id, state);
+        refreshTabPicker();
+    }
+}
+
+// --- Conversation History ---
+
+function persistConversation() {
+    return saveCurrentConversation(state);
+}
+
+function toggleHistoryPanel() {
+    const isHidden = elements.historyPanel.style.display === 'none';
+    elements.historyPanel.style.display = isHidden ? 'flex' : 'none';
+    if (isHidden) {
+        elements.historySearch.value = '';
+        refreshHistoryList();
+        elements.historySearch.focus();
+    }
+}
+
+async function refreshHistoryList() {
+    try {
+        const conversations = await listConversations(elements.historySearch.value.trim());
+        renderHistoryList(conversations, state, elements, currentTranslations, {
+            onOpen: openConversationFromHistory,
+            onRename: async (id, title) => {
+                await renameConversation(id, title);
+                refreshHistoryList();
+            },
+            onDelete: async (id) => {
+                await deleteConversation(id);
+                if (state.conversationId === id) state.conversationId = null; // Keep the chat on screen; saving again creates a new record
+                refreshHistoryList();
+            }
+        });
+    } catch (error) {
+        console.error('Failed to load history:', error);
+        showToastUI(_('historyLoadFailed', { error: error.message }), 'error');
+    }
+}
+
+async function openConversationFromHistory(id) {
+    if (state.isStreaming) return;
+    const conversation = await getConversation(id);
+    if (!conversation) return;
+    clearImagesUI();
+    restoreConversation(conversation, state, elements, addMessageToChatUI);
+    elements.historyPanel.style.display = 'none';
+}
+
+// Restores the most recent conversation for the current URL when the panel opens on an empty chat
+async function maybeRestoreConversationForPage() {
+    if (state.historyRestoreChecked || !state.pageUrl) return;
+    state.historyRestoreChecked = true;
+    if (state.chatHistory.length > 0) return;
+    try {
+        const conversation = await getLatestConversationForUrl(state.pageUrl);
+        if (conversation && state.chatHistory.length === 0 && !state.isStreaming) {
+            restoreConversation(conversation, state, elements, addMessageToChatUI);
+            showChatStatusMessage(_('historyRestored'), 'success', elements);
+        }
+    } catch (error) {
+        console.error('Failed to restore conversation:', error);
+    }
 }
 
 // Wrapper function for clearImages
@@ -403,6 +863,15 @@ function updateImagesPreviewUI() {
     updateImagesPreview(state, elements, currentTranslations, removeImageByIdUI);
 }
 
+// Wrapper functions for the attachment chips above the chat input
+function updateAttachmentsPreviewUI() {
+    updateAttachmentsPreview(state, elements, currentTranslations, (attachmentId) => removeAttachmentById(attachmentId, state, updateAttachmentsPreviewUI));
+}
+
+function clearAttachmentsUI() {
+    clearAttachments(state, updateAttachmentsPreviewUI);
+}
+
 // Wrapper function for removeImageById
 function removeImageByIdUI(imageId) {
     removeImageById(imageId, state, updateImagesPreviewUI);
@@ -416,19 +885,41 @@ function showToastUI(message, type) {
 
 // --- Communication with Content Script ---
 
-function handleContentScriptMessages(event) {
-    const message = event.data;
+function handleContentScriptMessages(message) {
     switch (message.action) {
         case 'pageContentExtracted':
-            state.pageContext = message.content;
-            updateContextStatus('contextStatusChars', { charCount: message.content.length }, elements, currentTranslations);
-            if (message.showSuccessMessage) {
-                showChatStatusMessage(_('pageContentExtractedSuccess', {}, currentTranslations), 'success', elements);
-            }
+            handlePageContentExtracted(message);
             break;
         case 'pageContentLoaded':
             requestPageContent();
             break;
+        case 'selectionContext':
+            handleSelectionContext(message.text, message.command, message.auto === true);
+            break;
+        case 'citationNotFound':
+            if (pendingCitationChip) {
+                pendingCitationChip.classList.add('unmatched');
+                pendingCitationChip.title = _('citationNotOnPage', { number: pendingCitationChip.textContent });
+            }
+            showToastUI(_('citationNotOnPage', { number: pendingCitationChip ? pendingCitationChip.textContent : '' }), 'error');
+            break;
+        case 'pageChanged':
+            handlePageChanged(message);
+            break;
+        case 'annotationsChanged':
+            state.pageAnnotationCount = message.count || 0;
+            updateAnnotationsChip(state, elements, currentTranslations);
+            break;
+        case 'screenshotCaptured':
+            handleScreenshotCaptured(message);
+            break;
+        case 'screenshotFailed':
+            if (!takePendingScreenshot(message.requestId)) break;
+            showToastUI(_('screenshotFailed', { error: message.error }), 'error');
+            break;
+        case 'seekVideoFailed':
+            showToastUI(_('seekVideoFailed', {}, currentTranslations), 'error');
+            break;
         case 'copySuccess':
             // Feedback is now handled within the copy functions themselves
             // console.log('Copy successful (message from content script)');
@@ -454,9 +945,255 @@ function handleContentScriptMessages(event) {
     }
 }
 
-function requestPageContent() {
+/**
+ * Single-page sites change the page without reloading it, so pageContext goes stale. An empty chat just takes the
+ * new page; otherwise the user is asked, unless they chose a new chat for every URL.
+ * @param {object} message - { urlChanged, url, title }
+ */
+function handlePageChanged(message) {
+    if (!state.isStreaming && (state.chatHistory.length === 0 || (message.urlChanged && state.newChatOnNavigation))) {
+        startChatForChangedPage(message.urlChanged);
+        return;
+    }
+    state.pendingPageChange = { urlChanged: !!message.urlChanged, title: message.title };
+    updatePageChangedNotice(state, elements, currentTranslations);
+}
+
+// Re-extracts the changed page into the current chat
+function refreshChangedPage() {
+    state.pendingPageChange = null;
+    updatePageChangedNotice(state, elements, currentTranslations);
+    requestPageContent();
+}
+
+/**
+ * Re-extracts the changed page and, after navigation, starts over as if the panel had just been opened there:
+ * a new chat, or the conversation saved for the new URL, and the new URL's rule.
+ * @param {boolean} urlChanged
+ */
+function startChatForChangedPage(urlChanged) {
+    if (state.isStreaming) return;
+    if (urlChanged) {
+        if (state.chatHistory.length > 0) clearContextAction(state, elements, clearImagesUI, showToastUI, currentTranslations, false);
+        state.historyRestoreChecked = false;
+    }
+    refreshChangedPage();
+}
+
+// The capture this panel asked for; other screenshot replies are ignored
+let pendingScreenshotRequestId = null;
+
+/**
+ * Asks content.js to screenshot the page (it hides the panel meanwhile and captures through background.js).
+ * @param {boolean} fullPage - Scroll and stitch the whole page instead of the visible area
+ */
+function captureScreenshot(fullPage) {
+    pendingScreenshotRequestId = crypto.randomUUID();
+    setScreenshotButtonsDisabled(true);
+    window.PagetalkChannel.postToPage({ action: 'captureScreenshot', requestId: pendingScreenshotRequestId, fullPage });
+}
+
+/**
+ * Ends the pending capture if the reply belongs to it; replies to no request are ignored.
+ * @param {string} requestId
+ * @returns {boolean}
+ */
+function takePendingScreenshot(requestId) {
+    if (!pendingScreenshotRequestId || requestId !== pendingScreenshotRequestId) return false;
+    pendingScreenshotRequestId = null;
+    setScreenshotButtonsDisabled(false);
+    return true;
+}
+
+// One capture at a time: both screenshot buttons stay disabled until content.js replies
+function setScreenshotButtonsDisabled(disabled) {
+    elements.captureScreenshotBtn.disabled = disabled;
+    elements.captureFullPageBtn.disabled = disabled;
+}
+
+// Adds the screenshot to the images of the next message, like an uploaded image
+async function handleScreenshotCaptured(message) {
+    if (!takePendingScreenshot(message.requestId)) return;
+    // Never fetch a URL supplied by the page: only image data URLs are accepted
+    if (typeof message.dataUrl !== 'string' || !message.dataUrl.startsWith('data:image/')) {
+        showToastUI(_('screenshotFailed', { error: 'Invalid image data' }), 'error');
+        return;
+    }
+    try {
+        const blob = await (await fetch(message.dataUrl)).blob();
+        const extension = blob.type === 'image/jpeg' ? 'jpg' : 'png';
+        const file = new File([blob], `screenshot-${Date.now()}.${extension}`, { type: blob.type });
+        handleImageFile(file, state, updateImagesPreviewUI);
+    } catch (error) {
+        console.error('Failed to read the screenshot:', error);
+        showToastUI(_('screenshotFailed', { error: error.message }), 'error');
+    }
+}
+
+// Prompts for the "Explain / Translate / Summarize selection" context menu entries
+const SELECTION_COMMAND_PROMPTS = {
+    explain: 'selectionExplainPrompt',
+    translate: 'selectionTranslatePrompt',
+    summarize: 'selectionSummarizePrompt'
+};
+
+/**
+ * Makes page-selected text the focus of the next question; context menu commands send their prompt right away.
+ * @param {string} text
+ * @param {string|null} command - Key of SELECTION_COMMAND_PROMPTS, or null
+ * @param {boolean} auto - Selected while reading (mouseup) rather than through the context menu
+ */
+async function handleSelectionContext(text, command, auto) {
+    if (!text || typeof text !== 'string') return;
+    // A selection made while reading does not replace the focus block already above the input
+    if (auto && state.selectionContext) {
+        if (state.selectionContext !== text) showChatStatusMessage(_('selectionFocusKept'), 'success', elements);
+        return;
+    }
+    state.selectionContext = text;
+    updateSelectionFocus(state, elements);
+    // Only context menu commands (content.js passes them on from background.js) send a prompt by themselves
+    const promptKey = auto ? null : SELECTION_COMMAND_PROMPTS[command];
+    if (!promptKey) {
+        elements.userInput.focus();
+        return;
+    }
+    await settingsLoaded; // The panel may have just been opened by the context menu
+    elements.userInput.value = _(promptKey);
+    resizeTextarea(elements);
+    if (!state.isStreaming) {
+        sendUserMessageTrigger(); // Context menu commands run immediately
+    }
+}
+
+/**
+ * Applies extracted page content, after checking the URL rules: when the matching rule asks for another
+ * extraction mode the page is extracted again, and the rule's agent, model and auto-run prompt are applied.
+ * PDF pages are downloaded and read in the panel, since Chrome's PDF viewer gives content.js no text.
+ * The URL comes from the tab, not from the message: any script on the page can post one.
+ * @param {object} message - { content, title, extractionMode, isPdf, showSuccessMessage }
+ */
+async function handlePageContentExtracted(message) {
+    const tab = await getPanelTab();
+    const pageUrl = tab ? tab.url : '';
+    const rule = matchUrlRule(state.urlRules, pageUrl);
+    const extractionMode = getRuleExtractionMode(rule);
+    if ((message.extractionMode || DEFAULT_EXTRACTION_MODE) !== extractionMode && state.pageExtractionMode !== extractionMode) {
+        requestPageContent(extractionMode);
+        return;
+    }
+
+    let content = message.content;
+    let pdf = null;
+    state.pageIsPdf = extractionMode !== 'none' && !!pageUrl && (message.isPdf || (window.PagetalkPdf.isPdfUrl(pageUrl) && !content.trim()));
+    if (state.pageIsPdf) {
+        updateContextStatus('contextStatusPdfLoading', {}, elements, currentTranslations);
+        pdf = await extractPdfPageContent(pageUrl, tab.title);
+        content = pdf.content;
+    }
+
+    state.pageContext = content;
+    state.pendingPageChange = null;
+    updatePageChangedNotice(state, elements, currentTranslations);
+    state.pageVideo = extractionMode !== 'none' ? message.video || null : null;
+    if (pageUrl) state.pageUrl = pageUrl;
+    if (tab && tab.title) state.pageTitle = tab.title;
+    if (extractionMode === 'none') {
+        updateContextStatus('contextStatusDisabledByRule', {}, elements, currentTranslations);
+    } else if (pdf && pdf.error) {
+        updateContextStatus('contextStatusPdfFailed', { error: pdf.error }, elements, currentTranslations);
+    } else if (pdf) {
+        updateContextStatus(content ? 'contextStatusPdfPages' : 'contextStatusPdfNoText', { pageCount: pdf.pageCount, charCount: content.length }, elements, currentTranslations);
+    } else if (state.pageVideo || message.adapter) {
+        // Say where the context came from: the site adapter and/or the video transcript
+        const statusKey = !state.pageVideo ? 'contextStatusChars'
+            : state.pageVideo.cueCount > 0 ? 'contextStatusVideoTranscript' : 'contextStatusVideoNoTranscript';
+        const replacements = { language: state.pageVideo?.language || '-', charCount: content.length };
+        if (message.adapter) {
+            updateContextStatus('contextStatusAdapter', { adapter: message.adapter.name, status: _(statusKey, replacements) }, elements, currentTranslations);
+        } else {
+            updateContextStatus(statusKey, replacements, elements, currentTranslations);
+        }
+    } else {
+        updateContextStatus('contextStatusChars', { charCount: content.length }, elements, currentTranslations);
+    }
+    state.pageInjectionWarnings = state.guardedContext ? window.PagetalkGuard.detectInjection(content) : [];
+    updateInjectionWarning(state, elements, currentTranslations);
+    state.pageAnnotationCount = message.annotationCount || 0;
+    updateAnnotationsChip(state, elements, currentTranslations);
+    if (message.showSuccessMessage && extractionMode !== 'none') {
+        showChatStatusMessage(_('pageContentExtractedSuccess', {}, currentTranslations), 'success', elements);
+    }
+    // The auto-run prompt only goes out once a previous conversation for this URL had the chance to be restored
+    if (pageUrl) maybeRestoreConversationForPage().then(() => applyUrlRule(rule, pageUrl));
+}
+
+/**
+ * Asks background.js which tab hosts the panel (chrome.tabs knows the real URL).
+ * @returns {Promise<{id: number, url: string, title: string}|null>}
+ */
+async function getPanelTab() {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getPanelTab' });
+        if (response && !response.error) return response;
+        console.warn('Failed to get the panel tab:', response && response.error);
+    } catch (error) {
+        console.error('Failed to get the panel tab:', error);
+    }
+    return null;
+}
+
+/**
+ * Downloads the PDF shown in the tab and extracts its text page by page (locally, see pdf.js).
+ * @param {string} url - PDF URL
+ * @param {string} title - Document title, used as the top heading
+ * @returns {Promise<{content: string, pageCount: number, error: string|null}>}
+ */
+async function extractPdfPageContent(url, title) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const { pageCount, pages } = await window.PagetalkPdf.extractPdfPages(await response.arrayBuffer());
+        return { content: window.PagetalkPdf.formatPdfPages(pages, title), pageCount, error: null };
+    } catch (error) {
+        console.error('Failed to extract PDF:', error);
+        return { content: '', pageCount: 0, error: error.code === 'encrypted' ? _('pdfEncrypted') : error.message };
+    }
+}
+
+/**
+ * Applies a URL rule's agent, model and auto-run prompt once per page URL, so manual changes afterwards stick.
+ * @param {object|null} rule - Matching rule, or null to clear the previous rule's model
+ * @param {string} pageUrl - Page URL the rule was matched against
+ */
+function applyUrlRule(rule, pageUrl) {
+    if (state.urlRuleAppliedFor === pageUrl) return;
+    state.urlRuleAppliedFor = pageUrl;
+    state.urlRuleModel = rule && (rule.model || rule.provider) ? { provider: rule.provider, model: rule.model } : null;
+    if (rule && rule.agentId && rule.agentId !== state.currentAgentId && state.agents.some(agent => agent.id === rule.agentId)) {
+        switchAgentAndUpdateState(rule.agentId);
+        elements.chatAgentSelection.value = rule.agentId;
+    }
+    initModelSelection(state, elements); // Show the model actually used
+    if (!rule) return;
+
+    console.log(`URL rule applied for ${pageUrl}: ${rule.pattern}`);
+    showChatStatusMessage(_('urlRuleApplied', { pattern: rule.pattern }, currentTranslations), 'success', elements);
+    if (rule.autoRunPrompt && state.chatHistory.length === 0 && !state.isStreaming) {
+        elements.userInput.value = rule.autoRunPrompt;
+        resizeTextarea(elements);
+        sendUserMessageTrigger();
+    }
+}
+
+/**
+ * Asks content.js to extract the page.
+ * @param {string} [mode] - 'readability' | 'full' | 'selection' | 'none'; defaults to the mode of the last matching URL rule
+ */
+function requestPageContent(mode = state.pageExtractionMode) {
+    state.pageExtractionMode = mode;
     updateContextStatus('contextStatusExtracting', {}, elements, currentTranslations);
-    window.parent.postMessage({ action: 'requestPageContent' }, '*');
+    window.PagetalkChannel.postToPage({ action: 'requestPageContent', guarded: state.guardedContext, mode, format: state.pageTextFormat });
 }
 
 function requestThemeFromContentScript() {
@@ -497,7 +1234,7 @@ function requestThemeFromContentScript() {
 }
 
 function closePanel() {
-    window.parent.postMessage({ action: 'closePanel' }, '*');
+    window.PagetalkChannel.postToPage({ action: 'closePanel' });
 }
 
 // --- Translation Loading ---
@@ -513,17 +1250,26 @@ function loadAndApplyTranslations(language) {
 
     // Update dynamic parts that depend on translations
     updateAgentsListUIAllArgs(); // Re-render agent list with translated labels/placeholders
+    updateUrlRulesListUIAllArgs(); // Re-render URL rules with translated labels
+    updatePromptTemplatesListUIAllArgs(); // Re-render templates with translated placeholders
+    updateExtractModeIndicator(); // Translated button title
+    refreshModelCapabilityLabels(state, elements); // Model capability hint and option tooltips
     updateConnectionIndicator(state.isConnected, elements, currentTranslations); // Re-render connection status text
+    if (elements.tabPicker.style.display !== 'none') refreshTabPicker(); // Re-render tab statuses
     // Update context status based on current state.pageContext
     let contextKey = 'contextStatusNone';
     let contextReplacements = {};
     if (state.pageContext === null) contextKey = 'contextStatusExtracting';
     else if (state.pageContext === 'error') contextKey = 'contextStatusFailed';
+    else if (state.pageExtractionMode === 'none') contextKey = 'contextStatusDisabledByRule';
     else if (state.pageContext) {
         contextKey = 'contextStatusChars';
         contextReplacements = { charCount: state.pageContext.length };
     }
     updateContextStatus(contextKey, contextReplacements, elements, currentTranslations);
+    updateInjectionWarning(state, elements, currentTranslations);
+    updateAnnotationsChip(state, elements, currentTranslations);
+    updatePageChangedNotice(state, elements, currentTranslations);
 
     // Re-render welcome message if chat is empty
     if (elements.chatMessages && elements.chatMessages.children.length === 1 && elements.chatMessages.firstElementChild.classList.contains('welcome-message')) {
@@ -537,9 +1283,12 @@ function loadAndApplyTranslations(language) {
         // Also update existing message action button titles
         document.querySelectorAll('.message-action-btn, .copy-button').forEach(btn => {
             if (btn.classList.contains('copy-button')) btn.title = _('copyAll');
+            else if (btn.classList.contains('edit-btn')) btn.title = _('edit');
             else if (btn.classList.contains('regenerate-btn')) btn.title = _('regenerate');
             else if (btn.classList.contains('delete-btn')) btn.title = _('deleteMessage');
         });
+        document.querySelectorAll('.branch-prev-btn').forEach(btn => btn.title = _('previousBranch'));
+        document.querySelectorAll('.branch-next-btn').forEach(btn => btn.title = _('nextBranch'));
         document.querySelectorAll('.code-copy-button').forEach(btn => btn.title = _('copyCode'));
     }
 
@@ -560,6 +1309,11 @@ window.addCopyButtonToCodeBlock = addCopyButtonToCodeBlockUI; // Expose wrappers
 window.addMessageActionButtons = addMessageActionButtonsUI;
 window.updateStreamingMessage = updateStreamingMessage;
 window.finalizeBotMessage = finalizeBotMessage;
+window.updateToolSteps = (messageElement, toolCalls) => renderToolSteps(messageElement, toolCalls, currentTranslations);
+window.confirmTabRead = (messageElement, tab, signal) => showTabReadApproval(messageElement, tab, currentTranslations, signal);
+window.updateReasoning = (messageElement, thought, isStreaming) => renderReasoningBlock(messageElement, thought, currentTranslations, isStreaming);
+window.renderStructuredResult = renderStructuredResultUI;
+window.renderCitations = renderCitationsUI;
 window.showToast = showToastUI; // Expose toast globally if needed
 
 // --- Start Application ---
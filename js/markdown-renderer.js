@@ -24,9 +24,8 @@ function initMarkdownRenderer() {
             // --- Mermaid ---
             if (lang && lang.toLowerCase() === 'mermaid') {
                 // Don't highlight mermaid code blocks, just wrap them for Mermaid library
-                // We still escape the content just in case, though Mermaid might handle it.
-                // Let's return the raw string as Mermaid expects it.
-                return `<pre class="mermaid">${str}</pre>`;
+                // Escape the definition so it can't break out of the <pre>; render.js reads it back via textContent.
+                return `<pre class="mermaid">${escapeHtml(str)}</pre>`;
             }
             // --- End Mermaid ---
 
@@ -0,0 +1,121 @@
+/**
+ * Pagetalk - PDF 文本提取
+ * 在本地按页提取 PDF 的文字 (使用 js/lib 中的 pdf.js，不联网)，页码用于回答中的引用 (例如 "p. 12")。
+ * 只设置了权限密码的 PDF 可以正常提取；需要打开密码的 PDF 无法提取；扫描件没有文字层，提取结果为空，
+ * 这时可以改为把 PDF 文件直接发送给 Gemini。
+ */
+
+const PDF_WORKER_URL = chrome.runtime.getURL('js/lib/pdf.worker.min.js');
+const PDF_CMAP_URL = chrome.runtime.getURL('js/lib/pdf-cmaps/'); // 没有 ToUnicode 映射的 CID 字体 (部分中日韩文 PDF) 靠 CMap 还原文字
+
+/**
+ * 整理一页的文字：合并多余的空白
+ * @param {string} text
+ * @returns {string}
+ */
+function tidyPageText(text) {
+    return text
+        .split('\n')
+        .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * 带错误代码的异常
+ * @param {string} message
+ * @param {string} code
+ * @returns {Error}
+ */
+function createPdfError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * 把 pdf.js 的文字片段拼成一页的文字
+ * @param {Array<{str?: string, hasEOL?: boolean}>} items - page.getTextContent() 的 items (标记内容没有 str)
+ * @returns {string}
+ */
+function joinTextItems(items) {
+    return items.map(item => (typeof item.str === 'string' ? item.str : '') + (item.hasEOL ? '\n' : '')).join('');
+}
+
+/**
+ * 按页提取 PDF 的文字
+ * @param {ArrayBuffer|Uint8Array} data - PDF 文件内容 (会转交给 worker，调用后不要再使用)
+ * @returns {Promise<{pageCount: number, pages: Array<{number: number, text: string}>}>}
+ * @throws {Error} 不是 PDF 文件或需要打开密码 (error.code 为 'invalid' / 'encrypted')
+ */
+async function extractPdfPages(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    pdfjsLib.GlobalWorkerOptions.workerSrc = PDF_WORKER_URL;
+    const loadingTask = pdfjsLib.getDocument({
+        data: bytes,
+        cMapUrl: PDF_CMAP_URL,
+        cMapPacked: true,
+        isEvalSupported: false,
+        disableFontFace: true
+    });
+    let doc;
+    try {
+        doc = await loadingTask.promise;
+    } catch (error) {
+        await loadingTask.destroy();
+        if (error && error.name === 'PasswordException') throw createPdfError('The PDF needs a password to open', 'encrypted');
+        throw createPdfError(error && error.message ? error.message : 'Not a PDF file', 'invalid');
+    }
+
+    try {
+        const pages = [];
+        for (let number = 1; number <= doc.numPages; number++) {
+            let text = '';
+            try {
+                const page = await doc.getPage(number);
+                const content = await page.getTextContent();
+                text = tidyPageText(joinTextItems(content.items));
+                page.cleanup();
+            } catch (error) {
+                console.warn(`Pagetalk PDF: failed to read page ${number}`, error);
+            }
+            pages.push({ number, text });
+        }
+        return { pageCount: pages.length, pages };
+    } finally {
+        await doc.destroy();
+    }
+}
+
+/**
+ * 把逐页文字转为发送给模型的文本：每页以 "## p. 页码" 开头，检索分块时页码成为章节路径，便于引用
+ * @param {Array<{number: number, text: string}>} pages
+ * @param {string} [title] - 文档标题
+ * @returns {string} 所有页面都没有文字时为空字符串
+ */
+function formatPdfPages(pages, title = '') {
+    const sections = pages.filter(page => page.text).map(page => `## p. ${page.number}\n\n${page.text}`);
+    if (sections.length === 0) return '';
+    return title ? `# ${title}\n\n${sections.join('\n\n')}` : sections.join('\n\n');
+}
+
+/**
+ * 网址是否指向 PDF 文件 (按路径后缀判断)
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isPdfUrl(url) {
+    try {
+        return /\.pdf$/i.test(new URL(url).pathname);
+    } catch (error) {
+        return false;
+    }
+}
+
+// 导出函数
+window.PagetalkPdf = {
+    extractPdfPages: extractPdfPages,
+    formatPdfPages: formatPdfPages,
+    isPdfUrl: isPdfUrl
+};
@@ -1,5 +1,5 @@
 /**
- * Pagetalk - Dynamic Content Rendering (Markdown, KaTeX, Mermaid)
+ * Pagetalk - Dynamic Content Rendering (Markdown, KaTeX, Mermaid, video timestamps)
  */
 
 import { escapeHtml } from './utils.js';
@@ -7,12 +7,83 @@ import { escapeHtml } from './utils.js';
 let currentPanzoomInstance = null; // Store Panzoom instance for Mermaid modal
 let mermaidWheelListener = null; // Store wheel listener for Mermaid modal
 
+// 回答中引用的视频时间点，例如 [3:25] 或 [1:02:03]
+const TIMESTAMP_PATTERN = /\[(?:(\d{1,2}):)?(\d{1,2}):(\d{2})\]/g;
+const TIMESTAMP_SKIP_SELECTOR = 'code, pre, a, button, .katex, .mermaid';
+
+/**
+ * 把文字中的视频时间点转换为按钮，点击后由 content.js 跳转视频
+ * @param {HTMLElement} element - The container element to process.
+ */
+function linkifyTimestamps(element) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => (node.parentElement.closest(TIMESTAMP_SKIP_SELECTOR) || !/\[\d/.test(node.nodeValue))
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT
+    });
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    textNodes.forEach(node => {
+        const text = node.nodeValue;
+        const fragment = document.createDocumentFragment();
+        let lastIndex = 0;
+        for (const match of text.matchAll(TIMESTAMP_PATTERN)) {
+            const [fullMatch, hours, minutes, seconds] = match;
+            if (Number(seconds) >= 60 || (hours && Number(minutes) >= 60)) continue;
+            fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'timestamp-link';
+            button.textContent = fullMatch.slice(1, -1);
+            button.dataset.seconds = String((Number(hours || 0) * 3600) + (Number(minutes) * 60) + Number(seconds));
+            button.addEventListener('click', () => {
+                window.PagetalkChannel.postToPage({ action: 'seekVideo', seconds: Number(button.dataset.seconds) });
+            });
+            fragment.appendChild(button);
+            lastIndex = match.index + fullMatch.length;
+        }
+        if (lastIndex === 0) return;
+        fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+        node.replaceWith(fragment);
+    });
+}
+
+/**
+ * 远程图片的占位符 (见 sanitizer.js)：点击或按回车后才加载图片
+ * @param {HTMLElement} element - The container element to process.
+ */
+function setupRemoteImages(element) {
+    element.querySelectorAll('span.remote-image[data-remote-src]').forEach(placeholder => {
+        placeholder.tabIndex = 0;
+        placeholder.setAttribute('role', 'button');
+        const load = () => {
+            const image = document.createElement('img');
+            image.src = placeholder.dataset.remoteSrc;
+            image.alt = placeholder.dataset.alt || '';
+            placeholder.replaceWith(image);
+        };
+        placeholder.addEventListener('click', load);
+        placeholder.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                load();
+            }
+        });
+    });
+}
+
 /**
  * Renders KaTeX and Mermaid content within a given DOM element.
  * @param {HTMLElement} element - The container element to render within.
  * @param {object} elements - Reference to the main elements object (for modal access).
  */
 export function renderDynamicContent(element, elements) {
+    // --- Video timestamps ---
+    linkifyTimestamps(element);
+    // --- Remote images (loaded on click) ---
+    setupRemoteImages(element);
+
     // --- Render KaTeX ---
     if (typeof window.renderMathInElement === 'function') {
         try {
@@ -25,6 +96,8 @@ export function renderDynamicContent(element, elements) {
                 ],
                 throwOnError: false // Don't stop rendering on single error
             });
+            // KaTeX 直接修改 DOM，渲染后再清理公式部分 (消息中的操作按钮等不经过清理)
+            element.querySelectorAll('.katex, .katex-error').forEach(window.PagetalkSanitizer.sanitizeElement);
         } catch (error) {
             console.error('KaTeX rendering error:', error);
         }
@@ -59,7 +132,7 @@ export function renderDynamicContent(element, elements) {
 
                 try {
                     const { svg } = await mermaid.render(renderId, definition);
-                    container.innerHTML = svg;
+                    container.innerHTML = window.PagetalkSanitizer.sanitizeHtml(svg);
                     console.log(`Successfully rendered Mermaid chart ${index + 1} into container ${container.id}.`);
 
                     // Add click listener to the container (or SVG) to open modal
@@ -110,7 +183,7 @@ export async function rerenderAllMermaidCharts(elements) {
 
         try {
             const { svg } = await mermaid.render(renderId, definition);
-            container.innerHTML = svg;
+            container.innerHTML = window.PagetalkSanitizer.sanitizeHtml(svg);
             console.log(`Successfully re-rendered Mermaid chart ${index + 1}.`);
 
             // Re-attach click listener
@@ -0,0 +1,361 @@
+/**
+ * Pagetalk - 长网页分块与本地检索
+ * 将提取到的网页文本按章节切分为片段，用 BM25 根据当前问题打分，
+ * 只把最相关的片段和目录发给模型 (全部在本地完成，不发起网络请求)
+ * 开启引用时，每个段落按原文顺序编号为 [n]，回答据此注明来源 (见 ui.js renderCitations)
+ */
+
+const CHUNK_TARGET_LENGTH = 1500; // 每个片段的目标字符数
+const CHUNK_MAX_LENGTH = 2400; // 超过该长度的段落会被再次切分
+const RETRIEVAL_CHAR_BUDGET = 24000; // 检索模式下发送的片段总字符数上限
+const AUTO_RETRIEVAL_THRESHOLD = 60000; // auto 模式下超过该长度才启用检索
+const MULTI_DOCUMENT_CHAR_BUDGET = 48000; // 多标签页模式下所有文档的字符总预算
+const MIN_DOCUMENT_BUDGET = 8000; // 多标签页模式下每个文档至少保留的字符数
+const INDEX_CACHE_SIZE = 6; // 缓存最近几个文档的分块与索引
+const TOC_MAX_ENTRIES = 200;
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// 英文常见停用词；中文按双字切分，无需停用词
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'how',
+    'in', 'is', 'it', 'its', 'me', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'when',
+    'where', 'which', 'who', 'why', 'with', 'you', 'your', 'about', 'page', 'article'
+]);
+
+// 总结类问题没有可用的关键词，改为在全文中均匀取样
+const SUMMARY_INTENT_PATTERN = /总结|概括|摘要|概述|大意|讲了什么|summar|tl;?dr|overview|main points|key points/i;
+
+/**
+ * 分词：拉丁字母按单词切分并转小写，中日韩文字按相邻双字切分
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    const tokens = [];
+    const lower = text.toLowerCase();
+    const wordPattern = /[a-z0-9][a-z0-9_\-']*|[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]+/g;
+    let match;
+    while ((match = wordPattern.exec(lower)) !== null) {
+        const word = match[0];
+        if (/^[a-z0-9]/.test(word)) {
+            if (word.length > 1 && !STOP_WORDS.has(word)) tokens.push(word);
+        } else if (word.length === 1) {
+            tokens.push(word);
+        } else {
+            for (let i = 0; i < word.length - 1; i++) {
+                tokens.push(word.substring(i, i + 2));
+            }
+        }
+    }
+    return tokens;
+}
+
+/**
+ * 将过长的段落按句子切分，单句仍然过长时硬切
+ * @param {string} paragraph
+ * @returns {string[]}
+ */
+function splitLongParagraph(paragraph) {
+    if (paragraph.length <= CHUNK_MAX_LENGTH) return [paragraph];
+    const sentences = paragraph.match(/[^。！？.!?\n]+[。！？.!?]*\s*|\n/g) || [paragraph];
+    const pieces = [];
+    let current = '';
+    sentences.forEach(sentence => {
+        if (current && current.length + sentence.length > CHUNK_TARGET_LENGTH) {
+            pieces.push(current.trim());
+            current = '';
+        }
+        current += sentence;
+        while (current.length > CHUNK_MAX_LENGTH) {
+            pieces.push(current.substring(0, CHUNK_TARGET_LENGTH));
+            current = current.substring(CHUNK_TARGET_LENGTH);
+        }
+    });
+    if (current.trim()) pieces.push(current.trim());
+    return pieces;
+}
+
+/**
+ * 把文本切分为标题和段落 (过长的段落再按句子切分)，段落按原文顺序编号
+ * chunkDocument 和 numberPassages 共用，保证两者的段落编号一致
+ * @param {string} text
+ * @returns {Array<{heading: {level: number, title: string}}|{passage: {number: number, text: string}}>}
+ */
+function splitBlocks(text) {
+    const blocks = [];
+    let passageCount = 0;
+    text.split(/\n\s*\n|\n(?=#{1,6} )/).forEach(rawBlock => {
+        const block = rawBlock.trim();
+        if (!block) return;
+
+        const headingMatch = block.match(/^(#{1,6})\s+(.+)$/);
+        if (headingMatch && !block.includes('\n')) {
+            blocks.push({ heading: { level: headingMatch[1].length, title: headingMatch[2].trim() } });
+            return;
+        }
+        splitLongParagraph(block).forEach(piece => blocks.push({ passage: { number: ++passageCount, text: piece } }));
+    });
+    return blocks;
+}
+
+/**
+ * 带编号的段落文字；代码块和表格的编号单独占一行，避免破坏其格式
+ * @param {{number: number, text: string}} passage
+ * @returns {string}
+ */
+function formatPassage(passage) {
+    return /^(```|\|)/.test(passage.text) ? `[${passage.number}]\n${passage.text}` : `[${passage.number}] ${passage.text}`;
+}
+
+// 回答中的引用标记：[3]、[3, 7]
+const CITATION_MARKER_PATTERN = /\[(\d{1,4}(?:\s*[,，]\s*\d{1,4})*)\]/g;
+
+/**
+ * 找出回答中的引用标记 (api.js 据此保存引用的段落，ui.js 据此渲染引用标签)
+ * @param {string} text
+ * @returns {Array<{index: number, length: number, numbers: string[]}>} 按出现顺序
+ */
+function parseCitationMarkers(text) {
+    return [...text.matchAll(CITATION_MARKER_PATTERN)].map(match => ({
+        index: match.index,
+        length: match[0].length,
+        numbers: match[1].split(/\s*[,，]\s*/)
+    }));
+}
+
+/**
+ * 按章节切分文本。标题行使用 Markdown 形式 ("## 标题")，片段不会跨越章节
+ * @param {string} text - content.js 提取的网页文本
+ * @returns {{chunks: Array<{index: number, path: string[], text: string, passages: Array<{number: number, text: string}>}>, headings: Array<{level: number, title: string}>}}
+ */
+function chunkDocument(text) {
+    const chunks = [];
+    const headings = [];
+    const path = []; // 当前章节路径，path[level - 1] = 标题
+    let buffer = [];
+    let bufferLength = 0;
+
+    const flush = () => {
+        if (buffer.length === 0) return;
+        chunks.push({ index: chunks.length, path: path.filter(Boolean), text: buffer.map(passage => passage.text).join('\n\n'), passages: buffer });
+        buffer = [];
+        bufferLength = 0;
+    };
+
+    splitBlocks(text).forEach(({ heading, passage }) => {
+        if (heading) {
+            flush();
+            path.length = heading.level - 1;
+            path[heading.level - 1] = heading.title;
+            headings.push(heading);
+            return;
+        }
+        if (bufferLength > 0 && bufferLength + passage.text.length > CHUNK_TARGET_LENGTH) {
+            flush();
+        }
+        buffer.push(passage);
+        bufferLength += passage.text.length;
+    });
+    flush();
+
+    return { chunks, headings };
+}
+
+/**
+ * 为全文的段落编号 (标题保留原样)
+ * @param {string} text
+ * @returns {{text: string, passages: Array<{number: number, text: string}>}}
+ */
+function numberPassages(text) {
+    const passages = [];
+    const lines = splitBlocks(text).map(({ heading, passage }) => {
+        if (heading) return `${'#'.repeat(heading.level)} ${heading.title}`;
+        passages.push(passage);
+        return formatPassage(passage);
+    });
+    return { text: lines.join('\n\n'), passages };
+}
+
+/**
+ * 建立 BM25 索引
+ * @param {Array<object>} chunks - chunkDocument 返回的片段
+ * @returns {object} 索引
+ */
+function buildIndex(chunks) {
+    const documentFrequency = new Map();
+    const documents = chunks.map(chunk => {
+        // 章节标题计入片段内容，提高标题命中的权重
+        const tokens = tokenize(`${chunk.path.join(' ')} ${chunk.text}`);
+        const termFrequency = new Map();
+        tokens.forEach(token => termFrequency.set(token, (termFrequency.get(token) || 0) + 1));
+        termFrequency.forEach((_, token) => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+        return { termFrequency, length: tokens.length };
+    });
+    const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (documents.length || 1);
+    return { documents, documentFrequency, averageLength };
+}
+
+/**
+ * 用 BM25 为每个片段打分
+ * @param {object} index - buildIndex 的返回值
+ * @param {string} query - 检索问题
+ * @returns {number[]} 与 chunks 一一对应的分数
+ */
+function scoreChunks(index, query) {
+    const queryTokens = [...new Set(tokenize(query))];
+    const total = index.documents.length;
+    return index.documents.map(doc => {
+        let score = 0;
+        queryTokens.forEach(token => {
+            const tf = doc.termFrequency.get(token);
+            if (!tf) return;
+            const df = index.documentFrequency.get(token) || 0;
+            const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+            score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / (index.averageLength || 1)));
+        });
+        return score;
+    });
+}
+
+/**
+ * 生成目录文本
+ * @param {Array<{level: number, title: string}>} headings
+ * @returns {string}
+ */
+function buildTableOfContents(headings) {
+    if (headings.length === 0) return '';
+    const minLevel = Math.min(...headings.map(heading => heading.level));
+    const lines = headings.slice(0, TOC_MAX_ENTRIES).map(heading => `${'  '.repeat(heading.level - minLevel)}- ${heading.title}`);
+    if (headings.length > TOC_MAX_ENTRIES) lines.push(`- ...（其余 ${headings.length - TOC_MAX_ENTRIES} 个标题省略）`);
+    return lines.join('\n');
+}
+
+// 最近分块结果的缓存 (按文本)：同一页面 (或同一组标签页) 的多次提问无需重复分块和建索引
+const indexedDocuments = new Map();
+
+/**
+ * 获取 (或复用) 文本的分块与索引
+ * @param {string} text
+ * @returns {object}
+ */
+function getIndexedDocument(text) {
+    let indexed = indexedDocuments.get(text);
+    if (indexed) {
+        indexedDocuments.delete(text); // 移到末尾，保持最近使用的顺序
+    } else {
+        const { chunks, headings } = chunkDocument(text);
+        indexed = { chunks, headings, index: buildIndex(chunks) };
+        if (indexedDocuments.size >= INDEX_CACHE_SIZE) {
+            indexedDocuments.delete(indexedDocuments.keys().next().value);
+        }
+    }
+    indexedDocuments.set(text, indexed);
+    return indexed;
+}
+
+/**
+ * 在字符预算内挑选片段：总结类问题均匀取样，其余按 BM25 分数从高到低
+ * @param {Array<object>} chunks
+ * @param {number[]|null} scores - null 表示均匀取样
+ * @param {number} budget
+ * @returns {Array<object>} 按原文顺序排列的片段
+ */
+function selectChunks(chunks, scores, budget) {
+    let candidates;
+    if (scores) {
+        candidates = chunks.map((chunk, i) => ({ chunk, score: scores[i] }))
+            .filter(candidate => candidate.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .map(candidate => candidate.chunk);
+    } else {
+        const step = Math.max(1, chunks.length / Math.max(1, Math.floor(budget / CHUNK_TARGET_LENGTH)));
+        candidates = [];
+        for (let position = 0; position < chunks.length; position += step) {
+            candidates.push(chunks[Math.floor(position)]);
+        }
+    }
+
+    const selected = [];
+    let used = 0;
+    for (const chunk of candidates) {
+        if (used + chunk.text.length > budget && selected.length > 0) continue;
+        selected.push(chunk);
+        used += chunk.text.length;
+        if (used >= budget) break;
+    }
+    return selected.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * 生成发送给模型的网页参考内容
+ * @param {string} text - 完整网页文本
+ * @param {string} query - 当前问题 (可包含上一轮问题以便处理追问)
+ * @param {object} [options] - { mode: 'auto' | 'full' | 'retrieval', budget, citations: 为段落编号 }
+ * @returns {{context: string, retrieval: boolean, chunkCount: number, selectedCount: number, passages: Array<{number: number, text: string}>}}
+ *          passages 为发送的带编号段落 (仅 citations 时)
+ */
+function buildPageContext(text, query, options = {}) {
+    const mode = options.mode || 'auto';
+    const budget = options.budget || RETRIEVAL_CHAR_BUDGET;
+    const useRetrieval = mode === 'retrieval' || (mode === 'auto' && text.length > AUTO_RETRIEVAL_THRESHOLD);
+    if (!useRetrieval || text.length <= budget) {
+        if (!options.citations) return { context: text, retrieval: false, chunkCount: 0, selectedCount: 0, passages: [] };
+        const numbered = numberPassages(text);
+        return { context: numbered.text, retrieval: false, chunkCount: 0, selectedCount: 0, passages: numbered.passages };
+    }
+
+    const indexed = getIndexedDocument(text);
+    const isSummary = !query || SUMMARY_INTENT_PATTERN.test(query);
+    let scores = isSummary ? null : scoreChunks(indexed.index, query);
+    if (scores && scores.every(score => score === 0)) scores = null; // 没有任何命中时退化为均匀取样
+    const selected = selectChunks(indexed.chunks, scores, budget);
+
+    const sections = [];
+    sections.push(`（网页全文较长，共 ${text.length} 字符、${indexed.chunks.length} 个片段。以下仅包含与当前问题最相关的 ${selected.length} 个片段，按原文顺序排列；如果片段中没有答案，请说明并根据目录提示用户可以追问哪个章节。）`);
+    const toc = buildTableOfContents(indexed.headings);
+    if (toc) sections.push(`[目录]\n${toc}`);
+    selected.forEach(chunk => {
+        const location = chunk.path.length > 0 ? ` | 章节: ${chunk.path.join(' > ')}` : '';
+        const chunkText = options.citations ? chunk.passages.map(formatPassage).join('\n\n') : chunk.text;
+        sections.push(`[片段 ${chunk.index + 1}/${indexed.chunks.length}${location}]\n${chunkText}`);
+    });
+
+    const passages = options.citations ? selected.flatMap(chunk => chunk.passages) : [];
+    return { context: sections.join('\n\n'), retrieval: true, chunkCount: indexed.chunks.length, selectedCount: selected.length, passages };
+}
+
+/**
+ * 生成多个标签页的参考内容：每个文档带编号、标题和网址，便于模型注明事实来源
+ * @param {Array<{title: string, url: string, content: string, isCurrent: boolean}>} documents
+ * @param {string} query - 当前问题
+ * @param {object} [options] - { mode: 'auto' | 'full' | 'retrieval' }
+ * @returns {{context: string, retrieval: boolean, documentCount: number}}
+ */
+function buildDocumentsContext(documents, query, options = {}) {
+    const mode = options.mode || 'auto';
+    const totalLength = documents.reduce((sum, doc) => sum + doc.content.length, 0);
+    // auto 模式按总长度判断；启用检索时，每个文档分到总预算的一份
+    const useRetrieval = mode === 'retrieval' || (mode === 'auto' && totalLength > AUTO_RETRIEVAL_THRESHOLD);
+    const budget = Math.max(MIN_DOCUMENT_BUDGET, Math.floor(MULTI_DOCUMENT_CHAR_BUDGET / documents.length));
+
+    let retrieval = false;
+    const sections = [`（以下参考内容来自 ${documents.length} 个浏览器标签页，每个文档以 [文档 N] 开头。回答时请用 [文档 N] 注明每条信息来自哪个文档；不同文档的说法不一致时请分别指出。）`];
+    documents.forEach((doc, i) => {
+        const pageReference = buildPageContext(doc.content, query, { mode: useRetrieval ? 'retrieval' : 'full', budget });
+        if (pageReference.retrieval) retrieval = true;
+        const label = doc.isCurrent ? '当前页面' : '标签页';
+        sections.push(`[文档 ${i + 1}] (${label}) ${doc.title || doc.url}\n网址: ${doc.url}\n\n${pageReference.context}\n\n[文档 ${i + 1} 结束]`);
+    });
+
+    return { context: sections.join('\n\n'), retrieval, documentCount: documents.length };
+}
+
+// 导出函数
+window.PagetalkRetrieval = {
+    chunkDocument: chunkDocument,
+    buildPageContext: buildPageContext,
+    buildDocumentsContext: buildDocumentsContext,
+    parseCitationMarkers: parseCitationMarkers
+};
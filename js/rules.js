@@ -0,0 +1,254 @@
+/**
+ * Pagetalk - URL Rules
+ * 按网址自动选择助手、模型和页面内容的提取方式，并可在打开页面时自动发送提示词。
+ * 规则保存在 chrome.storage.sync 的 urlRules 中，按列表顺序匹配，第一条启用且匹配的规则生效：
+ * { id, enabled, pattern, patternType: 'glob' | 'regex', agentId, provider, model, extractionMode, autoRunPrompt }
+ * 每收到一次 pageContentExtracted 就按页面网址重新匹配 (见 main.js handlePageContentExtracted)。
+ */
+import { generateUniqueId, escapeHtml } from './utils.js';
+
+// 提取方式，对应 content.js extractPageContent 的 options.mode
+export const EXTRACTION_MODES = ['readability', 'full', 'selection', 'none'];
+export const DEFAULT_EXTRACTION_MODE = 'readability';
+
+// Default settings for new rules
+const defaultRuleSettings = {
+    enabled: true,
+    pattern: '',
+    patternType: 'glob',
+    agentId: '', // '' = 保持当前助手
+    provider: '',
+    model: '', // '' = 使用助手或模型设置中的模型
+    extractionMode: DEFAULT_EXTRACTION_MODE,
+    autoRunPrompt: '' // 打开匹配的页面且没有对话时自动发送
+};
+
+/** Helper function to get translation string */
+function _(key, replacements = {}, translations) {
+  let translation = translations[key] || key;
+  for (const placeholder in replacements) {
+    translation = translation.replace(`{${placeholder}}`, replacements[placeholder]);
+  }
+  return translation;
+}
+
+/**
+ * 把规则的网址模式转为正则表达式
+ * glob：* 匹配任意字符，? 匹配单个字符，需匹配完整网址 (例如 https://github.com/*)
+ * @param {{pattern: string, patternType: string}} rule
+ * @returns {RegExp|null} 模式为空或正则无效时返回 null
+ */
+export function compileRulePattern(rule) {
+    const pattern = (rule.pattern || '').trim();
+    if (!pattern) return null;
+    if (rule.patternType === 'regex') {
+        try {
+            return new RegExp(pattern, 'i');
+        } catch (error) {
+            return null;
+        }
+    }
+    const source = pattern
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * 找出第一条启用且与网址匹配的规则
+ * @param {Array<object>} rules - state.urlRules
+ * @param {string} url - 页面网址
+ * @returns {object|null}
+ */
+export function matchUrlRule(rules, url) {
+    if (!url || !Array.isArray(rules)) return null;
+    return rules.find(rule => {
+        if (rule.enabled === false) return false;
+        const regex = compileRulePattern(rule);
+        return !!regex && regex.test(url);
+    }) || null;
+}
+
+/**
+ * 规则要求的提取方式 (没有匹配的规则时为默认的 Readability)
+ * @param {object|null} rule
+ * @returns {string}
+ */
+export function getRuleExtractionMode(rule) {
+    return rule && EXTRACTION_MODES.includes(rule.extractionMode) ? rule.extractionMode : DEFAULT_EXTRACTION_MODE;
+}
+
+/**
+ * 加载网址规则
+ * @param {object} state - Global state reference
+ * @param {function} updateUrlRulesListCallback - Callback to update UI list
+ */
+export function loadUrlRules(state, updateUrlRulesListCallback) {
+    chrome.storage.sync.get(['urlRules'], (result) => {
+        state.urlRules = Array.isArray(result.urlRules) ? result.urlRules : [];
+        updateUrlRulesListCallback();
+    });
+}
+
+/**
+ * 保存网址规则
+ * @param {object} state - Global state reference
+ */
+export function saveUrlRules(state) {
+    chrome.storage.sync.set({ urlRules: state.urlRules }, () => {
+        if (chrome.runtime.lastError) {
+            console.error("Error saving URL rules:", chrome.runtime.lastError);
+        }
+    });
+}
+
+/**
+ * 更新网址规则列表UI (实时保存)
+ * @param {object} state - Global state reference
+ * @param {object} elements - DOM elements reference
+ * @param {object} currentTranslations - Translations object
+ * @param {function} autoSaveUrlRuleCallback - Callback(ruleId, ruleElement)
+ * @param {function} deleteUrlRuleCallback - Callback(ruleId)
+ */
+export function updateUrlRulesListUI(state, elements, currentTranslations, autoSaveUrlRuleCallback, deleteUrlRuleCallback) {
+    if (!elements.urlRulesList) return;
+    elements.urlRulesList.innerHTML = '';
+
+    if (!state.urlRules || state.urlRules.length === 0) {
+        const emptyState = document.createElement('div');
+        emptyState.className = 'empty-state';
+        emptyState.innerHTML = `<p>${_('urlRulesEmpty', {}, currentTranslations)}</p>`;
+        elements.urlRulesList.appendChild(emptyState);
+        return;
+    }
+
+    const agentOptions = state.agents
+        .map(agent => `<option value="${escapeHtml(agent.id)}">${escapeHtml(agent.name)}</option>`)
+        .join('');
+    const providerOptions = Object.values(window.GeminiAPI.providers)
+        .map(provider => `<option value="${provider.id}">${escapeHtml(provider.name)}</option>`)
+        .join('');
+    const modeOptions = EXTRACTION_MODES
+        .map(mode => `<option value="${mode}">${_(`urlRuleMode_${mode}`, {}, currentTranslations)}</option>`)
+        .join('');
+
+    state.urlRules.forEach(rule => {
+        const ruleItem = document.createElement('div');
+        ruleItem.className = 'url-rule-item';
+        ruleItem.dataset.ruleId = rule.id;
+        ruleItem.innerHTML = `
+            <div class="url-rule-header">
+                <input type="checkbox" class="url-rule-enabled" title="${_('urlRuleEnabledTitle', {}, currentTranslations)}">
+                <input type="text" class="url-rule-pattern" placeholder="https://github.com/*">
+                <select class="url-rule-pattern-type">
+                    <option value="glob">${_('urlRulePatternGlob', {}, currentTranslations)}</option>
+                    <option value="regex">${_('urlRulePatternRegex', {}, currentTranslations)}</option>
+                </select>
+                <button class="delete-btn" title="${_('delete', {}, currentTranslations)}">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="currentColor" viewBox="0 0 16 16"><path d="M4.646 4.646a.5.5 0 0 1 .708 0L8 7.293l2.646-2.647a.5.5 0 0 1 .708.708L8.707 8l2.647 2.646a.5.5 0 0 1-.708.708L8 8.707l-2.646 2.647a.5.5 0 0 1-.708-.708L7.293 8 4.646 5.354a.5.5 0 0 1 0-.708z"/></svg>
+                </button>
+            </div>
+            <div class="url-rule-fields">
+                <label>${_('urlRuleAgentLabel', {}, currentTranslations)}
+                    <select class="url-rule-agent"><option value="">${_('urlRuleKeepCurrent', {}, currentTranslations)}</option>${agentOptions}</select>
+                </label>
+                <label>${_('urlRuleModeLabel', {}, currentTranslations)}
+                    <select class="url-rule-mode">${modeOptions}</select>
+                </label>
+                <label>${_('agentProviderLabel', {}, currentTranslations)}
+                    <select class="url-rule-provider"><option value="">${_('urlRuleKeepCurrent', {}, currentTranslations)}</option>${providerOptions}</select>
+                </label>
+                <label>${_('agentModelLabel', {}, currentTranslations)}
+                    <input type="text" class="url-rule-model" placeholder="${_('urlRuleKeepCurrent', {}, currentTranslations)}">
+                </label>
+            </div>
+            <textarea class="url-rule-prompt" rows="2" placeholder="${_('urlRulePromptPlaceholder', {}, currentTranslations)}"></textarea>
+        `;
+
+        // 用 DOM 属性赋值，避免在 HTML 字符串中拼接用户输入
+        ruleItem.querySelector('.url-rule-enabled').checked = rule.enabled !== false;
+        ruleItem.querySelector('.url-rule-pattern').value = rule.pattern || '';
+        ruleItem.querySelector('.url-rule-pattern-type').value = rule.patternType === 'regex' ? 'regex' : 'glob';
+        ruleItem.querySelector('.url-rule-agent').value = state.agents.some(agent => agent.id === rule.agentId) ? rule.agentId : '';
+        ruleItem.querySelector('.url-rule-mode').value = getRuleExtractionMode(rule);
+        ruleItem.querySelector('.url-rule-provider').value = rule.provider || '';
+        ruleItem.querySelector('.url-rule-model').value = rule.model || '';
+        ruleItem.querySelector('.url-rule-prompt').value = rule.autoRunPrompt || '';
+
+        const scheduleSave = () => {
+            clearTimeout(ruleItem._saveTimeout);
+            ruleItem._saveTimeout = setTimeout(() => autoSaveUrlRuleCallback(rule.id, ruleItem), 500);
+        };
+        ruleItem.querySelectorAll('input[type="text"], textarea').forEach(input => input.addEventListener('input', scheduleSave));
+        ruleItem.querySelectorAll('select, input[type="checkbox"]').forEach(input => input.addEventListener('change', scheduleSave));
+        ruleItem.querySelector('.delete-btn').addEventListener('click', () => deleteUrlRuleCallback(rule.id));
+
+        elements.urlRulesList.appendChild(ruleItem);
+    });
+}
+
+/**
+ * 新建规则 (默认匹配当前页面所在的网站)
+ * @param {object} state - Global state reference
+ * @param {function} updateUrlRulesListCallback - Callback
+ */
+export function createUrlRule(state, updateUrlRulesListCallback) {
+    let pattern = '';
+    try {
+        if (state.pageUrl) pattern = `${new URL(state.pageUrl).origin}/*`;
+    } catch (error) {
+        // 当前页面网址无效时留空
+    }
+    state.urlRules.push({ id: generateUniqueId(), ...defaultRuleSettings, pattern });
+    saveUrlRules(state);
+    updateUrlRulesListCallback();
+}
+
+/**
+ * 自动保存规则
+ * @param {string} ruleId - 规则ID
+ * @param {HTMLElement} ruleElement - 规则项DOM元素
+ * @param {object} state - Global state reference
+ * @param {function} showToastCallback - Callback
+ * @param {object} currentTranslations - Translations object
+ */
+export function autoSaveUrlRule(ruleId, ruleElement, state, showToastCallback, currentTranslations) {
+    const rule = state.urlRules.find(r => r.id === ruleId);
+    if (!rule) return;
+
+    const updated = {
+        enabled: ruleElement.querySelector('.url-rule-enabled').checked,
+        pattern: ruleElement.querySelector('.url-rule-pattern').value.trim(),
+        patternType: ruleElement.querySelector('.url-rule-pattern-type').value,
+        agentId: ruleElement.querySelector('.url-rule-agent').value,
+        extractionMode: ruleElement.querySelector('.url-rule-mode').value,
+        provider: ruleElement.querySelector('.url-rule-provider').value,
+        model: ruleElement.querySelector('.url-rule-model').value.trim(),
+        autoRunPrompt: ruleElement.querySelector('.url-rule-prompt').value.trim()
+    };
+
+    // Validate Pattern (an invalid regex would never match)
+    const patternInput = ruleElement.querySelector('.url-rule-pattern');
+    const isValid = !updated.pattern || !!compileRulePattern(updated);
+    patternInput.classList.toggle('invalid', !isValid);
+    if (!isValid) {
+        showToastCallback(_('urlRuleInvalidPattern', {}, currentTranslations), 'error');
+        return;
+    }
+
+    Object.assign(rule, updated);
+    saveUrlRules(state);
+}
+
+/**
+ * 删除规则
+ * @param {string} ruleId - 规则ID
+ * @param {object} state - Global state reference
+ * @param {function} updateUrlRulesListCallback - Callback
+ */
+export function deleteUrlRule(ruleId, state, updateUrlRulesListCallback) {
+    state.urlRules = state.urlRules.filter(rule => rule.id !== ruleId);
+    saveUrlRules(state);
+    updateUrlRulesListCallback();
+}
@@ -0,0 +1,291 @@
+/**
+ * Pagetalk - 渲染结果的 HTML 清理
+ * 模型回复经 markdown-it / highlight.js / KaTeX / Mermaid 渲染后才插入页面，
+ * 插入前按白名单过滤标签和属性：去掉 on* 事件属性、危险的 URL 协议和样式，
+ * 不在白名单中的标签只保留其文本内容 (script、iframe 等连同内容一起删除)。
+ * 远程图片替换为占位符，点击后才加载；SVG <style> 的作用范围限制在所在的图表内。
+ * 测试见 tests/sanitizer.test.html (在浏览器中打开)。
+ */
+
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+
+// markdown-it、highlight.js、KaTeX 以及 Mermaid 标签 (foreignObject 内部) 会用到的 HTML 标签
+const ALLOWED_HTML_TAGS = new Set([
+    'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'code', 'col', 'colgroup', 'dd', 'del', 'details',
+    'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img',
+    'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub',
+    'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+]);
+
+// Mermaid 图表和 KaTeX 根号、箭头用到的 SVG 标签 (小写比较)
+const ALLOWED_SVG_TAGS = new Set([
+    'svg', 'g', 'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'text', 'tspan',
+    'defs', 'marker', 'foreignobject', 'style', 'title', 'desc', 'clippath', 'lineargradient',
+    'radialgradient', 'stop', 'use', 'symbol'
+]);
+
+// KaTeX 输出的 MathML (供屏幕阅读器使用)
+const ALLOWED_MATHML_TAGS = new Set([
+    'math', 'semantics', 'annotation', 'mrow', 'mi', 'mo', 'mn', 'ms', 'mtext', 'mspace', 'msup', 'msub',
+    'msubsup', 'mfrac', 'msqrt', 'mroot', 'mover', 'munder', 'munderover', 'mtable', 'mtr', 'mtd',
+    'mstyle', 'mpadded', 'mphantom', 'menclose', 'mglyph', 'mlabeledtr'
+]);
+
+// 不在白名单中时连同内容一起删除的标签 (其余未知标签只去掉标签本身，保留文本)
+const DROP_WITH_CONTENT_TAGS = new Set([
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript', 'noembed',
+    'template', 'textarea', 'select', 'option', 'button', 'form', 'input', 'link', 'meta', 'base', 'title',
+    'xmp', 'plaintext', 'annotation-xml', 'audio', 'video', 'source', 'portal'
+]);
+
+const GLOBAL_ATTRIBUTES = new Set(['title', 'role', 'dir', 'lang', 'aria-hidden', 'aria-label']);
+
+// class、style 和 data-* 只保留在渲染器实际用到它们的标签上，避免模型输出借用面板自身的样式和数据属性
+const HTML_TAG_ATTRIBUTES = {
+    a: ['href', 'target', 'rel'],
+    img: ['src', 'alt', 'width', 'height', 'loading', 'class', 'data-index', 'data-url'], // 用户消息中的图片
+    pre: ['class', 'data-code'], // markdown-renderer.js 的代码块
+    code: ['class'],
+    span: ['class', 'style', 'data-remote-src', 'data-alt'], // highlight.js、KaTeX、Mermaid 标签、远程图片占位符
+    div: ['class', 'style', 'xmlns'], // KaTeX、Mermaid 标签 (foreignObject 内部)、表格容器
+    ol: ['start', 'reversed'],
+    li: ['value'],
+    td: ['colspan', 'rowspan', 'align'],
+    th: ['colspan', 'rowspan', 'align', 'scope'],
+    col: ['span'],
+    details: ['open']
+};
+
+const SVG_ATTRIBUTES = new Set([
+    'class', 'style', 'xmlns', 'id', 'd', 'x', 'y', 'x1', 'x2', 'y1', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'dx', 'dy', 'width', 'height',
+    'viewbox', 'transform', 'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity',
+    'stroke-dasharray', 'stroke-dashoffset', 'stroke-linecap', 'stroke-linejoin', 'stroke-miterlimit',
+    'opacity', 'points', 'marker-start', 'marker-mid', 'marker-end', 'markerwidth', 'markerheight',
+    'markerunits', 'refx', 'refy', 'orient', 'text-anchor', 'dominant-baseline', 'alignment-baseline',
+    'font-size', 'font-family', 'font-weight', 'font-style', 'letter-spacing', 'offset', 'stop-color',
+    'stop-opacity', 'gradientunits', 'gradienttransform', 'clip-path', 'clippathunits', 'preserveaspectratio',
+    'xmlns:xlink', 'aria-roledescription', 'aria-labelledby', 'aria-describedby', 'href', 'xlink:href',
+    'visibility', 'display', 'overflow', 'rotate', 'textlength', 'lengthadjust', 'vector-effect', 'version'
+]);
+
+const MATHML_ATTRIBUTES = new Set([
+    'xmlns', 'display', 'mathvariant', 'encoding', 'stretchy', 'fence', 'separator', 'lspace', 'rspace', 'accent',
+    'accentunder', 'columnalign', 'columnlines', 'columnspacing', 'rowalign', 'rowlines', 'rowspacing',
+    'linethickness', 'width', 'height', 'depth', 'voffset', 'scriptlevel', 'displaystyle', 'minsize',
+    'maxsize', 'movablelimits', 'notation', 'symmetric', 'largeop', 'mathcolor', 'mathbackground'
+]);
+
+const SAFE_LINK_PROTOCOLS = new Set(['http', 'https', 'mailto']);
+const SAFE_IMAGE_PROTOCOLS = new Set(['blob']);
+// 远程图片一渲染就会发出请求，模型 (或网页中的注入指令) 可以把数据拼进图片地址发出去，只能点击后加载
+const REMOTE_IMAGE_PROTOCOLS = new Set(['http', 'https']);
+const SAFE_DATA_IMAGE_PATTERN = /^data:image\/(?:png|jpe?g|gif|webp|bmp|avif);/i;
+
+// 样式中可以加载外部资源、执行代码或覆盖面板界面的写法；十六进制转义可用来绕过检查，一并拒绝
+const UNSAFE_CSS_PATTERN = /url\s*\(|image-set\s*\(|expression\s*\(|@import|javascript:|behaviou?r\s*:|-moz-binding|position\s*:\s*fixed|\\[0-9a-f]/i;
+
+/**
+ * 检查 URL 是否可以保留
+ * @param {string} value - 属性值
+ * @param {'link'|'image'|'remote-image'|'reference'} kind - 链接、内联图片、远程图片地址或 SVG 内部引用 (只允许 #id)
+ * @returns {boolean}
+ */
+function isSafeUrl(value, kind) {
+    // 浏览器解析 URL 时会忽略空白和控制字符，比较协议前先去掉
+    const normalized = String(value).replace(/[\u0000- \u007f-\u009f]/g, '');
+    if (normalized.startsWith('#')) return kind === 'link' || kind === 'reference';
+    if (kind === 'reference') return false;
+
+    const match = /^([a-z][a-z0-9+.-]*):/i.exec(normalized);
+    if (!match) return false; // 相对地址会指向扩展自身的页面，不保留
+    const protocol = match[1].toLowerCase();
+    if (kind === 'link') return SAFE_LINK_PROTOCOLS.has(protocol);
+    if (kind === 'remote-image') return REMOTE_IMAGE_PROTOCOLS.has(protocol);
+    if (protocol === 'data') return SAFE_DATA_IMAGE_PATTERN.test(normalized);
+    return SAFE_IMAGE_PROTOCOLS.has(protocol);
+}
+
+/**
+ * 检查样式文本 (style 属性或 SVG <style> 的内容)
+ * @param {string} css
+ * @returns {boolean}
+ */
+function isSafeCss(css) {
+    return !UNSAFE_CSS_PATTERN.test(css);
+}
+
+/**
+ * 把 SVG <style> 的规则限制在所在的图表内 (@scope 的作用范围是 <style> 的父元素)，
+ * 否则 Mermaid 图表中的样式会作用于整个面板。
+ * 括号不配对、含注释或转义的样式可能提前闭合 @scope，直接拒绝
+ * @param {string} css
+ * @returns {string|null} 限定范围后的样式；不安全时为 null
+ */
+function scopeSvgCss(css) {
+    // "<" 在序列化后重新解析时可能变成标签
+    if (!isSafeCss(css) || /\/\*|\\|</.test(css)) return null;
+    // 去掉不含括号的字符串后不应再有引号 (引号不配对，或字符串中含括号)
+    const unquoted = css.replace(/"[^"{}]*"|'[^'{}]*'/g, '');
+    if (/["']/.test(unquoted)) return null;
+    let depth = 0;
+    for (const char of unquoted) {
+        if (char === '{') depth++;
+        else if (char === '}' && --depth < 0) return null;
+    }
+    if (depth !== 0) return null;
+    return `@scope {\n${css}\n}`;
+}
+
+/**
+ * 远程图片替换为占位符，点击后才加载 (见 render.js setupRemoteImages)
+ * @param {Element} img - 已清理过属性的 <img>
+ */
+function replaceRemoteImage(img) {
+    const src = img.getAttribute('src') || '';
+    const alt = img.getAttribute('alt') || '';
+    let host = src;
+    try {
+        host = new URL(src).host;
+    } catch (error) {
+        // 无法解析时显示原地址
+    }
+    const placeholder = document.createElement('span');
+    placeholder.className = 'remote-image';
+    placeholder.dataset.remoteSrc = src;
+    if (alt) placeholder.dataset.alt = alt;
+    placeholder.title = src;
+    placeholder.textContent = `🖼 ${alt || host}`;
+    img.replaceWith(placeholder);
+}
+
+/**
+ * 元素在白名单中的处理方式
+ * @param {Element} element
+ * @returns {'keep'|'unwrap'|'drop'}
+ */
+function getElementAction(element) {
+    const tagName = element.localName.toLowerCase();
+    const namespace = element.namespaceURI;
+    let allowed = false;
+    if (namespace === HTML_NAMESPACE) allowed = ALLOWED_HTML_TAGS.has(tagName);
+    else if (namespace === SVG_NAMESPACE) allowed = ALLOWED_SVG_TAGS.has(tagName);
+    else if (namespace === MATHML_NAMESPACE) allowed = ALLOWED_MATHML_TAGS.has(tagName);
+
+    if (allowed) {
+        // SVG 的 <style> 只保留不含危险写法、可以限定范围的样式
+        if (tagName === 'style' && scopeSvgCss(element.textContent || '') === null) return 'drop';
+        return 'keep';
+    }
+    return DROP_WITH_CONTENT_TAGS.has(tagName) ? 'drop' : 'unwrap';
+}
+
+/**
+ * 属性是否在该元素的白名单中
+ * @param {Element} element
+ * @param {string} name - 小写属性名
+ * @returns {boolean}
+ */
+function isAllowedAttribute(element, name) {
+    if (GLOBAL_ATTRIBUTES.has(name)) return true;
+    const namespace = element.namespaceURI;
+    if (namespace === SVG_NAMESPACE) return SVG_ATTRIBUTES.has(name);
+    if (namespace === MATHML_NAMESPACE) return MATHML_ATTRIBUTES.has(name);
+    const tagAttributes = HTML_TAG_ATTRIBUTES[element.localName.toLowerCase()];
+    return !!tagAttributes && tagAttributes.includes(name);
+}
+
+/**
+ * 过滤元素的属性
+ * @param {Element} element
+ */
+function sanitizeAttributes(element) {
+    const isSvg = element.namespaceURI === SVG_NAMESPACE;
+    Array.from(element.attributes).forEach(attribute => {
+        const name = attribute.name.toLowerCase();
+        const value = attribute.value;
+        let keep = !name.startsWith('on') && isAllowedAttribute(element, name);
+
+        if (keep && (name === 'href' || name === 'xlink:href' || name === 'src' || name === 'data-url')) {
+            const kind = isSvg ? 'reference' : (name === 'src' || name === 'data-url' ? 'image' : 'link');
+            keep = isSafeUrl(value, kind);
+        } else if (keep && name === 'data-remote-src') {
+            keep = isSafeUrl(value, 'remote-image');
+        } else if (keep && name === 'style') {
+            keep = isSafeCss(value);
+        } else if (keep && isSvg && /url\s*\(/i.test(value)) {
+            // fill="url(#gradient)"、marker-end="url(#arrow)" 只能引用图表内部的元素
+            keep = /^\s*url\(\s*['"]?#[^)]*\)\s*$/i.test(value);
+        }
+
+        if (!keep) element.removeAttribute(attribute.name);
+    });
+
+    // 链接统一在新标签页打开，且不向目标页暴露面板
+    if (element.namespaceURI === HTML_NAMESPACE && element.localName === 'a' && element.hasAttribute('href')) {
+        element.setAttribute('target', '_blank');
+        element.setAttribute('rel', 'noopener noreferrer');
+    }
+}
+
+/**
+ * 递归清理节点的所有子节点 (原地修改)
+ * @param {Node} parent
+ */
+function sanitizeChildren(parent) {
+    Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) return;
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            node.remove(); // 注释、CDATA、处理指令
+            return;
+        }
+
+        const action = getElementAction(node);
+        if (action === 'drop') {
+            node.remove();
+            return;
+        }
+
+        sanitizeChildren(node);
+        if (action === 'unwrap') {
+            node.replaceWith(...Array.from(node.childNodes));
+            return;
+        }
+        if (node.namespaceURI === HTML_NAMESPACE && node.localName === 'img' && isSafeUrl(node.getAttribute('src') || '', 'remote-image')) {
+            replaceRemoteImage(node);
+            return;
+        }
+        sanitizeAttributes(node);
+        if (node.namespaceURI === SVG_NAMESPACE && node.localName.toLowerCase() === 'style') {
+            node.textContent = scopeSvgCss(node.textContent || '');
+        }
+    });
+}
+
+/**
+ * 清理 HTML 字符串 (在惰性的 <template> 中解析，解析过程中不会加载资源或执行脚本)
+ * @param {string} html
+ * @returns {string} 可以安全赋值给 innerHTML 的 HTML
+ */
+function sanitizeHtml(html) {
+    if (!html) return '';
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    sanitizeChildren(template.content);
+    return template.innerHTML;
+}
+
+/**
+ * 原地清理元素的所有后代 (元素本身保持不变)，用于 KaTeX 等直接修改 DOM 的渲染结果
+ * @param {Element} element
+ */
+function sanitizeElement(element) {
+    if (element) sanitizeChildren(element);
+}
+
+// 导出函数
+window.PagetalkSanitizer = {
+    sanitizeHtml: sanitizeHtml,
+    sanitizeElement: sanitizeElement
+};
@@ -0,0 +1,274 @@
+/**
+ * Pagetalk - 结构化提取 (JSON Schema)
+ * 提取模式下模型按用户或助手提供的 JSON Schema 返回 JSON。这里负责：
+ * 解析 Schema、转换为 Gemini responseSchema 支持的子集、校验模型的回复，
+ * 以及把结果转为表格 (可编辑) 和 CSV。
+ */
+
+const MAX_VALIDATION_ERRORS = 10;
+
+// Gemini responseSchema 支持的字段 (OpenAPI 3.0 子集)，其它字段会导致请求被拒绝
+const GEMINI_SCHEMA_KEYS = [
+    'type', 'format', 'title', 'description', 'nullable', 'enum', 'items', 'minItems', 'maxItems',
+    'properties', 'required', 'minProperties', 'maxProperties', 'minLength', 'maxLength', 'pattern',
+    'minimum', 'maximum', 'anyOf', 'propertyOrdering'
+];
+
+/**
+ * 解析用户填写的 Schema 文本
+ * @param {string} text
+ * @returns {{schema: object|null, error: string|null}} 文本为空时 schema 和 error 均为 null
+ */
+function parseSchemaText(text) {
+    if (!text || !text.trim()) return { schema: null, error: null };
+    let schema;
+    try {
+        schema = JSON.parse(text);
+    } catch (error) {
+        return { schema: null, error: error.message };
+    }
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema) || (!schema.type && !schema.properties && !schema.anyOf)) {
+        return { schema: null, error: 'The schema must be a JSON object with "type" or "properties"' };
+    }
+    return { schema, error: null };
+}
+
+/**
+ * 转换为 Gemini responseSchema：去掉不支持的字段，["string", "null"] 这类类型数组改写为 nullable
+ * @param {object} schema - JSON Schema
+ * @returns {object}
+ */
+function toGeminiSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+    const result = {};
+    for (const key of GEMINI_SCHEMA_KEYS) {
+        if (schema[key] === undefined) continue;
+        if (key === 'properties') {
+            result.properties = Object.fromEntries(Object.entries(schema.properties).map(([name, value]) => [name, toGeminiSchema(value)]));
+        } else if (key === 'items') {
+            result.items = toGeminiSchema(schema.items);
+        } else if (key === 'anyOf') {
+            result.anyOf = schema.anyOf.map(toGeminiSchema);
+        } else {
+            result[key] = schema[key];
+        }
+    }
+    if (Array.isArray(schema.type)) {
+        const types = schema.type.filter(type => type !== 'null');
+        result.type = types[0] || 'string';
+        if (types.length < schema.type.length) result.nullable = true;
+    }
+    if (schema.const !== undefined && !result.enum) result.enum = [schema.const];
+    if (!result.type && result.properties) result.type = 'object';
+    if (result.type) result.type = result.type.toUpperCase();
+    if (result.enum) {
+        if (result.type === 'STRING') result.enum = result.enum.map(String);
+        else delete result.enum; // Gemini 只支持字符串枚举，其它类型的枚举只在本地校验
+    }
+    return result;
+}
+
+/**
+ * 从模型回复中取出 JSON (兼容 ```json 代码块和前后的说明文字)
+ * @param {string} text
+ * @returns {{data: *, error: string|null}}
+ */
+function parseJsonReply(text) {
+    let source = (text || '').trim();
+    const fenced = source.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced) source = fenced[1].trim();
+    const start = source.search(/[[{]/);
+    if (start > 0) source = source.slice(start);
+    try {
+        return { data: JSON.parse(source), error: null };
+    } catch (error) {
+        return { data: null, error: `Invalid JSON: ${error.message}` };
+    }
+}
+
+/**
+ * 提取结果在消息和历史记录中的文字 (JSON 代码块，追问时模型可以看到)
+ * @param {*} data
+ * @returns {string}
+ */
+function toJsonBlock(data) {
+    return `\`\`\`json\n${JSON.stringify(data, null, 2)}\n\`\`\``;
+}
+
+/**
+ * 值的 JSON Schema 类型
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * 按 Schema 校验数据 (支持常用的 JSON Schema 关键字)
+ * @param {*} data
+ * @param {object} schema
+ * @param {string} [path='$']
+ * @param {Array<string>} [errors=[]]
+ * @returns {Array<string>} 错误信息，最多 MAX_VALIDATION_ERRORS 条；为空表示通过
+ */
+function validate(data, schema, path = '$', errors = []) {
+    if (!schema || typeof schema !== 'object' || errors.length >= MAX_VALIDATION_ERRORS) return errors;
+    const fail = (message) => {
+        if (errors.length < MAX_VALIDATION_ERRORS) errors.push(`${path}: ${message}`);
+    };
+
+    const alternatives = schema.anyOf || schema.oneOf;
+    if (alternatives) {
+        if (!alternatives.some(alternative => validate(data, alternative, path).length === 0)) {
+            fail('does not match any of the allowed schemas');
+        }
+        return errors;
+    }
+
+    if (data === null && schema.nullable) return errors;
+    if (schema.type) {
+        const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const actual = typeOf(data);
+        const matches = allowed.some(type => type === actual || (type === 'number' && actual === 'integer'));
+        if (!matches) {
+            fail(`expected ${allowed.join(' or ')}, got ${actual}`);
+            return errors;
+        }
+    }
+    if (schema.enum && !schema.enum.some(value => JSON.stringify(value) === JSON.stringify(data))) {
+        fail(`must be one of ${JSON.stringify(schema.enum)}`);
+    }
+    if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(data)) {
+        fail(`must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof data === 'string') {
+        if (schema.minLength !== undefined && data.length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && data.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+        if (schema.pattern) {
+            try {
+                if (!new RegExp(schema.pattern).test(data)) fail(`must match ${schema.pattern}`);
+            } catch (error) {
+                // Schema 中的正则无效时不校验
+            }
+        }
+    } else if (typeof data === 'number') {
+        if (schema.minimum !== undefined && data < schema.minimum) fail(`must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && data > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    } else if (Array.isArray(data)) {
+        if (schema.minItems !== undefined && data.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && data.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+        if (schema.items) data.forEach((item, index) => validate(item, schema.items, `${path}[${index}]`, errors));
+    } else if (data && typeof data === 'object') {
+        (schema.required || []).forEach(name => {
+            if (!(name in data)) fail(`missing required property "${name}"`);
+        });
+        const properties = schema.properties || {};
+        Object.entries(data).forEach(([name, value]) => {
+            if (properties[name]) {
+                validate(value, properties[name], `${path}.${name}`, errors);
+            } else if (schema.additionalProperties === false) {
+                fail(`unexpected property "${name}"`);
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                validate(value, schema.additionalProperties, `${path}.${name}`, errors);
+            }
+        });
+    }
+    return errors;
+}
+
+/**
+ * 把提取结果转为表格：对象数组直接作为行；对象中第一个对象数组属性作为行；其它对象作为单行
+ * @param {*} data
+ * @returns {{key: string|null, records: Array<*>, columns: Array<string>}} key 为行所在的属性名 (null 表示 data 本身)
+ */
+function toTable(data) {
+    let key = null;
+    let records;
+    const isRecordList = (value) => Array.isArray(value) && value.length > 0 && value.every(item => item && typeof item === 'object' && !Array.isArray(item));
+    if (Array.isArray(data)) {
+        records = data;
+    } else if (data && typeof data === 'object') {
+        key = Object.keys(data).find(name => isRecordList(data[name])) || null;
+        records = key ? data[key] : [data];
+    } else {
+        records = [data];
+    }
+
+    const columns = [];
+    records.forEach(record => {
+        if (record && typeof record === 'object' && !Array.isArray(record)) {
+            Object.keys(record).forEach(name => { if (!columns.includes(name)) columns.push(name); });
+        }
+    });
+    if (columns.length === 0) columns.push('value'); // 基本类型的数组
+    return { key, records, columns };
+}
+
+/**
+ * 单元格显示的文字
+ * @param {*} value
+ * @returns {string}
+ */
+function formatCell(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * 把编辑后的文字按原值的类型转换回去 (数字、布尔、对象等)
+ * @param {string} text
+ * @param {*} previousValue
+ * @returns {*}
+ */
+function parseCell(text, previousValue) {
+    const trimmed = text.trim();
+    if (typeof previousValue === 'number' && trimmed !== '' && !isNaN(Number(trimmed))) return Number(trimmed);
+    if (typeof previousValue === 'boolean' && /^(true|false)$/i.test(trimmed)) return trimmed.toLowerCase() === 'true';
+    if (previousValue && typeof previousValue === 'object') {
+        try {
+            return JSON.parse(trimmed);
+        } catch (error) {
+            return text;
+        }
+    }
+    if (previousValue === null && trimmed === '') return null;
+    return text;
+}
+
+/**
+ * 转为 CSV (RFC 4180 引号规则)
+ * @param {*} data
+ * @returns {string}
+ */
+function toCSV(data) {
+    const { records, columns } = toTable(data);
+    const escapeCell = (value) => {
+        const text = formatCell(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const isPrimitiveList = columns.length === 1 && columns[0] === 'value' && records.every(record => typeof record !== 'object' || record === null);
+    const lines = [columns.map(escapeCell).join(',')];
+    records.forEach(record => {
+        lines.push(isPrimitiveList ? escapeCell(record) : columns.map(column => escapeCell(record?.[column])).join(','));
+    });
+    return lines.join('\r\n');
+}
+
+// 导出函数
+window.PagetalkSchema = {
+    parseSchemaText: parseSchemaText,
+    toGeminiSchema: toGeminiSchema,
+    parseJsonReply: parseJsonReply,
+    toJsonBlock: toJsonBlock,
+    validate: validate,
+    toTable: toTable,
+    formatCell: formatCell,
+    parseCell: parseCell,
+    toCSV: toCSV
+};
@@ -2,6 +2,7 @@
  * Pagetalk - Settings Management Functions (Model, General)
  */
 import { generateUniqueId } from './utils.js'; // Might need utils later
+import { getBranchInfo, collectHiddenBranches } from './branches.js';
 
 /** Helper function to get translation string */
 function _(key, replacements = {}, translations) {
@@ -21,29 +22,185 @@ function _(key, replacements = {}, translations) {
  * @param {function} applyThemeCallback - Callback
  */
 export function loadSettings(state, elements, updateConnectionIndicatorCallback, loadAndApplyTranslationsCallback, applyThemeCallback) {
-    chrome.storage.sync.get(['apiKey', 'model', 'language'], (syncResult) => {
-        // API Key and Model
-        if (syncResult.apiKey) state.apiKey = syncResult.apiKey;
+    chrome.storage.sync.get(['apiKey', 'apiKeys', 'provider', 'model', 'language', 'localEndpoint', 'localApiFormat', 'contextMode', 'pageTextFormat', 'pdfMode', 'guardedContext', 'citationsEnabled', 'newChatOnNavigation'], (syncResult) => {
+        // Provider and API Keys (one key per provider)
+        state.provider = syncResult.provider || 'gemini';
+        state.apiKeys = { ...(syncResult.apiKeys || {}) };
+        // 兼容旧版本：之前只保存了 Gemini 的 apiKey
+        if (syncResult.apiKey && !state.apiKeys.gemini) state.apiKeys.gemini = syncResult.apiKey;
+        state.apiKey = state.apiKeys[state.provider] || '';
+
+        // Local endpoint (Ollama / llama.cpp)
+        if (syncResult.localEndpoint) state.localEndpoint = syncResult.localEndpoint;
+        if (syncResult.localApiFormat) state.localApiFormat = syncResult.localApiFormat;
+        if (elements.localEndpoint) elements.localEndpoint.value = state.localEndpoint;
+        if (elements.localApiFormat) elements.localApiFormat.value = state.localApiFormat;
+
+        // Model
         if (syncResult.model) state.model = syncResult.model;
+        if (elements.providerSelection) elements.providerSelection.value = state.provider;
         if (elements.apiKey) elements.apiKey.value = state.apiKey;
-        if (elements.modelSelection) elements.modelSelection.value = state.model;
-        if (elements.chatModelSelection) elements.chatModelSelection.value = state.model;
+        updateProviderHint(state.provider, elements);
+        initModelSelection(state, elements); // Built-in defaults until the cached catalog is read
+        loadModelCatalog(state, elements);
 
         // Language
         state.language = syncResult.language || 'zh-CN'; // Default to Chinese
         if (elements.languageSelect) elements.languageSelect.value = state.language;
         loadAndApplyTranslationsCallback(state.language); // Apply translations
 
+        // Page context mode (full page vs. retrieved sections)
+        state.contextMode = syncResult.contextMode || 'auto';
+        if (elements.contextModeSelect) elements.contextModeSelect.value = state.contextMode;
+
+        // Page text format (Markdown keeps tables, lists, code blocks and links)
+        state.pageTextFormat = syncResult.pageTextFormat === 'plain' ? 'plain' : 'markdown';
+        if (elements.pageTextFormatSelect) elements.pageTextFormatSelect.value = state.pageTextFormat;
+
+        // PDF attachments: extracted text, or the file itself for models that read PDFs
+        state.pdfMode = syncResult.pdfMode === 'native' ? 'native' : 'text';
+        if (elements.pdfModeSelect) elements.pdfModeSelect.value = state.pdfMode;
+
+        // Prompt-injection guard for page content (on unless explicitly disabled)
+        state.guardedContext = syncResult.guardedContext !== false;
+        if (elements.guardedContextToggle) elements.guardedContextToggle.checked = state.guardedContext;
+
+        // Numbered page passages and [n] citations in answers (on unless explicitly disabled)
+        state.citationsEnabled = syncResult.citationsEnabled !== false;
+        if (elements.citationsToggle) elements.citationsToggle.checked = state.citationsEnabled;
+        state.newChatOnNavigation = syncResult.newChatOnNavigation === true;
+        if (elements.newChatOnNavigationToggle) elements.newChatOnNavigationToggle.checked = state.newChatOnNavigation;
+
         // Theme (Load default, content script might override)
         state.darkMode = false; // Default to light
         applyThemeCallback(state.darkMode); // Apply default
 
-        // Connection Status (based on API key presence)
-        state.isConnected = !!state.apiKey;
+        // Connection Status (based on API key presence; local endpoints need no key)
+        state.isConnected = !!state.apiKey || window.GeminiAPI.getProvider(state.provider).requiresApiKey === false;
         updateConnectionIndicatorCallback(); // Update footer indicator
     });
 }
 
+/**
+ * 更新模型设置页中 "获取 API Key" 的链接，并切换本地端点设置的显示
+ * @param {string} providerId - Provider ID
+ * @param {object} elements - DOM elements reference
+ */
+function updateProviderHint(providerId, elements) {
+    const provider = window.GeminiAPI.getProvider(providerId);
+    if (elements.localEndpointGroup) {
+        elements.localEndpointGroup.style.display = provider.requiresConnection ? '' : 'none';
+    }
+    if (!elements.apiKeyLink) return;
+    elements.apiKeyLink.parentElement.style.display = provider.keyUrl ? '' : 'none';
+    if (provider.keyUrl) {
+        elements.apiKeyLink.href = provider.keyUrl;
+        elements.apiKeyLink.textContent = provider.name;
+    }
+}
+
+/**
+ * 读取模型设置页中的本地端点配置
+ * @param {object} elements - DOM elements reference
+ * @param {object} state - Global state reference (fallback values)
+ * @returns {{baseUrl: string, apiFormat: string}}
+ */
+function readConnectionSettings(elements, state) {
+    return {
+        baseUrl: elements.localEndpoint ? elements.localEndpoint.value.trim() || state.localEndpoint : state.localEndpoint,
+        apiFormat: elements.localApiFormat ? elements.localApiFormat.value : state.localApiFormat
+    };
+}
+
+const MODEL_CATALOG_MAX_AGE = 24 * 60 * 60 * 1000; // 缓存一天后在启动时重新获取
+
+/**
+ * 从 chrome.storage.local 读取缓存的模型目录
+ * @param {object} state - Global state reference
+ * @param {object} elements - DOM elements reference
+ */
+function loadModelCatalog(state, elements) {
+    chrome.storage.local.get('modelCatalog', (localResult) => {
+        const cached = localResult.modelCatalog || {};
+        const catalog = {};
+        Object.keys(cached).forEach(providerId => {
+            if (Array.isArray(cached[providerId]?.models)) catalog[providerId] = cached[providerId].models;
+        });
+        state.modelCatalog = { ...catalog, ...state.modelCatalog };
+        initModelSelection(state, elements);
+
+        const provider = window.GeminiAPI.getProvider(state.provider);
+        const fetchedAt = cached[state.provider]?.fetchedAt || 0;
+        const isStale = Date.now() - fetchedAt > MODEL_CATALOG_MAX_AGE;
+        // 本地端点的模型随时可能变化，每次都重新获取
+        if (provider.requiresConnection || (state.apiKey && isStale)) {
+            refreshModelCatalog(state, elements);
+        }
+    });
+}
+
+/**
+ * 从当前 Provider 的端点获取模型目录，缓存到 chrome.storage.local，并刷新两个模型下拉框
+ * @param {object} state - Global state reference
+ * @param {object} elements - DOM elements reference
+ * @returns {Promise<void>}
+ */
+export async function refreshModelCatalog(state, elements) {
+    const providerId = state.provider;
+    try {
+        const models = await window.GeminiAPI.listModels(providerId, state.apiKey, { baseUrl: state.localEndpoint, apiFormat: state.localApiFormat });
+        if (state.provider !== providerId) return; // Provider 在请求期间被切换
+        if (models.length === 0) return; // 保留默认列表
+        state.modelCatalog = { ...state.modelCatalog, [providerId]: models };
+        chrome.storage.local.get('modelCatalog', (localResult) => {
+            const cached = { ...(localResult.modelCatalog || {}), [providerId]: { models, fetchedAt: Date.now() } };
+            chrome.storage.local.set({ modelCatalog: cached }, () => {
+                if (chrome.runtime.lastError) console.error("Error caching model catalog:", chrome.runtime.lastError);
+            });
+        });
+        initModelSelection(state, elements);
+    } catch (error) {
+        console.warn(`Failed to fetch model catalog for ${providerId}:`, error);
+    }
+}
+
+/**
+ * Handles provider selection change in the Model settings tab.
+ * Swaps in the key saved for that provider and its model list; nothing is persisted until Save.
+ * @param {object} state - Global state reference
+ * @param {object} elements - DOM elements reference
+ */
+export function handleProviderChange(state, elements) {
+    const providerId = elements.providerSelection.value;
+    if (elements.apiKey) elements.apiKey.value = state.apiKeys[providerId] || '';
+    updateProviderHint(providerId, elements);
+    const models = getModelOptions(state, providerId);
+    const selectedModel = providerId === state.provider ? state.model : models[0]?.id;
+    populateModelSelect(elements.modelSelection, models, selectedModel, getCurrentTranslations(state));
+    updateModelCapabilitiesHint(state, elements);
+
+    // 首次切换到本地端点时尝试获取模型列表 (只刷新设置页的下拉框，保存后才写入目录)
+    const provider = window.GeminiAPI.getProvider(providerId);
+    if (provider.requiresConnection && !state.modelCatalog[providerId]) {
+        window.GeminiAPI.listModels(providerId, elements.apiKey.value.trim(), readConnectionSettings(elements, state))
+            .then(discovered => {
+                if (elements.providerSelection.value !== providerId) return;
+                populateModelSelect(elements.modelSelection, discovered, elements.modelSelection.value, getCurrentTranslations(state));
+                updateModelCapabilitiesHint(state, elements, discovered);
+            })
+            .catch(error => console.warn(`Failed to list models for ${providerId}:`, error));
+    }
+}
+
+/**
+ * Handles model selection change in the Model settings tab (capabilities hint only; nothing is saved).
+ * @param {object} state - Global state reference
+ * @param {object} elements - DOM elements reference
+ */
+export function handleModelSelectionChange(state, elements) {
+    updateModelCapabilitiesHint(state, elements);
+}
+
 /**
  * Saves model settings after testing the API key.
  * @param {boolean} showToastNotification - Whether to show the 'Saved' toast notification.
@@ -56,9 +213,12 @@ export function loadSettings(state, elements, updateConnectionIndicatorCallback,
  */
 export async function saveModelSettings(showToastNotification = true, state, elements, showConnectionStatusCallback, showToastCallback, updateConnectionIndicatorCallback, currentTranslations) {
     const apiKey = elements.apiKey.value.trim();
-    const model = elements.modelSelection.value;
+    const customModel = elements.customModelInput ? elements.customModelInput.value.trim() : '';
+    const model = customModel || elements.modelSelection.value; // 自定义模型 ID 优先
+    const provider = elements.providerSelection ? elements.providerSelection.value : state.provider;
+    const connection = readConnectionSettings(elements, state);
 
-    if (!apiKey) {
+    if (!apiKey && window.GeminiAPI.getProvider(provider).requiresApiKey !== false) {
         showConnectionStatusCallback(_('apiKeyMissingError', {}, currentTranslations), 'error');
         return;
     }
@@ -68,14 +228,18 @@ export async function saveModelSettings(showToastNotification = true, state, ele
     elements.saveModelSettings.textContent = _('saving', {}, currentTranslations);
     showConnectionStatusCallback(_('testingConnection', {}, currentTranslations), 'info');
 
-    const testResult = await window.GeminiAPI.testAndVerifyApiKey(apiKey, model);
+    const testResult = await window.GeminiAPI.testAndVerifyApiKey(apiKey, model, provider, connection);
 
     if (testResult.success) {
+        state.provider = provider;
+        state.localEndpoint = connection.baseUrl;
+        state.localApiFormat = connection.apiFormat;
+        state.apiKeys = { ...state.apiKeys, [provider]: apiKey };
         state.apiKey = apiKey;
         state.model = model;
         state.isConnected = true;
 
-        chrome.storage.sync.set({ apiKey: state.apiKey, model: state.model }, () => {
+        chrome.storage.sync.set({ provider: state.provider, apiKeys: state.apiKeys, model: state.model, localEndpoint: state.localEndpoint, localApiFormat: state.localApiFormat }, () => {
             if (chrome.runtime.lastError) {
                 console.error("Error saving model settings:", chrome.runtime.lastError);
                 showConnectionStatusCallback(_('saveFailedToast', { error: chrome.runtime.lastError.message }, currentTranslations), 'error');
@@ -85,10 +249,10 @@ export async function saveModelSettings(showToastNotification = true, state, ele
                 if (showToastNotification) {
                     // showToastCallback(_('settingsSaved', {}, currentTranslations), 'success'); // Optional: General saved toast
                 }
-                // Sync chat model selector
-                if (elements.chatModelSelection) {
-                    elements.chatModelSelection.value = state.model;
-                }
+                if (elements.customModelInput) elements.customModelInput.value = '';
+                // Sync both model selectors, then refresh the catalog now that the key is verified
+                initModelSelection(state, elements);
+                refreshModelCatalog(state, elements);
             }
             updateConnectionIndicatorCallback(); // Update footer indicator
         });
@@ -127,6 +291,112 @@ export function handleLanguageChange(state, elements, loadAndApplyTranslationsCa
     });
 }
 
+/**
+ * Handles page context mode change (auto / retrieval / full).
+ * @param {object} state - Global state reference
+ * @param {object} elements - DOM elements reference
+ * @param {function} showToastCallback - Callback
+ * @param {object} currentTranslations - Translations object
+ */
+export function handleContextModeChange(state, elements, showToastCallback, currentTranslations) {
+    state.contextMode = elements.contextModeSelect.value;
+    chrome.storage.sync.set({ contextMode: state.contextMode }, () => {
+        if (chrome.runtime.lastError) {
+            console.error("Error saving context mode:", chrome.runtime.lastError);
+            showToastCallback(_('saveFailedToast', { error: chrome.runtime.lastError.message }, currentTranslations), 'error');
+        }
+    });
+}
+
+/**
+ * Handles page text format change (markdown / plain).
+ * @param {object} state - Global state reference
+ * @param {object} elements - DOM elements reference
+ * @param {function} showToastCallback - Callback
+ * @param {object} currentTranslations - Translations object
+ * @param {function} requestPageContentCallback - Re-extracts the page in the new format
+ */
+export function handlePageTextFormatChange(state, elements, showToastCallback, currentTranslations, requestPageContentCallback) {
+    state.pageTextFormat = elements.pageTextFormatSelect.value;
+    chrome.storage.sync.set({ pageTextFormat: state.pageTextFormat }, () => {
+        if (chrome.runtime.lastError) {
+            console.error("Error saving page text format:", chrome.runtime.lastError);
+            showToastCallback(_('saveFailedToast', { error: chrome.runtime.lastError.message }, currentTranslations), 'error');
+        }
+    });
+    requestPageContentCallback();
+}
+
+/**
+ * Handles PDF mode change (text / native).
+ * @param {object} state - Global state reference
+ * @param {object} elements - DOM elements reference
+ * @param {function} showToastCallback - Callback
+ * @param {object} currentTranslations - Translations object
+ */
+export function handlePdfModeChange(state, elements, showToastCallback, currentTranslations) {
+    state.pdfMode = elements.pdfModeSelect.value;
+    chrome.storage.sync.set({ pdfMode: state.pdfMode }, () => {
+        if (chrome.runtime.lastError) {
+            console.error("Error saving PDF mode:", chrome.runtime.lastError);
+            showToastCallback(_('saveFailedToast', { error: chrome.runtime.lastError.message }, currentTranslations), 'error');
+        }
+    });
+}
+
+/**
+ * Handles toggling the prompt-injection guard for page content.
+ * @param {object} state - Global state reference
+ * @param {object} elements - DOM elements reference
+ * @param {function} showToastCallback - Callback
+ * @param {object} currentTranslations - Translations object
+ * @param {function} requestPageContentCallback - Re-extracts the page (hidden text is only stripped in guarded mode)
+ */
+export function handleGuardedContextChange(state, elements, showToastCallback, currentTranslations, requestPageContentCallback) {
+    state.guardedContext = elements.guardedContextToggle.checked;
+    chrome.storage.sync.set({ guardedContext: state.guardedContext }, () => {
+        if (chrome.runtime.lastError) {
+            console.error("Error saving prompt-injection guard setting:", chrome.runtime.lastError);
+            showToastCallback(_('saveFailedToast', { error: chrome.runtime.lastError.message }, currentTranslations), 'error');
+        }
+    });
+    requestPageContentCallback();
+}
+
+/**
+ * Handles the citations toggle.
+ * @param {object} state - Global state reference
+ * @param {object} elements - DOM elements reference
+ * @param {function} showToastCallback - Callback
+ * @param {object} currentTranslations - Translations object
+ */
+export function handleCitationsChange(state, elements, showToastCallback, currentTranslations) {
+    state.citationsEnabled = elements.citationsToggle.checked;
+    chrome.storage.sync.set({ citationsEnabled: state.citationsEnabled }, () => {
+        if (chrome.runtime.lastError) {
+            console.error("Error saving citations setting:", chrome.runtime.lastError);
+            showToastCallback(_('saveFailedToast', { error: chrome.runtime.lastError.message }, currentTranslations), 'error');
+        }
+    });
+}
+
+/**
+ * Handles toggling a new chat when a single-page site navigates to another URL.
+ * @param {object} state - Global state reference
+ * @param {object} elements - DOM elements reference
+ * @param {function} showToastCallback - Callback
+ * @param {object} currentTranslations - Translations object
+ */
+export function handleNewChatOnNavigationChange(state, elements, showToastCallback, currentTranslations) {
+    state.newChatOnNavigation = elements.newChatOnNavigationToggle.checked;
+    chrome.storage.sync.set({ newChatOnNavigation: state.newChatOnNavigation }, () => {
+        if (chrome.runtime.lastError) {
+            console.error("Error saving new chat on navigation setting:", chrome.runtime.lastError);
+            showToastCallback(_('saveFailedToast', { error: chrome.runtime.lastError.message }, currentTranslations), 'error');
+        }
+    });
+}
+
 /**
  * Handles exporting chat history.
  * @param {object} state - Global state reference
@@ -136,16 +406,17 @@ export function handleLanguageChange(state, elements, loadAndApplyTranslationsCa
  */
 export function handleExportChat(state, elements, showToastCallback, currentTranslations) {
     const format = elements.exportFormatSelect.value;
+    const includeThoughts = !!elements.exportIncludeThoughts?.checked; // 思考过程默认不导出
     let content = '';
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     let filename = `pagetalk_chat_${timestamp}`;
 
     if (format === 'markdown') {
         filename += '.md';
-        content = exportChatToMarkdown(state, currentTranslations);
+        content = exportChatToMarkdown(state, currentTranslations, includeThoughts);
     } else { // text format
         filename += '.txt';
-        content = exportChatToText(state, currentTranslations);
+        content = exportChatToText(state, currentTranslations, includeThoughts);
     }
 
     if (!content) {
@@ -174,9 +445,10 @@ export function handleExportChat(state, elements, showToastCallback, currentTran
  * Exports chat history to Markdown format.
  * @param {object} state - Global state reference
  * @param {object} currentTranslations - Translations object
+ * @param {boolean} [includeThoughts=false] - 是否包含模型的思考过程
  * @returns {string} Markdown content
  */
-function exportChatToMarkdown(state, currentTranslations) {
+function exportChatToMarkdown(state, currentTranslations, includeThoughts = false) {
     if (state.chatHistory.length === 0) return '';
 
     const _tr = (key, rep = {}) => _(key, rep, currentTranslations);
@@ -185,11 +457,44 @@ function exportChatToMarkdown(state, currentTranslations) {
     const timestamp = typeof dayjs !== 'undefined' ? dayjs().format('YYYY-MM-DD HH:mm:ss') : new Date().toLocaleString();
 
     let markdown = `# ${_tr('appName')} ${_tr('chatTab')} History (${timestamp})\n\n`;
+    markdown += messagesToMarkdown(state.chatHistory, '##', _tr, includeThoughts);
+
+    // Versions that are not currently displayed (edited prompts / regenerated answers)
+    const hiddenBranches = collectHiddenBranches(state.chatHistory);
+    if (hiddenBranches.length > 0) {
+        markdown += `---\n\n## ${_tr('exportBranchesHeading')}\n\n`;
+        hiddenBranches.forEach(branch => {
+            markdown += `### ${_tr('exportBranchLabel', { position: branch.position, index: branch.index, count: branch.count })}\n\n`;
+            markdown += messagesToMarkdown(branch.messages, '####', _tr, includeThoughts);
+        });
+    }
+
+    return markdown;
+}
 
-    state.chatHistory.forEach(message => {
+/**
+ * Formats a list of messages as Markdown sections.
+ * @param {Array<object>} messages - Message objects
+ * @param {string} heading - Heading prefix for each message, e.g. '##'
+ * @param {function} _tr - Translation helper
+ * @param {boolean} [includeThoughts=false] - 是否包含模型的思考过程
+ * @returns {string} Markdown content
+ */
+function messagesToMarkdown(messages, heading, _tr, includeThoughts = false) {
+    let markdown = '';
+    messages.forEach(message => {
         const { text, images } = extractPartsFromMessage(message); // Use helper
         const role = message.role === 'user' ? _tr('chatTab') : _tr('appName');
-        markdown += `## ${role}\n\n`;
+        const branchInfo = getBranchInfo(message);
+        markdown += `${heading} ${role}${branchInfo ? ` (${branchInfo.index + 1}/${branchInfo.count})` : ''}\n\n`;
+
+        if (message.selection) {
+            markdown += `${message.selection.split('\n').map(line => `> ${line}`).join('\n')}\n\n`; // Quoted page selection
+        }
+
+        if (includeThoughts && message.thought) {
+            markdown += `> **${_tr('reasoningLabel')}**\n>\n${message.thought.split('\n').map(line => `> ${line}`).join('\n')}\n\n`;
+        }
 
         if (images.length > 0) {
             images.forEach((img, index) => {
@@ -213,9 +518,10 @@ function exportChatToMarkdown(state, currentTranslations) {
  * Exports chat history to plain text format.
  * @param {object} state - Global state reference
  * @param {object} currentTranslations - Translations object
+ * @param {boolean} [includeThoughts=false] - 是否包含模型的思考过程
  * @returns {string} Plain text content
  */
-function exportChatToText(state, currentTranslations) {
+function exportChatToText(state, currentTranslations, includeThoughts = false) {
     if (state.chatHistory.length === 0) return '';
 
     const _tr = (key, rep = {}) => _(key, rep, currentTranslations);
@@ -224,11 +530,43 @@ function exportChatToText(state, currentTranslations) {
     const timestamp = typeof dayjs !== 'undefined' ? dayjs().format('YYYY-MM-DD HH:mm:ss') : new Date().toLocaleString();
 
     let textContent = `${_tr('appName')} ${_tr('chatTab')} History (${timestamp})\n\n`;
+    textContent += messagesToText(state.chatHistory, _tr, includeThoughts);
+
+    // Versions that are not currently displayed (edited prompts / regenerated answers)
+    const hiddenBranches = collectHiddenBranches(state.chatHistory);
+    if (hiddenBranches.length > 0) {
+        textContent += `===== ${_tr('exportBranchesHeading')} =====\n\n`;
+        hiddenBranches.forEach(branch => {
+            textContent += `=== ${_tr('exportBranchLabel', { position: branch.position, index: branch.index, count: branch.count })} ===\n\n`;
+            textContent += messagesToText(branch.messages, _tr, includeThoughts);
+        });
+    }
+
+    return textContent;
+}
 
-    state.chatHistory.forEach(message => {
+/**
+ * Formats a list of messages as plain text.
+ * @param {Array<object>} messages - Message objects
+ * @param {function} _tr - Translation helper
+ * @param {boolean} [includeThoughts=false] - 是否包含模型的思考过程
+ * @returns {string} Plain text content
+ */
+function messagesToText(messages, _tr, includeThoughts = false) {
+    let textContent = '';
+    messages.forEach(message => {
         const { text, images } = extractPartsFromMessage(message); // Use helper
         const role = message.role === 'user' ? _tr('chatTab') : _tr('appName');
-        textContent += `--- ${role} ---\n`;
+        const branchInfo = getBranchInfo(message);
+        textContent += `--- ${role}${branchInfo ? ` (${branchInfo.index + 1}/${branchInfo.count})` : ''} ---\n`;
+
+        if (message.selection) {
+            textContent += `[${_tr('selectionFocusLabel')}]\n${message.selection}\n\n`;
+        }
+
+        if (includeThoughts && message.thought) {
+            textContent += `[${_tr('reasoningLabel')}]\n${message.thought}\n\n`;
+        }
 
         if (images.length > 0) {
             textContent += `[${_tr('containsNImages', { count: images.length })}]\n`;
@@ -268,39 +606,138 @@ function extractPartsFromMessage(message) {
 }
 
 /**
- * Initializes model selection dropdowns.
+ * 将 token 数格式化为简短形式，例如 1048576 -> "1M"
+ * @param {number} count
+ * @returns {string}
+ */
+function formatTokenCount(count) {
+    if (count >= 1000000) return `${+(count / 1048576).toFixed(1)}M`;
+    if (count >= 1000) return `${Math.round(count / 1024)}K`;
+    return `${count}`;
+}
+
+/**
+ * Translations for the current UI language (model lists are also rebuilt outside main.js's translation pass).
+ * @param {object} state - Global state reference
+ * @returns {object}
+ */
+function getCurrentTranslations(state) {
+    if (typeof translations === 'undefined') return {};
+    return translations[state.language] || translations['zh-CN'];
+}
+
+/**
+ * Summarises a catalogue entry's capabilities, e.g. "1M context · 8K output · vision · thinking".
+ * @param {object} entry - Model catalogue entry
+ * @param {object} currentTranslations - Translations object
+ * @returns {string} Empty when nothing is known about the model
+ */
+function describeModelCapabilities(entry, currentTranslations) {
+    if (!entry) return '';
+    const parts = [];
+    if (entry.contextWindow) parts.push(_('modelCapabilityContext', { count: formatTokenCount(entry.contextWindow) }, currentTranslations));
+    if (entry.outputLimit) parts.push(_('modelCapabilityOutput', { count: formatTokenCount(entry.outputLimit) }, currentTranslations));
+    if (entry.vision) parts.push(_('modelCapabilityVision', {}, currentTranslations));
+    if (entry.thinking) parts.push(_('modelCapabilityThinking', {}, currentTranslations));
+    return parts.join(' · ');
+}
+
+/**
+ * Updates the capabilities line under the settings model dropdown.
  * @param {object} state - Global state reference
  * @param {object} elements - DOM elements reference
+ * @param {Array<object>} [models] - Entries currently listed (defaults to the catalogue of the selected provider)
  */
-export function initModelSelection(state, elements) {
-    const modelOptions = [
-        { value: 'gemini-2.0-flash', text: 'gemini-2.0-flash' },
-        { value: 'gemini-2.5-flash-preview-04-17', text: 'gemini-2.5-flash-preview-04-17' },
-        { value: 'gemini-2.0-flash-thinking-exp-01-21', text: 'gemini-2.0-flash-thinking-exp-01-21' },
-        { value: 'gemini-2.0-pro-exp-02-05', text: 'gemini-2.0-pro-exp-02-05' },
-        { value: 'gemini-exp-1206', text: 'gemini-exp-1206' },
-        { value: 'gemini-2.5-pro-exp-03-25', text: 'gemini-2.5-pro-exp-03-25' },
-        { value: 'gemini-2.5-pro-preview-03-25', text: 'gemini-2.5-pro-preview-03-25' }
-    ];
+function updateModelCapabilitiesHint(state, elements, models) {
+    if (!elements.modelCapabilities || !elements.modelSelection) return;
+    const providerId = elements.providerSelection ? elements.providerSelection.value : state.provider;
+    const entries = models || getModelOptions(state, providerId);
+    const entry = entries.find(model => model.id === elements.modelSelection.value);
+    elements.modelCapabilities.textContent = describeModelCapabilities(entry, getCurrentTranslations(state));
+}
 
-    const populateSelect = (selectElement) => {
+/**
+ * Re-labels the capabilities hint and the model option tooltips after a language change.
+ * @param {object} state - Global state reference
+ * @param {object} elements - DOM elements reference
+ */
+export function refreshModelCapabilityLabels(state, elements) {
+    const currentTranslations = getCurrentTranslations(state);
+    const activeModel = window.GeminiAPI.resolveActiveModel(state);
+    const selects = [
+        [elements.modelSelection, elements.providerSelection ? elements.providerSelection.value : state.provider],
+        [elements.chatModelSelection, activeModel.provider]
+    ];
+    selects.forEach(([selectElement, providerId]) => {
         if (!selectElement) return;
-        selectElement.innerHTML = '';
-        modelOptions.forEach(option => {
-            const optionElement = document.createElement('option');
-            optionElement.value = option.value;
-            optionElement.textContent = option.text;
-            selectElement.appendChild(optionElement);
+        const entries = getModelOptions(state, providerId);
+        Array.from(selectElement.options).forEach(optionElement => {
+            const capabilities = describeModelCapabilities(entries.find(entry => entry.id === optionElement.value), currentTranslations);
+            if (capabilities) optionElement.title = capabilities;
+            else optionElement.removeAttribute('title');
         });
-        // Ensure current state model is selected, or default to first
-        if (modelOptions.some(o => o.value === state.model)) {
-            selectElement.value = state.model;
-        } else if (modelOptions.length > 0) {
-            selectElement.value = modelOptions[0].value;
-            state.model = modelOptions[0].value; // Update state if model was invalid
-        }
-    };
+    });
+    updateModelCapabilitiesHint(state, elements);
+}
+
+/**
+ * Fills a model <select> with the given catalogue entries.
+ * A selected model that is not in the catalogue (e.g. a custom model ID) is kept as an extra option.
+ * @param {HTMLSelectElement} selectElement - Target select
+ * @param {Array<object>} models - Model catalogue entries
+ * @param {string} selectedModel - Model to select
+ * @param {object} currentTranslations - Translations object
+ * @returns {string|null} The value that ended up selected
+ */
+function populateModelSelect(selectElement, models, selectedModel, currentTranslations) {
+    if (!selectElement) return null;
+    selectElement.innerHTML = '';
+    const entries = [...models];
+    if (selectedModel && !entries.some(entry => entry.id === selectedModel)) {
+        entries.unshift({ id: selectedModel });
+    }
+    entries.forEach(entry => {
+        const optionElement = document.createElement('option');
+        optionElement.value = entry.id;
+        optionElement.textContent = entry.id;
+        const capabilities = describeModelCapabilities(entry, currentTranslations);
+        if (capabilities) optionElement.title = capabilities;
+        selectElement.appendChild(optionElement);
+    });
+    if (selectedModel) {
+        selectElement.value = selectedModel;
+    } else if (entries.length > 0) {
+        selectElement.value = entries[0].id;
+    }
+    return selectElement.value || null;
+}
 
-    populateSelect(elements.modelSelection); // Settings tab
-    populateSelect(elements.chatModelSelection); // Chat tab
-}
\ No newline at end of file
+/**
+ * Catalogue entries to offer for a provider: the catalogue fetched from its endpoint, or its built-in defaults.
+ * @param {object} state - Global state reference
+ * @param {string} providerId - Provider ID
+ * @returns {Array<object>}
+ */
+function getModelOptions(state, providerId) {
+    return state.modelCatalog[providerId] || window.GeminiAPI.getProvider(providerId).defaultModels.map(id => ({ id }));
+}
+
+/**
+ * Initializes model selection dropdowns with the current provider's models.
+ * @param {object} state - Global state reference
+ * @param {object} elements - DOM elements reference
+ */
+export function initModelSelection(state, elements) {
+    const modelOptions = getModelOptions(state, state.provider);
+
+    if (!state.model && modelOptions.length > 0) {
+        state.model = modelOptions[0].id;
+    }
+
+    const currentTranslations = getCurrentTranslations(state);
+    populateModelSelect(elements.modelSelection, modelOptions, state.model, currentTranslations); // Settings tab
+    // Chat tab shows the model actually used, which the current agent may override
+    const activeModel = window.GeminiAPI.resolveActiveModel(state);
+    populateModelSelect(elements.chatModelSelection, getModelOptions(state, activeModel.provider), activeModel.model, currentTranslations);
+    updateModelCapabilitiesHint(state, elements, modelOptions);
+}
@@ -0,0 +1,170 @@
+/**
+ * Pagetalk - Multi-tab Context
+ * 通过 background.js 列出已打开的网页标签页并提取内容 (与当前页面相同的 Readability 逻辑)，
+ * 选中的标签页与当前页面一起作为带编号的参考文档发送给模型。
+ * state.tabContexts: [{ tabId, title, url, content, status: 'loading' | 'ready' | 'error' }]
+ */
+
+/** Helper function to get translation string */
+function _(key, replacements = {}, translations) {
+  let translation = translations[key] || key;
+  for (const placeholder in replacements) {
+    translation = translation.replace(`{${placeholder}}`, replacements[placeholder]);
+  }
+  return translation;
+}
+
+/**
+ * 向 background.js 发送消息，响应中带 error 字段时抛出异常
+ * @param {object} message
+ * @returns {Promise<object>}
+ */
+async function sendBackgroundMessage(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response) throw new Error('No response from background');
+    if (response.error) throw new Error(response.error);
+    return response;
+}
+
+/**
+ * 获取所有窗口中已打开的 http(s) 标签页
+ * @returns {Promise<Array<{id: number, title: string, url: string, favIconUrl: string, isCurrent: boolean}>>}
+ */
+export async function listOpenTabs() {
+    const response = await sendBackgroundMessage({ action: 'listTabs' });
+    return response.tabs || [];
+}
+
+/**
+ * 选中一个标签页并提取其内容
+ * @param {{id: number, title: string, url: string}} tab
+ * @param {object} state - Global state reference
+ * @param {function} onUpdate - 提取开始和结束时调用 (用于刷新列表和指示器)
+ * @returns {Promise<void>}
+ */
+export async function addTabContext(tab, state, onUpdate) {
+    if (state.tabContexts.some(entry => entry.tabId === tab.id)) return;
+    const entry = { tabId: tab.id, title: tab.title, url: tab.url, content: '', status: 'loading' };
+    state.tabContexts.push(entry);
+    onUpdate();
+
+    try {
+        const result = await sendBackgroundMessage({ action: 'extractTabContent', tabId: tab.id, guarded: state.guardedContext });
+        entry.content = result.content || '';
+        entry.title = result.title || entry.title;
+        entry.url = result.url || entry.url;
+        entry.status = entry.content ? 'ready' : 'error';
+    } catch (error) {
+        console.warn(`Failed to extract tab ${tab.id}:`, error);
+        entry.status = 'error';
+    }
+    onUpdate();
+}
+
+/**
+ * 取消选中标签页
+ * @param {number} tabId
+ * @param {object} state - Global state reference
+ */
+export function removeTabContext(tabId, state) {
+    state.tabContexts = state.tabContexts.filter(entry => entry.tabId !== tabId);
+}
+
+/**
+ * 获取标签页的主机名，用于列表中的副标题
+ * @param {string} url
+ * @returns {string}
+ */
+function getHostname(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (e) {
+        return url;
+    }
+}
+
+/**
+ * 渲染标签页选择列表
+ * @param {Array<object>} tabs - listOpenTabs 的结果
+ * @param {object} state - Global state reference
+ * @param {object} elements - DOM elements reference
+ * @param {object} currentTranslations - Translations object
+ * @param {function} onToggle - Callback (tab, checked)
+ */
+export function renderTabPicker(tabs, state, elements, currentTranslations, onToggle) {
+    elements.tabPickerList.innerHTML = '';
+
+    // 已选中但已关闭的标签页仍然列出，方便取消选中
+    const openTabIds = new Set(tabs.map(tab => tab.id));
+    const closedSelections = state.tabContexts
+        .filter(entry => !openTabIds.has(entry.tabId))
+        .map(entry => ({ id: entry.tabId, title: entry.title, url: entry.url, favIconUrl: '', isCurrent: false }));
+    const allTabs = [...tabs, ...closedSelections];
+
+    if (allTabs.every(tab => tab.isCurrent)) {
+        const emptyState = document.createElement('div');
+        emptyState.className = 'empty-state';
+        emptyState.textContent = _('tabPickerEmpty', {}, currentTranslations);
+        elements.tabPickerList.appendChild(emptyState);
+        return;
+    }
+
+    allTabs.forEach(tab => {
+        const entry = state.tabContexts.find(selected => selected.tabId === tab.id);
+        const item = document.createElement('label');
+        item.className = 'tab-picker-item';
+        if (tab.isCurrent) item.classList.add('current');
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = tab.isCurrent || !!entry;
+        checkbox.disabled = tab.isCurrent; // 当前页面始终包含在上下文中
+        checkbox.addEventListener('change', () => onToggle(tab, checkbox.checked));
+        item.appendChild(checkbox);
+
+        if (tab.favIconUrl) {
+            const icon = document.createElement('img');
+            icon.className = 'tab-picker-icon';
+            icon.src = tab.favIconUrl;
+            icon.alt = '';
+            icon.addEventListener('error', () => icon.remove());
+            item.appendChild(icon);
+        }
+
+        const info = document.createElement('div');
+        info.className = 'tab-picker-info';
+        const title = document.createElement('div');
+        title.className = 'tab-picker-title';
+        title.textContent = tab.title;
+        title.title = tab.url;
+        const meta = document.createElement('div');
+        meta.className = 'tab-picker-meta';
+        let status = getHostname(tab.url);
+        if (tab.isCurrent) {
+            status += ` · ${_('tabCurrentPage', {}, currentTranslations)}`;
+        } else if (entry) {
+            if (entry.status === 'loading') status += ` · ${_('tabExtracting', {}, currentTranslations)}`;
+            else if (entry.status === 'error') status += ` · ${_('tabExtractFailed', {}, currentTranslations)}`;
+            else status += ` · ${_('tabContentChars', { charCount: entry.content.length }, currentTranslations)}`;
+        }
+        meta.textContent = status;
+        if (entry && entry.status === 'error') meta.classList.add('error');
+        info.appendChild(title);
+        info.appendChild(meta);
+        item.appendChild(info);
+
+        elements.tabPickerList.appendChild(item);
+    });
+}
+
+/**
+ * 更新工具栏按钮上的已选标签页数量
+ * @param {object} state - Global state reference
+ * @param {object} elements - DOM elements reference
+ */
+export function updateTabContextIndicator(state, elements) {
+    const count = state.tabContexts.filter(entry => entry.status !== 'error').length;
+    elements.tabContextCount.textContent = count > 0 ? `+${count}` : '';
+    elements.tabContextCount.style.display = count > 0 ? '' : 'none';
+    elements.tabContextBtn.classList.toggle('active', count > 0);
+}
@@ -0,0 +1,412 @@
+/**
+ * Pagetalk - Prompt Templates
+ * 可复用的提示词模板，保存在 chrome.storage.sync 的 promptTemplates 中：{ id, name, content }
+ * 模板中的 {{selection}} {{url}} {{title}} {{page}} {{clipboard}} 在插入时自动替换，
+ * 其它 {{名称}} 是插入前需要填写的字段。在输入框中输入 "/" 打开模板面板 (见 main.js)。
+ */
+import { generateUniqueId, escapeHtml } from './utils.js';
+
+export const BUILTIN_TEMPLATE_VARIABLES = ['selection', 'url', 'title', 'page', 'clipboard'];
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const SLASH_COMMAND_PATTERN = /^\/(\S*)$/;
+const MAX_PALETTE_ITEMS = 8;
+const PREVIEW_LENGTH = 80;
+
+/** Helper function to get translation string */
+function _(key, replacements = {}, translations) {
+  let translation = translations[key] || key;
+  for (const placeholder in replacements) {
+    translation = translation.replace(`{${placeholder}}`, replacements[placeholder]);
+  }
+  return translation;
+}
+
+/**
+ * 列出模板中用到的变量名 (去重，按出现顺序)
+ * @param {string} content
+ * @returns {string[]}
+ */
+function getTemplateVariables(content) {
+    const names = [];
+    for (const match of (content || '').matchAll(TEMPLATE_VARIABLE_PATTERN)) {
+        if (!names.includes(match[1])) names.push(match[1]);
+    }
+    return names;
+}
+
+/**
+ * 模板中需要用户填写的字段 (内置变量以外的 {{名称}})
+ * @param {string} content
+ * @returns {string[]}
+ */
+export function getTemplateFields(content) {
+    return getTemplateVariables(content).filter(name => !BUILTIN_TEMPLATE_VARIABLES.includes(name.toLowerCase()));
+}
+
+/**
+ * 用给定的值替换模板中的变量 (没有值的变量替换为空)
+ * @param {string} content
+ * @param {object} values - { 变量名: 值 }，内置变量的键为小写
+ * @returns {string}
+ */
+export function expandTemplate(content, values) {
+    return (content || '').replace(TEMPLATE_VARIABLE_PATTERN, (match, name) => {
+        const key = BUILTIN_TEMPLATE_VARIABLES.includes(name.toLowerCase()) ? name.toLowerCase() : name;
+        return values[key] ?? '';
+    }).trim();
+}
+
+/**
+ * 请求读取剪贴板的可选权限 (不在安装和更新时要求，模板第一次用到 {{clipboard}} 时才询问；已授予时直接返回 true)。
+ * 需要用户操作，因此要在选择模板的处理中、其它 await 之前调用
+ * @returns {Promise<boolean>}
+ */
+function requestClipboardPermission() {
+    return chrome.permissions.request({ permissions: ['clipboardRead'] }).catch(error => {
+        console.warn('Could not request the clipboard permission:', error);
+        return false;
+    });
+}
+
+/**
+ * 获取模板中用到的内置变量的值 (在选择模板的用户操作中调用)
+ * @param {string} content
+ * @param {object} state - Global state reference
+ * @returns {Promise<object>}
+ */
+export async function resolveBuiltinVariables(content, state) {
+    const used = getTemplateVariables(content).map(name => name.toLowerCase());
+    const clipboardPermission = used.includes('clipboard') ? requestClipboardPermission() : null;
+    const values = {};
+    if (used.includes('url')) values.url = state.pageUrl || '';
+    if (used.includes('title')) values.title = state.pageTitle || '';
+    if (used.includes('page')) values.page = state.pageContext && state.pageContext !== 'error' ? state.pageContext : '';
+    if (used.includes('selection')) {
+        values.selection = state.selectionContext || '';
+        if (!values.selection) {
+            try {
+                const result = await window.PagetalkTools.requestPageTool('getSelection', {}, state.guardedContext !== false);
+                values.selection = result?.text || '';
+            } catch (error) {
+                console.warn('Could not read the page selection for the template:', error);
+            }
+        }
+    }
+    if (clipboardPermission) {
+        values.clipboard = '';
+        try {
+            // 用户拒绝授权或面板未获得焦点时留空
+            if (await clipboardPermission) values.clipboard = await navigator.clipboard.readText();
+        } catch (error) {
+            console.warn('Could not read the clipboard for the template:', error);
+        }
+    }
+    return values;
+}
+
+/**
+ * 输入框内容为 "/关键词" 时返回关键词，否则返回 null
+ * @param {string} inputValue
+ * @returns {string|null}
+ */
+export function getSlashQuery(inputValue) {
+    const match = SLASH_COMMAND_PATTERN.exec(inputValue || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * 按名称筛选模板，名称以关键词开头的排在前面
+ * @param {Array<object>} templates - state.promptTemplates
+ * @param {string} query
+ * @returns {Array<object>}
+ */
+export function filterPromptTemplates(templates, query) {
+    const q = (query || '').toLowerCase();
+    const matches = (templates || []).filter(template => template.name.toLowerCase().includes(q));
+    const startsWith = matches.filter(template => template.name.toLowerCase().startsWith(q));
+    return [...startsWith, ...matches.filter(template => !startsWith.includes(template))].slice(0, MAX_PALETTE_ITEMS);
+}
+
+/**
+ * 加载提示词模板
+ * @param {object} state - Global state reference
+ * @param {function} updatePromptTemplatesListCallback - Callback to update UI list
+ */
+export function loadPromptTemplates(state, updatePromptTemplatesListCallback) {
+    chrome.storage.sync.get(['promptTemplates'], (result) => {
+        state.promptTemplates = Array.isArray(result.promptTemplates) ? result.promptTemplates : [];
+        updatePromptTemplatesListCallback();
+    });
+}
+
+/**
+ * 保存提示词模板
+ * @param {object} state - Global state reference
+ */
+export function savePromptTemplates(state) {
+    chrome.storage.sync.set({ promptTemplates: state.promptTemplates }, () => {
+        if (chrome.runtime.lastError) {
+            console.error("Error saving prompt templates:", chrome.runtime.lastError);
+        }
+    });
+}
+
+/**
+ * 更新模板列表UI (实时保存)
+ * @param {object} state - Global state reference
+ * @param {object} elements - DOM elements reference
+ * @param {object} currentTranslations - Translations object
+ * @param {function} autoSavePromptTemplateCallback - Callback(templateId, templateElement)
+ * @param {function} deletePromptTemplateCallback - Callback(templateId)
+ */
+export function updatePromptTemplatesListUI(state, elements, currentTranslations, autoSavePromptTemplateCallback, deletePromptTemplateCallback) {
+    if (!elements.promptTemplatesList) return;
+    elements.promptTemplatesList.innerHTML = '';
+
+    if (!state.promptTemplates || state.promptTemplates.length === 0) {
+        const emptyState = document.createElement('div');
+        emptyState.className = 'empty-state';
+        emptyState.innerHTML = `<p>${_('promptTemplatesEmpty', {}, currentTranslations)}</p>`;
+        elements.promptTemplatesList.appendChild(emptyState);
+        return;
+    }
+
+    state.promptTemplates.forEach(template => {
+        const templateItem = document.createElement('div');
+        templateItem.className = 'prompt-template-item';
+        templateItem.dataset.templateId = template.id;
+        templateItem.innerHTML = `
+            <div class="prompt-template-header">
+                <span class="prompt-template-slash">/</span>
+                <input type="text" class="prompt-template-name" placeholder="${_('promptTemplateNamePlaceholder', {}, currentTranslations)}">
+                <button class="delete-btn" title="${_('delete', {}, currentTranslations)}">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="currentColor" viewBox="0 0 16 16"><path d="M4.646 4.646a.5.5 0 0 1 .708 0L8 7.293l2.646-2.647a.5.5 0 0 1 .708.708L8.707 8l2.647 2.646a.5.5 0 0 1-.708.708L8 8.707l-2.646 2.647a.5.5 0 0 1-.708-.708L7.293 8 4.646 5.354a.5.5 0 0 1 0-.708z"/></svg>
+                </button>
+            </div>
+            <textarea class="prompt-template-content" rows="3" placeholder="${_('promptTemplateContentPlaceholder', {}, currentTranslations)}"></textarea>
+        `;
+
+        // 用 DOM 属性赋值，避免在 HTML 字符串中拼接用户输入
+        templateItem.querySelector('.prompt-template-name').value = template.name || '';
+        templateItem.querySelector('.prompt-template-content').value = template.content || '';
+
+        templateItem.querySelectorAll('input, textarea').forEach(input => input.addEventListener('input', () => {
+            clearTimeout(templateItem._saveTimeout);
+            templateItem._saveTimeout = setTimeout(() => autoSavePromptTemplateCallback(template.id, templateItem), 500);
+        }));
+        templateItem.querySelector('.delete-btn').addEventListener('click', () => deletePromptTemplateCallback(template.id));
+
+        elements.promptTemplatesList.appendChild(templateItem);
+    });
+}
+
+/**
+ * 新建模板
+ * @param {object} state - Global state reference
+ * @param {function} updatePromptTemplatesListCallback - Callback
+ * @param {object} currentTranslations - Translations object
+ */
+export function createPromptTemplate(state, updatePromptTemplatesListCallback, currentTranslations) {
+    const baseName = _('newPromptTemplateName', {}, currentTranslations);
+    let name = baseName;
+    let counter = 1;
+    while (state.promptTemplates.some(template => template.name === name)) {
+        name = `${baseName}${++counter}`;
+    }
+    state.promptTemplates.push({ id: generateUniqueId(), name, content: '' });
+    savePromptTemplates(state);
+    updatePromptTemplatesListCallback();
+}
+
+/**
+ * 自动保存模板
+ * @param {string} templateId - 模板ID
+ * @param {HTMLElement} templateElement - 模板项DOM元素
+ * @param {object} state - Global state reference
+ * @param {function} showToastCallback - Callback
+ * @param {object} currentTranslations - Translations object
+ */
+export function autoSavePromptTemplate(templateId, templateElement, state, showToastCallback, currentTranslations) {
+    const template = state.promptTemplates.find(t => t.id === templateId);
+    if (!template) return;
+
+    const nameInput = templateElement.querySelector('.prompt-template-name');
+    // 名称作为斜杠命令使用，不能包含空白
+    const name = nameInput.value.trim();
+    const isValid = !!name && !/\s/.test(name);
+    nameInput.classList.toggle('invalid', !isValid);
+    if (!isValid) {
+        showToastCallback(_('promptTemplateNameInvalid', {}, currentTranslations), 'error');
+        return;
+    }
+    if (state.promptTemplates.some(t => t.id !== templateId && t.name === name)) {
+        nameInput.classList.add('invalid');
+        showToastCallback(_('promptTemplateNameExists', {}, currentTranslations), 'error');
+        return;
+    }
+
+    template.name = name;
+    template.content = templateElement.querySelector('.prompt-template-content').value;
+    savePromptTemplates(state);
+}
+
+/**
+ * 删除模板
+ * @param {string} templateId - 模板ID
+ * @param {object} state - Global state reference
+ * @param {function} updatePromptTemplatesListCallback - Callback
+ */
+export function deletePromptTemplate(templateId, state, updatePromptTemplatesListCallback) {
+    state.promptTemplates = state.promptTemplates.filter(template => template.id !== templateId);
+    savePromptTemplates(state);
+    updatePromptTemplatesListCallback();
+}
+
+/**
+ * 导出用的模板数据 (不含 ID)
+ * @param {object} state - Global state reference
+ * @returns {Array<{name: string, content: string}>}
+ */
+export function getPromptTemplatesForExport(state) {
+    return (state.promptTemplates || []).map(template => ({ name: template.name, content: template.content }));
+}
+
+/**
+ * 导入模板：同名模板更新内容，其余新增。任何一项无效时不做修改并抛出异常
+ * @param {object} state - Global state reference
+ * @param {Array<object>} importedTemplates
+ * @param {object} currentTranslations - Translations object
+ * @returns {{imported: number, updated: number}}
+ */
+export function importPromptTemplates(state, importedTemplates, currentTranslations) {
+    if (!Array.isArray(importedTemplates)) {
+        throw new Error(_('importValidationErrorInvalidTemplates', {}, currentTranslations));
+    }
+    importedTemplates.forEach((template, index) => {
+        if (typeof template !== 'object' || template === null
+            || typeof template.name !== 'string' || !template.name.trim() || /\s/.test(template.name.trim())
+            || typeof template.content !== 'string') {
+            throw new Error(`Template ${index + 1}: ${_('importValidationErrorInvalidTemplate', {}, currentTranslations)}`);
+        }
+    });
+
+    let imported = 0;
+    let updated = 0;
+    importedTemplates.forEach(template => {
+        const name = template.name.trim();
+        const existing = state.promptTemplates.find(t => t.name === name);
+        if (existing) {
+            existing.content = template.content;
+            updated++;
+        } else {
+            state.promptTemplates.push({ id: generateUniqueId(), name, content: template.content });
+            imported++;
+        }
+    });
+    savePromptTemplates(state);
+    return { imported, updated };
+}
+
+/**
+ * 渲染斜杠命令面板中的模板列表
+ * @param {Array<object>} matches - filterPromptTemplates 的结果
+ * @param {number} activeIndex - 键盘选中的项
+ * @param {object} elements - DOM elements reference
+ * @param {object} currentTranslations - Translations object
+ * @param {function} onSelect - Callback(template)
+ */
+export function renderTemplatePalette(matches, activeIndex, elements, currentTranslations, onSelect) {
+    const list = elements.templatePaletteList;
+    elements.templatePaletteFields.innerHTML = '';
+    elements.templatePaletteFields.style.display = 'none';
+    list.style.display = '';
+    list.innerHTML = '';
+
+    if (matches.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'template-palette-empty';
+        empty.textContent = _('templatePaletteEmpty', {}, currentTranslations);
+        list.appendChild(empty);
+    }
+
+    matches.forEach((template, index) => {
+        const item = document.createElement('div');
+        item.className = 'template-palette-item';
+        item.classList.toggle('active', index === activeIndex);
+        item.setAttribute('role', 'option');
+        const preview = template.content.length > PREVIEW_LENGTH ? `${template.content.slice(0, PREVIEW_LENGTH)}…` : template.content;
+        item.innerHTML = `
+            <span class="template-palette-name">/${escapeHtml(template.name)}</span>
+            <span class="template-palette-preview">${escapeHtml(preview.replace(/\s+/g, ' '))}</span>
+        `;
+        // mousedown 时选中，避免输入框先失去焦点
+        item.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            onSelect(template);
+        });
+        list.appendChild(item);
+    });
+
+    elements.templatePalette.style.display = 'block';
+    list.querySelector('.template-palette-item.active')?.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * 在模板面板中显示需要填写的字段
+ * @param {object} template
+ * @param {string[]} fields - getTemplateFields 的结果
+ * @param {object} elements - DOM elements reference
+ * @param {object} currentTranslations - Translations object
+ * @returns {Promise<object|null>} 填写的值；取消时为 null
+ */
+export function promptTemplateFields(template, fields, elements, currentTranslations) {
+    return new Promise(resolve => {
+        const container = elements.templatePaletteFields;
+        elements.templatePaletteList.style.display = 'none';
+        container.innerHTML = `
+            <div class="template-fields-title"></div>
+            <div class="template-fields-inputs"></div>
+            <div class="template-fields-actions">
+                <button type="button" class="template-fields-cancel">${_('cancel', {}, currentTranslations)}</button>
+                <button type="submit" class="template-fields-insert">${_('templateFieldsInsert', {}, currentTranslations)}</button>
+            </div>
+        `;
+        container.querySelector('.template-fields-title').textContent = `/${template.name}`;
+        const inputsContainer = container.querySelector('.template-fields-inputs');
+        const inputs = fields.map(field => {
+            const label = document.createElement('label');
+            label.textContent = field;
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.dataset.field = field;
+            label.appendChild(input);
+            inputsContainer.appendChild(label);
+            return input;
+        });
+
+        const finish = (values) => {
+            container.onsubmit = null;
+            container.onkeydown = null;
+            container.innerHTML = '';
+            container.style.display = 'none';
+            elements.templatePalette.style.display = 'none';
+            resolve(values);
+        };
+        container.onsubmit = (e) => {
+            e.preventDefault();
+            finish(Object.fromEntries(inputs.map(input => [input.dataset.field, input.value])));
+        };
+        container.onkeydown = (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation(); // 不关闭面板
+                finish(null);
+            }
+        };
+        container.querySelector('.template-fields-cancel').addEventListener('click', () => finish(null));
+
+        container.style.display = 'flex';
+        elements.templatePalette.style.display = 'block';
+        inputs[0]?.focus();
+    });
+}
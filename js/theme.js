@@ -35,6 +35,7 @@ export async function updateMermaidTheme(isDarkMode, rerenderAllMermaidChartsCal
             mermaid.initialize({
                 startOnLoad: false,
                 theme: isDarkMode ? 'dark' : 'default',
+                securityLevel: 'strict',
                 logLevel: 'error'
             });
             console.log(`Mermaid theme updated to: ${isDarkMode ? 'dark' : 'default'}`);
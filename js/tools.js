@@ -0,0 +1,239 @@
+/**
+ * Pagetalk - 模型可调用的网页工具 (Gemini function calling)
+ * 声明以 functionDeclarations 格式发送给模型；模型返回 functionCall 后在这里执行，
+ * 结果作为 functionResponse 发回。网页相关的工具通过 content.js 在页面中执行，
+ * 其它标签页的内容通过 background.js 提取。
+ */
+
+const PAGE_TOOL_TIMEOUT = 15000; // 等待 content.js 返回结果的时间
+const MAX_TOOL_CONTENT_LENGTH = 30000; // 返回给模型的网页文字上限
+const MAX_TOOL_TAB_LIST = 30;
+
+const PAGE_TOOL_DECLARATIONS = [
+    {
+        name: 'extract_page_content',
+        description: 'Re-extract the readable text of the current web page. Use this when the page may have changed (e.g. content loaded after scrolling or clicking) or the provided page content looks incomplete.'
+    },
+    {
+        name: 'query_page_elements',
+        description: 'Find elements on the current web page with a CSS selector and return their tag, visible text and key attributes (href, src, alt, title). Useful for links, headings, prices, code blocks or any content not in the extracted text.',
+        parameters: {
+            type: 'object',
+            properties: {
+                selector: { type: 'string', description: 'CSS selector, e.g. "h2", "a[href*=download]", ".price"' },
+                limit: { type: 'integer', description: 'Maximum number of elements to return (1-50, default 20)' }
+            },
+            required: ['selector']
+        }
+    },
+    {
+        name: 'get_page_selection',
+        description: 'Get the text the user currently has selected on the web page.'
+    },
+    {
+        name: 'read_page_table',
+        description: 'Read an HTML table from the current web page as JSON rows keyed by column header. Returns the number of tables so other tables can be read by index.',
+        parameters: {
+            type: 'object',
+            properties: {
+                selector: { type: 'string', description: 'Optional CSS selector of the table (or an element containing it)' },
+                index: { type: 'integer', description: 'Zero-based index among the matching tables (default 0)' }
+            }
+        }
+    },
+    {
+        name: 'annotate_page',
+        description: 'Highlight or underline passages on the current web page and attach a short note shown as a tooltip. Use this when the user asks to mark, highlight or annotate the page. Each quote must be copied exactly from the page text (a sentence or phrase, not a whole section). Annotations are saved and restored when the page is reopened.',
+        parameters: {
+            type: 'object',
+            properties: {
+                annotations: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            quote: { type: 'string', description: 'Exact text from the page to mark' },
+                            note: { type: 'string', description: 'Short note shown when hovering the marked text' },
+                            style: { type: 'string', enum: ['highlight', 'underline'], description: 'Default highlight' },
+                            color: { type: 'string', enum: ['yellow', 'green', 'blue', 'pink', 'orange'], description: 'Default yellow' }
+                        },
+                        required: ['quote']
+                    }
+                }
+            },
+            required: ['annotations']
+        }
+    },
+    {
+        name: 'clear_page_annotations',
+        description: 'Remove all annotations previously added to the current web page.'
+    },
+    {
+        name: 'get_open_tab_text',
+        description: 'Get the readable text of another open browser tab whose title or URL contains the query. Without a match, returns the list of open tabs so you can retry with a better query. The user must approve each read; if they decline, do not ask again for the same tab.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'Part of the tab title or URL' }
+            },
+            required: ['query']
+        }
+    }
+];
+
+/**
+ * 获取发送给模型的工具声明
+ * @returns {Array<object>}
+ */
+function getToolDeclarations() {
+    return PAGE_TOOL_DECLARATIONS;
+}
+
+/**
+ * 截断过长的文字
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function truncateToolContent(text, maxLength = MAX_TOOL_CONTENT_LENGTH) {
+    if (!text || text.length <= maxLength) return text || '';
+    return `${text.slice(0, maxLength)}\n…(truncated, ${text.length - maxLength} more characters)`;
+}
+
+/**
+ * 请求 content.js 在页面中执行工具 (经专用通道，见 channel.js；用随机 requestId 对应请求和结果)
+ * @param {string} tool - content.js 中的工具名
+ * @param {object} args
+ * @param {boolean} guarded - 防护模式，跳过读者看不到的内容
+ * @returns {Promise<object>}
+ */
+function requestPageTool(tool, args, guarded) {
+    return new Promise((resolve, reject) => {
+        const requestId = crypto.randomUUID();
+        const cleanup = () => {
+            clearTimeout(timer);
+            removeListener();
+        };
+        const removeListener = window.PagetalkChannel.onPageMessage((message) => {
+            if (message.action !== 'pageToolResult' || message.requestId !== requestId) return;
+            cleanup();
+            if (message.error) reject(new Error(message.error));
+            else resolve(message.result);
+        });
+        const timer = setTimeout(() => {
+            cleanup();
+            reject(new Error('The page did not respond'));
+        }, PAGE_TOOL_TIMEOUT);
+        window.PagetalkChannel.postToPage({ action: 'runPageTool', requestId, tool, args, guarded });
+    });
+}
+
+/**
+ * 向 background.js 发送消息，响应中带 error 字段时抛出异常
+ * @param {object} message
+ * @returns {Promise<object>}
+ */
+async function sendToolBackgroundMessage(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response) throw new Error('No response from background');
+    if (response.error) throw new Error(response.error);
+    return response;
+}
+
+/**
+ * 按标题或网址查找其它标签页，经用户同意后提取内容。
+ * 每次读取都要确认：网页中的注入指令可能诱导模型读取其它标签页中的私人内容
+ * @param {{query: string}} args
+ * @param {boolean} guarded
+ * @param {function} [confirmTabRead] - ({title, url}) => Promise<boolean>，未提供时拒绝
+ * @returns {Promise<object>}
+ */
+async function getOpenTabText(args, guarded, confirmTabRead) {
+    const query = String(args.query || '').trim().toLowerCase();
+    const { tabs = [] } = await sendToolBackgroundMessage({ action: 'listTabs' });
+    const otherTabs = tabs.filter(tab => !tab.isCurrent);
+    const match = query && otherTabs.find(tab => tab.title.toLowerCase().includes(query) || tab.url.toLowerCase().includes(query));
+    if (!match) {
+        return {
+            error: `No open tab matches "${args.query || ''}"`,
+            openTabs: otherTabs.slice(0, MAX_TOOL_TAB_LIST).map(tab => ({ title: tab.title, url: tab.url }))
+        };
+    }
+    const approved = confirmTabRead ? await confirmTabRead({ title: match.title, url: match.url }) : false;
+    if (!approved) {
+        return { error: 'The user did not allow reading this tab' };
+    }
+    const result = await sendToolBackgroundMessage({ action: 'extractTabContent', tabId: match.id, guarded });
+    return { title: result.title || match.title, url: result.url || match.url, content: truncateToolContent(result.content) };
+}
+
+/**
+ * 防护模式下标出工具结果中疑似注入指令的文字 (工具结果同样来自网页)
+ * @param {*} value
+ * @returns {*}
+ */
+function markToolResult(value) {
+    if (typeof value === 'string') return window.PagetalkGuard.markSuspiciousPassages(value);
+    if (Array.isArray(value)) return value.map(markToolResult);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, markToolResult(item)]));
+    }
+    return value;
+}
+
+/**
+ * 执行模型请求的工具
+ * @param {string} name - 工具名 (见 PAGE_TOOL_DECLARATIONS)
+ * @param {object} args - 模型给出的参数
+ * @param {object} stateRef - Reference to the main state object
+ * @param {object} [callbacks={}] - { confirmTabRead: 读取其它标签页前请用户确认 }
+ * @returns {Promise<object>} functionResponse.response；失败时为 { error }
+ */
+async function executeTool(name, args = {}, stateRef, callbacks = {}) {
+    const guarded = stateRef.guardedContext !== false;
+    let result;
+    try {
+        switch (name) {
+            case 'extract_page_content': {
+                const page = await requestPageTool('extractPage', {}, guarded);
+                result = { ...page, content: truncateToolContent(page.content) };
+                break;
+            }
+            case 'query_page_elements':
+                result = await requestPageTool('queryElements', args, guarded);
+                break;
+            case 'get_page_selection': {
+                const selection = await requestPageTool('getSelection', {}, guarded);
+                // 用户点击面板后页面选区可能已消失，回退到最近一次提问附带的选中内容
+                const lastUserMessage = [...stateRef.chatHistory].reverse().find(msg => msg.role === 'user');
+                result = { text: selection.text || lastUserMessage?.selection || '' };
+                break;
+            }
+            case 'read_page_table':
+                result = await requestPageTool('readTable', args, guarded);
+                break;
+            case 'annotate_page':
+                result = await requestPageTool('annotate', args, guarded);
+                break;
+            case 'clear_page_annotations':
+                result = await requestPageTool('clearAnnotations', {}, guarded);
+                break;
+            case 'get_open_tab_text':
+                result = await getOpenTabText(args, guarded, callbacks.confirmTabRead);
+                break;
+            default:
+                result = { error: `Unknown tool: ${name}` };
+        }
+    } catch (error) {
+        console.warn(`Tool ${name} failed:`, error);
+        result = { error: error.message };
+    }
+    return guarded ? markToolResult(result) : result;
+}
+
+// 导出函数
+window.PagetalkTools = {
+    getToolDeclarations: getToolDeclarations,
+    executeTool: executeTool,
+    requestPageTool: requestPageTool
+};
@@ -16,6 +16,9 @@ const translations = {
     'regenerate': '重新生成',
     'deleteMessage': '删除消息',
     'edit': '编辑', // Added for potential future use
+    'editMessageSend': '发送',
+    'previousBranch': '上一个版本',
+    'nextBranch': '下一个版本',
 
     // --- HTML Elements (sidepanel.html) ---
     'htmlLang': 'zh-CN',
@@ -24,14 +27,53 @@ const translations = {
     'modelSelectLabel': '选择模型',
     'agentLabel': 'Agent：',
     'agentSelectLabel': '选择助手',
-    'clearContextTitle': '清除聊天记录',
+    'clearContextTitle': '新对话（当前对话保留在历史记录中）',
+    'historyTitle': '历史记录',
+    'historyHeading': '历史记录',
+    'historySearchPlaceholder': '搜索对话内容、标题或网址...',
+    'historyEmpty': '暂无历史记录',
+    'historyMessageCount': '{count} 条消息',
+    'historyRename': '重命名',
+    'historyDelete': '删除',
+    'historyDeleteConfirm': '再次点击确认删除',
+    'historyRestored': '已恢复此页面上次的对话',
+    'historyLoadFailed': '加载历史记录失败: {error}',
+    'closeHistoryTitle': '关闭历史记录',
+    'tabContextTitle': '多标签页上下文',
+    'extractModeTitle': '结构化提取',
+    'extractModeActiveTitle': '结构化提取 (已开启)',
+    'extractSchemaHeading': '按 JSON Schema 提取',
+    'extractSchemaHint': '回答将按此 JSON Schema 返回 JSON，并显示为可编辑的表格。留空则使用当前助手的 Schema。',
+    'extractSchemaPlaceholder': '{"type": "array", "items": {"type": "object", "properties": {"name": {"type": "string"}, "price": {"type": "number"}}, "required": ["name"]}}',
+    'applyExtractSchema': '应用',
+    'clearExtractSchema': '清除',
+    'extractSchemaInvalid': 'Schema 无效：{error}',
+    'extractModeOn': '已开启结构化提取',
+    'extractModeOff': '已关闭结构化提取',
+    'extractModeAgentSchema': '已清除，正在使用当前助手的 Schema',
+    'structuredEditHint': '点击单元格即可编辑',
+    'structuredDownloadCsv': '下载 CSV',
+    'structuredDownloadJson': '下载 JSON',
+    'tabPickerHeading': '同时参考以下标签页',
+    'tabPickerEmpty': '没有其他已打开的网页',
+    'tabCurrentPage': '当前页面',
+    'tabExtracting': '提取中...',
+    'tabExtractFailed': '提取失败',
+    'tabContentChars': '{charCount} 字符',
+    'tabListFailed': '无法获取标签页列表: {error}',
+    'selectionFocusLabel': '选中内容',
+    'clearSelectionFocusTitle': '移除选中内容',
+    'selectionFocusKept': '已保留输入框上方的选中内容，移除后再选中即可替换',
+    'selectionExplainPrompt': '解释一下选中的内容',
+    'selectionTranslatePrompt': '把选中的内容翻译成中文（如果原文是中文，则翻译成英文）',
+    'selectionSummarizePrompt': '总结一下选中的内容',
     'closePanelTitle': '关闭面板',
     'welcomeHeading': '欢迎使用 Pagetalk :)',
     'summarizeAction': '总结一下',
     'imagePreviewAlt': 'Full size image preview', // Keep English for alt? Or translate? Let's translate.
     'imagePreviewAltTranslated': '全尺寸图片预览',
     'chatStatusPlaceholder': '', // Placeholder for status messages
-    'uploadImageTitle': '上传图片',
+    'uploadImageTitle': '上传图片、PDF 或文本文件',
     'userInputPlaceholder': '...',
     'sendMessageTitle': '发送消息',
     'settingsTab': 'Settings', // Footer tab
@@ -39,8 +81,59 @@ const translations = {
     'generalSettingsNav': 'General',
     'agentSettingsNav': 'Agent',
     'modelSettingsNav': 'Model',
+    'rulesSettingsNav': 'Rules',
+    'urlRulesHeading': '网址规则',
+    'urlRulesHint': '页面网址与规则匹配时，自动切换到规则指定的助手和模型，按指定方式提取页面内容，并可自动发送提示词。按列表顺序使用第一条匹配的规则。',
+    'addUrlRule': '添加规则',
+    'urlRulesEmpty': '暂无规则，点击 "添加规则" 创建',
+    'urlRuleEnabledTitle': '启用此规则',
+    'urlRulePatternGlob': '通配符',
+    'urlRulePatternRegex': '正则',
+    'urlRuleAgentLabel': '助手',
+    'urlRuleKeepCurrent': '保持当前',
+    'urlRuleModeLabel': '页面内容',
+    'urlRuleMode_readability': '正文 (Readability)',
+    'urlRuleMode_full': '完整页面',
+    'urlRuleMode_selection': '仅选中内容',
+    'urlRuleMode_none': '不提取',
+    'urlRulePromptPlaceholder': '自动发送的提示词 (可选，仅在没有对话时发送)',
+    'urlRuleInvalidPattern': '网址模式无效，规则未保存',
+    'urlRuleApplied': '已应用网址规则：{pattern}',
+    'contextStatusDisabledByRule': '按规则不提取',
+    'promptTemplatesHeading': '提示词模板',
+    'promptTemplatesHint': '在聊天输入框中输入 / 插入模板。{{selection}}、{{url}}、{{title}}、{{page}} 和 {{clipboard}} 会自动填入 (首次使用 {{clipboard}} 时会请求读取剪贴板的权限)；其它 {{名称}} 会在插入前要求填写。模板随助手一起导入导出。',
+    'addPromptTemplate': '添加模板',
+    'promptTemplatesEmpty': '还没有模板',
+    'newPromptTemplateName': '模板',
+    'promptTemplateNamePlaceholder': '命令名称 (不含空格)',
+    'promptTemplateContentPlaceholder': '例如：用三句话总结 {{title}}，重点关注 {{主题}}',
+    'promptTemplateNameInvalid': '模板名称不能为空，也不能包含空格',
+    'promptTemplateNameExists': '已有同名模板',
+    'templatePaletteEmpty': '没有匹配的模板',
+    'templateFieldsInsert': '插入',
     'generalSettingsHeading': 'General Settings',
     'languageLabel': 'Language:',
+    'contextModeLabel': '网页上下文：',
+    'contextModeAuto': '自动（长网页只发送相关章节）',
+    'contextModeRetrieval': '始终只发送相关章节',
+    'contextModeFull': '始终发送完整网页',
+    'contextModeHint': '检索模式会将网页按章节切分，只发送与问题相关的片段和目录，可显著减少长文档的 Token 消耗。',
+    'pageTextFormatLabel': '网页文本格式：',
+    'pageTextFormatMarkdown': '结构化（Markdown）',
+    'pageTextFormatPlain': '纯文本',
+    'pageTextFormatHint': '结构化格式保留表格、列表、代码块和链接地址；纯文本只保留标题和段落，Token 消耗更少。',
+    'pdfModeLabel': 'PDF 附件：',
+    'pdfModeText': '在本地提取文字',
+    'pdfModeNative': '直接发送 PDF 文件（Gemini）',
+    'pdfModeHint': '文字在本机按页提取，适用于所有模型。Gemini 模型可以直接读取 PDF 文件（包括扫描件和图表），其它模型仍然使用提取的文字。',
+    'guardedContextLabel': '防范网页中的提示注入',
+    'guardedContextHint': '提取时去除隐藏和屏幕外的文字，把网页内容作为不可信数据发送，并标出像是写给 AI 的指令。',
+    'citationsLabel': '回答中引用网页段落',
+    'citationsHint': '为发送给模型的段落编号，要求回答用 [n] 注明来源。点击引用可以滚动到网页中的原文并高亮显示。',
+    'newChatOnNavigationLabel': '网址变化时开始新对话',
+    'newChatOnNavigationHint': '在 GitHub、Gmail、Notion 等单页应用中跳转不会重新打开页面。开启后，网址变化时自动刷新上下文并开始新对话 (或恢复该网址保存的对话)，而不是询问。',
+    'citationUnmatched': '引用 [{number}] 不对应任何发送给模型的段落',
+    'citationNotOnPage': '在网页中找不到引用 [{number}] 的原文，页面可能已经变化',
     'exportChatLabel': 'Export Chat History:',
     'exportFormatMarkdown': 'Markdown',
     'exportFormatText': 'Text',
@@ -51,12 +144,21 @@ const translations = {
     'deleteConfirmHeading': '确认删除',
     'deleteConfirmPrompt': '您确定要删除助手 "{agentName}" 吗？此操作无法撤销。', // Placeholder for agent name
     'modelSettingsHeading': 'Model Settings',
-    'apiKeyLabel': 'Gemini API Key:',
+    'providerLabel': '服务商：',
+    'localEndpointLabel': '端点地址：',
+    'localApiFormatLabel': '接口格式：',
+    'localEndpointHint': 'Ollama 需要允许扩展来源访问：启动服务前设置 OLLAMA_ORIGINS=chrome-extension://*',
+    'apiKeyLabel': 'API Key:',
     'apiKeyPlaceholder': '输入您的API Key',
+    'customModelPlaceholder': '或输入自定义模型 ID',
     'toggleApiKeyVisibilityTitle': 'Toggle API Key visibility', // Keep English for title? Let's translate.
     'toggleApiKeyVisibilityTitleTranslated': '切换API密钥可见性',
     'apiKeyHint': 'Get Your API Key', // Link text is separate
     'modelSelectLabelSettings': 'Model:', // Model selection in settings
+    'modelCapabilityContext': '{count} 上下文',
+    'modelCapabilityOutput': '{count} 输出',
+    'modelCapabilityVision': '识图',
+    'modelCapabilityThinking': '思考',
     'connectionStatusPlaceholder': '', // Placeholder for connection status
     'themeToggleTitle': '切换深色/浅色模式',
     'contextStatusPrefix': '上下文：',
@@ -64,6 +166,59 @@ const translations = {
     'contextStatusExtracting': '正在提取...',
     'contextStatusFailed': '提取失败',
     'contextStatusChars': '{charCount} 字符', // Placeholder for character count
+    'contextStatusPdfLoading': '正在读取 PDF...',
+    'contextStatusPdfPages': 'PDF，{pageCount} 页，{charCount} 字符',
+    'contextStatusVideoTranscript': '视频字幕 ({language})，{charCount} 字符',
+    'contextStatusAdapter': '{adapter} · {status}',
+    'contextStatusVideoNoTranscript': '视频没有字幕，仅使用简介',
+    'seekVideoFailed': '页面中没有可以跳转的视频',
+    'contextStatusPdfNoText': 'PDF 没有可提取的文字',
+    'contextStatusPdfFailed': 'PDF 读取失败：{error}',
+    'pdfEncrypted': 'PDF 需要打开密码',
+    'attachmentLoading': '读取中...',
+    'attachmentPdfPages': '{count} 页',
+    'attachmentRemoveTitle': '移除附件',
+    'attachmentTooLarge': '{name} 超过 {size} MB，无法添加',
+    'attachmentReadFailed': '无法读取 {name}：{error}',
+    'attachmentPdfEncrypted': '{name} 需要打开密码，无法读取',
+    'attachmentPdfNoText': '{name} 没有可提取的文字（可能是扫描件），只有直接发送 PDF 文件时模型才能读取',
+    'attachmentsStillLoading': '附件仍在读取，请稍候',
+    'attachmentTextLines': '{count} 行',
+    'attachmentTextTooLarge': '{name} 超过 {size} KB，请只上传需要的部分',
+    'attachmentNotText': '{name} 不是文本文件',
+    'attachmentUnsupported': '不支持 {name} 的文件类型，可以上传图片、PDF 和文本文件',
+    'attachmentPreviewTitle': '预览 {name}',
+    'attachmentPreviewEmpty': '(没有文字内容)',
+    'attachmentPreviewTruncated': '仅显示前 {shown} 个字符 (共 {total} 个)',
+    'injectionWarningChip': '⚠ 疑似注入 {count}',
+    'injectionWarningTitle': '网页中有 {count} 处像是写给 AI 的指令，已提醒模型不要执行：',
+    'toolExtractPageContent': '重新提取网页内容',
+    'toolQueryPageElements': '查询网页元素',
+    'toolGetPageSelection': '读取选中内容',
+    'toolReadPageTable': '读取表格',
+    'toolGetOpenTabText': '读取其它标签页',
+    'toolAnnotatePage': '标注网页',
+    'toolClearPageAnnotations': '清除网页标注',
+    'annotationsChip': '{count} 处标注',
+    'annotationsClearTitle': '点击清除网页上的全部标注',
+    'pageChangedNotice': '网页内容已变化，是否刷新上下文？',
+    'pageNavigatedNotice': '已跳转到「{title}」，是否刷新上下文？',
+    'pageChangedRefresh': '刷新上下文',
+    'pageChangedNewChat': '新对话',
+    'pageChangedDismiss': '忽略',
+    'captureScreenshotTitle': '截取网页可见区域',
+    'captureFullPageTitle': '截取整个网页 (滚动拼接，最多 10 屏)',
+    'screenshotFailed': '截图失败：{error}',
+    'toolStepRunning': '运行中...',
+    'toolStepFailed': '失败',
+    'tabReadApprovalPrompt': '模型请求读取另一个标签页「{title}」的内容，是否允许？',
+    'tabReadAllow': '允许',
+    'tabReadDeny': '拒绝',
+    'toolStepArgs': '参数：',
+    'toolStepResult': '结果：',
+    'reasoningLabel': '思考过程',
+    'reasoningStreaming': '思考中…',
+    'exportIncludeThoughts': '包含模型的思考过程',
     'connectionIndicatorConnected': 'Connected',
     'connectionIndicatorDisconnected': 'Disconnected',
     'emptyAgentList': '暂无助手，点击添加按钮创建',
@@ -73,6 +228,28 @@ const translations = {
     'agentTemperatureLabel': 'Temperature:',
     'agentTopPLabel': 'Top P:',
     'agentMaxOutputLabel': 'Max Output Length:',
+    'agentProviderLabel': '模型提供商：',
+    'agentModelLabel': '模型：',
+    'agentModelInherit': '使用模型设置中的默认值',
+    'agentThinkingModeLabel': '思考预算：',
+    'agentThinkingBudgetLabel': '思考预算 (tokens)',
+    'agentThinkingMode_default': '按模型默认',
+    'agentThinkingMode_auto': '自动评估',
+    'agentThinkingMode_manual': '手动设置',
+    'agentThinkingMode_off': '关闭',
+    'agentStopSequencesLabel': '停止序列：',
+    'agentStopSequencesPlaceholder': '每行一个',
+    'agentModelBindingHint': '为此助手单独指定模型；留空则使用 "模型设置" 中的模型。思考预算仅对 Gemini 模型生效。',
+    'agentSaveFailedThinkingBudgetInvalid': '保存失败：思考预算必须在 0 到 {max} 之间',
+    'agentSaveFailedStopSequencesInvalid': '保存失败：停止序列最多 {max} 个',
+    'agentExtractSchemaLabel': '提取 Schema (JSON Schema，可选)：',
+    'agentSaveFailedExtractSchemaInvalid': '保存失败：提取 Schema 无效 ({error})',
+    'importValidationErrorInvalidProvider': '未知的模型提供商',
+    'importValidationErrorInvalidModel': '模型必须是字符串',
+    'importValidationErrorInvalidThinkingMode': '思考预算模式无效 (auto / manual / off)',
+    'importValidationErrorInvalidThinkingBudget': '思考预算必须是 0 到 {max} 之间的整数',
+    'importValidationErrorInvalidStopSequences': '停止序列必须是最多 {max} 个非空字符串的数组',
+    'importValidationErrorInvalidExtractSchema': '提取 Schema 必须是有效的 JSON Schema 文本',
     'defaultAgentName': '默认', // Added for default agent
     'imageAlt': '图片 {index}', // Placeholder for image index
     'viewImageTitle': '查看原图',
@@ -87,7 +264,7 @@ const translations = {
     'settingsSaved': 'Saved', // Used in showConnectionStatus for success
     'connectionTestSuccess': '连接成功', // Used in showConnectionStatus for success
     'connectionTestFailed': '连接失败: {error}', // Placeholder for error message
-    'contextClearedSuccess': '聊天记录已清除',
+    'contextClearedSuccess': '已开始新对话',
     'pageContentExtractedSuccess': '成功提取页面内容',
     'newAgentCreatedToast': '新助手已创建',
     'agentDeletedToast': '助手已删除',
@@ -100,14 +277,19 @@ const translations = {
     agentExportEmptyError: '没有助手可导出。',
     agentExportSuccess: '助手配置已导出。',
     agentExportError: '导出助手配置时出错: {error}',
-    agentImportErrorInvalidFormatArray: '导入失败：文件格式无效，需要 JSON 数组。',
+    agentImportErrorInvalidFormatArray: '导入失败：文件格式无效，需要助手数组。',
     agentImportErrorInvalidAgentData: '导入失败：第 {index} 个助手数据无效或不完整。',
     agentImportSuccess: '导入完成：新增 {imported} 个，更新 {updated} 个助手。',
+    agentImportSuccessWithTemplates: '导入完成：新增 {imported} 个，更新 {updated} 个助手；新增 {templatesImported} 个，更新 {templatesUpdated} 个模板。',
+    importValidationErrorInvalidTemplates: 'promptTemplates 必须是数组',
+    importValidationErrorInvalidTemplate: '模板需要不含空格的名称和文本内容',
     agentImportError: '导入助手配置时出错: {error}',
     agentImportErrorFileRead: '读取导入文件时出错。',
     'chatExportEmptyError': '没有聊天记录可导出',
     'chatExportSuccess': '聊天记录已导出',
     'regenerateError': '重新生成响应时出错: {error}',
+    'exportBranchesHeading': '其他分支',
+    'exportBranchLabel': '第 {position} 条消息的版本 {index}/{count}',
     'thinking': '思考中...', // For thinking animation (optional)
     'messageDeleted': '消息已删除', // Confirmation or log
     'deleteFailedNotFound': '删除失败：找不到消息',
@@ -141,6 +323,9 @@ const translations = {
     'regenerate': 'Regenerate',
     'deleteMessage': 'Delete Message',
     'edit': 'Edit',
+    'editMessageSend': 'Send',
+    'previousBranch': 'Previous version',
+    'nextBranch': 'Next version',
 
     // --- HTML Elements (sidepanel.html) ---
     'htmlLang': 'en',
@@ -149,14 +334,53 @@ const translations = {
     'modelSelectLabel': 'Select Model',
     'agentLabel': 'Agent:',
     'agentSelectLabel': 'Select Agent',
-    'clearContextTitle': 'Clear chat history',
+    'clearContextTitle': 'New chat (the current one stays in history)',
+    'historyTitle': 'History',
+    'historyHeading': 'History',
+    'historySearchPlaceholder': 'Search messages, titles or URLs...',
+    'historyEmpty': 'No saved conversations yet',
+    'historyMessageCount': '{count} messages',
+    'historyRename': 'Rename',
+    'historyDelete': 'Delete',
+    'historyDeleteConfirm': 'Click again to delete',
+    'historyRestored': 'Restored your last conversation on this page',
+    'historyLoadFailed': 'Failed to load history: {error}',
+    'closeHistoryTitle': 'Close history',
+    'tabContextTitle': 'Ask across tabs',
+    'extractModeTitle': 'Structured extraction',
+    'extractModeActiveTitle': 'Structured extraction (on)',
+    'extractSchemaHeading': 'Extract as JSON',
+    'extractSchemaHint': "Answers follow this JSON Schema and are shown as an editable table. Leave empty to use the current agent's schema.",
+    'extractSchemaPlaceholder': '{"type": "array", "items": {"type": "object", "properties": {"name": {"type": "string"}, "price": {"type": "number"}}, "required": ["name"]}}',
+    'applyExtractSchema': 'Apply',
+    'clearExtractSchema': 'Clear',
+    'extractSchemaInvalid': 'Invalid schema: {error}',
+    'extractModeOn': 'Structured extraction is on',
+    'extractModeOff': 'Structured extraction is off',
+    'extractModeAgentSchema': "Cleared, using the current agent's schema",
+    'structuredEditHint': 'Click a cell to edit it',
+    'structuredDownloadCsv': 'Download CSV',
+    'structuredDownloadJson': 'Download JSON',
+    'tabPickerHeading': 'Also include these tabs',
+    'tabPickerEmpty': 'No other web pages are open',
+    'tabCurrentPage': 'Current page',
+    'tabExtracting': 'Extracting...',
+    'tabExtractFailed': 'Extraction failed',
+    'tabContentChars': '{charCount} chars',
+    'tabListFailed': 'Could not list tabs: {error}',
+    'selectionFocusLabel': 'Selected text',
+    'clearSelectionFocusTitle': 'Remove selected text',
+    'selectionFocusKept': 'Kept the selected text above the input. Remove it to use a new selection.',
+    'selectionExplainPrompt': 'Explain the selected text',
+    'selectionTranslatePrompt': 'Translate the selected text into English (if it is already English, translate it into Chinese)',
+    'selectionSummarizePrompt': 'Summarize the selected text',
     'closePanelTitle': 'Close Panel',
     'welcomeHeading': 'Welcome to Pagetalk :)',
     'summarizeAction': 'Summarize',
     'imagePreviewAlt': 'Full size image preview',
     'imagePreviewAltTranslated': 'Full size image preview', // Keep English for alt
     'chatStatusPlaceholder': '',
-    'uploadImageTitle': 'Upload Image',
+    'uploadImageTitle': 'Upload an image, PDF or text file',
     'userInputPlaceholder': '...',
     'sendMessageTitle': 'Send Message',
     'settingsTab': 'Settings',
@@ -164,8 +388,59 @@ const translations = {
     'generalSettingsNav': 'General',
     'agentSettingsNav': 'Agent',
     'modelSettingsNav': 'Model',
+    'rulesSettingsNav': 'Rules',
+    'urlRulesHeading': 'URL Rules',
+    'urlRulesHint': 'When the page URL matches a rule, the panel switches to its agent and model, extracts the page the chosen way and can send a prompt automatically. The first matching rule wins.',
+    'addUrlRule': 'Add Rule',
+    'urlRulesEmpty': 'No rules yet. Click "Add Rule" to create one.',
+    'urlRuleEnabledTitle': 'Enable this rule',
+    'urlRulePatternGlob': 'Glob',
+    'urlRulePatternRegex': 'Regex',
+    'urlRuleAgentLabel': 'Agent',
+    'urlRuleKeepCurrent': 'Keep current',
+    'urlRuleModeLabel': 'Page content',
+    'urlRuleMode_readability': 'Article (Readability)',
+    'urlRuleMode_full': 'Full page',
+    'urlRuleMode_selection': 'Selection only',
+    'urlRuleMode_none': 'None',
+    'urlRulePromptPlaceholder': 'Prompt to send automatically (optional, only when there is no conversation)',
+    'urlRuleInvalidPattern': 'Invalid URL pattern, the rule was not saved',
+    'urlRuleApplied': 'URL rule applied: {pattern}',
+    'contextStatusDisabledByRule': 'Disabled by rule',
+    'promptTemplatesHeading': 'Prompt Templates',
+    'promptTemplatesHint': 'Type / in the chat box to insert a template. {{selection}}, {{url}}, {{title}}, {{page}} and {{clipboard}} are filled in automatically (the first {{clipboard}} asks for permission to read the clipboard); any other {{name}} asks for a value. Templates are exported and imported with the agents.',
+    'addPromptTemplate': 'Add template',
+    'promptTemplatesEmpty': 'No templates yet',
+    'newPromptTemplateName': 'template',
+    'promptTemplateNamePlaceholder': 'Command name (no spaces)',
+    'promptTemplateContentPlaceholder': 'e.g. Summarize {{title}} in three sentences, focusing on {{topic}}',
+    'promptTemplateNameInvalid': 'Template name must not be empty or contain spaces',
+    'promptTemplateNameExists': 'A template with this name already exists',
+    'templatePaletteEmpty': 'No matching templates',
+    'templateFieldsInsert': 'Insert',
     'generalSettingsHeading': 'General Settings',
     'languageLabel': 'Language:',
+    'contextModeLabel': 'Page Context:',
+    'contextModeAuto': 'Auto (retrieve relevant sections on long pages)',
+    'contextModeRetrieval': 'Always retrieve relevant sections',
+    'contextModeFull': 'Always send the full page',
+    'contextModeHint': 'Retrieval splits the page into sections and sends only those matching your question, plus a table of contents.',
+    'pageTextFormatLabel': 'Page Text Format:',
+    'pageTextFormatMarkdown': 'Structured (Markdown)',
+    'pageTextFormatPlain': 'Plain text',
+    'pageTextFormatHint': 'Structured keeps tables, lists, code blocks and link targets; plain text keeps only headings and paragraphs and uses fewer tokens.',
+    'pdfModeLabel': 'PDF Attachments:',
+    'pdfModeText': 'Extract text locally',
+    'pdfModeNative': 'Send the PDF file (Gemini)',
+    'pdfModeHint': 'Text is extracted page by page on your computer and works with every model. Gemini models can read the PDF file itself, including scans and charts; other models still get the extracted text.',
+    'guardedContextLabel': 'Guard against prompt injection in pages',
+    'guardedContextHint': 'Strips hidden and off-screen text during extraction, sends page content as untrusted data and flags passages that look like instructions to the AI.',
+    'citationsLabel': 'Cite page passages in answers',
+    'citationsHint': 'Numbers the paragraphs sent to the model and asks it to cite them as [n]. Click a citation to scroll to and highlight the passage on the page.',
+    'newChatOnNavigationLabel': 'Start a new chat when the page URL changes',
+    'newChatOnNavigationHint': 'On single-page sites (GitHub, Gmail, Notion) navigating within the site keeps the same tab. When this is on, the context is refreshed and a new chat started (or the saved chat for that URL restored) instead of asking.',
+    'citationUnmatched': 'Citation [{number}] does not match any passage sent to the model',
+    'citationNotOnPage': 'Could not find the text of citation [{number}] on the page; it may have changed',
     'exportChatLabel': 'Export Chat History:',
     'exportFormatMarkdown': 'Markdown',
     'exportFormatText': 'Text',
@@ -176,12 +451,21 @@ const translations = {
     'deleteConfirmHeading': 'Confirm Deletion',
     'deleteConfirmPrompt': 'Are you sure you want to delete the agent "{agentName}"? This action cannot be undone.',
     'modelSettingsHeading': 'Model Settings',
-    'apiKeyLabel': 'Gemini API Key:',
+    'providerLabel': 'Provider:',
+    'localEndpointLabel': 'Endpoint URL:',
+    'localApiFormatLabel': 'API Format:',
+    'localEndpointHint': 'Ollama must allow the extension origin: set OLLAMA_ORIGINS=chrome-extension://* before starting the server.',
+    'apiKeyLabel': 'API Key:',
     'apiKeyPlaceholder': 'Enter your API Key',
+    'customModelPlaceholder': 'Or enter a custom model ID',
     'toggleApiKeyVisibilityTitle': 'Toggle API Key visibility',
     'toggleApiKeyVisibilityTitleTranslated': 'Toggle API Key visibility', // Keep English for title
     'apiKeyHint': 'Get Your API Key',
     'modelSelectLabelSettings': 'Model:',
+    'modelCapabilityContext': '{count} context',
+    'modelCapabilityOutput': '{count} output',
+    'modelCapabilityVision': 'vision',
+    'modelCapabilityThinking': 'thinking',
     'connectionStatusPlaceholder': '',
     'themeToggleTitle': 'Toggle dark/light mode',
     'contextStatusPrefix': 'Context:',
@@ -189,6 +473,59 @@ const translations = {
     'contextStatusExtracting': 'Extracting...',
     'contextStatusFailed': 'Extraction failed',
     'contextStatusChars': '{charCount} chars',
+    'contextStatusPdfLoading': 'Reading PDF...',
+    'contextStatusPdfPages': 'PDF, {pageCount} pages, {charCount} chars',
+    'contextStatusVideoTranscript': 'Video transcript ({language}), {charCount} chars',
+    'contextStatusAdapter': '{adapter} · {status}',
+    'contextStatusVideoNoTranscript': 'No captions, using the description only',
+    'seekVideoFailed': 'There is no video on this page to jump to',
+    'contextStatusPdfNoText': 'PDF has no extractable text',
+    'contextStatusPdfFailed': 'Could not read PDF: {error}',
+    'pdfEncrypted': 'The PDF needs a password to open',
+    'attachmentLoading': 'Reading...',
+    'attachmentPdfPages': '{count} pages',
+    'attachmentRemoveTitle': 'Remove attachment',
+    'attachmentTooLarge': '{name} is larger than {size} MB and cannot be attached',
+    'attachmentReadFailed': 'Could not read {name}: {error}',
+    'attachmentPdfEncrypted': '{name} needs a password to open and cannot be read',
+    'attachmentPdfNoText': '{name} has no extractable text (it may be a scan); the model can only read it when PDF files are sent directly',
+    'attachmentsStillLoading': 'Attachments are still being read, please wait',
+    'attachmentTextLines': '{count} lines',
+    'attachmentTextTooLarge': '{name} is larger than {size} KB; please attach only the part you need',
+    'attachmentNotText': '{name} is not a text file',
+    'attachmentUnsupported': '{name} is not supported; you can attach images, PDFs and text files',
+    'attachmentPreviewTitle': 'Preview {name}',
+    'attachmentPreviewEmpty': '(No text content)',
+    'attachmentPreviewTruncated': 'Showing the first {shown} of {total} characters',
+    'injectionWarningChip': '⚠ {count} suspicious',
+    'injectionWarningTitle': 'The page contains {count} passage(s) that look like instructions to the AI. The model has been told not to follow them:',
+    'toolExtractPageContent': 'Re-extract page content',
+    'toolQueryPageElements': 'Query page elements',
+    'toolGetPageSelection': 'Read selection',
+    'toolReadPageTable': 'Read table',
+    'toolGetOpenTabText': 'Read another tab',
+    'toolAnnotatePage': 'Annotate page',
+    'toolClearPageAnnotations': 'Clear page annotations',
+    'annotationsChip': '{count} annotations',
+    'annotationsClearTitle': 'Click to clear all annotations on the page',
+    'pageChangedNotice': 'The page content changed. Refresh the context?',
+    'pageNavigatedNotice': 'Navigated to "{title}". Refresh the context?',
+    'pageChangedRefresh': 'Refresh context',
+    'pageChangedNewChat': 'New chat',
+    'pageChangedDismiss': 'Dismiss',
+    'captureScreenshotTitle': 'Capture the visible page',
+    'captureFullPageTitle': 'Capture the full page (scrolls and stitches up to 10 screens)',
+    'screenshotFailed': 'Screenshot failed: {error}',
+    'toolStepRunning': 'Running...',
+    'toolStepFailed': 'Failed',
+    'tabReadApprovalPrompt': 'The model wants to read the tab "{title}". Allow?',
+    'tabReadAllow': 'Allow',
+    'tabReadDeny': 'Deny',
+    'toolStepArgs': 'Arguments:',
+    'toolStepResult': 'Result:',
+    'reasoningLabel': 'Reasoning',
+    'reasoningStreaming': 'Thinking…',
+    'exportIncludeThoughts': 'Include model reasoning',
     'connectionIndicatorConnected': 'Connected',
     'connectionIndicatorDisconnected': 'Disconnected',
     'emptyAgentList': 'No agents yet, click the add button to create one',
@@ -198,6 +535,28 @@ const translations = {
     'agentTemperatureLabel': 'Temperature:',
     'agentTopPLabel': 'Top P:',
     'agentMaxOutputLabel': 'Max Output Length:',
+    'agentProviderLabel': 'Provider:',
+    'agentModelLabel': 'Model:',
+    'agentModelInherit': 'Use the default from Model settings',
+    'agentThinkingModeLabel': 'Thinking Budget:',
+    'agentThinkingBudgetLabel': 'Thinking budget (tokens)',
+    'agentThinkingMode_default': 'Model default',
+    'agentThinkingMode_auto': 'Auto',
+    'agentThinkingMode_manual': 'Manual',
+    'agentThinkingMode_off': 'Off',
+    'agentStopSequencesLabel': 'Stop Sequences:',
+    'agentStopSequencesPlaceholder': 'One per line',
+    'agentModelBindingHint': 'Pick a model for this agent only; leave empty to use the model from Model settings. The thinking budget applies to Gemini models.',
+    'agentSaveFailedThinkingBudgetInvalid': 'Save failed: thinking budget must be between 0 and {max}',
+    'agentSaveFailedStopSequencesInvalid': 'Save failed: at most {max} stop sequences are allowed',
+    'agentExtractSchemaLabel': 'Extraction schema (JSON Schema, optional):',
+    'agentSaveFailedExtractSchemaInvalid': 'Save failed: invalid extraction schema ({error})',
+    'importValidationErrorInvalidProvider': 'Unknown provider',
+    'importValidationErrorInvalidModel': 'Model must be a string',
+    'importValidationErrorInvalidThinkingMode': 'Invalid thinking mode (auto / manual / off)',
+    'importValidationErrorInvalidThinkingBudget': 'Thinking budget must be an integer between 0 and {max}',
+    'importValidationErrorInvalidStopSequences': 'Stop sequences must be an array of at most {max} non-empty strings',
+    'importValidationErrorInvalidExtractSchema': 'Extraction schema must be valid JSON Schema text',
     'defaultAgentName': 'Default', // Added for default agent
     'imageAlt': 'Image {index}',
     'viewImageTitle': 'View Original',
@@ -212,7 +571,7 @@ const translations = {
     'settingsSaved': 'Saved',
     'connectionTestSuccess': 'Connection successful',
     'connectionTestFailed': 'Connection failed: {error}',
-    'contextClearedSuccess': 'Chat history cleared',
+    'contextClearedSuccess': 'Started a new chat',
     'pageContentExtractedSuccess': 'Successfully extracted page content',
     'newAgentCreatedToast': 'New agent created',
     'agentDeletedToast': 'Agent deleted',
@@ -222,9 +581,12 @@ const translations = {
     agentExportEmptyError: 'No agents to export.',
     agentExportSuccess: 'Agent configuration exported.',
     agentExportError: 'Error exporting agent configuration: {error}',
-    agentImportErrorInvalidFormatArray: 'Import failed: Invalid file format, JSON array required.',
+    agentImportErrorInvalidFormatArray: 'Import failed: Invalid file format, an array of agents is required.',
     agentImportErrorInvalidAgentData: 'Import failed: Invalid or incomplete agent data at index {index}.',
     agentImportSuccess: 'Import complete: Added {imported}, Updated {updated} agents.',
+    agentImportSuccessWithTemplates: 'Import complete: Added {imported}, Updated {updated} agents; Added {templatesImported}, Updated {templatesUpdated} templates.',
+    importValidationErrorInvalidTemplates: 'promptTemplates must be an array',
+    importValidationErrorInvalidTemplate: 'A template needs a name without spaces and text content',
     agentImportError: 'Error importing agent configuration: {error}',
     agentImportErrorFileRead: 'Error reading import file.',
     'agentSaveFailedNameConflict': 'Save failed: Agent ID "{agentId}" already exists',
@@ -233,6 +595,8 @@ const translations = {
     'chatExportEmptyError': 'No chat history to export',
     'chatExportSuccess': 'Chat history exported',
     'regenerateError': 'Error regenerating response: {error}',
+    'exportBranchesHeading': 'Other branches',
+    'exportBranchLabel': 'Message {position}, version {index}/{count}',
     'thinking': 'Thinking...',
     'messageDeleted': 'Message deleted',
     'deleteFailedNotFound': 'Delete failed: Message not found',
